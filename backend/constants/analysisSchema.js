@@ -1,10 +1,12 @@
 module.exports = {
   type: "OBJECT",
   properties: {
-    "resumeScore": { "type": "INTEGER", "description": "The resume score out of 100, focusing on the career goal." },
+    "resumeScore": { "type": "INTEGER", "minimum": 0, "maximum": 100, "description": "The resume score out of 100, focusing on the career goal." },
     "missingSkills": {
       "type": "ARRAY",
       "items": { "type": "STRING" },
+      "minItems": 3,
+      "maxItems": 3,
       "description": "3 crucial skills missing for the target role, grounded in current industry needs."
     },
     "recommendations": {
@@ -13,14 +15,19 @@ module.exports = {
         "certifications": {
           "type": "ARRAY",
           "items": { "type": "STRING" },
+          "minItems": 3,
+          "maxItems": 3,
           "description": "3 highly relevant certifications or courses (e.g., Coursera, AWS, Google) to bridge the skill gap."
         },
         "opportunities": {
           "type": "ARRAY",
           "items": { "type": "STRING" },
+          "minItems": 3,
+          "maxItems": 3,
           "description": "3 real-world opportunities (e.g., hackathons, open-source projects, specialized internships) to gain experience."
         }
-      }
+      },
+      "required": ["certifications", "opportunities"]
     },
     "summary": { "type": "STRING", "description": "A concise, 3-sentence summary of the resume's strengths and weaknesses against the career goal." }
   },
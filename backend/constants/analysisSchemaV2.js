@@ -0,0 +1,93 @@
+const SCORE = (description) => ({ "type": "INTEGER", "minimum": 0, "maximum": 100, "description": description });
+
+module.exports = {
+  type: "OBJECT",
+  properties: {
+    "resumeScore": SCORE("The overall resume score out of 100, focusing on the career goal."),
+    "sectionScores": {
+      "type": "OBJECT",
+      "description": "Sub-scores out of 100 for each part of the resume, judged against the career goal.",
+      "properties": {
+        "experience": SCORE("Relevance and depth of work experience."),
+        "skills": SCORE("Coverage of the skills the role requires."),
+        "education": SCORE("Relevance of education, coursework and certifications."),
+        "projects": SCORE("Relevance and substance of projects."),
+        "formatting": SCORE("Formatting and ATS-friendliness (clear headings, parseable layout, consistent dates)."),
+        "impact": SCORE("How well accomplishments are quantified with outcomes and metrics.")
+      },
+      "required": ["experience", "skills", "education", "projects", "formatting", "impact"]
+    },
+    "presentSkills": {
+      "type": "ARRAY",
+      "description": "Up to 8 skills relevant to the career goal that the resume already demonstrates.",
+      "maxItems": 8,
+      "items": {
+        "type": "OBJECT",
+        "properties": {
+          "skill": { "type": "STRING" },
+          "evidence": { "type": "STRING", "description": "A short verbatim quote from the resume that shows the skill." }
+        },
+        "required": ["skill", "evidence"]
+      }
+    },
+    "missingSkills": {
+      "type": "ARRAY",
+      "items": { "type": "STRING" },
+      "minItems": 3,
+      "maxItems": 3,
+      "description": "3 crucial skills missing for the target role, grounded in current industry needs."
+    },
+    "missingSkillDetails": {
+      "type": "ARRAY",
+      "description": "One entry per item in missingSkills, in the same order.",
+      "minItems": 3,
+      "maxItems": 3,
+      "items": {
+        "type": "OBJECT",
+        "properties": {
+          "skill": { "type": "STRING" },
+          "severity": { "type": "STRING", "enum": ["critical", "important", "nice-to-have"] },
+          "reason": { "type": "STRING", "description": "One sentence on why the role needs this skill." }
+        },
+        "required": ["skill", "severity", "reason"]
+      }
+    },
+    "lineSuggestions": {
+      "type": "ARRAY",
+      "description": "Up to 5 concrete rewrites of specific resume lines.",
+      "maxItems": 5,
+      "items": {
+        "type": "OBJECT",
+        "properties": {
+          "section": { "type": "STRING", "description": "Resume section the line belongs to, e.g. Experience." },
+          "original": { "type": "STRING", "description": "The line quoted verbatim from the resume." },
+          "suggestion": { "type": "STRING", "description": "The improved line." },
+          "reason": { "type": "STRING" }
+        },
+        "required": ["original", "suggestion"]
+      }
+    },
+    "recommendations": {
+      "type": "OBJECT",
+      "properties": {
+        "certifications": {
+          "type": "ARRAY",
+          "items": { "type": "STRING" },
+          "minItems": 3,
+          "maxItems": 3,
+          "description": "3 highly relevant certifications or courses (e.g., Coursera, AWS, Google) to bridge the skill gap."
+        },
+        "opportunities": {
+          "type": "ARRAY",
+          "items": { "type": "STRING" },
+          "minItems": 3,
+          "maxItems": 3,
+          "description": "3 real-world opportunities (e.g., hackathons, open-source projects, specialized internships) to gain experience."
+        }
+      },
+      "required": ["certifications", "opportunities"]
+    },
+    "summary": { "type": "STRING", "description": "A concise, 3-sentence summary of the resume's strengths and weaknesses against the career goal." }
+  },
+  required: ["resumeScore", "sectionScores", "presentSkills", "missingSkills", "missingSkillDetails", "lineSuggestions", "recommendations", "summary"]
+};
@@ -0,0 +1,24 @@
+module.exports = {
+  type: "OBJECT",
+  properties: {
+    "criteria": {
+      "type": "ARRAY",
+      "description": "One entry per rubric criterion given in the prompt, in the same order.",
+      "minItems": 1,
+      "maxItems": 6,
+      "items": {
+        "type": "OBJECT",
+        "properties": {
+          "criterion": { "type": "STRING" },
+          "score": { "type": "INTEGER", "minimum": 0, "maximum": 5 },
+          "comment": { "type": "STRING", "description": "One sentence explaining the score." }
+        },
+        "required": ["criterion", "score", "comment"]
+      }
+    },
+    "strengths": { "type": "ARRAY", "items": { "type": "STRING" }, "maxItems": 3 },
+    "improvements": { "type": "ARRAY", "items": { "type": "STRING" }, "maxItems": 3 },
+    "feedback": { "type": "STRING", "description": "Two or three sentences of overall coaching feedback." }
+  },
+  required: ["criteria", "strengths", "improvements", "feedback"]
+};
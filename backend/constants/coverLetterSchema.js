@@ -0,0 +1,15 @@
+module.exports = {
+  type: "OBJECT",
+  properties: {
+    "greeting": { "type": "STRING", "description": "The salutation, e.g. \"Dear Hiring Manager,\"." },
+    "paragraphs": {
+      "type": "ARRAY",
+      "description": "The body of the letter, one string per paragraph.",
+      "items": { "type": "STRING" },
+      "minItems": 2,
+      "maxItems": 5
+    },
+    "closing": { "type": "STRING", "description": "The sign-off line, e.g. \"Sincerely,\"." }
+  },
+  required: ["greeting", "paragraphs", "closing"]
+};
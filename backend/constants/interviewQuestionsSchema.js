@@ -0,0 +1,21 @@
+module.exports = {
+  type: "OBJECT",
+  properties: {
+    "questions": {
+      "type": "ARRAY",
+      "description": "Mock interview questions for the career goal, mixing behavioral and technical questions.",
+      "minItems": 1,
+      "maxItems": 10,
+      "items": {
+        "type": "OBJECT",
+        "properties": {
+          "type": { "type": "STRING", "enum": ["behavioral", "technical"] },
+          "skill": { "type": "STRING", "description": "The skill or competency the question probes." },
+          "question": { "type": "STRING" }
+        },
+        "required": ["type", "question"]
+      }
+    }
+  },
+  required: ["questions"]
+};
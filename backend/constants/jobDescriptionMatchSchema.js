@@ -0,0 +1,40 @@
+module.exports = {
+  type: "OBJECT",
+  properties: {
+    "fitScore": { "type": "INTEGER", "minimum": 0, "maximum": 100, "description": "How well the resume fits this specific job posting, out of 100." },
+    "requirements": {
+      "type": "ARRAY",
+      "description": "The main requirements stated in the job description and whether the resume meets each one.",
+      "minItems": 1,
+      "maxItems": 10,
+      "items": {
+        "type": "OBJECT",
+        "properties": {
+          "requirement": { "type": "STRING", "description": "The requirement, paraphrased briefly from the job description." },
+          "importance": { "type": "STRING", "enum": ["required", "preferred"] },
+          "status": { "type": "STRING", "enum": ["met", "partial", "missing"] },
+          "evidence": { "type": "STRING", "description": "A short verbatim quote from the resume supporting the status; empty when missing." }
+        },
+        "required": ["requirement", "importance", "status"]
+      }
+    },
+    "prioritizedEdits": {
+      "type": "ARRAY",
+      "description": "Up to 5 concrete resume edits that would most improve the fit, most important first.",
+      "minItems": 1,
+      "maxItems": 5,
+      "items": {
+        "type": "OBJECT",
+        "properties": {
+          "priority": { "type": "INTEGER", "minimum": 1, "maximum": 5, "description": "1 is the most important edit." },
+          "section": { "type": "STRING", "description": "The resume section to change, e.g. Skills or Experience." },
+          "edit": { "type": "STRING" },
+          "reason": { "type": "STRING" }
+        },
+        "required": ["priority", "edit", "reason"]
+      }
+    },
+    "summary": { "type": "STRING", "description": "A concise, 2-sentence summary of the fit." }
+  },
+  required: ["fitScore", "requirements", "prioritizedEdits", "summary"]
+};
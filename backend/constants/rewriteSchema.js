@@ -0,0 +1,21 @@
+module.exports = {
+  type: "OBJECT",
+  properties: {
+    "rewrites": {
+      "type": "ARRAY",
+      "description": "Up to 12 improved versions of weak resume bullet points.",
+      "maxItems": 12,
+      "items": {
+        "type": "OBJECT",
+        "properties": {
+          "section": { "type": "STRING", "description": "The resume section the bullet belongs to, e.g. Experience or Projects." },
+          "original": { "type": "STRING", "description": "The original bullet, copied verbatim from the resume (without the bullet marker)." },
+          "rewritten": { "type": "STRING", "description": "The improved bullet: strong action verb, concrete scope and quantified impact. Use [placeholders] for numbers the resume does not state." },
+          "reason": { "type": "STRING", "description": "One sentence on what changed and why." }
+        },
+        "required": ["original", "rewritten", "reason"]
+      }
+    }
+  },
+  required: ["rewrites"]
+};
@@ -1,17 +1,40 @@
 const express = require('express');
 const cors = require('cors');
 const dotenv = require('dotenv');
-const multer = require('multer');
 const path = require('path');
 const fs = require('fs');
 
 const GeminiClient = require('./services/geminiClient');
 const ANALYSIS_SCHEMA = require('./constants/analysisSchema');
+const ANALYSIS_SCHEMA_V2 = require('./constants/analysisSchemaV2');
 const LEARNING_SCHEMA = require('./constants/learningSchema');
+const JOB_DESCRIPTION_MATCH_SCHEMA = require('./constants/jobDescriptionMatchSchema');
+const REWRITE_SCHEMA = require('./constants/rewriteSchema');
+const COVER_LETTER_SCHEMA = require('./constants/coverLetterSchema');
+const INTERVIEW_QUESTIONS_SCHEMA = require('./constants/interviewQuestionsSchema');
+const ANSWER_GRADE_SCHEMA = require('./constants/answerGradeSchema');
 const RECOMMENDATIONS_DB = require('./data/recommendations');
 const { cleanupFile } = require('./utils/fileUtils');
+const { coverLetterToText, coverLetterToDocx } = require('./utils/coverLetterExport');
+const { diffAnalyses } = require('./utils/analysisDiff');
+const { careerReportToPdf } = require('./utils/reportPdf');
+const { ArchiveFormatError, analysesToArchive, analysesToMarkdown, readArchive } = require('./utils/analysisArchive');
+const { roadmapToICalendar, roadmapToMarkdown } = require('./utils/roadmapExport');
+const { JobQueryError, normalizeJobFilters, paginateJobs } = require('./utils/jobFilters');
+const { salaryInsights } = require('./utils/salaryInsights');
+const { openEventStream } = require('./utils/sse');
+const { SchemaValidationError } = require('./utils/schemaValidator');
 const VertexCourseSearch = require('./services/vertexSearch');
 const JobMatchService = require('./services/jobMatch');
+const { createJobStore } = require('./services/jobs');
+const { createLlmProvider } = require('./services/llm');
+const { createCache, cacheKey, normalizeForKey } = require('./services/cache');
+const CourseCatalog = require('./services/courseCatalog');
+const InterviewCoach = require('./services/interviewCoach');
+const RoadmapPlanner = require('./services/roadmapPlanner');
+const ShareLinks = require('./services/shareLinks');
+const { ResumeTextExtractor } = require('./services/textExtraction');
+const { UploadPolicy } = require('./services/uploadPolicy');
 
 dotenv.config();
 
@@ -20,22 +43,56 @@ dotenv.config();
 const app = express();
 const PORT = process.env.PORT || 4000;
 
+const LLM_PROVIDER = process.env.LLM_PROVIDER || 'gemini';
+const FIXTURE_LATENCY_MS = parseInt(process.env.FIXTURE_LATENCY_MS, 10) || 0;
 const GEMINI_API_KEY = process.env.GEMINI_API_KEY;
 const GEMINI_MODEL = process.env.GEMINI_MODEL || 'gemini-2.5-flash-preview-09-2025';
+const ANALYSIS_SCHEMA_VERSION = process.env.ANALYSIS_SCHEMA_VERSION === '1' ? 1 : 2;
 const VERTEX_API_KEY = process.env.VERTEX_API_KEY;
 const VERTEX_MODEL = process.env.VERTEX_MODEL || 'gemini-2.5-flash-lite';
+const JOBS_STORE = process.env.JOBS_STORE || 'bigquery';
+const JOBS_DATA_FILE = process.env.JOBS_DATA_FILE || (JOBS_STORE === 'json' ? path.join(__dirname, 'data', 'sampleJobs.json') : undefined);
+const JOBS_SQLITE_TABLE = process.env.JOBS_SQLITE_TABLE || 'jobs';
+const JOBS_POSTED_AT_COLUMN = process.env.JOBS_POSTED_AT_COLUMN;
+const JOBS_CANDIDATE_POOL = parseInt(process.env.JOBS_CANDIDATE_POOL, 10) || 500;
+const JOBS_MAX_PAGE_SIZE = 50;
 const JOBS_PROJECT_ID = process.env.BQ_PROJECT_ID || process.env.GCP_PROJECT;
 const JOBS_DATASET = process.env.BQ_DATASET;
 const JOBS_TABLE = process.env.BQ_TABLE;
 const JOBS_CREDENTIALS_JSON = process.env.BQ_CREDENTIALS_JSON;
 const JOBS_CREDENTIALS_FILE = process.env.BQ_CREDENTIALS_FILE || path.join(__dirname, 'infraguard-ai-479022-65e05c000c1e.json');
 
-if (!GEMINI_API_KEY) {
+if (LLM_PROVIDER === 'gemini' && !GEMINI_API_KEY) {
   console.warn('Warning: GEMINI_API_KEY is not set. The /api/analyze endpoint will fail until you add it to your .env file.');
 }
 
-const UPLOAD_DIR = path.join(__dirname, 'uploads');
-fs.mkdirSync(UPLOAD_DIR, { recursive: true });
+const UPLOAD_DIR = process.env.UPLOAD_DIR || path.join(__dirname, 'uploads');
+const UPLOAD_MAX_BYTES = (parseFloat(process.env.UPLOAD_MAX_MB) || 5) * 1024 * 1024;
+const UPLOAD_ALLOWED_TYPES = process.env.UPLOAD_ALLOWED_TYPES
+  ? process.env.UPLOAD_ALLOWED_TYPES.split(',').map((t) => t.trim().toLowerCase()).filter(Boolean)
+  : UploadPolicy.DEFAULT_ALLOWED_TYPES;
+const UPLOAD_IN_MEMORY = process.env.UPLOAD_IN_MEMORY === 'true';
+const UPLOAD_ORPHAN_MAX_AGE_MINUTES = parseInt(process.env.UPLOAD_ORPHAN_MAX_AGE_MINUTES, 10) || 60;
+
+const STORAGE_DIR = process.env.STORAGE_DIR || path.join(__dirname, 'storage');
+const CACHE_DRIVER = process.env.CACHE_DRIVER || 'memory';
+const CACHE_DIR = process.env.CACHE_DIR || path.join(STORAGE_DIR, 'cache');
+const MINUTE_MS = 60 * 1000;
+const CACHE_TTL_ANALYSIS_MS = (parseInt(process.env.CACHE_TTL_ANALYSIS_MINUTES, 10) || 7 * 24 * 60) * MINUTE_MS;
+const CACHE_TTL_COURSES_MS = (parseInt(process.env.CACHE_TTL_COURSES_MINUTES, 10) || 6 * 60) * MINUTE_MS;
+const CACHE_TTL_JOBS_MS = (parseInt(process.env.CACHE_TTL_JOBS_MINUTES, 10) || 60) * MINUTE_MS;
+const ANALYSIS_MAX_GOALS = parseInt(process.env.ANALYSIS_MAX_GOALS, 10) || 4;
+const ROADMAP_MAX_WEEKS = parseInt(process.env.ROADMAP_MAX_WEEKS, 10) || 52;
+const ROADMAP_MAX_HOURS_PER_WEEK = 60;
+const ROADMAP_MAX_SKILLS = 10;
+const REPORT_MAX_COURSES = 8;
+const REPORT_MAX_JOBS = 5;
+const COURSES_DB_FILE = process.env.COURSES_DB_FILE || path.join(STORAGE_DIR, 'courses.json');
+const COURSES_SEED = process.env.COURSES_SEED !== 'false';
+const SHARES_DB_FILE = process.env.SHARES_DB_FILE || path.join(STORAGE_DIR, 'shares.json');
+const SHARE_SECRET = process.env.SHARE_SECRET;
+const SHARE_DEFAULT_DAYS = 7;
+const SHARE_MAX_DAYS = parseInt(process.env.SHARE_MAX_DAYS, 10) || 30;
 
 const mapStaticRecommendationsToLearning = () => ({
   courses: (RECOMMENDATIONS_DB.certifications || []).map((c) => ({
@@ -88,177 +145,611 @@ const chooseLink = (candidateLink, sources = []) => {
   return fromSources ? fromSources.uri : null;
 };
 
+// Model output that fails schema validation is an upstream problem (502) with a typed code the UI can show.
+const modelErrorStatus = (error) => (error instanceof SchemaValidationError ? 502 : 500);
+const modelErrorBody = (message, error) => ({
+  error: message,
+  code: error instanceof SchemaValidationError ? error.code : undefined,
+  details: error instanceof SchemaValidationError ? error.errors : (error?.response?.data || error.message)
+});
+
+// `?refresh=true` (or `refresh: true` in the body) bypasses cached results and overwrites them.
+const wantsRefresh = (req) => ['true', '1'].includes(String(req.query.refresh ?? req.body?.refresh ?? '').toLowerCase());
+
+// Anonymous Firebase uid sent by the frontend; used for ownership checks only, not authentication.
+// Read from the X-User-Id header only, never from request bodies or query strings.
+const getRequestUserId = (req) => req.get('x-user-id') || null;
+
 // --- Middleware ---
 
 app.use(cors());
+// Whole-history exports and imports carry every saved analysis (with resume text), so they get a larger limit.
+app.use('/api/analyses', express.json({ limit: '20mb' }));
 app.use(express.json({ limit: '2mb' }));
 
 const geminiClient = new GeminiClient({
-  apiKey: GEMINI_API_KEY,
-  model: GEMINI_MODEL,
-  schema: ANALYSIS_SCHEMA,
-  learningSchema: LEARNING_SCHEMA
+  provider: createLlmProvider(LLM_PROVIDER, {
+    apiKey: GEMINI_API_KEY,
+    model: GEMINI_MODEL,
+    latencyMs: FIXTURE_LATENCY_MS
+  }),
+  schema: ANALYSIS_SCHEMA_VERSION === 2 ? ANALYSIS_SCHEMA_V2 : ANALYSIS_SCHEMA,
+  schemaVersion: ANALYSIS_SCHEMA_VERSION,
+  learningSchema: LEARNING_SCHEMA,
+  jobDescriptionSchema: JOB_DESCRIPTION_MATCH_SCHEMA,
+  rewriteSchema: REWRITE_SCHEMA,
+  coverLetterSchema: COVER_LETTER_SCHEMA
+});
+// Local parsers first; the model is only asked to read scanned PDFs, images and unknown formats.
+const resumeTextExtractor = new ResumeTextExtractor({
+  modelFallback: (file, mimeType) => geminiClient.extractTextFromFile(file, mimeType)
 });
 const vertexSearch = new VertexCourseSearch({
-  apiKey: VERTEX_API_KEY,
-  model: VERTEX_MODEL,
+  provider: createLlmProvider(LLM_PROVIDER, {
+    apiKey: VERTEX_API_KEY,
+    model: VERTEX_MODEL,
+    vertex: true,
+    latencyMs: FIXTURE_LATENCY_MS
+  }),
   schema: LEARNING_SCHEMA
 });
-const jobMatchService = new JobMatchService({
-  projectId: JOBS_PROJECT_ID,
-  dataset: JOBS_DATASET,
-  table: JOBS_TABLE,
-  credentials: (() => {
-    if (JOBS_CREDENTIALS_JSON) {
-      try {
-        return JSON.parse(JOBS_CREDENTIALS_JSON);
-      } catch (err) {
-        console.error('[jobs] Failed to parse BQ_CREDENTIALS_JSON:', err.message);
-      }
-    }
+const interviewCoach = new InterviewCoach({
+  provider: geminiClient.provider,
+  questionsSchema: INTERVIEW_QUESTIONS_SCHEMA,
+  gradeSchema: ANSWER_GRADE_SCHEMA
+});
+const cache = createCache(CACHE_DRIVER, { dir: CACHE_DIR });
 
-    // Fallback to credentials file if present
-    if (fs.existsSync(JOBS_CREDENTIALS_FILE)) {
-      try {
-        const raw = fs.readFileSync(JOBS_CREDENTIALS_FILE, 'utf8');
-        return JSON.parse(raw);
-      } catch (err) {
-        console.error('[jobs] Failed to read BQ_CREDENTIALS_FILE:', err.message);
-      }
+/**
+ * Runs (or reuses) an analysis keyed by the normalized resume, goal, model and prompt version.
+ * `onStage` receives 'cache-hit' or 'analysis-started'; cached results get a fresh timestamp and `cached: true`.
+ * `completedLearning` ([{ title, kind, skill? }]) is part of the key, so finishing a course yields a fresh analysis.
+ */
+const analyzeWithCache = async (resumeText, careerGoal, { refresh = false, completedLearning, onPartial, onStage } = {}) => {
+  const key = cacheKey('analysis', geminiClient.analysisFingerprint(resumeText, careerGoal, completedLearning));
+
+  if (!refresh) {
+    const hit = await cache.get(key);
+    if (hit) {
+      onStage?.('cache-hit');
+      return { ...hit, timestamp: new Date().toISOString(), generatedAt: hit.timestamp, cached: true };
     }
+  }
 
-    return undefined;
-  })()
-});
+  onStage?.('analysis-started');
+  const analysis = await geminiClient.generateStructuredAnalysis(resumeText, careerGoal, { onPartial, completedLearning });
+  await cache.set(key, analysis, CACHE_TTL_ANALYSIS_MS);
+  return { ...analysis, cached: false };
+};
+
+const jobMatchService = new JobMatchService({
+  candidatePool: JOBS_CANDIDATE_POOL,
+  store: createJobStore(JOBS_STORE, {
+    filePath: JOBS_DATA_FILE,
+    table: JOBS_SQLITE_TABLE,
+    postedAtColumn: JOBS_POSTED_AT_COLUMN,
+    bigquery: {
+      projectId: JOBS_PROJECT_ID,
+      dataset: JOBS_DATASET,
+      table: JOBS_TABLE,
+      credentials: (() => {
+        if (JOBS_CREDENTIALS_JSON) {
+          try {
+            return JSON.parse(JOBS_CREDENTIALS_JSON);
+          } catch (err) {
+            console.error('[jobs] Failed to parse BQ_CREDENTIALS_JSON:', err.message);
+          }
+        }
+
+        // Fallback to credentials file if present
+        if (fs.existsSync(JOBS_CREDENTIALS_FILE)) {
+          try {
+            const raw = fs.readFileSync(JOBS_CREDENTIALS_FILE, 'utf8');
+            return JSON.parse(raw);
+          } catch (err) {
+            console.error('[jobs] Failed to read BQ_CREDENTIALS_FILE:', err.message);
+          }
+        }
 
-const upload = multer({
-  storage: multer.diskStorage({
-    destination: function (_req, _file, cb) {
-      cb(null, UPLOAD_DIR);
-    },
-    filename: function (_req, file, cb) {
-      const unique = Date.now() + '-' + Math.round(Math.random() * 1e9);
-      cb(null, `${unique}-${file.originalname}`);
+        return undefined;
+      })()
     }
   })
 });
 
+const courseCatalog = new CourseCatalog({
+  filePath: COURSES_DB_FILE,
+  seedData: COURSES_SEED ? RECOMMENDATIONS_DB : null
+});
+
+const roadmapPlanner = new RoadmapPlanner({ maxWeeks: ROADMAP_MAX_WEEKS });
+
+const shareLinks = new ShareLinks({ filePath: SHARES_DB_FILE, secret: SHARE_SECRET });
+
+const uploadPolicy = new UploadPolicy({
+  uploadDir: UPLOAD_DIR,
+  maxBytes: UPLOAD_MAX_BYTES,
+  allowedTypes: UPLOAD_ALLOWED_TYPES,
+  inMemory: UPLOAD_IN_MEMORY
+});
+const sweptUploads = uploadPolicy.sweepOrphans({ maxAgeMs: UPLOAD_ORPHAN_MAX_AGE_MINUTES * 60 * 1000 });
+if (sweptUploads) {
+  console.log(`[upload] removed ${sweptUploads} orphaned file(s) from ${UPLOAD_DIR}`);
+}
+
 // --- Routes ---
 
 app.post('/api/analyze', async (req, res) => {
   try {
-    const { resumeText, careerGoal } = req.body || {};
+    const { resumeText, careerGoal, completedLearning } = req.body || {};
 
     if (!resumeText || !careerGoal) {
       return res.status(400).json({ error: 'resumeText and careerGoal are required.' });
     }
 
     console.log(`[analyze] careerGoal="${careerGoal}" textLength=${resumeText.length}`);
-    const analysisWithMetadata = await geminiClient.generateStructuredAnalysis(resumeText, careerGoal);
-    console.log(`[analyze] success careerGoal="${careerGoal}" score=${analysisWithMetadata.resumeScore}`);
+    const analysisWithMetadata = await analyzeWithCache(resumeText, careerGoal, { refresh: wantsRefresh(req), completedLearning });
+    console.log(`[analyze] success careerGoal="${careerGoal}" score=${analysisWithMetadata.resumeScore} cached=${analysisWithMetadata.cached}`);
     return res.json(analysisWithMetadata);
   } catch (error) {
     logError('analyze', error);
-    return res.status(500).json({
-      error: 'Failed to analyze resume with Gemini.',
-      details: error?.response?.data || error.message
+    return res.status(modelErrorStatus(error)).json(modelErrorBody('Failed to analyze resume with Gemini.', error));
+  }
+});
+
+/**
+ * Scores one resume against several career goals: POST { resumeText, careerGoals: [...], completedLearning? } (up to ANALYSIS_MAX_GOALS).
+ * Each goal is a normal (cached) analysis; the response ranks them by resumeScore. Goals that fail are listed in
+ * `failures` instead of failing the whole request.
+ */
+app.post('/api/analyze/multi', async (req, res) => {
+  try {
+    const { resumeText, careerGoals, completedLearning } = req.body || {};
+    const goals = [...new Set((Array.isArray(careerGoals) ? careerGoals : []).map((g) => String(g || '').trim()).filter(Boolean))];
+
+    if (!resumeText || !goals.length) {
+      return res.status(400).json({ error: 'resumeText and at least one careerGoal are required.' });
+    }
+    if (goals.length > ANALYSIS_MAX_GOALS) {
+      return res.status(400).json({ error: `At most ${ANALYSIS_MAX_GOALS} career goals can be compared at once.` });
+    }
+
+    console.log(`[analyze-multi] goals=${goals.length} textLength=${resumeText.length}`);
+    const refresh = wantsRefresh(req);
+    const settled = await Promise.allSettled(goals.map((goal) => analyzeWithCache(resumeText, goal, { refresh, completedLearning })));
+
+    const analyses = [];
+    const failures = [];
+    settled.forEach((outcome, idx) => {
+      if (outcome.status === 'fulfilled') {
+        analyses.push(outcome.value);
+      } else {
+        logError('analyze-multi', outcome.reason);
+        failures.push({ careerGoal: goals[idx], ...modelErrorBody('Failed to analyze resume with Gemini.', outcome.reason) });
+      }
     });
+
+    if (!analyses.length) {
+      return res.status(502).json({ error: 'Failed to analyze resume for any of the career goals.', failures });
+    }
+
+    const ranked = analyses
+      .map((analysis, idx) => ({ analysis, idx }))
+      .sort((a, b) => b.analysis.resumeScore - a.analysis.resumeScore || a.idx - b.idx)
+      .map(({ analysis }, idx) => ({
+        rank: idx + 1,
+        careerGoal: analysis.careerGoal,
+        resumeScore: analysis.resumeScore,
+        missingSkills: analysis.missingSkills,
+        summary: analysis.summary,
+        analysis
+      }));
+
+    console.log(`[analyze-multi] success bestFit="${ranked[0].careerGoal}" score=${ranked[0].resumeScore} failures=${failures.length}`);
+    return res.json({
+      bestFit: ranked[0].careerGoal,
+      comparison: ranked,
+      failures,
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    logError('analyze-multi', error);
+    return res.status(500).json({ error: 'Failed to compare career goals.', details: error.message });
+  }
+});
+
+/**
+ * Compares two analyses: POST { careerGoal?, before, after }. Each side is either a stored report
+ * { analysis, resumeText? } or a resume version { resumeText } that is analyzed (through the cache) for `careerGoal`.
+ * Returns both analyses plus the diff from utils/analysisDiff.
+ */
+app.post('/api/analyze/compare', async (req, res) => {
+  try {
+    const { careerGoal, before, after } = req.body || {};
+    const sides = [before, after];
+
+    if (sides.some((side) => !side || (!side.analysis && !side.resumeText))) {
+      return res.status(400).json({ error: 'before and after each need an analysis or a resumeText.' });
+    }
+    if (sides.some((side) => side.analysis && (typeof side.analysis.resumeScore !== 'number' || !Array.isArray(side.analysis.missingSkills)))) {
+      return res.status(400).json({ error: 'analysis must include resumeScore and missingSkills.' });
+    }
+    if (sides.some((side) => !side.analysis) && !careerGoal) {
+      return res.status(400).json({ error: 'careerGoal is required to analyze a resume version.' });
+    }
+
+    console.log(`[analyze-compare] before=${before.analysis ? 'stored' : 'text'} after=${after.analysis ? 'stored' : 'text'} careerGoal="${careerGoal || ''}"`);
+    const refresh = wantsRefresh(req);
+    const [beforeAnalysis, afterAnalysis] = await Promise.all(
+      sides.map((side) => side.analysis || analyzeWithCache(side.resumeText, careerGoal, { refresh }))
+    );
+
+    const diff = diffAnalyses(beforeAnalysis, afterAnalysis, {
+      beforeText: before.resumeText || beforeAnalysis.resumeText,
+      afterText: after.resumeText || afterAnalysis.resumeText
+    });
+    console.log(`[analyze-compare] success scoreDelta=${diff.scoreDelta} closed=${diff.skills.closed.length} newlyFlagged=${diff.skills.newlyFlagged.length}`);
+    return res.json({ before: beforeAnalysis, after: afterAnalysis, diff, timestamp: new Date().toISOString() });
+  } catch (error) {
+    logError('analyze-compare', error);
+    return res.status(modelErrorStatus(error)).json(modelErrorBody('Failed to compare analyses.', error));
+  }
+});
+
+// Streaming variant of /api/analyze: emits `stage`, `partial` (one per analysis field), then `done` or `error`.
+app.post('/api/analyze/stream', async (req, res) => {
+  const { resumeText, careerGoal, completedLearning } = req.body || {};
+
+  if (!resumeText || !careerGoal) {
+    return res.status(400).json({ error: 'resumeText and careerGoal are required.' });
+  }
+
+  const stream = openEventStream(res);
+  try {
+    console.log(`[analyze-stream] careerGoal="${careerGoal}" textLength=${resumeText.length}`);
+    const analysisWithMetadata = await analyzeWithCache(resumeText, careerGoal, {
+      refresh: wantsRefresh(req),
+      completedLearning,
+      onStage: (stage) => stream.send('stage', { stage }),
+      onPartial: (field, value) => stream.send('partial', { field, value })
+    });
+    console.log(`[analyze-stream] success careerGoal="${careerGoal}" score=${analysisWithMetadata.resumeScore} cached=${analysisWithMetadata.cached}`);
+    stream.send('done', analysisWithMetadata);
+  } catch (error) {
+    logError('analyze-stream', error);
+    stream.send('error', modelErrorBody('Failed to analyze resume with Gemini.', error));
+  } finally {
+    stream.close();
   }
 });
 
-app.post('/api/upload-resume', upload.single('file'), async (req, res) => {
+// Compares a resume with one pasted job posting: keyword coverage, requirements met/missing, fit score and prioritized edits.
+app.post('/api/job-description/match', async (req, res) => {
+  try {
+    const { resumeText, jobDescription } = req.body || {};
+
+    if (!resumeText || !jobDescription) {
+      return res.status(400).json({ error: 'resumeText and jobDescription are required.' });
+    }
+
+    const key = cacheKey('jd-match', geminiClient.jobDescriptionFingerprint(resumeText, jobDescription));
+    if (!wantsRefresh(req)) {
+      const hit = await cache.get(key);
+      if (hit) {
+        return res.json({ ...hit, cached: true });
+      }
+    }
+
+    console.log(`[jd-match] resumeLength=${resumeText.length} jobDescriptionLength=${jobDescription.length}`);
+    const match = await geminiClient.generateJobDescriptionMatch(resumeText, jobDescription);
+    console.log(`[jd-match] success fitScore=${match.fitScore} coverage=${match.keywordCoverage.coverage}`);
+    await cache.set(key, match, CACHE_TTL_ANALYSIS_MS);
+    return res.json({ ...match, cached: false });
+  } catch (error) {
+    logError('jd-match', error);
+    return res.status(modelErrorStatus(error)).json(modelErrorBody('Failed to match resume against the job description.', error));
+  }
+});
+
+// Suggests stronger versions of weak bullets; `section` (e.g. "Experience") limits the rewrite to one section.
+app.post('/api/resume/rewrite', async (req, res) => {
+  try {
+    const { resumeText, careerGoal, section } = req.body || {};
+
+    if (!resumeText || !careerGoal) {
+      return res.status(400).json({ error: 'resumeText and careerGoal are required.' });
+    }
+
+    console.log(`[rewrite] careerGoal="${careerGoal}" section="${section || '-'}" textLength=${resumeText.length}`);
+    const result = await geminiClient.generateRewrites(resumeText, careerGoal, { section });
+    console.log(`[rewrite] success rewrites=${result.rewrites.length}`);
+    return res.json(result);
+  } catch (error) {
+    logError('rewrite', error);
+    return res.status(modelErrorStatus(error)).json(modelErrorBody('Failed to rewrite resume bullets.', error));
+  }
+});
+
+// Returns an error message for invalid cover letter options, or null.
+const coverLetterOptionsError = ({ analysis, tone, length } = {}) => {
+  if (!analysis?.careerGoal) return 'analysis with a careerGoal is required.';
+  if (tone && !GeminiClient.COVER_LETTER_TONES.includes(tone)) return `tone must be one of: ${GeminiClient.COVER_LETTER_TONES.join(', ')}.`;
+  if (length && !GeminiClient.COVER_LETTER_LENGTHS.includes(length)) return `length must be one of: ${GeminiClient.COVER_LETTER_LENGTHS.join(', ')}.`;
+  return null;
+};
+
+// Drafts a cover letter from a stored analysis plus an optional job ({ title, company, description }).
+app.post('/api/cover-letter', async (req, res) => {
+  try {
+    const { analysis, job, tone, length, candidateName } = req.body || {};
+    const invalid = coverLetterOptionsError(req.body);
+    if (invalid) {
+      return res.status(400).json({ error: invalid });
+    }
+
+    console.log(`[cover-letter] careerGoal="${analysis.careerGoal}" job="${job?.title || '-'}" tone=${tone || 'professional'} length=${length || 'medium'}`);
+    const letter = await geminiClient.generateCoverLetter({ analysis, job, tone, length, candidateName });
+    return res.json(letter);
+  } catch (error) {
+    logError('cover-letter', error);
+    return res.status(modelErrorStatus(error)).json(modelErrorBody('Failed to generate cover letter.', error));
+  }
+});
+
+// Regenerates one paragraph (`index`) of an existing letter, optionally following an `instruction`.
+app.post('/api/cover-letter/paragraph', async (req, res) => {
+  try {
+    const { analysis, job, tone, candidateName, paragraphs, index, instruction } = req.body || {};
+    const invalid = coverLetterOptionsError(req.body);
+    if (invalid) {
+      return res.status(400).json({ error: invalid });
+    }
+    if (!Array.isArray(paragraphs) || !Number.isInteger(index) || index < 0 || index >= paragraphs.length) {
+      return res.status(400).json({ error: 'paragraphs and a valid paragraph index are required.' });
+    }
+
+    console.log(`[cover-letter] regenerate paragraph=${index} careerGoal="${analysis.careerGoal}"`);
+    const paragraph = await geminiClient.regenerateCoverLetterParagraph({ analysis, job, tone, candidateName, paragraphs, index, instruction });
+    return res.json({ index, paragraph });
+  } catch (error) {
+    logError('cover-letter', error);
+    return res.status(modelErrorStatus(error)).json(modelErrorBody('Failed to regenerate the paragraph.', error));
+  }
+});
+
+const COVER_LETTER_EXPORTS = {
+  txt: { contentType: 'text/plain; charset=utf-8', render: async (letter) => coverLetterToText(letter) },
+  docx: {
+    contentType: 'application/vnd.openxmlformats-officedocument.wordprocessingml.document',
+    render: (letter) => coverLetterToDocx(letter)
+  }
+};
+
+// Downloads a (possibly edited) letter as plain text or DOCX: POST { letter, format: 'txt' | 'docx' }.
+app.post('/api/cover-letter/export', async (req, res) => {
+  try {
+    const { letter, format = 'docx' } = req.body || {};
+    const exporter = Object.hasOwn(COVER_LETTER_EXPORTS, format) ? COVER_LETTER_EXPORTS[format] : null;
+
+    if (!exporter) {
+      return res.status(400).json({ error: `format must be one of: ${Object.keys(COVER_LETTER_EXPORTS).join(', ')}.` });
+    }
+    if (!letter || !Array.isArray(letter.paragraphs) || !letter.paragraphs.length) {
+      return res.status(400).json({ error: 'letter with at least one paragraph is required.' });
+    }
+    if (!letter.paragraphs.every((paragraph) => typeof paragraph === 'string')) {
+      return res.status(400).json({ error: 'Every letter paragraph must be a string.' });
+    }
+
+    const body = await exporter.render(letter);
+    res.set('Content-Type', exporter.contentType);
+    res.set('Content-Disposition', `attachment; filename="cover-letter.${format}"`);
+    return res.send(body);
+  } catch (error) {
+    logError('cover-letter-export', error);
+    return res.status(500).json({ error: 'Failed to export cover letter.', details: error.message });
+  }
+});
+
+// Mock interview questions for a career goal: POST { careerGoal, missingSkills?, count? } (count max 10).
+app.post('/api/interview/questions', async (req, res) => {
+  try {
+    const { careerGoal, missingSkills = [], count } = req.body || {};
+
+    if (!careerGoal) {
+      return res.status(400).json({ error: 'careerGoal is required.' });
+    }
+
+    console.log(`[interview] questions careerGoal="${careerGoal}" count=${count || 'default'}`);
+    const result = await interviewCoach.generateQuestions({
+      careerGoal,
+      missingSkills: Array.isArray(missingSkills) ? missingSkills : [missingSkills],
+      count
+    });
+    return res.json(result);
+  } catch (error) {
+    logError('interview', error);
+    return res.status(modelErrorStatus(error)).json(modelErrorBody('Failed to generate interview questions.', error));
+  }
+});
+
+// Grades one typed answer: POST { careerGoal, question: { type, skill, question }, answer }.
+app.post('/api/interview/grade', async (req, res) => {
+  try {
+    const { careerGoal, question, answer } = req.body || {};
+
+    if (!question?.question || !answer || !String(answer).trim()) {
+      return res.status(400).json({ error: 'question and answer are required.' });
+    }
+
+    const grade = await interviewCoach.gradeAnswer({ careerGoal, question, answer: String(answer) });
+    console.log(`[interview] graded type=${grade.rubric} score=${grade.score}`);
+    return res.json(grade);
+  } catch (error) {
+    logError('interview', error);
+    return res.status(modelErrorStatus(error)).json(modelErrorBody('Failed to grade the answer.', error));
+  }
+});
+
+app.post('/api/upload-resume', uploadPolicy.single('file'), async (req, res) => {
   let filePath;
   try {
     if (!req.file) {
-      return res.status(400).json({ error: 'No resume file uploaded.' });
+      return res.status(400).json({ error: 'No resume file uploaded.', code: 'NO_FILE' });
     }
 
     const { careerGoal } = req.body || {};
     filePath = req.file.path;
 
     console.log(`[upload-resume] file=${req.file.originalname} size=${req.file.size} careerGoal="${careerGoal || ''}"`);
-    const text = await geminiClient.extractTextFromFile(req.file);
+    const { text, metadata: extraction } = await resumeTextExtractor.extract(req.file);
+    console.log(`[upload-resume] extracted method=${extraction.method} type=${extraction.detectedType} pages=${extraction.pageCount ?? 'n/a'}`);
 
     let analysis = null;
     if (careerGoal) {
       console.log(`[upload-resume] running analysis for careerGoal="${careerGoal}"`);
-      analysis = await geminiClient.generateStructuredAnalysis(text, careerGoal);
+      analysis = await analyzeWithCache(text, careerGoal, { refresh: wantsRefresh(req) });
     }
 
     console.log(`[upload-resume] success file=${req.file.originalname} chars=${text.length}`);
     return res.json({
       extractedText: text,
       characterCount: text.length,
+      extraction,
       analysis
     });
   } catch (error) {
     logError('upload-resume', error);
-    return res.status(500).json({
-      error: "Failed to process uploaded resume.",
-      details: error?.response?.data || error.message
-    });
+    return res.status(modelErrorStatus(error)).json(modelErrorBody('Failed to process uploaded resume.', error));
   } finally {
     cleanupFile(filePath);
   }
 });
 
-app.post('/api/courses/external', async (req, res) => {
+// Streaming variant of /api/upload-resume with the same response body delivered in the `done` event.
+app.post('/api/upload-resume/stream', uploadPolicy.single('file'), async (req, res) => {
+  if (!req.file) {
+    return res.status(400).json({ error: 'No resume file uploaded.', code: 'NO_FILE' });
+  }
+
+  const filePath = req.file.path;
+  const { careerGoal } = req.body || {};
+  const stream = openEventStream(res);
   try {
-    const { role, skills } = req.body || {};
+    console.log(`[upload-resume-stream] file=${req.file.originalname} size=${req.file.size} careerGoal="${careerGoal || ''}"`);
+    stream.send('stage', { stage: 'file-received', fileName: req.file.originalname, size: req.file.size });
 
-    if (!role) {
-      return res.status(400).json({ error: 'role is required.' });
-    }
+    const { text, metadata: extraction } = await resumeTextExtractor.extract(req.file);
+    stream.send('stage', { stage: 'text-extracted', characterCount: text.length, extraction });
 
-    const skillsText = Array.isArray(skills) ? skills.join(', ') : (skills || '');
+    let analysis = null;
+    if (careerGoal) {
+      analysis = await analyzeWithCache(text, careerGoal, {
+        refresh: wantsRefresh(req),
+        onStage: (stage) => stream.send('stage', { stage }),
+        onPartial: (field, value) => stream.send('partial', { field, value })
+      });
+    }
 
-    console.log(`[courses] role="${role}" skills="${skillsText}"`);
-    let courses = [];
-    let sources = [];
-    let usedVertex = false;
+    console.log(`[upload-resume-stream] success file=${req.file.originalname} chars=${text.length}`);
+    stream.send('done', {
+      extractedText: text,
+      characterCount: text.length,
+      extraction,
+      analysis
+    });
+  } catch (error) {
+    logError('upload-resume-stream', error);
+    stream.send('error', modelErrorBody('Failed to process uploaded resume.', error));
+  } finally {
+    cleanupFile(filePath);
+    stream.close();
+  }
+});
 
-    let vertexResult = null;
+/**
+ * Live course and opportunity lookup for a role: Vertex Search when configured, otherwise Gemini discovery with
+ * link sanitizing and the static catalog as a last resort. Results are cached unless they came from the fallback.
+ * Throws when the lookup fails outright so callers can choose their own fallback.
+ */
+async function findLearningResources(role, skills, { refresh = false } = {}) {
+  const skillsText = Array.isArray(skills) ? skills.join(', ') : (skills || '');
+  const coursesKey = cacheKey('courses', {
+    role: normalizeForKey(role).toLowerCase(),
+    skills: (Array.isArray(skills) ? skills : [skillsText]).map((s) => normalizeForKey(s).toLowerCase()).filter(Boolean).sort()
+  });
 
-    if (vertexSearch.isEnabled()) {
-      try {
-        vertexResult = await vertexSearch.searchCourses({ role, skills: Array.isArray(skills) ? skills : [skillsText] });
-        courses = vertexResult.courses || [];
-        sources = vertexResult.sources || [];
-        usedVertex = true;
-        console.log(`[courses] vertex results=${courses.length}`);
-      } catch (err) {
-        logError('courses-vertex', err);
-      }
+  if (!refresh) {
+    const hit = await cache.get(coursesKey);
+    if (hit) {
+      console.log(`[courses] cache hit role="${role}"`);
+      return { ...hit, cached: true };
     }
+  }
 
-    // If Vertex failed or returned nothing, fall back to Gemini + static sanitizer.
-    if (!courses.length) {
-      const discovery = await geminiClient.discoverLearningResources(role, skillsText);
-      const structured = await geminiClient.structureLearningResources(discovery.text, discovery.sources);
+  console.log(`[courses] role="${role}" skills="${skillsText}"`);
+  let courses = [];
+  let sources = [];
+  let usedVertex = false;
 
-      const sanitizedCourses = (structured.courses || [])
-        .map((c) => ({
-          ...c,
-          link: chooseLink(c.link, discovery.sources)
-        }))
-        .filter((c) => !!c.link);
+  let vertexResult = null;
 
-      courses = sanitizedCourses.length ? sanitizedCourses : mapStaticRecommendationsToLearning().courses;
-      sources = discovery.sources || [];
+  if (vertexSearch.isEnabled()) {
+    try {
+      vertexResult = await vertexSearch.searchCourses({ role, skills: Array.isArray(skills) ? skills : [skillsText] });
+      courses = vertexResult.courses || [];
+      sources = vertexResult.sources || [];
+      usedVertex = true;
+      console.log(`[courses] vertex results=${courses.length}`);
+    } catch (err) {
+      logError('courses-vertex', err);
     }
+  }
 
-    const opportunities = usedVertex ? (vertexResult?.opportunities || []) : mapStaticRecommendationsToLearning().opportunities;
+  // If Vertex failed or returned nothing, fall back to Gemini + static sanitizer.
+  if (!courses.length) {
+    const discovery = await geminiClient.discoverLearningResources(role, skillsText);
+    const structured = await geminiClient.structureLearningResources(discovery.text, discovery.sources);
 
-    console.log(`[courses] success role="${role}" courses=${courses.length} opportunities=${opportunities.length} usedVertex=${usedVertex}`);
-    return res.json({
-      role,
-      skills: skillsText,
-      courses,
-      opportunities,
-      sources,
-      usedVertex,
-      fallback: !usedVertex && !sources.length
-    });
+    const sanitizedCourses = (structured.courses || [])
+      .map((c) => ({
+        ...c,
+        link: chooseLink(c.link, discovery.sources)
+      }))
+      .filter((c) => !!c.link);
+
+    courses = sanitizedCourses.length ? sanitizedCourses : mapStaticRecommendationsToLearning().courses;
+    sources = discovery.sources || [];
+  }
+
+  const opportunities = usedVertex ? (vertexResult?.opportunities || []) : mapStaticRecommendationsToLearning().opportunities;
+
+  console.log(`[courses] success role="${role}" courses=${courses.length} opportunities=${opportunities.length} usedVertex=${usedVertex}`);
+  const result = {
+    role,
+    skills: skillsText,
+    courses,
+    opportunities,
+    sources,
+    usedVertex,
+    fallback: !usedVertex && !sources.length
+  };
+  // Static fallbacks are cheap and should not hide live results once the lookup recovers.
+  if (!result.fallback) {
+    await cache.set(coursesKey, result, CACHE_TTL_COURSES_MS);
+  }
+  return { ...result, cached: false };
+}
+
+app.post('/api/courses/external', async (req, res) => {
+  try {
+    const { role, skills } = req.body || {};
+
+    if (!role) {
+      return res.status(400).json({ error: 'role is required.' });
+    }
+
+    return res.json(await findLearningResources(role, skills, { refresh: wantsRefresh(req) }));
   } catch (error) {
     logError('courses', error);
     const fallback = mapStaticRecommendationsToLearning();
@@ -275,6 +766,103 @@ app.post('/api/courses/external', async (req, res) => {
   }
 });
 
+// Catalog courses record no length or price, so the planner's default hours and an unknown cost apply.
+const catalogCoursesForRoadmap = () => courseCatalog.list().map((c) => ({
+  title: c.title,
+  provider: 'Course Catalog',
+  link: c.url || null,
+  description: c.description,
+  category: c.category
+}));
+
+// Week-by-week study plan for missing skills:
+// POST { careerGoal, missingSkills, hoursPerWeek?, budget?, startDate?, includeLive? }.
+const isIsoDate = (value) => typeof value === 'string' && /^\d{4}-\d{2}-\d{2}$/.test(value) && !Number.isNaN(Date.parse(value));
+const isWeekNumber = (value) => Number.isInteger(value) && value >= 0;
+
+app.post('/api/roadmap', async (req, res) => {
+  try {
+    const { careerGoal, missingSkills, hoursPerWeek = 5, budget = null, startDate, includeLive = true } = req.body || {};
+
+    if (!careerGoal || !Array.isArray(missingSkills) || !missingSkills.length) {
+      return res.status(400).json({ error: 'careerGoal and a non-empty missingSkills array are required.' });
+    }
+    if (!Number.isFinite(hoursPerWeek) || hoursPerWeek < 1 || hoursPerWeek > ROADMAP_MAX_HOURS_PER_WEEK) {
+      return res.status(400).json({ error: `hoursPerWeek must be a number between 1 and ${ROADMAP_MAX_HOURS_PER_WEEK}.` });
+    }
+    if (budget !== null && (!Number.isFinite(budget) || budget < 0)) {
+      return res.status(400).json({ error: 'budget must be null (no limit) or a non-negative number.' });
+    }
+    if (startDate && !isIsoDate(startDate)) {
+      return res.status(400).json({ error: 'startDate must be a YYYY-MM-DD date.' });
+    }
+
+    let live = null;
+    if (includeLive) {
+      try {
+        live = await findLearningResources(careerGoal, missingSkills, { refresh: wantsRefresh(req) });
+      } catch (err) {
+        logError('roadmap-courses', err);
+      }
+    }
+
+    const fallback = mapStaticRecommendationsToLearning();
+    const courses = [...(live?.courses || []), ...fallback.courses, ...catalogCoursesForRoadmap()];
+    const opportunities = live?.opportunities?.length ? live.opportunities : fallback.opportunities;
+
+    console.log(`[roadmap] careerGoal="${careerGoal}" skills=${missingSkills.length} hoursPerWeek=${hoursPerWeek} budget=${budget} candidates=${courses.length}`);
+    const roadmap = roadmapPlanner.plan({
+      careerGoal,
+      missingSkills: missingSkills.slice(0, ROADMAP_MAX_SKILLS),
+      hoursPerWeek,
+      budget,
+      startDate,
+      courses,
+      opportunities
+    });
+    return res.json({ ...roadmap, sources: live?.sources || [], usedLive: !!live && !live.fallback });
+  } catch (error) {
+    logError('roadmap', error);
+    return res.status(500).json({ error: 'Failed to build roadmap.', details: error.message });
+  }
+});
+
+const ROADMAP_EXPORTS = {
+  ics: { contentType: 'text/calendar; charset=utf-8', render: (roadmap) => roadmapToICalendar(roadmap) },
+  md: { contentType: 'text/markdown; charset=utf-8', render: (roadmap) => roadmapToMarkdown(roadmap) }
+};
+
+// Downloads a roadmap as an iCalendar feed or Markdown checklist: POST { roadmap, format: 'ics' | 'md' }.
+app.post('/api/roadmap/export', (req, res) => {
+  try {
+    const { roadmap, format = 'ics' } = req.body || {};
+    const exporter = Object.hasOwn(ROADMAP_EXPORTS, format) ? ROADMAP_EXPORTS[format] : null;
+
+    if (!exporter) {
+      return res.status(400).json({ error: `format must be one of: ${Object.keys(ROADMAP_EXPORTS).join(', ')}.` });
+    }
+    if (!roadmap || !Array.isArray(roadmap.items) || !roadmap.startDate) {
+      return res.status(400).json({ error: 'roadmap with items and a startDate is required.' });
+    }
+    if (!isIsoDate(roadmap.startDate)) {
+      return res.status(400).json({ error: 'roadmap.startDate must be a YYYY-MM-DD date.' });
+    }
+    if (!roadmap.items.every((item) => item && isWeekNumber(item.startWeek) && isWeekNumber(item.endWeek) && item.endWeek >= item.startWeek)) {
+      return res.status(400).json({ error: 'Every roadmap item needs whole-number startWeek and endWeek values, with endWeek not before startWeek.' });
+    }
+    if (roadmap.milestones !== undefined && (!Array.isArray(roadmap.milestones) || !roadmap.milestones.every((m) => m && isIsoDate(m.date)))) {
+      return res.status(400).json({ error: 'roadmap.milestones must be a list of milestones with YYYY-MM-DD dates.' });
+    }
+
+    res.set('Content-Type', exporter.contentType);
+    res.set('Content-Disposition', `attachment; filename="learning-roadmap.${format}"`);
+    return res.send(exporter.render(roadmap));
+  } catch (error) {
+    logError('roadmap-export', error);
+    return res.status(500).json({ error: 'Failed to export roadmap.', details: error.message });
+  }
+});
+
 app.get('/api/recommendations/details', (req, res) => {
   const { type } = req.query;
 
@@ -288,35 +876,374 @@ app.get('/api/recommendations/details', (req, res) => {
   });
 });
 
+app.get('/api/courses', (req, res) => {
+  const { category, level, q } = req.query;
+  res.json(courseCatalog.list({ category, level, q }));
+});
+
+app.get('/api/courses/:id', (req, res) => {
+  const course = courseCatalog.get(req.params.id);
+  if (!course) {
+    return res.status(404).json({ error: 'Course not found.' });
+  }
+  return res.json(course);
+});
+
+app.post('/api/courses', (req, res) => {
+  try {
+    const { value, errors } = CourseCatalog.validate(req.body);
+    if (errors.length) {
+      return res.status(400).json({ error: 'Invalid course.', details: errors });
+    }
+
+    const course = courseCatalog.create(value, getRequestUserId(req));
+    console.log(`[courses-catalog] created id=${course.id} title="${course.title}"`);
+    return res.status(201).json(course);
+  } catch (error) {
+    logError('courses-catalog', error);
+    return res.status(500).json({ error: 'Failed to save course.', details: error.message });
+  }
+});
+
+app.put('/api/courses/:id', (req, res) => {
+  try {
+    const existing = courseCatalog.get(req.params.id);
+    if (!existing) {
+      return res.status(404).json({ error: 'Course not found.' });
+    }
+    if (!courseCatalog.canModify(existing, getRequestUserId(req))) {
+      return res.status(403).json({ error: 'You can only edit courses you created.' });
+    }
+
+    const { value, errors } = CourseCatalog.validate(req.body, { partial: true });
+    if (errors.length) {
+      return res.status(400).json({ error: 'Invalid course.', details: errors });
+    }
+
+    const course = courseCatalog.update(req.params.id, value);
+    console.log(`[courses-catalog] updated id=${course.id}`);
+    return res.json(course);
+  } catch (error) {
+    logError('courses-catalog', error);
+    return res.status(500).json({ error: 'Failed to update course.', details: error.message });
+  }
+});
+
+app.delete('/api/courses/:id', (req, res) => {
+  try {
+    const existing = courseCatalog.get(req.params.id);
+    if (!existing) {
+      return res.status(404).json({ error: 'Course not found.' });
+    }
+    if (!courseCatalog.canModify(existing, getRequestUserId(req))) {
+      return res.status(403).json({ error: 'You can only delete courses you created.' });
+    }
+
+    courseCatalog.remove(req.params.id);
+    console.log(`[courses-catalog] deleted id=${req.params.id}`);
+    return res.json({ id: req.params.id, deleted: true });
+  } catch (error) {
+    logError('courses-catalog', error);
+    return res.status(500).json({ error: 'Failed to delete course.', details: error.message });
+  }
+});
+
 app.get('/', (_req, res) => {
   res.send('CareerLift AI backend is running.');
 });
 
+// Skills the candidate already has, for job fit: demonstrated skills (schema v2) plus completed learning.
+const candidateSkillsOf = ({ presentSkills = [], completedLearning = [] }) => [
+  ...presentSkills.map((s) => (typeof s === 'string' ? s : s.skill)),
+  ...completedLearning.map((item) => item.skill)
+].filter(Boolean);
+
+// Candidates for { skills, location, jobTitle } and normalized filters from the job store, with their counts, cached.
+// Resolves with { search, candidates, total, facets, cached }, where `search` is the normalized criteria.
+async function rankedJobsCached({ skills = [], location = '', jobTitle = '' }, filters, { refresh = false } = {}) {
+  const search = {
+    skills: (Array.isArray(skills) ? skills : [skills]).map((s) => normalizeForKey(s).toLowerCase()).filter(Boolean).sort(),
+    location: normalizeForKey(location).toLowerCase(),
+    jobTitle: normalizeForKey(jobTitle).toLowerCase()
+  };
+  const jobsKey = cacheKey('jobs', { store: jobMatchService.storeName, ...search, ...filters });
+
+  let result = refresh ? null : await cache.get(jobsKey);
+  const cached = !!result;
+  if (!result) {
+    console.log(`[jobs] jobTitle="${jobTitle}" location="${location}" skills="${search.skills.join(', ')}" filters=${JSON.stringify(filters)}`);
+    const [candidates, counts] = await Promise.all([
+      jobMatchService.rankedCandidates(search, filters),
+      jobMatchService.countJobs(search, filters)
+    ]);
+    result = { candidates, ...counts };
+    await cache.set(jobsKey, result, CACHE_TTL_JOBS_MS);
+  }
+  return { search, ...result, cached };
+}
+
+/**
+ * Job search shared by /api/jobs and the PDF report. The store applies the filters and sort order (see
+ * utils/jobFilters) and counts every match; the first JOBS_CANDIDATE_POOL results are cached and paged from there,
+ * so loading the next page does not query the store again. `truncated` is true when `total` exceeds what can be paged.
+ * Resolves with { jobs, total, truncated, nextCursor, facets, cached }; throws JobQueryError for bad filters or cursors.
+ */
+async function findJobsCached({ skills, location, jobTitle, limit = 10, cursor, ...filterOptions }, { refresh = false } = {}) {
+  const filters = normalizeJobFilters(filterOptions);
+  const pageSize = Math.min(Math.max(parseInt(limit, 10) || 10, 1), JOBS_MAX_PAGE_SIZE);
+  const { search, candidates, total, facets, cached } = await rankedJobsCached({ skills, location, jobTitle }, filters, { refresh });
+
+  const page = paginateJobs(candidates, { query: { ...search, ...filters, pageSize }, cursor, limit: pageSize });
+  return {
+    jobs: page.jobs,
+    total,
+    truncated: total > candidates.length,
+    nextCursor: page.nextCursor,
+    facets,
+    cached
+  };
+}
+
+/**
+ * POST { skills?, location?, jobTitle?, workType?, seniority?, company?, minSalary?, sort?, limit?, cursor? }.
+ * Pass the previous response's nextCursor, with the same search and filters, to get the next page.
+ */
 app.post('/api/jobs', async (req, res) => {
   try {
-    const { skills = [], location = '', jobTitle = '', limit = 10 } = req.body || {};
+    if (!jobMatchService.isEnabled()) {
+      return res.status(503).json({ error: 'Job matching is not configured on the server.' });
+    }
 
+    return res.json(await findJobsCached(req.body || {}, { refresh: wantsRefresh(req) }));
+  } catch (error) {
+    if (error instanceof JobQueryError) {
+      return res.status(400).json({ error: error.message, code: error.code });
+    }
+    logError('jobs', error);
+    return res.status(500).json({ error: `Failed to fetch jobs from the ${jobMatchService.storeName} job store.`, details: error?.message });
+  }
+});
+
+/**
+ * Salary statistics for jobs matching POST { jobTitle?, location?, workType? } (same matching as /api/jobs):
+ * percentiles of the yearly salary overall and per job title, location and work_type (see utils/salaryInsights).
+ * Every matching job is read, not just the candidate pool, so results are cached rather than the rows.
+ */
+app.post('/api/salaries/insights', async (req, res) => {
+  try {
     if (!jobMatchService.isEnabled()) {
       return res.status(503).json({ error: 'Job matching is not configured on the server.' });
     }
 
-    console.log(`[jobs] jobTitle="${jobTitle}" location="${location}" skills="${Array.isArray(skills) ? skills.join(', ') : skills}"`);
-    const rows = await jobMatchService.findJobs(
-      {
-        skills: Array.isArray(skills) ? skills : [skills],
-        location,
-        jobTitle
-      },
-      Math.min(Math.max(parseInt(limit, 10) || 10, 1), 50)
-    );
+    const { jobTitle = '', location = '', workType } = req.body || {};
+    const filters = normalizeJobFilters({ workType });
+    const search = {
+      location: normalizeForKey(location).toLowerCase(),
+      jobTitle: normalizeForKey(jobTitle).toLowerCase()
+    };
+    const salariesKey = cacheKey('salaries', { store: jobMatchService.storeName, ...search, workType: filters.workType });
+
+    let insights = wantsRefresh(req) ? null : await cache.get(salariesKey);
+    const cached = !!insights;
+    if (!insights) {
+      insights = salaryInsights(await jobMatchService.allJobs(search, filters));
+      await cache.set(salariesKey, insights, CACHE_TTL_JOBS_MS);
+    }
 
-    return res.json({ jobs: rows });
+    console.log(`[salaries] jobTitle="${jobTitle}" location="${location}" sampleSize=${insights.sampleSize}`);
+    return res.json({ jobTitle, location, workType: filters.workType, ...insights, cached });
   } catch (error) {
-    logError('jobs', error);
-    return res.status(500).json({ error: 'Failed to fetch jobs from BigQuery.', details: error?.message });
+    if (error instanceof JobQueryError) {
+      return res.status(400).json({ error: error.message, code: error.code });
+    }
+    logError('salaries', error);
+    return res.status(500).json({ error: 'Failed to compute salary insights.', details: error?.message });
+  }
+});
+
+const ANALYSIS_EXPORTS = {
+  json: { contentType: 'application/json; charset=utf-8', render: (analyses) => JSON.stringify(analysesToArchive(analyses), null, 2) },
+  md: { contentType: 'text/markdown; charset=utf-8', render: (analyses) => analysesToMarkdown(analyses) }
+};
+
+// Downloads one or more saved analyses: POST { analyses: [...], format: 'json' | 'md' }. JSON is the versioned
+// archive /api/analyses/import reads back; Markdown is for people.
+app.post('/api/analyses/export', (req, res) => {
+  try {
+    const { analyses, format = 'json' } = req.body || {};
+    const exporter = Object.hasOwn(ANALYSIS_EXPORTS, format) ? ANALYSIS_EXPORTS[format] : null;
+
+    if (!exporter) {
+      return res.status(400).json({ error: `format must be one of: ${Object.keys(ANALYSIS_EXPORTS).join(', ')}.` });
+    }
+    if (!Array.isArray(analyses) || !analyses.length) {
+      return res.status(400).json({ error: 'analyses must be a non-empty array.' });
+    }
+    if (!analyses.every((analysis) => analysis && typeof analysis === 'object' && !Array.isArray(analysis))) {
+      return res.status(400).json({ error: 'Every entry in analyses must be an analysis object.' });
+    }
+
+    console.log(`[analyses-export] count=${analyses.length} format=${format}`);
+    res.set('Content-Type', exporter.contentType);
+    res.set('Content-Disposition', `attachment; filename="careerlift-analyses.${format}"`);
+    return res.send(exporter.render(analyses));
+  } catch (error) {
+    logError('analyses-export', error);
+    return res.status(500).json({ error: 'Failed to export analyses.', details: error.message });
+  }
+});
+
+// Validates an exported archive: POST { archive }. Returns { version, analyses, rejected }; the frontend saves the
+// accepted analyses into the user's history.
+app.post('/api/analyses/import', (req, res) => {
+  try {
+    const { archive } = req.body || {};
+    const result = readArchive(archive, { 1: ANALYSIS_SCHEMA, 2: ANALYSIS_SCHEMA_V2 });
+    console.log(`[analyses-import] version=${result.version} accepted=${result.analyses.length} rejected=${result.rejected.length}`);
+    return res.json(result);
+  } catch (error) {
+    if (error instanceof ArchiveFormatError) {
+      return res.status(400).json({ error: error.message, code: error.code });
+    }
+    logError('analyses-import', error);
+    return res.status(500).json({ error: 'Failed to read the import file.', details: error.message });
+  }
+});
+
+/**
+ * Branded PDF career report: POST { analysis, courses?, opportunities?, jobs?, includeLive? }.
+ * Courses, opportunities and jobs the caller already has are used as-is; missing ones are looked up live
+ * (through the caches) unless includeLive is false. Lookup failures only leave that section empty.
+ */
+app.post('/api/report/pdf', async (req, res) => {
+  try {
+    const { analysis, includeLive = true } = req.body || {};
+    let { courses, opportunities, jobs } = req.body || {};
+
+    if (!analysis || !analysis.careerGoal || typeof analysis.resumeScore !== 'number') {
+      return res.status(400).json({ error: 'analysis with careerGoal and resumeScore is required.' });
+    }
+
+    console.log(`[report] careerGoal="${analysis.careerGoal}" includeLive=${includeLive}`);
+    let learningSources = [];
+    if (includeLive && (!courses || !opportunities)) {
+      try {
+        const learning = await findLearningResources(analysis.careerGoal, analysis.missingSkills || []);
+        courses = courses || learning.courses;
+        opportunities = opportunities || learning.opportunities;
+        learningSources = learning.sources || [];
+      } catch (err) {
+        logError('report-courses', err);
+      }
+    }
+    if (includeLive && !jobs && jobMatchService.isEnabled()) {
+      try {
+        ({ jobs } = await findJobsCached({ skills: candidateSkillsOf(analysis), jobTitle: analysis.careerGoal, limit: REPORT_MAX_JOBS }));
+      } catch (err) {
+        logError('report-jobs', err);
+      }
+    }
+
+    const seen = new Set();
+    const sources = [...(analysis.sources || []), ...learningSources].filter((s) => s?.uri && !seen.has(s.uri) && seen.add(s.uri));
+
+    const pdf = await careerReportToPdf({
+      analysis,
+      courses: (courses || []).slice(0, REPORT_MAX_COURSES),
+      opportunities: (opportunities || []).slice(0, REPORT_MAX_COURSES),
+      jobs: (jobs || []).slice(0, REPORT_MAX_JOBS),
+      sources
+    });
+    const slug = String(analysis.careerGoal).toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '') || 'report';
+    res.set('Content-Type', 'application/pdf');
+    res.set('Content-Disposition', `attachment; filename="careerlift-report-${slug}.pdf"`);
+    return res.send(pdf);
+  } catch (error) {
+    logError('report', error);
+    return res.status(500).json({ error: 'Failed to generate the PDF report.', details: error.message });
+  }
+});
+
+// --- Share links ---
+// Owners are identified like course authors (X-User-Id); the public /api/shared/:token route needs only the token.
+
+const SHARE_ERRORS = {
+  invalid: { status: 404, error: 'This share link is not valid.', code: 'SHARE_INVALID' },
+  expired: { status: 410, error: 'This share link has expired.', code: 'SHARE_EXPIRED' },
+  revoked: { status: 410, error: 'This share link was revoked by its owner.', code: 'SHARE_REVOKED' }
+};
+
+// Creates a read-only link to one analysis: POST { analysis, expiresInDays? }. Returns the share with its token.
+app.post('/api/shares', (req, res) => {
+  try {
+    const ownerId = getRequestUserId(req);
+    const { analysis, expiresInDays = SHARE_DEFAULT_DAYS } = req.body || {};
+    const days = Number(expiresInDays);
+
+    if (!ownerId) {
+      return res.status(401).json({ error: 'X-User-Id header is required to share a report.' });
+    }
+    if (!analysis || !analysis.careerGoal || typeof analysis.resumeScore !== 'number') {
+      return res.status(400).json({ error: 'analysis with careerGoal and resumeScore is required.' });
+    }
+    if (!Number.isFinite(days) || days < 1 || days > SHARE_MAX_DAYS) {
+      return res.status(400).json({ error: `expiresInDays must be between 1 and ${SHARE_MAX_DAYS}.` });
+    }
+
+    const share = shareLinks.create(analysis, ownerId, { expiresInDays: days });
+    console.log(`[shares] created id=${share.id} careerGoal="${share.careerGoal}" expiresAt=${share.expiresAt}`);
+    return res.status(201).json(share);
+  } catch (error) {
+    logError('shares', error);
+    return res.status(500).json({ error: 'Failed to create share link.', details: error.message });
+  }
+});
+
+// The caller's share links, newest first, with view counts and status (active, expired or revoked).
+app.get('/api/shares', (req, res) => {
+  const ownerId = getRequestUserId(req);
+  if (!ownerId) {
+    return res.status(401).json({ error: 'X-User-Id header is required to list share links.' });
+  }
+  return res.json(shareLinks.listForOwner(ownerId));
+});
+
+app.delete('/api/shares/:id', (req, res) => {
+  try {
+    const existing = shareLinks.get(req.params.id);
+    if (!existing) {
+      return res.status(404).json({ error: 'Share link not found.' });
+    }
+    if (!shareLinks.canModify(existing, getRequestUserId(req))) {
+      return res.status(403).json({ error: 'You can only revoke links you created.' });
+    }
+
+    const share = shareLinks.revoke(req.params.id);
+    console.log(`[shares] revoked id=${share.id}`);
+    return res.json(share);
+  } catch (error) {
+    logError('shares', error);
+    return res.status(500).json({ error: 'Failed to revoke share link.', details: error.message });
+  }
+});
+
+// Public, read-only: resolves a token to the shared analysis snapshot and counts the view.
+app.get('/api/shared/:token', (req, res) => {
+  try {
+    const { status, share } = shareLinks.open(req.params.token);
+    if (status !== 'ok') {
+      const { status: httpStatus, ...body } = SHARE_ERRORS[status];
+      return res.status(httpStatus).json(body);
+    }
+
+    console.log(`[shared] id=${share.id} views=${share.views}`);
+    return res.json({ analysis: share.analysis, sharedAt: share.createdAt, expiresAt: share.expiresAt });
+  } catch (error) {
+    logError('shared', error);
+    return res.status(500).json({ error: 'Failed to open shared report.', details: error.message });
   }
 });
 
 app.listen(PORT, () => {
-  console.log(`CareerLift AI backend listening on port ${PORT}`);
+  console.log(`CareerLift AI backend listening on port ${PORT} (llmProvider=${LLM_PROVIDER}, cache=${cache.name}, jobs=${jobMatchService.storeName}${jobMatchService.isEnabled() ? '' : ' (not configured)'})`);
 });
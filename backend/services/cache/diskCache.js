@@ -0,0 +1,36 @@
+const fs = require('fs');
+const path = require('path');
+const { readJsonFile, writeJsonFile } = require('../../utils/jsonStore');
+
+// One JSON file per key under `dir`; survives restarts and can be shared by instances on the same disk.
+class DiskCache {
+  constructor({ dir }) {
+    this.name = 'disk';
+    this.dir = dir;
+    fs.mkdirSync(dir, { recursive: true });
+  }
+
+  filePath(key) {
+    return path.join(this.dir, `${key}.json`);
+  }
+
+  async get(key) {
+    const entry = readJsonFile(this.filePath(key), null);
+    if (!entry) return null;
+    if (entry.expiresAt && entry.expiresAt < Date.now()) {
+      await this.delete(key);
+      return null;
+    }
+    return entry.value;
+  }
+
+  async set(key, value, ttlMs) {
+    writeJsonFile(this.filePath(key), { value, expiresAt: ttlMs ? Date.now() + ttlMs : null });
+  }
+
+  async delete(key) {
+    fs.rmSync(this.filePath(key), { force: true });
+  }
+}
+
+module.exports = DiskCache;
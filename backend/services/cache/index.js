@@ -0,0 +1,51 @@
+const crypto = require('crypto');
+const MemoryCache = require('./memoryCache');
+const DiskCache = require('./diskCache');
+
+// Stores nothing; used when caching is switched off with CACHE_DRIVER=none.
+class NoopCache {
+  constructor() {
+    this.name = 'none';
+  }
+
+  async get() {
+    return null;
+  }
+
+  async set() {}
+
+  async delete() {}
+}
+
+const DRIVERS = {
+  memory: (options) => new MemoryCache(options),
+  disk: (options) => new DiskCache(options),
+  none: () => new NoopCache()
+};
+
+/**
+ * Builds the cache named by `name` (CACHE_DRIVER).
+ * Every cache exposes async get(key), set(key, value, ttlMs) and delete(key); a falsy ttlMs never expires.
+ */
+function createCache(name = 'memory', options = {}) {
+  const factory = DRIVERS[String(name).toLowerCase()];
+  if (!factory) {
+    throw new Error(`Unknown CACHE_DRIVER "${name}". Expected one of: ${Object.keys(DRIVERS).join(', ')}.`);
+  }
+  return factory(options);
+}
+
+// Content-addressed key: sha256 over a namespace plus the JSON of the (already normalized) inputs.
+function cacheKey(namespace, parts) {
+  const hash = crypto.createHash('sha256').update(JSON.stringify(parts)).digest('hex');
+  return `${namespace}-${hash}`;
+}
+
+// Whitespace-only differences (re-pasted text, trailing newlines) should not produce a different key.
+const normalizeForKey = (text = '') => String(text).replace(/\s+/g, ' ').trim();
+
+module.exports = {
+  createCache,
+  cacheKey,
+  normalizeForKey
+};
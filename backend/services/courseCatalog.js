@@ -0,0 +1,160 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const { readJsonFile, writeJsonFile, moveAsideCorruptFile } = require('../utils/jsonStore');
+
+const COURSE_LEVELS = ['Beginner', 'Intermediate', 'Advanced'];
+
+const MAX_TITLE_LENGTH = 200;
+const MAX_CATEGORY_LENGTH = 80;
+const MAX_DESCRIPTION_LENGTH = 2000;
+
+const SEED_CATEGORY_KEYWORDS = [
+  { pattern: /cyber|security/i, category: 'Cybersecurity' },
+  { pattern: /data|analytics|science/i, category: 'Data' },
+  { pattern: /aws|cloud|azure|gcp/i, category: 'Cloud' },
+  { pattern: /python|javascript|java|programming|bootcamp/i, category: 'Programming' },
+  { pattern: /it support|network/i, category: 'IT' }
+];
+
+const isHttpUrl = (value) => {
+  try {
+    const { protocol } = new URL(value);
+    return protocol === 'http:' || protocol === 'https:';
+  } catch {
+    return false;
+  }
+};
+
+const normalizeText = (value) => (typeof value === 'string' ? value.trim() : '');
+
+class CourseCatalog {
+  constructor({ filePath, seedData }) {
+    this.filePath = filePath;
+    this.courses = readJsonFile(filePath, null);
+
+    if (!Array.isArray(this.courses)) {
+      // Never overwrite a catalog that exists but cannot be read: it may hold user-created courses.
+      if (fs.existsSync(filePath)) {
+        const movedTo = moveAsideCorruptFile(filePath);
+        console.error(`[courses] ${filePath} is not a valid course list; moved it to ${movedTo} and starting from the seed catalog.`);
+      }
+      this.courses = seedData ? CourseCatalog.coursesFromRecommendations(seedData) : [];
+      this.persist();
+    }
+  }
+
+  static coursesFromRecommendations(recommendations) {
+    const now = new Date().toISOString();
+    return (recommendations.certifications || []).map((cert) => {
+      const match = SEED_CATEGORY_KEYWORDS.find((k) => k.pattern.test(cert.name));
+      return {
+        id: crypto.randomUUID(),
+        title: cert.name,
+        category: match ? match.category : 'General',
+        level: 'Beginner',
+        description: [cert.provider, cert.length, cert.cost].filter(Boolean).join(' • '),
+        url: cert.link || '',
+        createdBy: null,
+        source: 'seed',
+        createdAt: now,
+        updatedAt: now
+      };
+    });
+  }
+
+  // Returns { value, errors }; `partial` skips required checks for fields that were not sent.
+  static validate(input = {}, { partial = false } = {}) {
+    const errors = [];
+    const value = {};
+    const has = (field) => input[field] !== undefined;
+
+    if (!partial || has('title')) {
+      value.title = normalizeText(input.title);
+      if (!value.title) errors.push('title is required.');
+      else if (value.title.length > MAX_TITLE_LENGTH) errors.push(`title must be at most ${MAX_TITLE_LENGTH} characters.`);
+    }
+
+    if (!partial || has('category')) {
+      value.category = normalizeText(input.category);
+      if (!value.category) errors.push('category is required.');
+      else if (value.category.length > MAX_CATEGORY_LENGTH) errors.push(`category must be at most ${MAX_CATEGORY_LENGTH} characters.`);
+    }
+
+    if (!partial || has('level')) {
+      value.level = normalizeText(input.level);
+      if (!COURSE_LEVELS.includes(value.level)) errors.push(`level must be one of: ${COURSE_LEVELS.join(', ')}.`);
+    }
+
+    if (!partial || has('description')) {
+      value.description = normalizeText(input.description);
+      if (value.description.length > MAX_DESCRIPTION_LENGTH) errors.push(`description must be at most ${MAX_DESCRIPTION_LENGTH} characters.`);
+    }
+
+    if (!partial || has('url')) {
+      value.url = normalizeText(input.url);
+      if (value.url && !isHttpUrl(value.url)) errors.push('url must be a valid http(s) URL.');
+    }
+
+    return { value, errors };
+  }
+
+  persist() {
+    writeJsonFile(this.filePath, this.courses);
+  }
+
+  list({ category = '', level = '', q = '' } = {}) {
+    const categoryFilter = normalizeText(category).toLowerCase();
+    const levelFilter = normalizeText(level).toLowerCase();
+    const search = normalizeText(q).toLowerCase();
+
+    return this.courses
+      .filter((c) => !categoryFilter || c.category.toLowerCase() === categoryFilter)
+      .filter((c) => !levelFilter || c.level.toLowerCase() === levelFilter)
+      .filter((c) => !search || `${c.title} ${c.description}`.toLowerCase().includes(search))
+      .sort((a, b) => a.title.localeCompare(b.title));
+  }
+
+  get(id) {
+    return this.courses.find((c) => c.id === id) || null;
+  }
+
+  create(value, createdBy = null) {
+    const now = new Date().toISOString();
+    const course = {
+      id: crypto.randomUUID(),
+      ...value,
+      createdBy: createdBy || null,
+      source: 'user',
+      createdAt: now,
+      updatedAt: now
+    };
+    this.courses.push(course);
+    this.persist();
+    return course;
+  }
+
+  update(id, value) {
+    const course = this.get(id);
+    if (!course) return null;
+    Object.assign(course, value, { updatedAt: new Date().toISOString() });
+    this.persist();
+    return course;
+  }
+
+  remove(id) {
+    const before = this.courses.length;
+    this.courses = this.courses.filter((c) => c.id !== id);
+    if (this.courses.length === before) return false;
+    this.persist();
+    return true;
+  }
+
+  // Courses with no owner (seeded or legacy) stay editable by anyone.
+  canModify(course, userId) {
+    return !course.createdBy || course.createdBy === userId;
+  }
+}
+
+CourseCatalog.COURSE_LEVELS = COURSE_LEVELS;
+
+module.exports = CourseCatalog;
@@ -1,114 +1,400 @@
-const axios = require('axios');
 const fs = require('fs');
-
+const crypto = require('crypto');
+const { normalizeForKey } = require('./cache');
+const { completedTopLevelFields } = require('../utils/partialJson');
+const { keywordCoverage } = require('../utils/keywordCoverage');
+const { SchemaValidationError, validateAgainstSchema, coerceToSchema } = require('../utils/schemaValidator');
+
+const parseJsonOrNull = (text) => {
+  try {
+    return JSON.parse(text);
+  } catch {
+    return null;
+  }
+};
+
+// System prompts for each analysis schema version (constants/analysisSchema.js, constants/analysisSchemaV2.js).
+const ANALYSIS_SYSTEM_PROMPTS = {
+  1: `You are a world-class AI Career Coach named CareerLift AI. Your task is to analyze a student's resume against their specified career goal. You must generate a score (out of 100), identify 3 crucial missing skills, and suggest 3 real-world opportunities and 3 certifications, all based on current industry standards and the user's career goal. Respond ONLY with a valid JSON object matching the provided schema.`,
+  2: `You are a world-class AI Career Coach named CareerLift AI. Your task is to analyze a student's resume against their specified career goal. You must generate an overall score and six section sub-scores (experience, skills, education, projects, formatting/ATS, impact), each out of 100. List the relevant skills the resume already demonstrates, each with a short quote copied verbatim from the resume as evidence. Identify 3 crucial missing skills, each with a severity (critical, important or nice-to-have) and a one-sentence reason. Suggest up to 5 concrete line-level rewrites, quoting the original line exactly. Finally suggest 3 real-world opportunities and 3 certifications. Base everything on current industry standards and the user's career goal, and never invent resume content. Respond ONLY with a valid JSON object matching the provided schema.`
+};
+
+const JOB_DESCRIPTION_SYSTEM_PROMPT = `You are CareerLift AI, a career coach helping a student tailor their resume to one specific job posting. Compare the resume with the job description: list the posting's main requirements (marking each as required or preferred) and whether the resume meets, partially meets or misses each one, quoting the resume as evidence. Then give a fit score out of 100 and up to 5 prioritized, concrete resume edits. Only suggest edits the student could truthfully make; never invent experience. Respond ONLY with a valid JSON object matching the provided schema.`;
+
+const REWRITE_SYSTEM_PROMPT = `You are CareerLift AI, a resume writing coach. Rewrite the weakest bullet points of the student's resume for their career goal: start each with a strong action verb, make the scope concrete and show quantified impact. Copy each original bullet verbatim. Never invent employers, tools or results; where a number is needed but not stated, use a bracketed placeholder such as [X%] or [N users] for the student to fill in. Leave bullets that are already strong out of the list. Respond ONLY with a valid JSON object matching the provided schema.`;
+
+const COVER_LETTER_SYSTEM_PROMPT = `You are CareerLift AI, a career coach writing a cover letter for a student. Use only the strengths, experience and goal provided; never invent employers, degrees, tools or results. Tailor the letter to the job when one is given, connecting the student's demonstrated skills to the posting's needs, and be honest but positive about skills they are still building. Respond ONLY with a valid JSON object matching the provided schema.`;
+
+const COVER_LETTER_TONES = ['professional', 'enthusiastic', 'confident', 'conversational'];
+
+// Body paragraphs per length option.
+const COVER_LETTER_LENGTHS = { short: 3, medium: 4, long: 5 };
+
+const COVER_LETTER_PARAGRAPH_SCHEMA = {
+  type: 'OBJECT',
+  properties: { paragraph: { type: 'STRING' } },
+  required: ['paragraph']
+};
+
+// Shared prompt context for a full letter and for regenerating one paragraph.
+const describeCoverLetterInputs = ({ analysis = {}, job, candidateName }) => {
+  const strengths = (analysis.presentSkills || []).map((s) => (typeof s === 'string' ? s : s.skill)).filter(Boolean);
+  const lines = [
+    `Career goal: ${analysis.careerGoal}`,
+    candidateName ? `Candidate name: ${candidateName}` : null,
+    analysis.summary ? `Resume assessment: ${analysis.summary}` : null,
+    strengths.length ? `Demonstrated strengths: ${strengths.join(', ')}` : null,
+    analysis.missingSkills?.length ? `Skills still being developed: ${analysis.missingSkills.join(', ')}` : null,
+    job ? `Target job: ${[job.title, job.company].filter(Boolean).join(' at ') || 'see description'}` : 'Target job: a general application for the career goal',
+    job?.description ? `Job description: "${String(job.description).substring(0, 6000)}"` : null
+  ];
+  return lines.filter(Boolean).join('\n');
+};
+
+// Courses and opportunities the student finished after writing the resume (see /api/analyze `completedLearning`).
+const MAX_COMPLETED_LEARNING = 20;
+
+const normalizeCompletedLearning = (items) =>
+  (Array.isArray(items) ? items : [])
+    .map((item) => (typeof item === 'string' ? { title: item } : item || {}))
+    .map((item) => ({
+      title: normalizeForKey(item.title),
+      kind: item.kind === 'opportunity' ? 'opportunity' : 'course',
+      ...(item.skill ? { skill: normalizeForKey(item.skill) } : {})
+    }))
+    .filter((item) => item.title)
+    .slice(0, MAX_COMPLETED_LEARNING);
+
+const describeCompletedLearning = (items) =>
+  items.map((item) => `- ${item.title} (${item.kind}${item.skill ? `, skill: ${item.skill}` : ''})`).join('\n');
+
+const hashPrompt = (systemPrompt, schema) =>
+  crypto.createHash('sha256').update(systemPrompt + JSON.stringify(schema)).digest('hex').slice(0, 12);
+
+// Owns the CareerLift prompts; the actual model call goes through `provider` (see services/llm).
 class GeminiClient {
-  constructor({ apiKey, model, schema, learningSchema }) {
-    this.apiKey = apiKey;
-    this.model = model;
+  constructor({ provider, schema, learningSchema, jobDescriptionSchema, rewriteSchema, coverLetterSchema, schemaVersion = 1 }) {
+    this.provider = provider;
     this.schema = schema;
     this.learningSchema = learningSchema;
+    this.jobDescriptionSchema = jobDescriptionSchema;
+    this.rewriteSchema = rewriteSchema;
+    this.coverLetterSchema = coverLetterSchema;
+    this.schemaVersion = schemaVersion;
   }
 
-  get apiUrl() {
-    return `https://generativelanguage.googleapis.com/v1beta/models/${this.model}:generateContent?key=${this.apiKey}`;
+  ensureConfigured() {
+    this.provider.ensureConfigured();
   }
 
-  ensureConfigured() {
-    if (!this.apiKey) {
-      throw new Error('GEMINI_API_KEY is not configured on the server.');
-    }
+  // Changes whenever the analysis prompt or schema changes, so stale cached analyses are never reused.
+  get promptVersion() {
+    return hashPrompt(ANALYSIS_SYSTEM_PROMPTS[this.schemaVersion], this.schema);
   }
 
-  parseGroundingSources(result) {
-    const groundingAttributions = result?.candidates?.[0]?.groundingMetadata?.groundingAttributions;
-    if (!groundingAttributions) return [];
+  // Everything that determines an analysis result; hashed into the analysis cache key.
+  analysisFingerprint(resumeText, careerGoal, completedLearning) {
+    const completed = normalizeCompletedLearning(completedLearning);
+    return {
+      resumeText: normalizeForKey(resumeText.substring(0, 5000)),
+      careerGoal: normalizeForKey(careerGoal).toLowerCase(),
+      // Only present when set, so keys for plain analyses stay the same.
+      ...(completed.length ? { completedLearning: completed } : {}),
+      provider: this.provider.name,
+      model: this.provider.model || null,
+      promptVersion: this.promptVersion
+    };
+  }
 
-    return groundingAttributions
-      .map((attr) => ({
-        uri: attr.web?.uri,
-        title: attr.web?.title
-      }))
-      .filter((source) => source.uri && source.title);
+  // Same idea as analysisFingerprint, for generateJobDescriptionMatch.
+  jobDescriptionFingerprint(resumeText, jobDescription) {
+    return {
+      resumeText: normalizeForKey(resumeText.substring(0, 5000)),
+      jobDescription: normalizeForKey(jobDescription.substring(0, 8000)),
+      provider: this.provider.name,
+      model: this.provider.model || null,
+      promptVersion: hashPrompt(JOB_DESCRIPTION_SYSTEM_PROMPT, this.jobDescriptionSchema)
+    };
   }
 
-  async generateStructuredAnalysis(resumeText, careerGoal) {
+  /**
+   * `onPartial(field, value)` is called for each top-level field as soon as it has fully streamed in.
+   * `completedLearning` lists courses/opportunities finished since the resume was written; their skills count as present.
+   */
+  async generateStructuredAnalysis(resumeText, careerGoal, { onPartial, completedLearning } = {}) {
     if (!resumeText || !careerGoal) {
       throw new Error('resumeText and careerGoal are required for analysis.');
     }
 
     this.ensureConfigured();
 
-    const systemPrompt = `You are a world-class AI Career Coach named CareerLift AI. Your task is to analyze a student's resume against their specified career goal. You must generate a score (out of 100), identify 3 crucial missing skills, and suggest 3 real-world opportunities and 3 certifications, all based on current industry standards and the user's career goal. Respond ONLY with a valid JSON object matching the provided schema.`;
+    const systemPrompt = ANALYSIS_SYSTEM_PROMPTS[this.schemaVersion];
 
     const truncatedResume = resumeText.substring(0, 5000);
-    const userQuery = `Analyze the following resume content for the career goal: "${careerGoal}". Resume content: "${truncatedResume}".`;
-
-    const payload = {
-      contents: [{ parts: [{ text: userQuery }] }],
-      systemInstruction: { parts: [{ text: systemPrompt }] },
-      generationConfig: {
-        responseMimeType: "application/json",
-        responseSchema: this.schema,
-      }
+    const completed = normalizeCompletedLearning(completedLearning);
+    const completedNote = completed.length
+      ? ` Since writing this resume the student has also completed the following; treat the skills they teach as present (cite the item title as evidence) and do not list them as missing:\n${describeCompletedLearning(completed)}`
+      : '';
+    const userQuery = `Analyze the following resume content for the career goal: "${careerGoal}". Resume content: "${truncatedResume}".${completedNote}`;
+
+    const { text, sources } = await this.provider.generate({
+      task: 'analysis',
+      context: { resumeText: truncatedResume, careerGoal, schemaVersion: this.schemaVersion, completedLearning: completed },
+      systemPrompt,
+      prompt: userQuery,
+      schema: this.schema,
+      onText: onPartial ? this.partialFieldEmitter(onPartial) : undefined
+    });
+    if (!text) {
+      throw new Error('Gemini response was empty or malformed.');
+    }
+
+    const analysisResult = await this.validateOrRepairAnalysis(text, { resumeText: truncatedResume, careerGoal, systemPrompt, completedLearning: completed });
+
+    return {
+      ...analysisResult,
+      schemaVersion: this.schemaVersion,
+      timestamp: new Date().toISOString(),
+      careerGoal,
+      ...(completed.length ? { completedLearning: completed } : {}),
+      sources
     };
+  }
 
-    const response = await axios.post(this.apiUrl, payload, {
-      headers: { 'Content-Type': 'application/json' },
-      timeout: 60000
+  /**
+   * Parses and validates the analysis JSON against the schema. Small issues (out-of-range scores,
+   * extra array items) are fixed locally; anything else triggers one re-ask listing the exact problems.
+   * Throws SchemaValidationError when the repaired response is still invalid.
+   */
+  async validateOrRepairAnalysis(text, { resumeText, careerGoal, systemPrompt, completedLearning = [] }) {
+    const parsed = parseJsonOrNull(text);
+    const candidate = parsed === null ? null : coerceToSchema(parsed, this.schema);
+    const errors = candidate === null ? ['response was not valid JSON'] : validateAgainstSchema(candidate, this.schema);
+    if (!errors.length) return candidate;
+
+    console.warn(`[gemini] analysis failed validation, requesting repair: ${errors.join('; ')}`);
+    const repairPrompt = `Your previous answer for the career goal "${careerGoal}" did not match the required JSON schema.\nProblems:\n- ${errors.join('\n- ')}\n\nPrevious answer:\n${text}\n\nResume content: "${resumeText}".\n\nReturn the corrected JSON object only, fixing every problem listed above.`;
+
+    const { text: repairedText } = await this.provider.generate({
+      task: 'analysis-repair',
+      context: { resumeText, careerGoal, schemaVersion: this.schemaVersion, completedLearning, previous: text, errors },
+      systemPrompt,
+      prompt: repairPrompt,
+      schema: this.schema
     });
 
-    const result = response.data;
-    const text = result?.candidates?.[0]?.content?.parts?.[0]?.text;
+    const repaired = parseJsonOrNull(repairedText);
+    const repairedCandidate = repaired === null ? null : coerceToSchema(repaired, this.schema);
+    const remainingErrors = repairedCandidate === null ? ['repaired response was not valid JSON'] : validateAgainstSchema(repairedCandidate, this.schema);
+    if (remainingErrors.length) {
+      throw new SchemaValidationError('Gemini analysis did not match the expected schema, even after a repair attempt.', remainingErrors);
+    }
+    return repairedCandidate;
+  }
+
+  /**
+   * Compares a resume with one pasted job description. Keyword coverage is computed locally
+   * (utils/keywordCoverage.js) and passed to the model, which judges requirements, fit and edits.
+   */
+  async generateJobDescriptionMatch(resumeText, jobDescription) {
+    if (!resumeText || !jobDescription) {
+      throw new Error('resumeText and jobDescription are required for job description matching.');
+    }
+    if (!this.jobDescriptionSchema) {
+      throw new Error('jobDescriptionSchema is not configured.');
+    }
+
+    this.ensureConfigured();
+
+    const truncatedResume = resumeText.substring(0, 5000);
+    const truncatedJobDescription = jobDescription.substring(0, 8000);
+    const coverage = keywordCoverage(truncatedResume, truncatedJobDescription);
+
+    const prompt = `Job description:\n"${truncatedJobDescription}"\n\nResume content:\n"${truncatedResume}"\n\nKeywords from the posting found in the resume: ${coverage.matched.join(', ') || 'none'}.\nKeywords from the posting missing from the resume: ${coverage.missing.join(', ') || 'none'}.`;
+
+    const { text } = await this.provider.generate({
+      task: 'job-description-match',
+      context: { resumeText: truncatedResume, jobDescription: truncatedJobDescription, keywordCoverage: coverage },
+      systemPrompt: JOB_DESCRIPTION_SYSTEM_PROMPT,
+      prompt,
+      schema: this.jobDescriptionSchema
+    });
     if (!text) {
-      throw new Error('Gemini response was empty or malformed.');
+      throw new Error('Gemini job description match response was empty or malformed.');
     }
 
-    let analysisResult;
-    try {
-      analysisResult = JSON.parse(text);
-    } catch (_err) {
-      throw new Error('Failed to parse Gemini JSON response.');
+    const parsed = parseJsonOrNull(text);
+    const match = parsed === null ? null : coerceToSchema(parsed, this.jobDescriptionSchema);
+    const errors = match === null ? ['response was not valid JSON'] : validateAgainstSchema(match, this.jobDescriptionSchema);
+    if (errors.length) {
+      throw new SchemaValidationError('Job description match did not match the expected schema.', errors);
     }
 
     return {
-      ...analysisResult,
-      timestamp: new Date().toISOString(),
+      ...match,
+      prioritizedEdits: [...match.prioritizedEdits].sort((a, b) => a.priority - b.priority),
+      keywordCoverage: coverage,
+      timestamp: new Date().toISOString()
+    };
+  }
+
+  /**
+   * Suggests improved bullet points for the resume (or one `section` of it). Suggestions whose `original`
+   * is not actually in the resume are dropped, so the UI can always apply a change by plain replacement.
+   */
+  async generateRewrites(resumeText, careerGoal, { section } = {}) {
+    if (!resumeText || !careerGoal) {
+      throw new Error('resumeText and careerGoal are required for rewriting.');
+    }
+    if (!this.rewriteSchema) {
+      throw new Error('rewriteSchema is not configured.');
+    }
+
+    this.ensureConfigured();
+
+    const truncatedResume = resumeText.substring(0, 5000);
+    const focus = section ? ` Only rewrite bullets in the "${section}" section.` : '';
+    const prompt = `Rewrite the weak bullet points in this resume for the career goal: "${careerGoal}".${focus} Resume content: "${truncatedResume}".`;
+
+    const { text } = await this.provider.generate({
+      task: 'rewrite',
+      context: { resumeText: truncatedResume, careerGoal, section },
+      systemPrompt: REWRITE_SYSTEM_PROMPT,
+      prompt,
+      schema: this.rewriteSchema
+    });
+    if (!text) {
+      throw new Error('Gemini rewrite response was empty or malformed.');
+    }
+
+    const parsed = parseJsonOrNull(text);
+    const result = parsed === null ? null : coerceToSchema(parsed, this.rewriteSchema);
+    const errors = result === null ? ['response was not valid JSON'] : validateAgainstSchema(result, this.rewriteSchema);
+    if (errors.length) {
+      throw new SchemaValidationError('Resume rewrites did not match the expected schema.', errors);
+    }
+
+    const rewrites = result.rewrites
+      .map((rewrite) => ({ ...rewrite, original: rewrite.original.replace(/^\s*[-*•]\s*/, '') }))
+      .filter((rewrite) => rewrite.original !== rewrite.rewritten && truncatedResume.includes(rewrite.original));
+    if (rewrites.length < result.rewrites.length) {
+      console.warn(`[gemini] dropped ${result.rewrites.length - rewrites.length} rewrite(s) not found verbatim in the resume`);
+    }
+
+    return {
+      rewrites: rewrites.map((rewrite, idx) => ({ id: idx + 1, ...rewrite })),
       careerGoal,
-      sources: this.parseGroundingSources(result)
+      section: section || null,
+      timestamp: new Date().toISOString()
     };
   }
 
-  async extractTextFromFile(file) {
-    if (!file) {
-      throw new Error('No resume file uploaded.');
+  /**
+   * Drafts a cover letter from a stored analysis (careerGoal, summary, presentSkills, missingSkills) and an
+   * optional `job` ({ title, company, description }). Resolves { greeting, paragraphs, closing, tone, length }.
+   */
+  async generateCoverLetter({ analysis, job, tone = 'professional', length = 'medium', candidateName } = {}) {
+    if (!analysis?.careerGoal) {
+      throw new Error('analysis.careerGoal is required to write a cover letter.');
+    }
+    if (!this.coverLetterSchema) {
+      throw new Error('coverLetterSchema is not configured.');
     }
 
     this.ensureConfigured();
 
-    const fileBuffer = fs.readFileSync(file.path);
-    const base64Data = fileBuffer.toString("base64");
+    const paragraphCount = COVER_LETTER_LENGTHS[length] || COVER_LETTER_LENGTHS.medium;
+    const prompt = `Write a ${tone} cover letter with exactly ${paragraphCount} body paragraphs.\n\n${describeCoverLetterInputs({ analysis, job, candidateName })}`;
 
-    const payload = {
-      contents: [
-        {
-          parts: [
-            {
-              inlineData: {
-                mimeType: file.mimetype,
-                data: base64Data
-              }
-            }
-          ]
-        }
-      ]
+    const { text } = await this.provider.generate({
+      task: 'cover-letter',
+      context: { analysis, job, tone, paragraphCount, candidateName },
+      systemPrompt: COVER_LETTER_SYSTEM_PROMPT,
+      prompt,
+      schema: this.coverLetterSchema
+    });
+    if (!text) {
+      throw new Error('Gemini cover letter response was empty or malformed.');
+    }
+
+    const parsed = parseJsonOrNull(text);
+    const letter = parsed === null ? null : coerceToSchema(parsed, this.coverLetterSchema);
+    const errors = letter === null ? ['response was not valid JSON'] : validateAgainstSchema(letter, this.coverLetterSchema);
+    if (errors.length) {
+      throw new SchemaValidationError('Cover letter did not match the expected schema.', errors);
+    }
+
+    return {
+      ...letter,
+      signature: candidateName || '',
+      tone,
+      length,
+      careerGoal: analysis.careerGoal,
+      timestamp: new Date().toISOString()
     };
+  }
+
+  // Rewrites paragraph `index` of an existing letter, keeping the others as context. Resolves the new paragraph text.
+  async regenerateCoverLetterParagraph({ analysis, job, tone = 'professional', candidateName, paragraphs = [], index, instruction } = {}) {
+    if (!analysis?.careerGoal) {
+      throw new Error('analysis.careerGoal is required to write a cover letter.');
+    }
+    if (!Number.isInteger(index) || index < 0 || index >= paragraphs.length) {
+      throw new Error('index must point at an existing paragraph.');
+    }
+
+    this.ensureConfigured();
+
+    const letterText = paragraphs.map((p, i) => `[${i + 1}] ${p}`).join('\n\n');
+    const prompt = `Here is a ${tone} cover letter, paragraph by paragraph:\n\n${letterText}\n\nRewrite paragraph ${index + 1} only, keeping it consistent with the rest of the letter.${instruction ? ` Instruction from the student: "${instruction}".` : ''} Return it as "paragraph".\n\n${describeCoverLetterInputs({ analysis, job, candidateName })}`;
 
-    const response = await axios.post(this.apiUrl, payload, {
-      headers: { "Content-Type": "application/json" },
-      timeout: 60000
+    const { text } = await this.provider.generate({
+      task: 'cover-letter-paragraph',
+      context: { analysis, job, tone, paragraphs, index, instruction },
+      systemPrompt: COVER_LETTER_SYSTEM_PROMPT,
+      prompt,
+      schema: COVER_LETTER_PARAGRAPH_SCHEMA
     });
 
-    const text = response.data?.candidates?.[0]?.content?.parts?.[0]?.text;
+    const parsed = parseJsonOrNull(text);
+    const result = parsed === null ? null : coerceToSchema(parsed, COVER_LETTER_PARAGRAPH_SCHEMA);
+    const errors = result === null ? ['response was not valid JSON'] : validateAgainstSchema(result, COVER_LETTER_PARAGRAPH_SCHEMA);
+    if (errors.length) {
+      throw new SchemaValidationError('Regenerated paragraph did not match the expected schema.', errors);
+    }
+    return result.paragraph;
+  }
+
+  partialFieldEmitter(onPartial) {
+    const emitted = new Set();
+    return (accumulatedText) => {
+      const fields = completedTopLevelFields(accumulatedText);
+      Object.keys(fields)
+        .filter((field) => !emitted.has(field))
+        .forEach((field) => {
+          emitted.add(field);
+          onPartial(field, fields[field]);
+        });
+    };
+  }
+
+  async extractTextFromFile(file, mimeType = file?.mimetype) {
+    if (!file) {
+      throw new Error('No resume file uploaded.');
+    }
+
+    this.ensureConfigured();
+
+    const fileBuffer = file.buffer || fs.readFileSync(file.path);
+    const base64Data = fileBuffer.toString("base64");
+
+    const { text } = await this.provider.generate({
+      task: 'extract-text',
+      inlineData: {
+        mimeType,
+        data: base64Data
+      }
+    });
     if (!text) {
       throw new Error('Failed to extract text from resume.');
     }
@@ -125,25 +411,19 @@ class GeminiClient {
 
     const prompt = `Find current, reputable courses/certifications (Coursera, Udemy, Google/Grow with Google, AWS Training, etc.) and hands-on opportunities (hackathons, competitions, open-source programs, labs) for someone targeting the role "${role}". Prioritize the following skills or gaps: ${skillsText || 'general role requirements'}. Return a concise bullet list with title/provider/cost/duration/link for courses and name/description/link/difficulty for opportunities.`;
 
-    const payload = {
-      contents: [{ parts: [{ text: prompt }] }],
-      tools: [{ google_search: {} }]
-    };
-
-    const response = await axios.post(this.apiUrl, payload, {
-      headers: { 'Content-Type': 'application/json' },
-      timeout: 60000
+    const { text, sources } = await this.provider.generate({
+      task: 'discover-learning',
+      context: { role, skillsText },
+      prompt,
+      useSearch: true
     });
-
-    const result = response.data;
-    const text = result?.candidates?.[0]?.content?.parts?.[0]?.text;
     if (!text) {
       throw new Error('Gemini discovery response was empty or malformed.');
     }
 
     return {
       text,
-      sources: this.parseGroundingSources(result)
+      sources
     };
   }
 
@@ -159,31 +439,32 @@ class GeminiClient {
 
     const prompt = `You will receive a bullet list of courses and opportunities gathered from the web plus a list of source URLs. Convert it into a strict JSON object with two arrays: "courses" and "opportunities". Each course item must include title, provider, link (real URL), and optionally cost, duration, level. Each opportunity item must include name, link (real URL), and optionally description, difficulty. Prefer links provided in the source list; otherwise use the URL mentioned in the bullet text. Do not invent items; only structure what is provided. If a field is missing, omit it rather than guessing.`;
 
-    const payload = {
-      contents: [{ parts: [{ text: `${prompt}\n\nSources:\n${JSON.stringify(discoverySources)}\n\nContent:\n${discoveryText}` }] }],
-      generationConfig: {
-        responseMimeType: "application/json",
-        responseSchema: this.learningSchema
-      }
-    };
-
-    const response = await axios.post(this.apiUrl, payload, {
-      headers: { 'Content-Type': 'application/json' },
-      timeout: 60000
+    const { text } = await this.provider.generate({
+      task: 'structure-learning',
+      context: { discoveryText, discoverySources },
+      prompt: `${prompt}\n\nSources:\n${JSON.stringify(discoverySources)}\n\nContent:\n${discoveryText}`,
+      schema: this.learningSchema
     });
-
-    const result = response.data;
-    const text = result?.candidates?.[0]?.content?.parts?.[0]?.text;
     if (!text) {
       throw new Error('Gemini structuring response was empty or malformed.');
     }
 
-    try {
-      return JSON.parse(text);
-    } catch (_err) {
+    const parsed = parseJsonOrNull(text);
+    if (parsed === null) {
       throw new Error('Failed to parse structured learning resources JSON.');
     }
+
+    // Items missing a title/name or link are dropped rather than re-asked; the route has a static fallback.
+    const learning = coerceToSchema(parsed, this.learningSchema);
+    const errors = validateAgainstSchema(learning, this.learningSchema);
+    if (errors.length) {
+      throw new SchemaValidationError('Structured learning resources did not match the expected schema.', errors);
+    }
+    return learning;
   }
 }
 
+GeminiClient.COVER_LETTER_TONES = COVER_LETTER_TONES;
+GeminiClient.COVER_LETTER_LENGTHS = Object.keys(COVER_LETTER_LENGTHS);
+
 module.exports = GeminiClient;
@@ -0,0 +1,115 @@
+const { SchemaValidationError, validateAgainstSchema, coerceToSchema } = require('../utils/schemaValidator');
+
+const SYSTEM_PROMPT = `You are CareerLift AI, an interview coach running a mock interview for a student. Be realistic about what entry-level interviewers ask, be encouraging but honest, and always respond ONLY with a valid JSON object matching the provided schema.`;
+
+// Criteria are scored 0-5 each; the overall answer score is their average scaled to 0-100.
+const RUBRICS = {
+  behavioral: [
+    { criterion: 'Situation', description: 'Sets up a specific, relevant context.' },
+    { criterion: 'Task', description: 'States what the candidate was responsible for.' },
+    { criterion: 'Action', description: 'Describes what the candidate personally did, in concrete steps.' },
+    { criterion: 'Result', description: 'Ends with a measurable or clearly described outcome and what was learned.' }
+  ],
+  technical: [
+    { criterion: 'Correctness', description: 'The technical content is accurate.' },
+    { criterion: 'Depth', description: 'Explains trade-offs, edge cases or how things work underneath.' },
+    { criterion: 'Clarity', description: 'The explanation is structured and easy to follow.' }
+  ]
+};
+
+const MAX_QUESTIONS = 10;
+
+const parseAndValidate = (text, schema, label) => {
+  let parsed = null;
+  try {
+    parsed = JSON.parse(text);
+  } catch {
+    // reported below
+  }
+  const value = parsed === null ? null : coerceToSchema(parsed, schema);
+  const errors = value === null ? ['response was not valid JSON'] : validateAgainstSchema(value, schema);
+  if (errors.length) {
+    throw new SchemaValidationError(`${label} did not match the expected schema.`, errors);
+  }
+  return value;
+};
+
+/**
+ * Mock interviews: generates behavioral and technical questions for a career goal and its skill gaps,
+ * and grades typed answers against a fixed rubric (STAR for behavioral, correctness/depth/clarity for technical).
+ */
+class InterviewCoach {
+  constructor({ provider, questionsSchema, gradeSchema }) {
+    this.provider = provider;
+    this.questionsSchema = questionsSchema;
+    this.gradeSchema = gradeSchema;
+  }
+
+  async generateQuestions({ careerGoal, missingSkills = [], count = 6 }) {
+    if (!careerGoal) {
+      throw new Error('careerGoal is required to generate interview questions.');
+    }
+    this.provider.ensureConfigured();
+
+    const questionCount = Math.min(Math.max(parseInt(count, 10) || 6, 1), MAX_QUESTIONS);
+    const skills = missingSkills.filter(Boolean).join(', ');
+    const prompt = `Write ${questionCount} mock interview questions for an entry-level "${careerGoal}" candidate: about half behavioral (answerable with the STAR method) and half technical. Focus the technical questions on these skill gaps: ${skills || 'the core skills of the role'}. Tag each question with the skill it probes.`;
+
+    const { text } = await this.provider.generate({
+      task: 'interview-questions',
+      context: { careerGoal, missingSkills, count: questionCount },
+      systemPrompt: SYSTEM_PROMPT,
+      prompt,
+      schema: this.questionsSchema
+    });
+    const { questions } = parseAndValidate(text, this.questionsSchema, 'Interview questions');
+
+    return {
+      careerGoal,
+      questions: questions.slice(0, questionCount).map((q, idx) => ({ id: idx + 1, skill: '', ...q }))
+    };
+  }
+
+  /**
+   * Grades one answer. Resolves { score (0-100), criteria: [{ criterion, score (0-5), comment }], strengths,
+   * improvements, feedback, rubric }; criteria are reordered to the rubric and missing ones score 0.
+   */
+  async gradeAnswer({ careerGoal, question, answer }) {
+    if (!question?.question || !answer) {
+      throw new Error('question and answer are required for grading.');
+    }
+    this.provider.ensureConfigured();
+
+    const rubricName = question.type === 'technical' ? 'technical' : 'behavioral';
+    const rubric = RUBRICS[rubricName];
+    const rubricText = rubric.map((r) => `- ${r.criterion}: ${r.description}`).join('\n');
+    const prompt = `Grade this mock interview answer for a "${careerGoal || 'general'}" candidate. Score each rubric criterion from 0 to 5 and list up to 3 strengths and 3 improvements.\n\nRubric (${rubricName}):\n${rubricText}\n\nQuestion: "${question.question}"\n\nAnswer: "${String(answer).substring(0, 4000)}"`;
+
+    const { text } = await this.provider.generate({
+      task: 'interview-grade',
+      context: { careerGoal, question, answer, rubric: rubricName },
+      systemPrompt: SYSTEM_PROMPT,
+      prompt,
+      schema: this.gradeSchema
+    });
+    const grade = parseAndValidate(text, this.gradeSchema, 'Answer grade');
+
+    const criteria = rubric.map(({ criterion }) => {
+      const graded = grade.criteria.find((c) => c.criterion.toLowerCase() === criterion.toLowerCase());
+      return graded ? { ...graded, criterion } : { criterion, score: 0, comment: 'Not addressed in the answer.' };
+    });
+    const average = criteria.reduce((sum, c) => sum + c.score, 0) / criteria.length;
+
+    return {
+      ...grade,
+      criteria,
+      score: Math.round((average / 5) * 100),
+      rubric: rubricName
+    };
+  }
+}
+
+InterviewCoach.RUBRICS = RUBRICS;
+InterviewCoach.MAX_QUESTIONS = MAX_QUESTIONS;
+
+module.exports = InterviewCoach;
@@ -1,77 +1,88 @@
-const { BigQuery } = require('@google-cloud/bigquery');
+const { rankJobs, skillVariants } = require('../utils/jobFit');
+const { normalizeJobFilters, sortJobs } = require('../utils/jobFilters');
 
+// The columns every job store returns, in this order. `posted_at` (an ISO date) is optional and powers recency sorting.
+const JOB_FIELDS = ['job_title', 'company', 'location', 'skills', 'salary_range', 'qualifications', 'work_type', 'posted_at'];
+
+// Local datasets may hold skills as arrays or numbers as numbers; callers always get strings (or null).
+const toJobRow = (row) => Object.fromEntries(JOB_FIELDS.map((field) => {
+  const value = row[field];
+  if (value === undefined || value === null || value === '') return [field, null];
+  if (value instanceof Date) return [field, value.toISOString()];
+  if (typeof value === 'object' && typeof value.value === 'string') return [field, value.value];
+  return [field, Array.isArray(value) ? value.join(', ') : String(value)];
+}));
+
+// Stores only pre-filter on skills; terms this short ("go", "ts") would match inside unrelated words.
+const MIN_PREFILTER_TERM_LENGTH = 3;
+
+/**
+ * Job search over a pluggable store (see services/jobs). Stores apply the search, the job filters and the sort order
+ * (see utils/jobFilters) in their queries and return the first `candidatePool` rows in that order; those are then
+ * re-ranked exactly with utils/jobFit and shaped into the JOB_FIELDS contract plus
+ * { fitScore, matchedSkills, missingSkills }. Matches beyond the pool are counted (countJobs) but never returned.
+ */
 class JobMatchService {
-  constructor({ projectId, dataset, table, credentials }) {
-    this.projectId = projectId;
-    this.dataset = dataset;
-    this.table = table;
-    this.enabled = !!(projectId && dataset && table);
-    this.client = this.enabled
-      ? new BigQuery({
-          projectId,
-          credentials
-        })
-      : null;
+  constructor({ store, candidatePool = 500 }) {
+    this.store = store;
+    this.candidatePool = candidatePool;
+  }
+
+  get storeName() {
+    return this.store.name;
   }
 
   isEnabled() {
-    return this.enabled;
+    return this.store.isEnabled();
   }
 
-  async findJobs({ skills = [], location = '', jobTitle = '' }, limit = 10) {
-    if (!this.enabled) {
+  // Store criteria for a search plus normalized filters (see createJobStore for the fields).
+  criteriaFor({ skills = [], location = '', jobTitle = '' }, filters) {
+    if (!this.isEnabled()) {
       throw new Error('Job match service not configured.');
     }
 
-    const skillPatterns = (skills || [])
-      .map((s) => s?.trim())
-      .filter(Boolean)
-      .map((s) => s.toLowerCase());
-
-    const locationPattern = (location || '').toLowerCase();
-    const titlePattern = (jobTitle || '').toLowerCase();
-
-    const filters = [];
-    const params = {};
-
-    if (skillPatterns.length) {
-      filters.push(`(${skillPatterns.map((_, idx) => `REGEXP_CONTAINS(LOWER(skills), @skill${idx})`).join(' OR ')})`);
-      skillPatterns.forEach((s, idx) => (params[`skill${idx}`] = s));
-    }
-
-    if (locationPattern) {
-      filters.push(`REGEXP_CONTAINS(LOWER(location), @loc)`);
-      params.loc = locationPattern;
-    }
-
-    if (titlePattern) {
-      filters.push(`REGEXP_CONTAINS(LOWER(job_title), @title)`);
-      params.title = titlePattern;
-    }
+    const candidateSkills = (skills || []).map((s) => s?.trim()).filter(Boolean);
+    const variants = candidateSkills.map((skill) => skillVariants(skill).filter((v) => v.length >= MIN_PREFILTER_TERM_LENGTH));
+    return {
+      ...filters,
+      candidateSkills,
+      // One group of spellings per skill; stores order rows by how many groups they mention.
+      skills: variants.filter((group) => group.length),
+      // A skill with only short spellings ("R", "C") cannot be pre-filtered, so then every row is a candidate.
+      anySkill: variants.length > 0 && variants.every((group) => group.length),
+      location: (location || '').trim().toLowerCase(),
+      jobTitle: (jobTitle || '').trim().toLowerCase()
+    };
+  }
 
-    const whereClause = filters.length ? `WHERE ${filters.join(' AND ')}` : '';
+  /**
+   * The first `candidatePool` jobs matching the search and filters, in the filters' sort order: best fit first, or
+   * by salary or recency with fit breaking ties. Routes cache this list and page it without querying the store again.
+   */
+  async rankedCandidates(search, filters = normalizeJobFilters()) {
+    const criteria = this.criteriaFor(search, filters);
+    const rows = await this.store.findJobs(criteria, this.candidatePool);
+    const ranked = rankJobs((rows || []).map(toJobRow), { skills: criteria.candidateSkills, jobTitle: search.jobTitle });
+    return sortJobs(ranked, filters.sort);
+  }
 
-    const query = `
-      SELECT
-        job_title,
-        company,
-        location,
-        skills,
-        salary_range,
-        qualifications,
-        work_type
-      FROM \`${this.projectId}.${this.dataset}.${this.table}\`
-      ${whereClause}
-      LIMIT @limit
-    `;
+  // { total, facets }: how many jobs match the search and filters, and per work mode and seniority, the search alone.
+  async countJobs(search, filters = normalizeJobFilters()) {
+    return this.store.countJobs(this.criteriaFor(search, filters));
+  }
 
-    const [rows] = await this.client.query({
-      query,
-      params: { ...params, limit }
-    });
+  // Every job matching the search and filters, for aggregates such as salary statistics.
+  async allJobs(search, filters = normalizeJobFilters()) {
+    const rows = await this.store.findJobs(this.criteriaFor(search, filters), null);
+    return (rows || []).map(toJobRow);
+  }
 
-    return rows || [];
+  async findJobs(search, limit = 10) {
+    return (await this.rankedCandidates(search)).slice(0, limit);
   }
 }
 
+JobMatchService.JOB_FIELDS = JOB_FIELDS;
+
 module.exports = JobMatchService;
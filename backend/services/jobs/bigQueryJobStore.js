@@ -0,0 +1,170 @@
+const { BigQuery } = require('@google-cloud/bigquery');
+const { WORK_MODE_PATTERNS, SENIORITY_PATTERNS, countsFromGroups } = require('../../utils/jobFilters');
+const { parserSource } = require('../../utils/salary');
+
+// A non-blank entry of the skills column, split on the same separators as utils/jobFit.
+const SKILL_TOKEN = '[^,;|•\\n]*[^,;|•\\s][^,;|•\\n]*';
+
+// Queries a BigQuery table with the JOB_FIELDS columns; `skills` is a comma-separated string column.
+// Criteria are matched literally (STRPOS), never as regular expressions. `postedAtColumn` names an optional
+// timestamp column returned as posted_at.
+// Rows are ordered in SQL by an estimate of the fit score: the share of a row's listed skills that mention one of the
+// candidate's skills, counting each skill (with all its spellings) once. JobMatchService re-ranks the pool exactly.
+// Work mode and seniority use the patterns from utils/jobFilters (RE2 accepts them); salaries are read by
+// utils/salary itself, run as temporary JavaScript UDFs.
+class BigQueryJobStore {
+  constructor({ projectId, dataset, table, credentials, postedAtColumn }) {
+    this.name = 'bigquery';
+    this.postedAtColumn = postedAtColumn;
+    if (postedAtColumn && !/^[A-Za-z_][A-Za-z0-9_]*$/.test(postedAtColumn)) {
+      throw new Error(`Invalid JOBS_POSTED_AT_COLUMN "${postedAtColumn}".`);
+    }
+    this.projectId = projectId;
+    this.dataset = dataset;
+    this.table = table;
+    this.enabled = !!(projectId && dataset && table);
+    this.client = this.enabled
+      ? new BigQuery({
+          projectId,
+          credentials
+        })
+      : null;
+  }
+
+  isEnabled() {
+    return this.enabled;
+  }
+
+  // SQL for the search ({ skills, location, jobTitle }), the job filters, the skill match count and the derived
+  // columns, sharing one set of named parameters.
+  parts({ skills, anySkill, location, jobTitle, workType = [], seniority = [], company, minSalary }) {
+    const search = [];
+    const filters = [];
+    const params = {};
+
+    const skillMatches = skills.map((group, groupIdx) => {
+      const spellings = group.map((s, idx) => {
+        params[`skill${groupIdx}_${idx}`] = s;
+        return `STRPOS(LOWER(IFNULL(skills, '')), @skill${groupIdx}_${idx}) > 0`;
+      });
+      return `IF(${spellings.join(' OR ')}, 1, 0)`;
+    });
+    const matchCount = skillMatches.join(' + ');
+
+    if (anySkill) {
+      search.push(`(${matchCount}) > 0`);
+    }
+    if (location) {
+      search.push('STRPOS(LOWER(location), @loc) > 0');
+      params.loc = location;
+    }
+    if (jobTitle) {
+      search.push('STRPOS(LOWER(job_title), @title) > 0');
+      params.title = jobTitle;
+    }
+
+    // Work mode and seniority are built on demand so queries only carry the parameters they use.
+    const workMode = () => {
+      const text = "LOWER(CONCAT(IFNULL(work_type, ''), ' ', IFNULL(location, '')))";
+      WORK_MODE_PATTERNS.forEach(([mode, pattern]) => (params[`mode_${mode}`] = pattern.source));
+      return `CASE ${WORK_MODE_PATTERNS.map(([mode]) => `WHEN REGEXP_CONTAINS(${text}, @mode_${mode}) THEN '${mode}'`).join(' ')} ELSE 'onsite' END`;
+    };
+    const seniorityLevel = () => {
+      SENIORITY_PATTERNS.forEach(([level, pattern]) => (params[`level_${level}`] = `(?i)${pattern.source}`));
+      return `CASE ${SENIORITY_PATTERNS.map(([level]) => `WHEN REGEXP_CONTAINS(IFNULL(job_title, ''), @level_${level}) THEN '${level}'`).join(' ')} ELSE 'mid' END`;
+    };
+
+    if (workType.length) {
+      filters.push(`${workMode()} IN UNNEST(@workTypes)`);
+      params.workTypes = workType;
+    }
+    if (seniority.length) {
+      filters.push(`${seniorityLevel()} IN UNNEST(@seniorities)`);
+      params.seniorities = seniority;
+    }
+    if (company) {
+      filters.push("STRPOS(LOWER(IFNULL(company, '')), @company) > 0");
+      params.company = company;
+    }
+    if (minSalary !== null && minSalary !== undefined) {
+      filters.push('IFNULL(salary_annual_max(salary_range), -1) >= @minSalary');
+      params.minSalary = minSalary;
+    }
+
+    return { search, filters, params, matchCount, workMode, seniorityLevel, filtersSalary: params.minSalary !== undefined };
+  }
+
+  // Temporary UDFs reading salary_range with utils/salary; only declared when a query uses them.
+  salaryFunctions() {
+    const udf = (name, result) => `
+      CREATE TEMP FUNCTION ${name}(text STRING) RETURNS FLOAT64 LANGUAGE js AS r"""
+        ${parserSource()}
+        const salary = parseSalaryRange(text);
+        return salary ? ${result} : null;
+      """;`;
+    return [
+      udf('salary_annual_max', 'salary.annualMax'),
+      udf('salary_annual_mid', '(salary.annualMin + salary.annualMax) / 2')
+    ].join('\n');
+  }
+
+  async findJobs(criteria, limit) {
+    const { search, filters, params, matchCount, filtersSalary } = this.parts(criteria);
+    const where = [...search, ...filters];
+
+    const columns = ['job_title', 'company', 'location', 'skills', 'salary_range', 'qualifications', 'work_type'];
+    if (this.postedAtColumn) columns.push(`\`${this.postedAtColumn}\` AS posted_at`);
+
+    const order = [];
+    if (criteria.sort === 'salary') {
+      order.push('salary_annual_mid(salary_range) DESC NULLS LAST');
+    } else if (criteria.sort === 'recency' && this.postedAtColumn) {
+      order.push('posted_at DESC NULLS LAST');
+    }
+    if (matchCount) {
+      columns.push(`${matchCount} AS skill_matches`);
+      columns.push(`IFNULL(SAFE_DIVIDE(${matchCount}, ARRAY_LENGTH(REGEXP_EXTRACT_ALL(IFNULL(skills, ''), @skillToken))), 0) AS skill_fit`);
+      params.skillToken = SKILL_TOKEN;
+      order.push('skill_fit DESC', 'skill_matches DESC');
+    }
+
+    const query = `
+      ${filtersSalary || criteria.sort === 'salary' ? this.salaryFunctions() : ''}
+      SELECT
+        ${columns.join(',\n        ')}
+      FROM \`${this.projectId}.${this.dataset}.${this.table}\`
+      ${where.length ? `WHERE ${where.join(' AND ')}` : ''}
+      ${order.length ? `ORDER BY ${order.join(', ')}` : ''}
+      ${limit === null ? '' : 'LIMIT @limit'}
+    `;
+
+    const [rows] = await this.client.query({
+      query,
+      params: limit === null ? params : { ...params, limit }
+    });
+
+    return rows || [];
+  }
+
+  // { total, facets } for the search: facets count every search match, total only those passing the filters.
+  async countJobs(criteria) {
+    const { search, filters, params, workMode, seniorityLevel, filtersSalary } = this.parts(criteria);
+
+    const query = `
+      ${filtersSalary ? this.salaryFunctions() : ''}
+      SELECT
+        ${workMode()} AS work_mode,
+        ${seniorityLevel()} AS seniority,
+        COUNT(*) AS jobs,
+        COUNTIF(${filters.length ? filters.join(' AND ') : 'TRUE'}) AS matching
+      FROM \`${this.projectId}.${this.dataset}.${this.table}\`
+      ${search.length ? `WHERE ${search.join(' AND ')}` : ''}
+      GROUP BY work_mode, seniority
+    `;
+
+    const [groups] = await this.client.query({ query, params });
+    return countsFromGroups(groups || []);
+  }
+}
+
+module.exports = BigQueryJobStore;
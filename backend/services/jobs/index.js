@@ -0,0 +1,40 @@
+const BigQueryJobStore = require('./bigQueryJobStore');
+const SqliteJobStore = require('./sqliteJobStore');
+const { JsonJobStore, CsvJobStore } = require('./localJobStore');
+
+const STORES = {
+  bigquery: (options) => new BigQueryJobStore({ ...options.bigquery, postedAtColumn: options.postedAtColumn }),
+  json: (options) => new JsonJobStore({ filePath: options.filePath }),
+  csv: (options) => new CsvJobStore({ filePath: options.filePath }),
+  sqlite: (options) => new SqliteJobStore({ filePath: options.filePath, table: options.table, postedAtColumn: options.postedAtColumn })
+};
+
+/**
+ * Builds the job store named by `name` (JOBS_STORE).
+ * Every store exposes `name`, isEnabled(), findJobs(criteria, limit), resolving with at most `limit` rows (every
+ * match when `limit` is null) that carry the JOB_FIELDS columns (see JobMatchService) in the requested order, and
+ * countJobs(criteria), resolving with
+ * { total, facets } (see utils/jobFilters countsFromGroups). Criteria:
+ * - candidateSkills: the user's skills as typed;
+ * - skills: one array of lower-cased spellings per skill, used to order rows by how many skills they mention;
+ * - anySkill: when true, only rows mentioning at least one of those spellings match;
+ * - location, jobTitle: lower-cased substrings the row must contain, if set;
+ * - workType, seniority, company, minSalary: the job filters (see normalizeJobFilters), as in filterAndSortJobs;
+ * - sort: 'fit' (best fit first), 'salary' or 'recency' (missing values last, fit breaking ties).
+ * Facets count the rows matching the search alone; total also applies the job filters.
+ */
+function createJobStore(name = 'bigquery', options = {}) {
+  const factory = STORES[String(name).toLowerCase()];
+  if (!factory) {
+    throw new Error(`Unknown JOBS_STORE "${name}". Expected one of: ${Object.keys(STORES).join(', ')}.`);
+  }
+  return factory(options);
+}
+
+module.exports = {
+  createJobStore,
+  BigQueryJobStore,
+  SqliteJobStore,
+  JsonJobStore,
+  CsvJobStore
+};
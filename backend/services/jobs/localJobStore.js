@@ -0,0 +1,78 @@
+const fs = require('fs');
+const { parseCsv } = require('../../utils/csv');
+const { rankJobs } = require('../../utils/jobFit');
+const { filterAndSortJobs, jobFacets } = require('../../utils/jobFilters');
+
+// Case-insensitive substring version of the BigQuery filters: any skill, and the location and title if given.
+const matchesCriteria = (row, { skills, anySkill, location, jobTitle }) => {
+  const text = (value) => (Array.isArray(value) ? value.join(', ') : String(value ?? '')).toLowerCase();
+  const rowSkills = text(row.skills);
+  return (!anySkill || skills.some((group) => group.some((skill) => rowSkills.includes(skill))))
+    && (!location || text(row.location).includes(location))
+    && (!jobTitle || text(row.job_title).includes(jobTitle));
+};
+
+/**
+ * In-memory store over a dataset file, re-read whenever the file changes on disk. `parse(text)` turns the file
+ * contents into an array of job rows; subclasses below cover JSON and CSV.
+ */
+class LocalJobStore {
+  constructor({ name, filePath, parse }) {
+    this.name = name;
+    this.filePath = filePath;
+    this.parse = parse;
+    this.rows = [];
+    this.loadedMtimeMs = null;
+  }
+
+  isEnabled() {
+    return !!this.filePath && fs.existsSync(this.filePath);
+  }
+
+  load() {
+    const { mtimeMs } = fs.statSync(this.filePath);
+    if (mtimeMs !== this.loadedMtimeMs) {
+      const rows = this.parse(fs.readFileSync(this.filePath, 'utf8'));
+      if (!Array.isArray(rows)) {
+        throw new Error(`${this.filePath} must contain an array of jobs.`);
+      }
+      this.rows = rows;
+      this.loadedMtimeMs = mtimeMs;
+      console.log(`[jobs] loaded ${rows.length} job(s) from ${this.filePath}`);
+    }
+    return this.rows;
+  }
+
+  // Every row is at hand, so the pool is ranked, filtered and sorted exactly before it is cut.
+  async findJobs(criteria, limit) {
+    const matching = this.load().filter((row) => matchesCriteria(row, criteria));
+    const ranked = rankJobs(matching, { skills: criteria.candidateSkills, jobTitle: criteria.jobTitle });
+    return filterAndSortJobs(ranked, criteria).slice(0, limit ?? undefined);
+  }
+
+  async countJobs(criteria) {
+    const matching = this.load().filter((row) => matchesCriteria(row, criteria));
+    return { total: filterAndSortJobs(matching, criteria).length, facets: jobFacets(matching) };
+  }
+}
+
+// A JSON array of job objects; `skills` may be a string or an array of strings.
+class JsonJobStore extends LocalJobStore {
+  constructor({ filePath }) {
+    super({ name: 'json', filePath, parse: JSON.parse });
+  }
+}
+
+// A CSV file with a header row naming the JOB_FIELDS columns.
+class CsvJobStore extends LocalJobStore {
+  constructor({ filePath }) {
+    super({ name: 'csv', filePath, parse: parseCsv });
+  }
+}
+
+module.exports = {
+  LocalJobStore,
+  JsonJobStore,
+  CsvJobStore,
+  matchesCriteria
+};
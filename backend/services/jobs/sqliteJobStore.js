@@ -0,0 +1,149 @@
+const fs = require('fs');
+const { scoreJob } = require('../../utils/jobFit');
+const { workModeOf, seniorityOf, postedTime, countsFromGroups } = require('../../utils/jobFilters');
+const { parseSalaryRange } = require('../../utils/salary');
+
+const TABLE_NAME = /^[A-Za-z_][A-Za-z0-9_]*$/;
+
+// scoreJob() for SQL: the candidate's skills arrive as a JSON array, parsed once per query rather than per row.
+const sqlScorer = () => {
+  let lastJson = null;
+  let lastSkills = [];
+  return (skills, candidateSkillsJson) => {
+    if (candidateSkillsJson !== lastJson) {
+      lastSkills = JSON.parse(candidateSkillsJson);
+      lastJson = candidateSkillsJson;
+    }
+    return scoreJob({ skills }, lastSkills);
+  };
+};
+
+/**
+ * Queries a local SQLite database (read-only) with a table holding the JOB_FIELDS columns; `postedAtColumn`
+ * names an optional date column returned as posted_at. Fit scores, work modes, seniority levels and salaries are
+ * computed by the same code JobMatchService and utils/jobFilters use, registered as SQL functions, so filters, sort
+ * orders and counts match the local stores exactly.
+ * better-sqlite3 is an optional dependency and is only loaded when this store is selected.
+ */
+class SqliteJobStore {
+  constructor({ filePath, table = 'jobs', postedAtColumn }) {
+    this.name = 'sqlite';
+    this.filePath = filePath;
+    this.table = table;
+    this.postedAtColumn = postedAtColumn;
+    this.db = null;
+
+    if (!TABLE_NAME.test(table)) {
+      throw new Error(`Invalid JOBS_SQLITE_TABLE "${table}".`);
+    }
+    if (postedAtColumn && !TABLE_NAME.test(postedAtColumn)) {
+      throw new Error(`Invalid JOBS_POSTED_AT_COLUMN "${postedAtColumn}".`);
+    }
+  }
+
+  isEnabled() {
+    return !!this.filePath && fs.existsSync(this.filePath);
+  }
+
+  open() {
+    if (!this.db) {
+      let Database;
+      try {
+        Database = require('better-sqlite3');
+      } catch (err) {
+        throw new Error(`JOBS_STORE=sqlite needs the better-sqlite3 package (npm install better-sqlite3): ${err.message}`);
+      }
+      const db = new Database(this.filePath, { readonly: true, fileMustExist: true });
+      const score = sqlScorer();
+      const fn = (name, impl) => db.function(name, { deterministic: true }, impl);
+      fn('job_fit', (skills, candidates) => score(skills, candidates).fitScore);
+      fn('job_skill_matches', (skills, candidates) => score(skills, candidates).matchedSkills.length);
+      fn('job_work_mode', (workType, location) => workModeOf({ work_type: workType, location }));
+      fn('job_seniority', (title) => seniorityOf({ job_title: title }));
+      fn('job_salary_max', (text) => parseSalaryRange(text)?.annualMax ?? null);
+      fn('job_salary_mid', (text) => {
+        const parsed = parseSalaryRange(text);
+        return parsed ? (parsed.annualMin + parsed.annualMax) / 2 : null;
+      });
+      fn('job_posted_time', (value) => postedTime({ posted_at: value }));
+      this.db = db;
+    }
+    return this.db;
+  }
+
+  // WHERE clauses for the search ({ skills, location, jobTitle }) and for the job filters, with named parameters.
+  clauses({ skills, anySkill, location, jobTitle, workType = [], seniority = [], company, minSalary }) {
+    const search = [];
+    const filters = [];
+    const params = {};
+    const list = (prefix, values) => values.map((value, idx) => {
+      params[`${prefix}${idx}`] = value;
+      return `@${prefix}${idx}`;
+    }).join(', ');
+
+    if (anySkill) {
+      const spellings = skills.flat();
+      search.push(`(${spellings.map((_, idx) => `instr(lower(skills), @skill${idx}) > 0`).join(' OR ')})`);
+      spellings.forEach((spelling, idx) => (params[`skill${idx}`] = spelling));
+    }
+    if (location) {
+      search.push('instr(lower(location), @loc) > 0');
+      params.loc = location;
+    }
+    if (jobTitle) {
+      search.push('instr(lower(job_title), @title) > 0');
+      params.title = jobTitle;
+    }
+
+    if (workType.length) filters.push(`job_work_mode(work_type, location) IN (${list('mode', workType)})`);
+    if (seniority.length) filters.push(`job_seniority(job_title) IN (${list('level', seniority)})`);
+    if (company) {
+      filters.push('instr(lower(company), @company) > 0');
+      params.company = company;
+    }
+    if (minSalary !== null && minSalary !== undefined) {
+      filters.push('job_salary_max(salary_range) >= @minSalary');
+      params.minSalary = minSalary;
+    }
+
+    return { search, filters, params };
+  }
+
+  async findJobs(criteria, limit) {
+    const { search, filters, params } = this.clauses(criteria);
+    const where = [...search, ...filters];
+    const postedAt = this.postedAtColumn ? `"${this.postedAtColumn}"` : 'NULL';
+    const fitOrder = 'job_fit(skills, @candidates) DESC, job_skill_matches(skills, @candidates) DESC';
+    const sortKey = {
+      salary: 'job_salary_mid(salary_range)',
+      recency: `job_posted_time(${postedAt})`
+    }[criteria.sort];
+
+    return this.open()
+      .prepare(`
+        SELECT job_title, company, location, skills, salary_range, qualifications, work_type${this.postedAtColumn ? `, ${postedAt} AS posted_at` : ''}
+        FROM "${this.table}"
+        ${where.length ? `WHERE ${where.join(' AND ')}` : ''}
+        ORDER BY ${sortKey ? `${sortKey} IS NULL, ${sortKey} DESC, ` : ''}${fitOrder}
+        LIMIT @limit
+      `)
+      .all({ ...params, candidates: JSON.stringify(criteria.candidateSkills), limit: limit ?? -1 });
+  }
+
+  // { total, facets } for the search: facets count every search match, total only those passing the filters.
+  async countJobs(criteria) {
+    const { search, filters, params } = this.clauses(criteria);
+    const groups = this.open()
+      .prepare(`
+        SELECT job_work_mode(work_type, location) AS work_mode, job_seniority(job_title) AS seniority,
+          COUNT(*) AS jobs, SUM(${filters.length ? filters.join(' AND ') : '1'}) AS matching
+        FROM "${this.table}"
+        ${search.length ? `WHERE ${search.join(' AND ')}` : ''}
+        GROUP BY 1, 2
+      `)
+      .all(params);
+    return countsFromGroups(groups);
+  }
+}
+
+module.exports = SqliteJobStore;
@@ -0,0 +1,404 @@
+const RECOMMENDATIONS_DB = require('../../data/recommendations');
+const { extractKeywords, containsTerm } = require('../../utils/keywordCoverage');
+
+// Skills the fixture provider expects for each family of career goals.
+const ROLE_SKILLS = [
+  { pattern: /data|machine learning|ml|analytics/i, skills: ['Python', 'SQL', 'Statistics', 'Machine Learning', 'Data Visualization', 'Pandas'] },
+  { pattern: /cyber|security/i, skills: ['Network Security', 'SIEM', 'Incident Response', 'Linux', 'Python', 'Threat Modeling'] },
+  { pattern: /ux|ui|design/i, skills: ['Figma', 'User Research', 'Prototyping', 'Accessibility', 'Design Systems', 'Usability Testing'] },
+  { pattern: /financ/i, skills: ['Financial Modeling', 'Excel', 'Valuation', 'SQL', 'Accounting', 'Forecasting'] },
+  { pattern: /marketing/i, skills: ['SEO', 'Google Analytics', 'Content Strategy', 'Paid Social', 'A/B Testing', 'Copywriting'] },
+  { pattern: /mechanical/i, skills: ['CAD', 'SolidWorks', 'FEA', 'Thermodynamics', 'GD&T', 'MATLAB'] },
+  { pattern: /.*/, skills: ['JavaScript', 'React', 'Node.js', 'SQL', 'Cloud Deployment', 'Testing', 'Git'] }
+];
+
+const SAMPLE_RESUME = `Jordan Lee
+Toronto, ON | jordan.lee@example.com
+
+EDUCATION
+B.Sc. Computer Science, University of Toronto (2025)
+
+EXPERIENCE
+Software Developer Intern, Example Corp (May 2024 - Aug 2024)
+- Built internal dashboards with React and Node.js
+- Wrote SQL queries to report on weekly usage metrics
+
+PROJECTS
+Course Planner - JavaScript web app used by 200 students
+
+SKILLS
+JavaScript, React, Node.js, SQL, Git`;
+
+// Used to pad missingSkills when the resume already covers most of the role's skills.
+const GENERAL_GAPS = ['Quantified Impact', 'Portfolio Projects', 'Technical Communication'];
+
+const TEXT_MIME_TYPES = ['text/plain', 'text/markdown', 'text/csv'];
+
+const skillsForRole = (role = '') => ROLE_SKILLS.find((r) => r.pattern.test(role)).skills;
+
+const hasSkill = (text, skill) => text.toLowerCase().includes(skill.toLowerCase());
+
+// Weak openers the fixture rewriter upgrades; anything else gets "Delivered" prefixed.
+const ACTION_VERBS = {
+  built: 'Engineered',
+  wrote: 'Authored',
+  made: 'Developed',
+  helped: 'Contributed to',
+  worked: 'Collaborated',
+  did: 'Executed',
+  used: 'Applied',
+  responsible: 'Owned'
+};
+
+const BEHAVIORAL_QUESTIONS = [
+  'Tell me about a time you had to learn a new tool or technology quickly to finish a project.',
+  'Describe a situation where you disagreed with a teammate. How did you resolve it?',
+  'Tell me about a project you are proud of. What was your specific contribution?',
+  'Describe a time you missed a deadline or made a mistake. What did you do next?',
+  'Tell me about a time you had to explain something technical to a non-technical person.'
+];
+
+// Signals the fixture grader looks for in behavioral (STAR) answers.
+const STAR_SIGNALS = {
+  Situation: /\b(when|while|during|at my|in my|last (year|summer|semester))\b/i,
+  Task: /\b(needed to|had to|goal was|responsible for|my task|asked to)\b/i,
+  Action: /\bI (built|led|wrote|created|implemented|decided|designed|organized|set up|reached out|talked|learned)\b/i,
+  Result: /(\d|\b(result|improv|reduc|increas|saved|launched|delivered|learned))/i
+};
+
+const STREAM_CHUNKS = 8;
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+/**
+ * Deterministic offline provider used for local development and demos.
+ * Answers from canned data keyed by `task`, using the structured `context` instead of the prompt text,
+ * so the same inputs always produce the same output.
+ */
+class FixtureProvider {
+  constructor({ latencyMs = 0 } = {}) {
+    this.name = 'fixture';
+    this.latencyMs = latencyMs;
+  }
+
+  isEnabled() {
+    return true;
+  }
+
+  ensureConfigured() {}
+
+  async generate(request) {
+    const result = await this.respond(request);
+    if (!request.onText) return result;
+
+    // Replay the canned answer in a few chunks so streaming consumers see incremental text.
+    const chunkSize = Math.ceil(result.text.length / STREAM_CHUNKS);
+    for (let end = chunkSize; end < result.text.length + chunkSize; end += chunkSize) {
+      if (this.latencyMs) await sleep(this.latencyMs / STREAM_CHUNKS);
+      request.onText(result.text.slice(0, end));
+    }
+    return result;
+  }
+
+  async respond({ task, context = {}, inlineData, onText }) {
+    if (this.latencyMs && !onText) await sleep(this.latencyMs);
+
+    switch (task) {
+      case 'analysis':
+      case 'analysis-repair':
+        return this.json(this.analysis(context));
+      case 'extract-text':
+        return { text: this.extractText(inlineData), sources: [] };
+      case 'discover-learning':
+        return { text: this.discoveryText(), sources: this.catalogSources() };
+      case 'job-description-match':
+        return this.json(this.jobDescriptionMatch(context));
+      case 'rewrite':
+        return this.json(this.rewrites(context));
+      case 'cover-letter':
+        return this.json(this.coverLetter(context));
+      case 'cover-letter-paragraph':
+        return this.json({ paragraph: this.coverLetterParagraphs(context)[context.index] || context.paragraphs[context.index] });
+      case 'interview-questions':
+        return this.json(this.interviewQuestions(context));
+      case 'interview-grade':
+        return this.json(this.interviewGrade(context));
+      case 'structure-learning':
+      case 'course-search':
+        return this.json(this.learningResources());
+      default:
+        throw new Error(`Fixture provider has no response for task "${task}".`);
+    }
+  }
+
+  json(data) {
+    return { text: JSON.stringify(data), sources: [] };
+  }
+
+  analysis({ resumeText = '', careerGoal = '', schemaVersion = 1, completedLearning = [] }) {
+    const expected = skillsForRole(careerGoal);
+    // Completed courses count as evidence for the skills their title or tagged skill names.
+    const learnedFrom = (skill) => completedLearning.find((item) => hasSkill(`${item.title} ${item.skill || ''}`, skill));
+    const present = expected.filter((s) => hasSkill(resumeText, s) || learnedFrom(s));
+    const missing = expected.filter((s) => !present.includes(s));
+    const score = Math.min(95, 40 + Math.round((present.length / expected.length) * 50) + (resumeText.length > 1500 ? 5 : 0));
+
+    const analysis = {
+      resumeScore: score,
+      missingSkills: missing.concat(GENERAL_GAPS).slice(0, 3),
+      recommendations: {
+        certifications: RECOMMENDATIONS_DB.certifications.slice(0, 3).map((c) => c.name),
+        opportunities: RECOMMENDATIONS_DB.opportunities.slice(0, 3).map((o) => o.name)
+      },
+      summary: `The resume shows ${present.length ? `relevant experience with ${present.join(', ')}` : 'a general foundation'} for a ${careerGoal} role. ` +
+        `It would be stronger with evidence of ${missing.slice(0, 2).join(' and ') || 'larger-scale projects'}. ` +
+        'Quantifying impact in each bullet point would make the strengths easier to see.'
+    };
+
+    if (schemaVersion !== 2) return analysis;
+
+    const lines = resumeText.split('\n').map((l) => l.trim()).filter(Boolean);
+    const bullets = lines.filter((l) => /^[-*•]/.test(l)).map((l) => l.replace(/^[-*•]\s*/, ''));
+    const quantified = bullets.filter((l) => /\d/.test(l));
+    const headingCount = lines.filter((l) => /^[A-Z][A-Z &]{3,}$/.test(l)).length;
+
+    return {
+      ...analysis,
+      sectionScores: {
+        experience: /experience|intern/i.test(resumeText) ? 70 : 35,
+        skills: Math.round((present.length / expected.length) * 100),
+        education: /education|university|college|b\.?sc|degree/i.test(resumeText) ? 75 : 40,
+        projects: /project/i.test(resumeText) ? 65 : 30,
+        formatting: Math.min(90, 45 + headingCount * 10),
+        impact: bullets.length ? Math.round((quantified.length / bullets.length) * 100) : 30
+      },
+      presentSkills: present.map((skill) => ({
+        skill,
+        evidence: (lines.find((l) => hasSkill(l, skill)) || `Completed: ${learnedFrom(skill)?.title}`).slice(0, 160)
+      })),
+      missingSkillDetails: analysis.missingSkills.map((skill, idx) => ({
+        skill,
+        severity: ['critical', 'important', 'nice-to-have'][idx],
+        reason: `${skill} is commonly listed in ${careerGoal} job postings.`
+      })),
+      lineSuggestions: bullets
+        .filter((l) => !/\d/.test(l))
+        .slice(0, 3)
+        .map((original) => ({
+          section: 'Experience',
+          original,
+          suggestion: `${original.replace(/\.$/, '')}, resulting in [measurable outcome, e.g. 20% faster reporting]`,
+          reason: 'Adding a measurable result shows the impact of the work.'
+        }))
+    };
+  }
+
+  // Treats each bullet (or sentence) of the posting that names a keyword as a requirement.
+  jobDescriptionMatch({ resumeText = '', jobDescription = '', keywordCoverage = { coverage: 0, missing: [] } }) {
+    const lines = jobDescription.split(/\n|(?<=\.)\s+/).map((l) => l.replace(/^\s*[-*•]\s*/, '').trim()).filter(Boolean);
+    const resumeLines = resumeText.split('\n').map((l) => l.trim()).filter(Boolean);
+
+    const requirements = lines
+      .map((line) => ({ line, keywords: extractKeywords(line, { maxKeywords: 5 }) }))
+      .filter(({ keywords }) => keywords.length)
+      .slice(0, 8)
+      .map(({ line, keywords }) => {
+        const found = keywords.filter((k) => containsTerm(resumeText, k));
+        const status = found.length === keywords.length ? 'met' : found.length ? 'partial' : 'missing';
+        const evidence = found.length ? resumeLines.find((l) => containsTerm(l, found[0])).slice(0, 160) : '';
+        return {
+          requirement: line.slice(0, 160),
+          importance: /prefer|plus|bonus|nice to have/i.test(line) ? 'preferred' : 'required',
+          status,
+          evidence
+        };
+      });
+
+    const metShare = requirements.length
+      ? requirements.reduce((sum, r) => sum + (r.status === 'met' ? 1 : r.status === 'partial' ? 0.5 : 0), 0) / requirements.length
+      : 0;
+    const fitScore = Math.round(keywordCoverage.coverage * 0.5 + metShare * 50);
+
+    const prioritizedEdits = keywordCoverage.missing.slice(0, 4).map((keyword, idx) => ({
+      priority: idx + 1,
+      section: 'Skills',
+      edit: `If you have used ${keyword}, name it explicitly in your Skills section and in the bullet where you used it.`,
+      reason: `"${keyword}" appears in the posting but not in your resume, so keyword filters will miss it.`
+    }));
+    prioritizedEdits.push({
+      priority: prioritizedEdits.length + 1,
+      section: 'Experience',
+      edit: 'Add a measurable result to each experience bullet that matches a requirement.',
+      reason: 'Quantified outcomes show the posting\'s requirements are met, not just listed.'
+    });
+
+    return {
+      fitScore,
+      requirements: requirements.length
+        ? requirements
+        : [{ requirement: 'General fit for the posting', importance: 'required', status: 'partial', evidence: '' }],
+      prioritizedEdits,
+      summary: `The resume covers ${keywordCoverage.coverage}% of the posting's keywords and fully meets ${requirements.filter((r) => r.status === 'met').length} of ${requirements.length} listed requirements. ` +
+        'Closing the highest-priority gaps below would make it a stronger match.'
+    };
+  }
+
+  rewrites({ resumeText = '', section }) {
+    let currentSection = '';
+    const bullets = [];
+    resumeText.split('\n').map((l) => l.trim()).filter(Boolean).forEach((line) => {
+      if (/^[A-Z][A-Z &]{3,}$/.test(line)) currentSection = line.charAt(0) + line.slice(1).toLowerCase();
+      else if (/^[-*•]/.test(line)) bullets.push({ section: currentSection || 'Experience', text: line.replace(/^[-*•]\s*/, '') });
+    });
+
+    return {
+      rewrites: bullets
+        .filter((b) => !section || b.section.toLowerCase() === section.toLowerCase())
+        .slice(0, 12)
+        .map(({ section: bulletSection, text }) => {
+          const [firstWord, ...rest] = text.split(' ');
+          const verb = ACTION_VERBS[firstWord.toLowerCase()];
+          const body = verb ? `${verb} ${rest.join(' ')}` : `Delivered ${text.charAt(0).toLowerCase()}${text.slice(1)}`;
+          const impact = /\d/.test(text) ? '' : ', improving [metric] by [X%]';
+          return {
+            section: bulletSection,
+            original: text,
+            rewritten: `${body.replace(/\.$/, '')}${impact}`,
+            reason: verb
+              ? `Replaced "${firstWord}" with a stronger action verb${impact ? ' and added a measurable outcome' : ''}.`
+              : `Led with an outcome-focused verb${impact ? ' and added a measurable outcome' : ''}.`
+          };
+        })
+    };
+  }
+
+  coverLetter(context) {
+    return {
+      greeting: context.job?.company ? `Dear ${context.job.company} Hiring Team,` : 'Dear Hiring Manager,',
+      paragraphs: this.coverLetterParagraphs(context).slice(0, context.paragraphCount || 4),
+      closing: context.tone === 'conversational' ? 'Thanks so much for your time,' : 'Sincerely,'
+    };
+  }
+
+  coverLetterParagraphs({ analysis = {}, job, tone = 'professional', instruction }) {
+    const role = job?.title || analysis.careerGoal;
+    const where = job?.company ? ` at ${job.company}` : '';
+    const strengths = (analysis.presentSkills || []).map((s) => (typeof s === 'string' ? s : s.skill)).slice(0, 3);
+    const opener = {
+      enthusiastic: `I was thrilled to come across the ${role} opening${where}`,
+      confident: `I am confident I can make an immediate contribution as a ${role}${where}`,
+      conversational: `When I saw the ${role} role${where}, I knew I wanted to reach out`
+    }[tone] || `I am writing to apply for the ${role} position${where}`;
+
+    return [
+      `${opener}. My background and the skills I have been building align closely with what the role needs.${instruction ? ` (${instruction})` : ''}`,
+      strengths.length
+        ? `In my recent work I have applied ${strengths.join(', ')} to deliver practical results, and I enjoy turning that experience into tools people rely on.`
+        : 'In my studies and projects I have built a solid technical foundation and a habit of delivering work that people rely on.',
+      analysis.missingSkills?.length
+        ? `I am actively developing my skills in ${analysis.missingSkills.slice(0, 2).join(' and ')}, and I learn quickly when a team depends on it.`
+        : 'I am always looking to learn, and I adapt quickly to new tools and responsibilities.',
+      `I would welcome the chance to discuss how I can contribute${where}. Thank you for considering my application.`,
+      'I have attached my resume and would be happy to share examples of my work at your convenience.'
+    ];
+  }
+
+  interviewQuestions({ careerGoal = '', missingSkills = [], count = 6 }) {
+    const skills = (missingSkills.length ? missingSkills : skillsForRole(careerGoal)).slice(0, Math.ceil(count / 2));
+    const technical = skills.map((skill) => ({
+      type: 'technical',
+      skill,
+      question: `How would you use ${skill} in a ${careerGoal} role? Walk me through a concrete example.`
+    }));
+    const behavioral = BEHAVIORAL_QUESTIONS.slice(0, count - technical.length).map((question) => ({
+      type: 'behavioral',
+      skill: 'Communication',
+      question
+    }));
+
+    // Alternate behavioral and technical questions.
+    const questions = [];
+    for (let i = 0; questions.length < count && (i < behavioral.length || i < technical.length); i++) {
+      if (behavioral[i]) questions.push(behavioral[i]);
+      if (technical[i] && questions.length < count) questions.push(technical[i]);
+    }
+    return { questions };
+  }
+
+  interviewGrade({ question = {}, answer = '', rubric }) {
+    const words = answer.trim().split(/\s+/).filter(Boolean).length;
+    const lengthScore = words >= 120 ? 5 : words >= 60 ? 4 : words >= 25 ? 3 : 1;
+    const covered = new Set();
+
+    const criteria = rubric === 'technical'
+      ? [
+          {
+            criterion: 'Correctness',
+            score: question.skill && hasSkill(answer, question.skill) ? 4 : 2,
+            comment: question.skill && hasSkill(answer, question.skill)
+              ? `The answer engages directly with ${question.skill}.`
+              : `The answer never names ${question.skill || 'the skill'} explicitly.`
+          },
+          { criterion: 'Depth', score: lengthScore, comment: words >= 60 ? 'Gives a reasonably detailed explanation.' : 'Too brief to show depth.' },
+          { criterion: 'Clarity', score: answer.split(/[.!?]/).filter((s) => s.trim()).length >= 3 ? 4 : 2, comment: 'Judged on how the explanation is broken into steps.' }
+        ]
+      : Object.entries(STAR_SIGNALS).map(([criterion, pattern]) => {
+          if (!pattern.test(answer)) {
+            return { criterion, score: 1, comment: `The ${criterion.toLowerCase()} part of STAR is missing or unclear.` };
+          }
+          // A STAR part that is there counts as a strength even in a short answer; length only raises the score.
+          covered.add(criterion);
+          return { criterion, score: Math.max(3, Math.min(5, lengthScore + 1)), comment: `${criterion} is covered.` };
+        });
+
+    const weak = criteria.filter((c) => c.score <= 2).map((c) => c.criterion);
+    return {
+      criteria,
+      strengths: criteria.filter((c) => c.score >= 4 || covered.has(c.criterion)).map((c) => `Strong ${c.criterion.toLowerCase()}.`).slice(0, 3),
+      improvements: weak.map((c) => `Work on the ${c.toLowerCase()} of your answer.`).slice(0, 3),
+      feedback: weak.length
+        ? `A solid start. Focus next on ${weak.join(', ').toLowerCase()} to make the answer more convincing.`
+        : 'A well-structured answer. Keep quantifying your results to make them memorable.'
+    };
+  }
+
+  extractText(inlineData) {
+    if (inlineData && TEXT_MIME_TYPES.includes(inlineData.mimeType)) {
+      return Buffer.from(inlineData.data, 'base64').toString('utf8');
+    }
+    return SAMPLE_RESUME;
+  }
+
+  learningResources() {
+    return {
+      courses: RECOMMENDATIONS_DB.certifications.map((c) => ({
+        title: c.name,
+        provider: c.provider,
+        link: c.link,
+        cost: c.cost,
+        duration: c.length,
+        level: ''
+      })),
+      opportunities: RECOMMENDATIONS_DB.opportunities.map((o) => ({
+        name: o.name,
+        description: o.description,
+        link: o.link,
+        difficulty: o.difficulty
+      }))
+    };
+  }
+
+  discoveryText() {
+    const courses = RECOMMENDATIONS_DB.certifications.map((c) => `- ${c.name} / ${c.provider} / ${c.cost} / ${c.length} / ${c.link}`);
+    const opportunities = RECOMMENDATIONS_DB.opportunities.map((o) => `- ${o.name} / ${o.description} / ${o.link} / ${o.difficulty}`);
+    return `Courses:\n${courses.join('\n')}\n\nOpportunities:\n${opportunities.join('\n')}`;
+  }
+
+  catalogSources() {
+    return RECOMMENDATIONS_DB.certifications.map((c) => ({ uri: c.link, title: c.name }));
+  }
+}
+
+FixtureProvider.SAMPLE_RESUME = SAMPLE_RESUME;
+
+module.exports = FixtureProvider;
@@ -0,0 +1,138 @@
+const axios = require('axios');
+
+// Talks to the Gemini REST API, either through Google AI Studio (generativelanguage)
+// or the Vertex AI publisher endpoint. Both share the same request/response shape.
+class GeminiProvider {
+  constructor({ apiKey, model, vertex = false }) {
+    this.name = 'gemini';
+    this.apiKey = apiKey;
+    this.model = model;
+    this.vertex = vertex;
+  }
+
+  methodUrl(method, query = '') {
+    if (this.vertex) {
+      return `https://aiplatform.googleapis.com/v1/publishers/google/models/${this.model}:${method}?${query}key=${encodeURIComponent(this.apiKey)}`;
+    }
+    return `https://generativelanguage.googleapis.com/v1beta/models/${this.model}:${method}?${query}key=${this.apiKey}`;
+  }
+
+  get apiUrl() {
+    return this.methodUrl('generateContent');
+  }
+
+  get streamUrl() {
+    return this.methodUrl('streamGenerateContent', 'alt=sse&');
+  }
+
+  isEnabled() {
+    return !!this.apiKey;
+  }
+
+  ensureConfigured() {
+    if (!this.apiKey) {
+      throw new Error(`${this.vertex ? 'VERTEX_API_KEY' : 'GEMINI_API_KEY'} is not configured on the server.`);
+    }
+  }
+
+  parseGroundingSources(result) {
+    const groundingAttributions = result?.candidates?.[0]?.groundingMetadata?.groundingAttributions;
+    if (!groundingAttributions) return [];
+
+    return groundingAttributions
+      .map((attr) => ({
+        uri: attr.web?.uri,
+        title: attr.web?.title
+      }))
+      .filter((source) => source.uri && source.title);
+  }
+
+  /**
+   * Runs a single generateContent call.
+   * `task` and `context` are ignored here; they exist so offline providers can answer without parsing prompts.
+   * Returns { text, sources } where text is the first candidate part (JSON when `schema` is set).
+   * When `onText(accumulatedText)` is given the response is streamed and the callback fires per chunk.
+   */
+  async generate({ systemPrompt, prompt, inlineData, schema, useSearch = false, timeout = 60000, onText }) {
+    this.ensureConfigured();
+
+    const parts = [];
+    if (inlineData) parts.push({ inlineData });
+    if (prompt) parts.push({ text: prompt });
+
+    const payload = {
+      contents: [this.vertex ? { role: 'user', parts } : { parts }]
+    };
+    if (systemPrompt) {
+      payload.systemInstruction = { parts: [{ text: systemPrompt }] };
+    }
+    if (schema) {
+      payload.generationConfig = {
+        responseMimeType: 'application/json',
+        responseSchema: schema
+      };
+    }
+    if (useSearch) {
+      payload.tools = [{ google_search: {} }];
+    }
+
+    if (onText) {
+      return this.generateStream(payload, timeout, onText);
+    }
+
+    const response = await axios.post(this.apiUrl, payload, {
+      headers: { 'Content-Type': 'application/json' },
+      timeout
+    });
+
+    const result = response.data;
+    return {
+      text: result?.candidates?.[0]?.content?.parts?.[0]?.text,
+      sources: this.parseGroundingSources(result)
+    };
+  }
+
+  async generateStream(payload, timeout, onText) {
+    const response = await axios.post(this.streamUrl, payload, {
+      headers: { 'Content-Type': 'application/json' },
+      responseType: 'stream',
+      timeout
+    });
+
+    let buffer = '';
+    let text = '';
+    let sources = [];
+
+    const handleEvent = (rawEvent) => {
+      const data = rawEvent
+        .split('\n')
+        .filter((line) => line.startsWith('data:'))
+        .map((line) => line.slice(5).trim())
+        .join('');
+      if (!data) return;
+
+      const chunk = JSON.parse(data);
+      const chunkText = chunk?.candidates?.[0]?.content?.parts?.map((p) => p.text || '').join('') || '';
+      const chunkSources = this.parseGroundingSources(chunk);
+      if (chunkSources.length) sources = chunkSources;
+      if (chunkText) {
+        text += chunkText;
+        onText(text);
+      }
+    };
+
+    for await (const chunk of response.data) {
+      buffer += chunk.toString('utf8').replace(/\r\n/g, '\n');
+      let boundary;
+      while ((boundary = buffer.indexOf('\n\n')) >= 0) {
+        handleEvent(buffer.slice(0, boundary));
+        buffer = buffer.slice(boundary + 2);
+      }
+    }
+    if (buffer.trim()) handleEvent(buffer);
+
+    return { text, sources };
+  }
+}
+
+module.exports = GeminiProvider;
@@ -0,0 +1,26 @@
+const GeminiProvider = require('./geminiProvider');
+const FixtureProvider = require('./fixtureProvider');
+
+const PROVIDERS = {
+  gemini: (options) => new GeminiProvider(options),
+  fixture: (options) => new FixtureProvider(options)
+};
+
+/**
+ * Builds the LLM provider named by `name` (LLM_PROVIDER).
+ * Every provider exposes isEnabled(), ensureConfigured() and generate({ task, context, systemPrompt, prompt, inlineData, schema, useSearch, timeout, onText }).
+ * Passing onText(accumulatedText) streams the response.
+ */
+function createLlmProvider(name = 'gemini', options = {}) {
+  const factory = PROVIDERS[String(name).toLowerCase()];
+  if (!factory) {
+    throw new Error(`Unknown LLM_PROVIDER "${name}". Expected one of: ${Object.keys(PROVIDERS).join(', ')}.`);
+  }
+  return factory(options);
+}
+
+module.exports = {
+  createLlmProvider,
+  GeminiProvider,
+  FixtureProvider
+};
@@ -0,0 +1,194 @@
+const { containsTerm } = require('../utils/keywordCoverage');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Self-paced course lengths are quoted in calendar time; assume a typical learner's pace when converting to hours.
+const HOURS_PER_COURSE_WEEK = 5;
+const DEFAULT_COURSE_HOURS = 20;
+const PRACTICE_HOURS = 10;
+const MAX_OPPORTUNITIES = 2;
+
+const firstNumber = (text) => {
+  const match = /(\d+(?:\.\d+)?)/.exec(text);
+  return match ? parseFloat(match[1]) : null;
+};
+
+// "20+ hours" -> 20, "6 weeks" -> 30, "3–6 months" -> 65; unknown lengths get DEFAULT_COURSE_HOURS.
+function estimateHours(duration = '') {
+  const text = String(duration).toLowerCase();
+  const amount = firstNumber(text);
+  if (amount === null) return DEFAULT_COURSE_HOURS;
+  if (/hour|hr/.test(text)) return Math.round(amount);
+  if (/week/.test(text)) return Math.round(amount * HOURS_PER_COURSE_WEEK);
+  if (/month/.test(text)) return Math.round(amount * 4.33 * HOURS_PER_COURSE_WEEK);
+  if (/day/.test(text)) return Math.round(amount * 2);
+  return DEFAULT_COURSE_HOURS;
+}
+
+/**
+ * Parses cost strings such as "Free", "$49/month (Coursera subscription)" or "Varies (~$15)".
+ * Returns { amount, monthly } in USD, or null when the cost is unknown.
+ */
+function parseCost(cost = '') {
+  const text = String(cost).toLowerCase();
+  if (!text.trim()) return null;
+  if (/^\s*free/.test(text)) return { amount: 0, monthly: false };
+  const match = /\$\s*(\d+(?:\.\d+)?)/.exec(text);
+  if (!match) return /free/.test(text) ? { amount: 0, monthly: false } : null;
+  return { amount: parseFloat(match[1]), monthly: /\/\s*mo|month/.test(text) };
+}
+
+const addDays = (date, days) => new Date(date.getTime() + days * DAY_MS);
+const isoDate = (date) => date.toISOString().slice(0, 10);
+
+/**
+ * Turns skill gaps into a sequenced week-by-week plan. Each missing skill gets the cheapest, shortest matching
+ * course that fits the remaining budget (or a practice project when nothing matches), followed by up to two
+ * hands-on opportunities; items are laid end to end at `hoursPerWeek`. Pure: candidates are passed in.
+ */
+class RoadmapPlanner {
+  constructor({ maxWeeks = 52 } = {}) {
+    this.maxWeeks = maxWeeks;
+  }
+
+  plan({ careerGoal, missingSkills = [], hoursPerWeek = 5, budget = null, startDate, courses = [], opportunities = [] }) {
+    const start = startDate ? new Date(`${startDate}T00:00:00Z`) : new Date(`${isoDate(new Date())}T00:00:00Z`);
+    const candidates = this.dedupe(courses).map((course) => this.toCandidate(course, hoursPerWeek));
+    const skipped = [];
+    const used = new Set();
+    let spent = 0;
+
+    const items = missingSkills.map((skill) => {
+      const matching = candidates
+        .filter((c) => !used.has(c.key) && containsTerm(c.searchText, skill))
+        .sort((a, b) => (a.cost ?? Infinity) - (b.cost ?? Infinity) || a.hours - b.hours);
+      const affordable = matching.find((c) => budget === null || c.cost === null || spent + c.cost <= budget);
+
+      if (!affordable) {
+        matching.forEach((c) => skipped.push({ title: c.title, skill, reason: `Costs about $${c.cost}, over the remaining budget.` }));
+        return {
+          kind: 'practice',
+          skill,
+          title: `Practice project: build something small that uses ${skill}`,
+          provider: 'Self-directed',
+          link: null,
+          hours: PRACTICE_HOURS,
+          cost: 0,
+          costLabel: 'Free'
+        };
+      }
+      used.add(affordable.key);
+      spent += affordable.cost || 0;
+      return {
+        kind: 'course',
+        skill,
+        title: affordable.title,
+        provider: affordable.provider,
+        link: affordable.link,
+        hours: affordable.hours,
+        cost: affordable.cost,
+        costLabel: affordable.costLabel
+      };
+    });
+
+    opportunities.slice(0, MAX_OPPORTUNITIES).forEach((opp) => {
+      items.push({
+        kind: 'opportunity',
+        skill: missingSkills.join(', '),
+        title: opp.name,
+        difficulty: opp.difficulty || null,
+        link: opp.link || null,
+        hours: hoursPerWeek * 2,
+        cost: 0,
+        costLabel: 'Free'
+      });
+    });
+
+    return this.schedule({ careerGoal, hoursPerWeek, budget, start, items, skipped, spent });
+  }
+
+  // Lays items end to end on a timeline of study hours and groups them into calendar weeks.
+  schedule({ careerGoal, hoursPerWeek, budget, start, items, skipped, spent }) {
+    const capacity = hoursPerWeek * this.maxWeeks;
+    const weeks = [];
+    const milestones = [];
+    const scheduled = [];
+    let cursor = 0;
+
+    items.forEach((item, idx) => {
+      if (cursor >= capacity) {
+        skipped.push({ title: item.title, skill: item.skill, reason: `Does not fit in ${this.maxWeeks} weeks at ${hoursPerWeek} hours per week.` });
+        return;
+      }
+      const startWeek = Math.floor(cursor / hoursPerWeek) + 1;
+      const end = Math.min(cursor + item.hours, capacity);
+      const endWeek = Math.ceil(end / hoursPerWeek);
+
+      for (let week = startWeek; week <= endWeek; week++) {
+        const hours = Math.min(end, week * hoursPerWeek) - Math.max(cursor, (week - 1) * hoursPerWeek);
+        if (!weeks[week - 1]) {
+          weeks[week - 1] = {
+            week,
+            startDate: isoDate(addDays(start, (week - 1) * 7)),
+            endDate: isoDate(addDays(start, week * 7 - 1)),
+            tasks: []
+          };
+        }
+        weeks[week - 1].tasks.push({ itemId: idx + 1, title: item.title, hours: Math.round(hours * 10) / 10 });
+      }
+
+      const scheduledItem = { id: idx + 1, ...item, startWeek, endWeek };
+      scheduled.push(scheduledItem);
+      milestones.push({
+        week: endWeek,
+        date: isoDate(addDays(start, endWeek * 7 - 1)),
+        title: item.kind === 'opportunity' ? `Take part in ${item.title}` : `Finish ${item.title} (${item.skill})`
+      });
+      cursor = end;
+    });
+
+    return {
+      careerGoal,
+      hoursPerWeek,
+      budget,
+      startDate: isoDate(start),
+      totalWeeks: weeks.length,
+      totalHours: Math.round(cursor),
+      estimatedCost: Math.round(spent * 100) / 100,
+      items: scheduled,
+      weeks,
+      milestones,
+      skipped
+    };
+  }
+
+  dedupe(courses) {
+    const seen = new Set();
+    return courses.filter((course) => {
+      const key = (course.link || course.title || '').toLowerCase();
+      if (!key || seen.has(key)) return false;
+      seen.add(key);
+      return true;
+    });
+  }
+
+  // Subscriptions are charged for the months the course takes at the learner's own pace.
+  toCandidate(course, hoursPerWeek) {
+    const hours = estimateHours(course.duration);
+    const parsed = parseCost(course.cost);
+    const months = Math.max(1, Math.ceil(hours / hoursPerWeek / 4.33));
+    const cost = parsed === null ? null : parsed.monthly ? parsed.amount * months : parsed.amount;
+    return {
+      key: (course.link || course.title).toLowerCase(),
+      title: course.title,
+      provider: course.provider || '',
+      link: course.link || null,
+      hours,
+      cost,
+      costLabel: cost === null ? (course.cost || 'Unknown') : cost === 0 ? 'Free' : `~$${cost}${parsed.monthly ? ` (${months} month${months === 1 ? '' : 's'})` : ''}`,
+      searchText: [course.title, course.provider, course.description, course.category].filter(Boolean).join(' ')
+    };
+  }
+}
+
+module.exports = RoadmapPlanner;
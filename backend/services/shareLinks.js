@@ -0,0 +1,140 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { readJsonFile, writeJsonFile, moveAsideCorruptFile } = require('../utils/jsonStore');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Fields that stay with the owner: the raw resume (contact details) and data about other goals.
+const PRIVATE_FIELDS = ['id', 'resumeText', 'goalComparison', 'goalFailures'];
+
+const base64url = (value) => Buffer.from(value).toString('base64url');
+
+const snapshotOf = (analysis) => Object.fromEntries(
+  Object.entries(analysis).filter(([key]) => !PRIVATE_FIELDS.includes(key))
+);
+
+// Owner-facing view of a share; the analysis snapshot itself is only served through the token.
+const summarize = ({ analysis, ...share }) => ({
+  ...share,
+  careerGoal: analysis.careerGoal,
+  resumeScore: analysis.resumeScore,
+  status: share.revokedAt ? 'revoked' : Date.parse(share.expiresAt) <= Date.now() ? 'expired' : 'active'
+});
+
+/**
+ * Read-only report links. Each share stores a snapshot of the analysis (minus PRIVATE_FIELDS) in a JSON file;
+ * the token is `<payload>.<signature>`, an HMAC-SHA256 over { sid, exp } so links cannot be forged or extended.
+ */
+class ShareLinks {
+  constructor({ filePath, secret }) {
+    this.filePath = filePath;
+    this.secret = secret || ShareLinks.loadOrCreateSecret(path.join(path.dirname(filePath), 'share-secret'));
+    this.shares = readJsonFile(filePath, null);
+
+    if (!Array.isArray(this.shares)) {
+      // Never overwrite a store that exists but cannot be read: it holds every live link.
+      if (fs.existsSync(filePath)) {
+        const movedTo = moveAsideCorruptFile(filePath);
+        console.error(`[shares] ${filePath} is not a valid share list; moved it to ${movedTo} and starting empty.`);
+      }
+      this.shares = [];
+    }
+  }
+
+  // Without SHARE_SECRET, a random secret is kept next to the store so links survive restarts.
+  static loadOrCreateSecret(secretPath) {
+    if (fs.existsSync(secretPath)) return fs.readFileSync(secretPath, 'utf8').trim();
+    const secret = crypto.randomBytes(32).toString('hex');
+    fs.mkdirSync(path.dirname(secretPath), { recursive: true });
+    fs.writeFileSync(secretPath, secret, { mode: 0o600 });
+    console.warn(`[shares] SHARE_SECRET is not set; generated one at ${secretPath}`);
+    return secret;
+  }
+
+  persist() {
+    writeJsonFile(this.filePath, this.shares);
+  }
+
+  sign(payload) {
+    return crypto.createHmac('sha256', this.secret).update(payload).digest('base64url');
+  }
+
+  tokenFor(share) {
+    const payload = base64url(JSON.stringify({ sid: share.id, exp: Date.parse(share.expiresAt) }));
+    return `${payload}.${this.sign(payload)}`;
+  }
+
+  create(analysis, ownerId, { expiresInDays }) {
+    const now = new Date();
+    const share = {
+      id: crypto.randomUUID(),
+      ownerId,
+      analysis: snapshotOf(analysis),
+      createdAt: now.toISOString(),
+      expiresAt: new Date(now.getTime() + expiresInDays * DAY_MS).toISOString(),
+      revokedAt: null,
+      views: 0,
+      lastViewedAt: null
+    };
+    this.shares.push(share);
+    this.persist();
+    return { ...summarize(share), token: this.tokenFor(share) };
+  }
+
+  get(id) {
+    return this.shares.find((s) => s.id === id) || null;
+  }
+
+  listForOwner(ownerId) {
+    return this.shares
+      .filter((s) => s.ownerId === ownerId)
+      .sort((a, b) => b.createdAt.localeCompare(a.createdAt))
+      .map((s) => ({ ...summarize(s), token: this.tokenFor(s) }));
+  }
+
+  revoke(id) {
+    const share = this.get(id);
+    if (!share) return null;
+    if (!share.revokedAt) {
+      share.revokedAt = new Date().toISOString();
+      this.persist();
+    }
+    return summarize(share);
+  }
+
+  canModify(share, userId) {
+    return !!userId && share.ownerId === userId;
+  }
+
+  /**
+   * Resolves a token to { status: 'ok' | 'invalid' | 'expired' | 'revoked', share? } and counts the view when ok.
+   */
+  open(token) {
+    const [payload, signature] = String(token || '').split('.');
+    if (!payload || !signature) return { status: 'invalid' };
+
+    const expected = Buffer.from(this.sign(payload));
+    const given = Buffer.from(signature);
+    if (expected.length !== given.length || !crypto.timingSafeEqual(expected, given)) return { status: 'invalid' };
+
+    let claims;
+    try {
+      claims = JSON.parse(Buffer.from(payload, 'base64url').toString('utf8'));
+    } catch {
+      return { status: 'invalid' };
+    }
+
+    const share = this.get(claims.sid);
+    if (!share) return { status: 'invalid' };
+    if (share.revokedAt) return { status: 'revoked' };
+    if (claims.exp <= Date.now() || Date.parse(share.expiresAt) <= Date.now()) return { status: 'expired' };
+
+    share.views += 1;
+    share.lastViewedAt = new Date().toISOString();
+    this.persist();
+    return { status: 'ok', share };
+  }
+}
+
+module.exports = ShareLinks;
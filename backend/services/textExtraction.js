@@ -0,0 +1,229 @@
+const fs = require('fs');
+const path = require('path');
+const { StringDecoder } = require('string_decoder');
+const mammoth = require('mammoth');
+const { PDFParse } = require('pdf-parse');
+
+// A PDF averaging fewer non-whitespace characters than this per page is treated as scanned.
+const MIN_CHARS_PER_PAGE = 40;
+
+const MAGIC_BYTES = [
+  { type: 'pdf', bytes: [0x25, 0x50, 0x44, 0x46, 0x2d] }, // %PDF-
+  { type: 'zip', bytes: [0x50, 0x4b, 0x03, 0x04] }, // PK.. (docx and other OOXML)
+  { type: 'rtf', bytes: [0x7b, 0x5c, 0x72, 0x74, 0x66] }, // {\rtf
+  { type: 'doc', bytes: [0xd0, 0xcf, 0x11, 0xe0] }, // legacy OLE2 Word
+  { type: 'png', bytes: [0x89, 0x50, 0x4e, 0x47] },
+  { type: 'jpeg', bytes: [0xff, 0xd8, 0xff] }
+];
+
+const IMAGE_TYPES = ['png', 'jpeg'];
+
+// MIME types sent to the model fallback, taken from the sniffed type rather than what the client claimed.
+const MIME_TYPES = {
+  pdf: 'application/pdf',
+  doc: 'application/msword',
+  png: 'image/png',
+  jpeg: 'image/jpeg'
+};
+
+const startsWithBytes = (buffer, bytes) => bytes.every((b, i) => buffer[i] === b);
+
+// Plain text if it has no NUL bytes and decodes as UTF-8 without replacement characters. When the sample cuts a
+// multi-byte character in half, StringDecoder holds those bytes back instead of decoding them as U+FFFD.
+const looksLikeText = (buffer) => {
+  const sample = buffer.subarray(0, 8192);
+  if (sample.includes(0)) return false;
+  const decoder = new StringDecoder('utf8');
+  const text = decoder.write(sample) + (buffer.length > sample.length ? '' : decoder.end());
+  return !text.includes('\uFFFD');
+};
+
+/**
+ * Detects the document type from the file contents, using the client-supplied name/mimetype only
+ * to tell Markdown from plain text and DOCX from other zip files.
+ */
+function detectFileType(buffer, { mimetype = '', originalname = '' } = {}) {
+  const magic = MAGIC_BYTES.find((m) => startsWithBytes(buffer, m.bytes));
+  const ext = path.extname(originalname).toLowerCase();
+
+  if (magic?.type === 'zip') {
+    return buffer.includes('word/') ? 'docx' : 'zip';
+  }
+  if (magic) return magic.type;
+  if (looksLikeText(buffer)) {
+    return ext === '.md' || ext === '.markdown' || mimetype === 'text/markdown' ? 'markdown' : 'text';
+  }
+  return 'unknown';
+}
+
+// Minimal RTF-to-text: handles paragraphs, tabs, hex and unicode escapes, and skips font/color/style tables.
+function rtfToText(rtf) {
+  const SKIP_DESTINATIONS = ['fonttbl', 'colortbl', 'stylesheet', 'info', 'pict', 'header', 'footer', 'listtable', 'listoverridetable'];
+  const stack = [];
+  let skipping = false;
+  let output = '';
+  let i = 0;
+
+  while (i < rtf.length) {
+    const ch = rtf[i];
+
+    if (ch === '{') {
+      stack.push(skipping);
+      i++;
+      continue;
+    }
+    if (ch === '}') {
+      skipping = stack.pop() || false;
+      i++;
+      continue;
+    }
+    if (ch === '\\') {
+      const next = rtf[i + 1];
+      if (next === '\\' || next === '{' || next === '}') {
+        if (!skipping) output += next;
+        i += 2;
+        continue;
+      }
+      if (next === '*') {
+        skipping = true;
+        i += 2;
+        continue;
+      }
+      if (next === "'") {
+        if (!skipping) output += String.fromCharCode(parseInt(rtf.substr(i + 2, 2), 16));
+        i += 4;
+        continue;
+      }
+
+      const match = /^\\([a-z]+)(-?\d+)? ?/i.exec(rtf.slice(i));
+      if (!match) {
+        i++;
+        continue;
+      }
+      const [token, word, param] = match;
+      i += token.length;
+
+      if (SKIP_DESTINATIONS.includes(word)) skipping = true;
+      if (skipping) continue;
+
+      if (word === 'par' || word === 'line') output += '\n';
+      else if (word === 'tab') output += '\t';
+      else if (word === 'u' && param) {
+        const code = parseInt(param, 10);
+        output += String.fromCharCode(code < 0 ? code + 65536 : code);
+        if (rtf[i] === '?') i++; // skip the ANSI fallback character
+      }
+      continue;
+    }
+    if (ch === '\r' || ch === '\n') {
+      i++;
+      continue;
+    }
+
+    if (!skipping) output += ch;
+    i++;
+  }
+
+  return output;
+}
+
+// Keeps Markdown readable as plain text: drops heading/emphasis markers and unwraps links.
+function markdownToText(markdown) {
+  return markdown
+    .replace(/^\s{0,3}#{1,6}\s+/gm, '')
+    .replace(/!\[([^\]]*)\]\([^)]*\)/g, '$1')
+    .replace(/\[([^\]]+)\]\(([^)]+)\)/g, '$1 ($2)')
+    .replace(/(\*\*|__)(.*?)\1/g, '$2')
+    .replace(/`{1,3}([^`]*)`{1,3}/g, '$1')
+    .replace(/^\s*>\s?/gm, '');
+}
+
+const normalizeWhitespace = (text) =>
+  text
+    .replace(/\r\n?/g, '\n')
+    .replace(/[ \t]+\n/g, '\n')
+    .replace(/\n{3,}/g, '\n\n')
+    .trim();
+
+/**
+ * Extracts resume text locally where possible and only falls back to the model (`modelFallback(file, mimeType)`)
+ * for scanned PDFs, images and formats we cannot parse.
+ * Resolves { text, metadata: { method, detectedType, pageCount, warnings } }.
+ */
+class ResumeTextExtractor {
+  constructor({ modelFallback }) {
+    this.modelFallback = modelFallback;
+  }
+
+  async extract(file) {
+    if (!file) {
+      throw new Error('No resume file uploaded.');
+    }
+
+    const buffer = file.buffer || fs.readFileSync(file.path);
+    const detectedType = file.detectedType || detectFileType(buffer, file);
+    const warnings = [];
+
+    switch (detectedType) {
+      case 'pdf': {
+        const { text, pageCount } = await this.extractPdf(buffer);
+        const meaningfulChars = text.replace(/\s/g, '').length;
+        if (meaningfulChars >= MIN_CHARS_PER_PAGE * Math.max(pageCount, 1)) {
+          return this.result(text, { method: 'pdf-text-layer', detectedType, pageCount, warnings });
+        }
+        warnings.push('The PDF has little or no text layer (it may be scanned), so the AI model was used to read it.');
+        return this.fallback(file, { detectedType, pageCount, warnings });
+      }
+      case 'docx': {
+        const { value, messages } = await mammoth.extractRawText({ buffer });
+        messages
+          .filter((m) => m.type === 'warning')
+          .forEach((m) => warnings.push(m.message));
+        return this.result(value, { method: 'docx', detectedType, pageCount: null, warnings });
+      }
+      case 'rtf':
+        return this.result(rtfToText(buffer.toString('latin1')), { method: 'rtf', detectedType, pageCount: null, warnings });
+      case 'markdown':
+        return this.result(markdownToText(buffer.toString('utf8')), { method: 'markdown', detectedType, pageCount: null, warnings });
+      case 'text':
+        return this.result(buffer.toString('utf8'), { method: 'plain-text', detectedType, pageCount: null, warnings });
+      default:
+        if (IMAGE_TYPES.includes(detectedType)) {
+          warnings.push('Image uploads are read by the AI model; a text-based PDF or DOCX gives more reliable results.');
+        } else {
+          warnings.push(`Unsupported file type (${detectedType}); the AI model was used to read it.`);
+        }
+        return this.fallback(file, { detectedType, pageCount: null, warnings });
+    }
+  }
+
+  async extractPdf(buffer) {
+    const parser = new PDFParse({ data: new Uint8Array(buffer) });
+    try {
+      const result = await parser.getText({ pageJoiner: '' });
+      return { text: result.text || '', pageCount: result.total || 0 };
+    } finally {
+      await parser.destroy();
+    }
+  }
+
+  async fallback(file, metadata) {
+    const text = await this.modelFallback(file, MIME_TYPES[metadata.detectedType] || 'application/octet-stream');
+    return this.result(text, { ...metadata, method: 'model' });
+  }
+
+  result(text, metadata) {
+    const normalized = normalizeWhitespace(text || '');
+    if (!normalized) {
+      throw new Error('No text could be extracted from the uploaded file.');
+    }
+    return { text: normalized, metadata };
+  }
+}
+
+module.exports = {
+  ResumeTextExtractor,
+  detectFileType,
+  rtfToText,
+  markdownToText
+};
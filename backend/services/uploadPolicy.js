@@ -0,0 +1,154 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const multer = require('multer');
+const { detectFileType } = require('./textExtraction');
+const { cleanupFile } = require('../utils/fileUtils');
+
+// No legacy .doc: nothing here parses it and the model does not read it either.
+const DEFAULT_ALLOWED_TYPES = ['pdf', 'docx', 'rtf', 'text', 'markdown', 'png', 'jpeg'];
+const MAX_FILENAME_LENGTH = 100;
+
+class UploadError extends Error {
+  constructor(status, code, message) {
+    super(message);
+    this.name = 'UploadError';
+    this.status = status;
+    this.code = code;
+  }
+}
+
+const MULTER_ERRORS = {
+  LIMIT_FILE_SIZE: (policy) => new UploadError(413, 'FILE_TOO_LARGE', `File is too large. The maximum size is ${Math.round(policy.maxBytes / 1024 / 1024 * 10) / 10} MB.`),
+  LIMIT_FILE_COUNT: () => new UploadError(400, 'TOO_MANY_FILES', 'Upload one resume file at a time.'),
+  LIMIT_UNEXPECTED_FILE: () => new UploadError(400, 'UNEXPECTED_FIELD', 'The resume must be sent in the "file" field.'),
+  LIMIT_FIELD_COUNT: () => new UploadError(400, 'TOO_MANY_FIELDS', 'Too many form fields in the upload.'),
+  LIMIT_FIELD_VALUE: () => new UploadError(400, 'FIELD_TOO_LARGE', 'A form field in the upload is too large.')
+};
+
+// Keeps only a safe basename: no directories, control characters or shell-special characters.
+function sanitizeFilename(name = '') {
+  const base = path.basename(String(name).replace(/\\/g, '/'));
+  const ext = path.extname(base).toLowerCase().replace(/[^a-z0-9.]/g, '').slice(0, 10);
+  const stem = base
+    .slice(0, base.length - path.extname(base).length)
+    .normalize('NFKD')
+    .replace(/[^A-Za-z0-9._-]+/g, '_')
+    .replace(/^[._]+|_+$/g, '')
+    .slice(0, MAX_FILENAME_LENGTH - ext.length);
+  return `${stem || 'resume'}${ext}`;
+}
+
+/**
+ * Central upload rules for resume files: size limit, content-sniffed type allowlist,
+ * sanitized names, disk or in-memory storage, and cleanup of files left behind by crashes.
+ */
+class UploadPolicy {
+  constructor({ uploadDir, maxBytes, allowedTypes = DEFAULT_ALLOWED_TYPES, inMemory = false }) {
+    this.uploadDir = uploadDir;
+    this.maxBytes = maxBytes;
+    this.allowedTypes = allowedTypes;
+    this.inMemory = inMemory;
+
+    if (!inMemory) {
+      fs.mkdirSync(uploadDir, { recursive: true });
+    }
+
+    this.multer = multer({
+      storage: inMemory
+        ? multer.memoryStorage()
+        : multer.diskStorage({
+            destination: (_req, _file, cb) => cb(null, uploadDir),
+            // Remember where the file is going: if the body is cut off, multer errors out before req.file is set.
+            filename: (req, file, cb) => {
+              const name = `${Date.now()}-${crypto.randomUUID()}-${sanitizeFilename(file.originalname)}`;
+              req.uploadPath = path.join(uploadDir, name);
+              cb(null, name);
+            }
+          }),
+      limits: {
+        fileSize: maxBytes,
+        files: 1,
+        fields: 10,
+        fieldSize: 10 * 1024
+      }
+    });
+  }
+
+  /**
+   * Express middleware for a single-file upload. Responds with a 4xx `{ error, code }` when the upload
+   * breaks the policy; otherwise sets req.file.detectedType and replaces originalname with a sanitized one.
+   */
+  single(fieldName) {
+    const handler = this.multer.single(fieldName);
+
+    return (req, res, next) => {
+      handler(req, res, (err) => {
+        try {
+          if (err) throw this.toUploadError(err);
+          if (req.file) this.verify(req.file);
+          return next();
+        } catch (error) {
+          cleanupFile(req.file?.path || req.uploadPath);
+          if (!(error instanceof UploadError)) return next(error);
+          console.warn(`[upload] rejected code=${error.code} file=${req.file ? req.file.originalname : '-'}`);
+          return res.status(error.status).json({ error: error.message, code: error.code });
+        }
+      });
+    };
+  }
+
+  // File system failures (they carry a `syscall`) stay server errors; anything else multer or busboy raises means the
+  // request body was not a valid multipart upload ("Unexpected end of form", a missing boundary, ...).
+  toUploadError(err) {
+    if (err instanceof multer.MulterError && MULTER_ERRORS[err.code]) {
+      return MULTER_ERRORS[err.code](this);
+    }
+    if (err.syscall) return err;
+    return new UploadError(400, 'MALFORMED_UPLOAD', `The upload could not be read: ${err.message}`);
+  }
+
+  verify(file) {
+    file.originalname = sanitizeFilename(file.originalname);
+
+    if (!file.size) {
+      throw new UploadError(400, 'EMPTY_FILE', 'The uploaded file is empty.');
+    }
+
+    const buffer = file.buffer || fs.readFileSync(file.path);
+    const detectedType = detectFileType(buffer, file);
+    if (!this.allowedTypes.includes(detectedType)) {
+      throw new UploadError(415, 'UNSUPPORTED_FILE_TYPE', `Unsupported file type. Allowed types: ${this.allowedTypes.join(', ')}.`);
+    }
+    file.detectedType = detectedType;
+  }
+
+  // Deletes files older than maxAgeMs; anything that old was left behind by a crashed request.
+  sweepOrphans({ maxAgeMs = 60 * 60 * 1000 } = {}) {
+    if (this.inMemory || !fs.existsSync(this.uploadDir)) return 0;
+
+    const cutoff = Date.now() - maxAgeMs;
+    let removed = 0;
+    fs.readdirSync(this.uploadDir).forEach((name) => {
+      const filePath = path.join(this.uploadDir, name);
+      try {
+        const stat = fs.statSync(filePath);
+        if (stat.isFile() && stat.mtimeMs < cutoff) {
+          fs.unlinkSync(filePath);
+          removed++;
+        }
+      } catch (err) {
+        console.error(`[upload] Failed to sweep ${name}:`, err.message);
+      }
+    });
+    return removed;
+  }
+}
+
+UploadPolicy.DEFAULT_ALLOWED_TYPES = DEFAULT_ALLOWED_TYPES;
+
+module.exports = {
+  UploadPolicy,
+  UploadError,
+  sanitizeFilename
+};
@@ -1,11 +1,10 @@
-const axios = require('axios');
+const { coerceToSchema } = require('../utils/schemaValidator');
 
 class VertexCourseSearch {
-  constructor({ apiKey, model, schema }) {
-    this.apiKey = apiKey;
-    this.model = model || 'gemini-2.5-flash-lite';
+  constructor({ provider, schema }) {
+    this.provider = provider;
     this.schema = schema;
-    this.enabled = !!(apiKey && this.schema);
+    this.enabled = !!(provider?.isEnabled() && this.schema);
   }
 
   isEnabled() {
@@ -24,24 +23,14 @@ class VertexCourseSearch {
 
     const prompt = `Find current, real courses and certifications for the role "${role}". Prioritize reputable providers (Coursera, Udemy, Google/Grow with Google, AWS, edX, LinkedIn Learning). Use only real URLs from those providers. Include 5-8 items. Return JSON only. Skills to emphasize: ${skillsList || 'general role requirements'}.`;
 
-    const url = `https://aiplatform.googleapis.com/v1/publishers/google/models/${this.model}:generateContent?key=${encodeURIComponent(this.apiKey)}`;
-
-    const payload = {
-      contents: [{ role: "user", parts: [{ text: prompt }] }],
-      generationConfig: {
-        responseMimeType: "application/json",
-        responseSchema: this.schema
-      }
-    };
-
-    const response = await axios.post(url, payload, {
-      headers: {
-        'Content-Type': 'application/json'
-      },
+    const { text } = await this.provider.generate({
+      task: 'course-search',
+      context: { role, skills: skillsList },
+      prompt,
+      schema: this.schema,
       timeout: 20000
     });
 
-    const text = response.data?.candidates?.[0]?.content?.parts?.[0]?.text;
     if (!text) {
       throw new Error('Vertex response was empty or malformed.');
     }
@@ -53,9 +42,11 @@ class VertexCourseSearch {
       throw new Error('Failed to parse Vertex JSON response.');
     }
 
+    // Drops items missing required fields (title/provider/link, name/link)
+    const learning = coerceToSchema(parsed, this.schema);
     return {
-      courses: parsed.courses || [],
-      opportunities: parsed.opportunities || []
+      courses: learning.courses || [],
+      opportunities: learning.opportunities || []
     };
   }
 }
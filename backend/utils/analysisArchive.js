@@ -0,0 +1,113 @@
+const { validateAgainstSchema } = require('./schemaValidator');
+
+// Portable export of saved analyses, so a history can move between devices or anonymous accounts.
+// Bump ARCHIVE_VERSION whenever the envelope changes and keep reading older versions.
+
+const ARCHIVE_FORMAT = 'careerlift-analyses';
+const ARCHIVE_VERSION = 1;
+
+class ArchiveFormatError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'ArchiveFormatError';
+    this.code = 'INVALID_ARCHIVE';
+  }
+}
+
+// Firestore document ids belong to one account and are dropped on export.
+const portable = ({ id, ...analysis }) => analysis;
+
+function analysesToArchive(analyses = []) {
+  return {
+    format: ARCHIVE_FORMAT,
+    version: ARCHIVE_VERSION,
+    exportedAt: new Date().toISOString(),
+    count: analyses.length,
+    analyses: analyses.map(portable)
+  };
+}
+
+function analysesToMarkdown(analyses = []) {
+  const lines = ['# CareerLift AI analyses', '', `Exported ${new Date().toISOString()} (${analyses.length} report${analyses.length === 1 ? '' : 's'})`, ''];
+
+  analyses.forEach((a) => {
+    lines.push(`## ${a.careerGoal} – ${a.resumeScore}%`, '');
+    if (a.timestamp) lines.push(`_Analyzed ${a.timestamp}_`, '');
+    if (a.summary) lines.push(a.summary, '');
+    if (a.sectionScores) {
+      lines.push('| Section | Score |', '| --- | --- |');
+      Object.entries(a.sectionScores).forEach(([section, score]) => lines.push(`| ${section} | ${score} |`));
+      lines.push('');
+    }
+    if ((a.missingSkillDetails || []).length) {
+      lines.push('### Missing skills', '');
+      a.missingSkillDetails.forEach((gap) => lines.push(`- **${gap.skill}** (${gap.severity}): ${gap.reason}`));
+      lines.push('');
+    } else if ((a.missingSkills || []).length) {
+      lines.push('### Missing skills', '');
+      a.missingSkills.forEach((skill) => lines.push(`- ${skill}`));
+      lines.push('');
+    }
+    if ((a.presentSkills || []).length) {
+      lines.push('### Demonstrated skills', '');
+      a.presentSkills.forEach((s) => lines.push(typeof s === 'string' ? `- ${s}` : `- **${s.skill}**: "${s.evidence}"`));
+      lines.push('');
+    }
+    ['certifications', 'opportunities'].forEach((type) => {
+      const items = a.recommendations?.[type] || [];
+      if (!items.length) return;
+      lines.push(`### Recommended ${type}`, '');
+      items.forEach((item) => lines.push(`- ${item}`));
+      lines.push('');
+    });
+    if ((a.sources || []).length) {
+      lines.push('### Sources', '');
+      a.sources.forEach((s) => lines.push(`- [${s.title || s.uri}](${s.uri})`));
+      lines.push('');
+    }
+  });
+
+  return lines.join('\n');
+}
+
+/**
+ * Validates an archive produced by analysesToArchive. Envelope problems throw ArchiveFormatError; individual
+ * analyses that fail their schema (picked by `schemaVersion`, see `schemas`) are returned in `rejected` so the
+ * rest can still be imported. Returns { version, analyses, rejected: [{ index, careerGoal, errors }] }.
+ */
+function readArchive(archive, schemas) {
+  if (!archive || typeof archive !== 'object' || archive.format !== ARCHIVE_FORMAT) {
+    throw new ArchiveFormatError(`Not a CareerLift export (expected format "${ARCHIVE_FORMAT}").`);
+  }
+  if (!Number.isInteger(archive.version) || archive.version < 1 || archive.version > ARCHIVE_VERSION) {
+    throw new ArchiveFormatError(`Unsupported export version ${archive.version}; this server reads up to version ${ARCHIVE_VERSION}.`);
+  }
+  if (!Array.isArray(archive.analyses)) {
+    throw new ArchiveFormatError('The export has no analyses list.');
+  }
+
+  const analyses = [];
+  const rejected = [];
+  archive.analyses.forEach((analysis, index) => {
+    const schema = schemas[analysis?.schemaVersion || 1];
+    const errors = !schema
+      ? [`unknown schemaVersion ${analysis?.schemaVersion}`]
+      : validateAgainstSchema(analysis, schema);
+    if (typeof analysis?.careerGoal !== 'string' || !analysis.careerGoal.trim()) errors.push('$.careerGoal is required');
+    if (Number.isNaN(Date.parse(analysis?.timestamp))) errors.push('$.timestamp must be an ISO date');
+
+    if (errors.length) rejected.push({ index, careerGoal: analysis?.careerGoal || null, errors });
+    else analyses.push(portable(analysis));
+  });
+
+  return { version: archive.version, analyses, rejected };
+}
+
+module.exports = {
+  ARCHIVE_FORMAT,
+  ARCHIVE_VERSION,
+  ArchiveFormatError,
+  analysesToArchive,
+  analysesToMarkdown,
+  readArchive
+};
@@ -0,0 +1,91 @@
+// Compares two analyses (see GeminiClient.generateStructuredAnalysis) and the resume texts behind them.
+
+// Longer resumes are truncated before analysis anyway (5000 characters); this bounds the O(n*m) line diff.
+const MAX_DIFF_LINES = 400;
+
+const skillName = (skill) => (typeof skill === 'string' ? skill : skill?.skill) || '';
+
+// Items of `a` missing from `b`, compared case-insensitively.
+const without = (a = [], b = []) => {
+  const seen = new Set(b.map((item) => skillName(item).toLowerCase()));
+  return a.map(skillName).filter((item) => item && !seen.has(item.toLowerCase()));
+};
+
+const listChanges = (before = [], after = []) => ({
+  added: without(after, before),
+  removed: without(before, after)
+});
+
+/**
+ * Line-level LCS diff: [{ type: 'same' | 'removed' | 'added', text }], removals listed before additions.
+ * Blank lines and surrounding whitespace are ignored so re-pasted resumes do not show spurious changes.
+ */
+function diffLines(beforeText = '', afterText = '') {
+  const split = (text) => String(text).split('\n').map((l) => l.trim()).filter(Boolean).slice(0, MAX_DIFF_LINES);
+  const a = split(beforeText);
+  const b = split(afterText);
+
+  const lcs = Array.from({ length: a.length + 1 }, () => new Array(b.length + 1).fill(0));
+  for (let i = a.length - 1; i >= 0; i--) {
+    for (let j = b.length - 1; j >= 0; j--) {
+      lcs[i][j] = a[i] === b[j] ? lcs[i + 1][j + 1] + 1 : Math.max(lcs[i + 1][j], lcs[i][j + 1]);
+    }
+  }
+
+  const lines = [];
+  let i = 0;
+  let j = 0;
+  while (i < a.length || j < b.length) {
+    if (i < a.length && j < b.length && a[i] === b[j]) {
+      lines.push({ type: 'same', text: a[i] });
+      i++;
+      j++;
+    } else if (j >= b.length || (i < a.length && lcs[i + 1][j] >= lcs[i][j + 1])) {
+      lines.push({ type: 'removed', text: a[i] });
+      i++;
+    } else {
+      lines.push({ type: 'added', text: b[j] });
+      j++;
+    }
+  }
+  return lines;
+}
+
+/**
+ * Returns { sameGoal, scoreDelta, sectionScoreDeltas, skills, recommendations, resumeDiff }.
+ * `skills.closed` are gaps from `before` that are no longer flagged, `skills.newlyFlagged` the reverse.
+ * `resumeDiff` is null unless both resume texts are known.
+ */
+function diffAnalyses(before, after, { beforeText, afterText } = {}) {
+  const sectionScoreDeltas = before.sectionScores && after.sectionScores
+    ? Object.fromEntries(Object.keys(after.sectionScores)
+      .filter((section) => typeof before.sectionScores[section] === 'number')
+      .map((section) => [section, after.sectionScores[section] - before.sectionScores[section]]))
+    : null;
+
+  const newlyFlagged = without(after.missingSkills, before.missingSkills);
+
+  return {
+    sameGoal: String(before.careerGoal || '').trim().toLowerCase() === String(after.careerGoal || '').trim().toLowerCase(),
+    scoreDelta: (after.resumeScore ?? 0) - (before.resumeScore ?? 0),
+    sectionScoreDeltas,
+    skills: {
+      closed: without(before.missingSkills, after.missingSkills),
+      newlyFlagged,
+      stillMissing: without(after.missingSkills, newlyFlagged),
+      ...(before.presentSkills && after.presentSkills
+        ? { gained: without(after.presentSkills, before.presentSkills), lost: without(before.presentSkills, after.presentSkills) }
+        : {})
+    },
+    recommendations: {
+      certifications: listChanges(before.recommendations?.certifications, after.recommendations?.certifications),
+      opportunities: listChanges(before.recommendations?.opportunities, after.recommendations?.opportunities)
+    },
+    resumeDiff: beforeText && afterText ? diffLines(beforeText, afterText) : null
+  };
+}
+
+module.exports = {
+  diffAnalyses,
+  diffLines
+};
@@ -0,0 +1,33 @@
+const { Document, Packer, Paragraph, TextRun } = require('docx');
+
+// Export formats for a cover letter `{ greeting, paragraphs, closing, signature }` (see GeminiClient.generateCoverLetter).
+
+function coverLetterToText({ greeting, paragraphs = [], closing, signature }) {
+  return [greeting, ...paragraphs, [closing, signature].filter(Boolean).join('\n')]
+    .filter(Boolean)
+    .join('\n\n')
+    .concat('\n');
+}
+
+async function coverLetterToDocx({ greeting, paragraphs = [], closing, signature }) {
+  const body = (text) => new Paragraph({ children: [new TextRun(text)], spacing: { after: 240 } });
+
+  const doc = new Document({
+    styles: { default: { document: { run: { font: 'Calibri', size: 22 } } } },
+    sections: [
+      {
+        children: [
+          ...[greeting, ...paragraphs].filter(Boolean).map(body),
+          new Paragraph({ children: [new TextRun(closing || '')] }),
+          ...(signature ? [new Paragraph({ children: [new TextRun(signature)] })] : [])
+        ]
+      }
+    ]
+  });
+  return Packer.toBuffer(doc);
+}
+
+module.exports = {
+  coverLetterToText,
+  coverLetterToDocx
+};
@@ -0,0 +1,50 @@
+/**
+ * Minimal RFC 4180 parser: quoted fields may contain commas, newlines and doubled quotes. The first row is the
+ * header; returns one object per remaining non-empty row, keyed by the trimmed header names.
+ */
+function parseCsv(text) {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let quoted = false;
+  const input = String(text).replace(/^\uFEFF/, '');
+
+  for (let i = 0; i < input.length; i++) {
+    const char = input[i];
+    if (quoted) {
+      if (char === '"' && input[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === ',') {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && input[i + 1] === '\n') i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+  if (field || row.length) {
+    row.push(field);
+    rows.push(row);
+  }
+
+  const [header = [], ...records] = rows.filter((r) => r.some((value) => value.trim()));
+  const keys = header.map((key) => key.trim());
+  return records.map((record) => Object.fromEntries(keys.map((key, idx) => [key, (record[idx] ?? '').trim()])));
+}
+
+module.exports = {
+  parseCsv
+};
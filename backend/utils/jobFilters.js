@@ -0,0 +1,181 @@
+const crypto = require('crypto');
+const { parseSalaryRange } = require('./salary');
+
+// Filters, sort orders and cursor pagination for job search. Job stores apply the filters and sort order in their
+// queries (the patterns below are exported for SQL); the local stores and JobMatchService use the functions here.
+
+const WORK_MODES = ['remote', 'hybrid', 'onsite'];
+const SENIORITY_LEVELS = ['intern', 'entry', 'mid', 'senior', 'lead'];
+const JOB_SORTS = ['fit', 'salary', 'recency'];
+
+// Checked in order; titles that match none are mid-level.
+const SENIORITY_PATTERNS = [
+  ['intern', /\b(intern|internship|co-?op|apprentice)\b/i],
+  ['lead', /\b(lead|principal|staff|head|director|manager|vp)\b/i],
+  ['senior', /\b(senior|sr\.?|iii|iv)\b/i],
+  ['entry', /\b(junior|jr\.?|entry|graduate|associate|trainee|new grad|i)\b/i]
+];
+
+class JobQueryError extends Error {
+  constructor(message, code = 'INVALID_JOB_QUERY') {
+    super(message);
+    this.name = 'JobQueryError';
+    this.code = code;
+  }
+}
+
+// Matched against "<work_type> <location>", lower-cased, in order; anything else is onsite.
+const WORK_MODE_PATTERNS = [
+  ['hybrid', /\bhybrid\b/],
+  ['remote', /\bremote\b|work from home|\bwfh\b/]
+];
+
+const workModeOf = (job) => {
+  const text = `${job.work_type || ''} ${job.location || ''}`.toLowerCase();
+  return (WORK_MODE_PATTERNS.find(([, pattern]) => pattern.test(text)) || ['onsite'])[0];
+};
+
+const seniorityOf = (job) => (SENIORITY_PATTERNS.find(([, pattern]) => pattern.test(job.job_title || '')) || ['mid'])[0];
+
+const postedTime = (job) => {
+  const time = Date.parse(job.posted_at);
+  return Number.isNaN(time) ? null : time;
+};
+
+const salaryMidpoint = (job) => {
+  const salary = parseSalaryRange(job.salary_range);
+  return salary ? (salary.annualMin + salary.annualMax) / 2 : null;
+};
+
+const asList = (value) => (Array.isArray(value) ? value : value ? [value] : [])
+  .map((v) => String(v).trim().toLowerCase())
+  .filter(Boolean);
+
+/**
+ * Validates raw request filters into { workType: [], seniority: [], company, minSalary, sort }.
+ * Throws JobQueryError for unknown values.
+ */
+function normalizeJobFilters({ workType, seniority, company = '', minSalary, sort = 'fit' } = {}) {
+  const filters = {
+    workType: asList(workType).map((mode) => (mode === 'on-site' ? 'onsite' : mode)),
+    seniority: asList(seniority),
+    company: String(company || '').trim().toLowerCase(),
+    minSalary: minSalary === undefined || minSalary === null || minSalary === '' ? null : Number(minSalary),
+    sort: String(sort || 'fit').toLowerCase()
+  };
+
+  const unknownModes = filters.workType.filter((mode) => !WORK_MODES.includes(mode));
+  if (unknownModes.length) {
+    throw new JobQueryError(`workType must be one of: ${WORK_MODES.join(', ')}.`);
+  }
+  const unknownLevels = filters.seniority.filter((level) => !SENIORITY_LEVELS.includes(level));
+  if (unknownLevels.length) {
+    throw new JobQueryError(`seniority must be one of: ${SENIORITY_LEVELS.join(', ')}.`);
+  }
+  if (filters.minSalary !== null && (!Number.isFinite(filters.minSalary) || filters.minSalary < 0)) {
+    throw new JobQueryError('minSalary must be a non-negative number.');
+  }
+  if (!JOB_SORTS.includes(filters.sort)) {
+    throw new JobQueryError(`sort must be one of: ${JOB_SORTS.join(', ')}.`);
+  }
+  return filters;
+}
+
+// Per-value counts over the unfiltered list, so the UI can show "Remote (12)" next to each option.
+function jobFacets(jobs) {
+  const count = (values, of) => Object.fromEntries(values.map((value) => [value, jobs.filter((job) => of(job) === value).length]));
+  return {
+    workType: count(WORK_MODES, workModeOf),
+    seniority: count(SENIORITY_LEVELS, seniorityOf)
+  };
+}
+
+/**
+ * Turns grouped counts from a store query, [{ work_mode, seniority, jobs, matching }] where `jobs` counts the search
+ * matches and `matching` those that also pass the filters, into { total, facets } (facets as in jobFacets).
+ */
+function countsFromGroups(groups) {
+  const facets = {
+    workType: Object.fromEntries(WORK_MODES.map((mode) => [mode, 0])),
+    seniority: Object.fromEntries(SENIORITY_LEVELS.map((level) => [level, 0]))
+  };
+  let total = 0;
+  groups.forEach((group) => {
+    facets.workType[group.work_mode] += Number(group.jobs);
+    facets.seniority[group.seniority] += Number(group.jobs);
+    total += Number(group.matching);
+  });
+  return { total, facets };
+}
+
+/**
+ * Orders jobs for a sort other than fit: highest salary midpoint (see parseSalaryRange) or newest posted_at first.
+ * Jobs without a value go last and the fit order is kept among equals.
+ */
+function sortJobs(jobs, sort) {
+  const by = { salary: salaryMidpoint, recency: postedTime }[sort];
+  if (!by) return jobs;
+
+  return jobs
+    .map((job, index) => ({ job, value: by(job), index }))
+    .sort((a, b) => (a.value === null) - (b.value === null) || (b.value ?? 0) - (a.value ?? 0) || a.index - b.index)
+    .map(({ job }) => job);
+}
+
+/**
+ * Applies normalized filters and the sort order. `minSalary` is compared with the top of each annualized range
+ * (see parseSalaryRange), so jobs without a readable salary are dropped while it is set.
+ */
+function filterAndSortJobs(jobs, { workType, seniority, company, minSalary, sort }) {
+  const filtered = jobs.filter((job) => (!workType.length || workType.includes(workModeOf(job)))
+    && (!seniority.length || seniority.includes(seniorityOf(job)))
+    && (!company || String(job.company || '').toLowerCase().includes(company))
+    && (minSalary === null || (parseSalaryRange(job.salary_range)?.annualMax ?? -1) >= minSalary));
+  return sortJobs(filtered, sort);
+}
+
+// Cursors are opaque: an offset bound to a hash of the query that produced it.
+const queryHash = (query) => crypto.createHash('sha256').update(JSON.stringify(query)).digest('base64url').slice(0, 16);
+
+/**
+ * Returns { jobs, nextCursor } for one page. Throws JobQueryError (code INVALID_CURSOR) when the cursor is
+ * malformed or was issued for a different query.
+ */
+function paginateJobs(jobs, { query, cursor, limit }) {
+  const hash = queryHash(query);
+  let offset = 0;
+
+  if (cursor) {
+    try {
+      const decoded = JSON.parse(Buffer.from(String(cursor), 'base64url').toString('utf8'));
+      if (decoded.q !== hash || !Number.isInteger(decoded.o) || decoded.o < 0) throw new Error('mismatch');
+      offset = decoded.o;
+    } catch {
+      throw new JobQueryError('cursor is invalid or belongs to a different search; start again without it.', 'INVALID_CURSOR');
+    }
+  }
+
+  const next = offset + limit;
+  return {
+    jobs: jobs.slice(offset, next),
+    nextCursor: next < jobs.length ? Buffer.from(JSON.stringify({ o: next, q: hash })).toString('base64url') : null
+  };
+}
+
+module.exports = {
+  WORK_MODES,
+  SENIORITY_LEVELS,
+  JOB_SORTS,
+  WORK_MODE_PATTERNS,
+  SENIORITY_PATTERNS,
+  JobQueryError,
+  workModeOf,
+  seniorityOf,
+  postedTime,
+  normalizeJobFilters,
+  jobFacets,
+  countsFromGroups,
+  sortJobs,
+  filterAndSortJobs,
+  paginateJobs
+};
@@ -0,0 +1,122 @@
+// Literal skill matching for job search: tokenizes a job's skills column, folds synonyms onto one canonical
+// name and scores how many of the job's skills the candidate already has. User text is never used as a pattern.
+
+// Each group lists one canonical name first, then the spellings that mean the same skill.
+const SKILL_SYNONYMS = [
+  ['javascript', 'js', 'ecmascript', 'es6'],
+  ['typescript', 'ts'],
+  ['node.js', 'nodejs', 'node'],
+  ['react', 'react.js', 'reactjs'],
+  ['vue', 'vue.js', 'vuejs'],
+  ['angular', 'angularjs', 'angular.js'],
+  ['python', 'python3', 'python 3'],
+  ['golang', 'go'],
+  ['c#', 'csharp', 'c sharp'],
+  ['c++', 'cpp'],
+  ['.net', 'dotnet', 'asp.net'],
+  ['postgresql', 'postgres'],
+  ['sql', 'structured query language'],
+  ['nosql', 'no-sql'],
+  ['mongodb', 'mongo'],
+  ['aws', 'amazon web services'],
+  ['gcp', 'google cloud', 'google cloud platform'],
+  ['azure', 'microsoft azure'],
+  ['kubernetes', 'k8s'],
+  ['ci/cd', 'cicd', 'continuous integration', 'continuous delivery', 'continuous deployment'],
+  ['cloud deployment', 'cloud deployments', 'cloud computing'],
+  ['machine learning', 'ml'],
+  ['deep learning', 'dl'],
+  ['artificial intelligence', 'ai'],
+  ['natural language processing', 'nlp'],
+  ['mlops', 'ml ops'],
+  ['rest apis', 'rest api', 'rest', 'restful apis', 'restful'],
+  ['testing', 'unit testing', 'automated testing', 'test automation', 'qa'],
+  ['ux', 'user experience', 'ux design'],
+  ['ui', 'user interface', 'ui design'],
+  ['excel', 'microsoft excel', 'ms excel'],
+  ['power bi', 'powerbi'],
+  ['statistics', 'statistical analysis'],
+  ['data visualization', 'data viz'],
+  ['communication', 'communication skills'],
+  ['project management', 'pm']
+];
+
+const CANONICAL = new Map(SKILL_SYNONYMS.flatMap(([canonical, ...aliases]) =>
+  [canonical, ...aliases].map((name) => [name, canonical])));
+
+// "CI/CD" keeps its slash; commas, semicolons, pipes, bullets and newlines separate skills.
+const SKILL_SEPARATOR = /[,;|•\n]+/;
+
+const normalizeSkill = (value) => String(value ?? '')
+  .toLowerCase()
+  .replace(/\s+/g, ' ')
+  .replace(/^[\s"'([-]+|[\s"').\]:]+$/g, '')
+  .trim();
+
+const canonicalSkill = (value) => {
+  const skill = normalizeSkill(value);
+  return CANONICAL.get(skill) || skill;
+};
+
+// Every spelling of a skill, for literal pre-filtering in a job store.
+const skillVariants = (value) => {
+  const canonical = canonicalSkill(value);
+  const group = SKILL_SYNONYMS.find(([name]) => name === canonical);
+  return group ? [...group] : [canonical];
+};
+
+/**
+ * Splits a skills column (string or array) into unique canonical skills, keeping the job's wording for display:
+ * [{ key, label }].
+ */
+function tokenizeSkills(value) {
+  const parts = Array.isArray(value) ? value : String(value ?? '').split(SKILL_SEPARATOR);
+  const seen = new Set();
+  return parts
+    .map((part) => ({ key: canonicalSkill(part), label: String(part).trim() }))
+    .filter(({ key }) => key && !seen.has(key) && seen.add(key));
+}
+
+/**
+ * Scores one job against the candidate's skills. `fitScore` is the share of the job's listed skills the candidate
+ * has (0-100); jobs that list no skills score 0. Skill names come back in the job's own wording.
+ */
+function scoreJob(row, candidateSkills) {
+  const have = new Set(candidateSkills.map(canonicalSkill).filter(Boolean));
+  const jobSkills = tokenizeSkills(row.skills);
+  const matchedSkills = jobSkills.filter(({ key }) => have.has(key)).map(({ label }) => label);
+  const missingSkills = jobSkills.filter(({ key }) => !have.has(key)).map(({ label }) => label);
+  return {
+    fitScore: jobSkills.length ? Math.round((matchedSkills.length / jobSkills.length) * 100) : 0,
+    matchedSkills,
+    missingSkills
+  };
+}
+
+/**
+ * Scores and orders jobs: highest fit first, then more matched skills, then titles containing `jobTitle`,
+ * then the store's order. Returns the rows with { fitScore, matchedSkills, missingSkills } added.
+ */
+function rankJobs(rows, { skills = [], jobTitle = '' } = {}) {
+  const title = normalizeSkill(jobTitle);
+  return rows
+    .map((row, index) => ({
+      row: { ...row, ...scoreJob(row, skills) },
+      titleMatch: !!title && normalizeSkill(row.job_title).includes(title),
+      index
+    }))
+    .sort((a, b) => b.row.fitScore - a.row.fitScore
+      || b.row.matchedSkills.length - a.row.matchedSkills.length
+      || Number(b.titleMatch) - Number(a.titleMatch)
+      || a.index - b.index)
+    .map(({ row }) => row);
+}
+
+module.exports = {
+  SKILL_SYNONYMS,
+  canonicalSkill,
+  skillVariants,
+  tokenizeSkills,
+  scoreJob,
+  rankJobs
+};
@@ -0,0 +1,33 @@
+const fs = require('fs');
+const path = require('path');
+
+function readJsonFile(filePath, fallback) {
+  if (!filePath || !fs.existsSync(filePath)) return fallback;
+  try {
+    return JSON.parse(fs.readFileSync(filePath, 'utf8'));
+  } catch (err) {
+    console.error(`[json-store] Failed to read ${filePath}:`, err.message);
+    return fallback;
+  }
+}
+
+// Write to a temp file first so a crash mid-write never leaves a truncated store behind.
+function writeJsonFile(filePath, data) {
+  fs.mkdirSync(path.dirname(filePath), { recursive: true });
+  const tmpPath = `${filePath}.${process.pid}.tmp`;
+  fs.writeFileSync(tmpPath, JSON.stringify(data, null, 2));
+  fs.renameSync(tmpPath, filePath);
+}
+
+// Renames an unreadable store to `<file>.corrupt-<timestamp>` so it can be recovered by hand; returns the new path.
+function moveAsideCorruptFile(filePath) {
+  const target = `${filePath}.corrupt-${new Date().toISOString().replace(/[:.]/g, '-')}`;
+  fs.renameSync(filePath, target);
+  return target;
+}
+
+module.exports = {
+  readJsonFile,
+  writeJsonFile,
+  moveAsideCorruptFile
+};
@@ -0,0 +1,109 @@
+// Deterministic keyword extraction for job descriptions, used to ground the fit analysis and to
+// highlight matched/missing terms without trusting the model to count them.
+
+const STOP_WORDS = new Set([
+  'a', 'about', 'across', 'after', 'all', 'also', 'an', 'and', 'any', 'are', 'as', 'at', 'be', 'been', 'both', 'but', 'by',
+  'can', 'do', 'each', 'etc', 'for', 'from', 'has', 'have', 'how', 'if', 'in', 'into', 'is', 'it', 'its', 'like', 'may',
+  'more', 'most', 'must', 'new', 'no', 'not', 'of', 'on', 'or', 'other', 'our', 'out', 'over', 'per', 'should', 'so',
+  'such', 'than', 'that', 'the', 'their', 'them', 'then', 'there', 'these', 'they', 'this', 'those', 'through', 'to',
+  'up', 'us', 'use', 'using', 'very', 'was', 'we', 'well', 'were', 'what', 'when', 'where', 'which', 'while', 'who',
+  'will', 'with', 'within', 'would', 'you', 'your',
+  // Generic job-posting vocabulary that says nothing about fit.
+  'ability', 'able', 'applicant', 'applicants', 'apply', 'benefits', 'bonus', 'candidate', 'candidates', 'company',
+  'environment', 'equivalent', 'excellent', 'experience', 'experienced', 'familiarity', 'good', 'great', 'help', 'ideal',
+  'including', 'job', 'join', 'knowledge', 'looking', 'opportunity', 'plus', 'position', 'preferred', 'proficiency',
+  'proficient', 'proven', 'qualifications', 'related', 'required', 'requirements', 'responsibilities', 'role', 'skills',
+  'solid', 'strong', 'team', 'teams', 'understanding', 'work', 'working', 'year', 'years',
+  // Action verbs that open bullets ("Write SQL queries") and would otherwise start a phrase.
+  'automate', 'build', 'collaborate', 'create', 'deliver', 'develop', 'drive', 'implement', 'lead', 'maintain', 'manage',
+  'own', 'partner', 'present', 'support', 'write'
+]);
+
+// Keeps tech tokens intact: "C++", "C#", "Node.js", "CI/CD", "full-stack".
+const TOKEN_PATTERN = /[A-Za-z][A-Za-z0-9+#./-]*[A-Za-z0-9+#]|[A-Za-z]/g;
+const MAX_PHRASE_WORDS = 3;
+
+const isTechnical = (token) => /[0-9+#./]/.test(token) || /^[A-Z]{2,}$/.test(token);
+const isCapitalized = (token) => /^[A-Z]/.test(token);
+
+// True when the token opens a line, bullet or sentence, where capitalization says nothing.
+const startsSentence = (text, index) => /(^|[\n.!?:;•*-])\s*$/.test(text.slice(Math.max(0, index - 3), index));
+
+const escapeRegExp = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+const containsTerm = (text, term) => new RegExp(`(?<![A-Za-z0-9])${escapeRegExp(term)}(?![A-Za-z0-9+#])`, 'i').test(text);
+
+/**
+ * Returns up to `maxKeywords` skill-like terms from a job description, most frequent first:
+ * capitalized phrases ("Machine Learning"), technical tokens ("SQL", "Node.js") and any other
+ * non-generic word that appears at least twice.
+ */
+function extractKeywords(jobDescription = '', { maxKeywords = 25 } = {}) {
+  const text = String(jobDescription);
+  const candidates = new Map();
+  const add = (term, weight, position) => {
+    const key = term.toLowerCase();
+    const existing = candidates.get(key);
+    if (existing) existing.count += weight;
+    else candidates.set(key, { term, count: weight, position });
+  };
+
+  let run = [];
+  const flushRun = () => {
+    if (run.length >= 2 && run.length <= MAX_PHRASE_WORDS) {
+      add(run.map((t) => t.token).join(' '), 2, run[0].index);
+    }
+    run = [];
+  };
+
+  let previousEnd = 0;
+  for (const match of text.matchAll(TOKEN_PATTERN)) {
+    const token = match[0];
+    const lower = token.toLowerCase();
+    const adjacent = /^[ \t]*$/.test(text.slice(previousEnd, match.index));
+    previousEnd = match.index + token.length;
+
+    if (STOP_WORDS.has(lower) || (lower.length < 2 && !isTechnical(token))) {
+      flushRun();
+      continue;
+    }
+
+    if (!adjacent) flushRun();
+    if (isCapitalized(token)) run.push({ token, index: match.index });
+    else flushRun();
+
+    const signalsSkill = isTechnical(token) || (isCapitalized(token) && !startsSentence(text, match.index));
+    add(token, signalsSkill ? 1.5 : 1, match.index);
+  }
+  flushRun();
+
+  const phrases = [...candidates.values()].filter((c) => c.term.includes(' ') && c.count >= 2);
+  const inPhrase = (term) => phrases.some((p) => containsTerm(p.term, term));
+
+  return [...candidates.values()]
+    .filter((c) => c.term.includes(' ') ? c.count >= 2 : c.count >= 1.5 && !inPhrase(c.term))
+    .sort((a, b) => b.count - a.count || a.position - b.position)
+    .slice(0, maxKeywords)
+    .map((c) => c.term);
+}
+
+/**
+ * Splits the job description's keywords into those the resume mentions and those it does not.
+ * `coverage` is the matched share as a 0-100 integer.
+ */
+function keywordCoverage(resumeText = '', jobDescription = '', options) {
+  const keywords = extractKeywords(jobDescription, options);
+  const matched = keywords.filter((k) => containsTerm(resumeText, k));
+  const missing = keywords.filter((k) => !matched.includes(k));
+  return {
+    coverage: keywords.length ? Math.round((matched.length / keywords.length) * 100) : 0,
+    matched,
+    missing
+  };
+}
+
+module.exports = {
+  extractKeywords,
+  keywordCoverage,
+  containsTerm
+};
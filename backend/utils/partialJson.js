@@ -0,0 +1,48 @@
+// Returns the top-level fields of a (possibly incomplete) JSON object whose values have been fully received.
+// Used to surface analysis fields while the model is still streaming the rest of the object.
+function completedTopLevelFields(text = '') {
+  const fields = {};
+  let depth = 0;
+  let inString = false;
+  let escaped = false;
+  let segmentStart = -1;
+
+  const addSegment = (start, end) => {
+    if (start < 0) return;
+    try {
+      Object.assign(fields, JSON.parse(`{${text.slice(start, end)}}`));
+    } catch {
+      // segment was not a complete "key": value pair
+    }
+  };
+
+  for (let i = 0; i < text.length; i++) {
+    const ch = text[i];
+
+    if (inString) {
+      if (escaped) escaped = false;
+      else if (ch === '\\') escaped = true;
+      else if (ch === '"') inString = false;
+      continue;
+    }
+
+    if (ch === '"') {
+      inString = true;
+    } else if (ch === '{' || ch === '[') {
+      depth++;
+      if (depth === 1) segmentStart = i + 1;
+    } else if (ch === '}' || ch === ']') {
+      if (depth === 1) addSegment(segmentStart, i);
+      depth--;
+    } else if (ch === ',' && depth === 1) {
+      addSegment(segmentStart, i);
+      segmentStart = i + 1;
+    }
+  }
+
+  return fields;
+}
+
+module.exports = {
+  completedTopLevelFields
+};
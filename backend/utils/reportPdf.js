@@ -0,0 +1,183 @@
+const PDFDocument = require('pdfkit');
+
+// Printable career report for advisor appointments: analysis (see GeminiClient.generateStructuredAnalysis),
+// live courses/opportunities, job matches and grounding sources.
+
+const BRAND = {
+  name: 'CareerLift AI',
+  primary: '#6d28d9',
+  accent: '#0891b2',
+  muted: '#6b7280',
+  text: '#111827'
+};
+
+const SECTION_LABELS = {
+  experience: 'Experience',
+  skills: 'Skills',
+  education: 'Education',
+  projects: 'Projects',
+  formatting: 'Formatting / ATS',
+  impact: 'Impact'
+};
+
+const MARGIN = 50;
+
+// The built-in PDF fonts only cover Latin-1 plus a few typographic marks; replace what they cannot draw.
+const printable = (value) => String(value ?? '')
+  .replace(/[→⇒]/g, '->')
+  .replace(/[^\x09\x0A\x20-\xFF–—‘’“”•…€]/g, '');
+
+const scoreColor = (score) => (score >= 80 ? '#059669' : score >= 60 ? '#d97706' : '#dc2626');
+
+function renderReport(doc, { analysis, courses = [], opportunities = [], jobs = [], sources = [], generatedAt }) {
+  const width = doc.page.width - MARGIN * 2;
+
+  const heading = (text) => {
+    if (doc.y > doc.page.height - 140) doc.addPage();
+    doc.moveDown(0.8);
+    doc.font('Helvetica-Bold').fontSize(14).fillColor(BRAND.primary).text(printable(text));
+    doc.moveTo(MARGIN, doc.y + 2).lineTo(MARGIN + width, doc.y + 2).lineWidth(0.5).strokeColor(BRAND.primary).stroke();
+    doc.moveDown(0.5);
+  };
+
+  const paragraph = (text, { color = BRAND.text, size = 10, font = 'Helvetica' } = {}) => {
+    doc.font(font).fontSize(size).fillColor(color).text(printable(text), { width });
+  };
+
+  const bullet = (title, detail, link) => {
+    doc.font('Helvetica-Bold').fontSize(10).fillColor(BRAND.text).text(`•  ${printable(title)}`, { width });
+    if (detail) doc.font('Helvetica').fontSize(9).fillColor(BRAND.muted).text(printable(detail), { indent: 12, width: width - 12 });
+    if (link) doc.font('Helvetica').fontSize(8).fillColor(BRAND.accent).text(printable(link), { indent: 12, width: width - 12, link, underline: false });
+    doc.moveDown(0.3);
+  };
+
+  const none = (text) => paragraph(text, { color: BRAND.muted, size: 9 });
+
+  const bar = (label, score) => {
+    const y = doc.y;
+    doc.font('Helvetica').fontSize(9).fillColor(BRAND.text).text(printable(label), MARGIN, y, { width: 120 });
+    doc.rect(MARGIN + 125, y + 1, width - 165, 8).fill('#e5e7eb');
+    doc.rect(MARGIN + 125, y + 1, ((width - 165) * Math.max(0, Math.min(100, score))) / 100, 8).fill(scoreColor(score));
+    doc.fillColor(BRAND.text).text(`${score}`, MARGIN + width - 30, y, { width: 30, align: 'right' });
+    doc.x = MARGIN;
+    doc.y = y + 14;
+  };
+
+  // Branded header band
+  doc.rect(0, 0, doc.page.width, 80).fill(BRAND.primary);
+  doc.font('Helvetica-Bold').fontSize(22).fillColor('#ffffff').text(BRAND.name, MARGIN, 24);
+  doc.font('Helvetica').fontSize(11).fillColor('#ede9fe').text('Career Report', MARGIN, 50);
+  doc.fontSize(9).text(`Generated ${generatedAt.toISOString().replace('T', ' ').slice(0, 16)} UTC`, MARGIN, 52, { width, align: 'right' });
+  doc.x = MARGIN;
+  doc.y = 100;
+
+  paragraph(`Target role: ${analysis.careerGoal}`, { font: 'Helvetica-Bold', size: 13 });
+  // The timestamp comes from the client, so an unreadable one is left out rather than failing the report.
+  const analyzedAt = analysis.timestamp ? new Date(analysis.timestamp).getTime() : NaN;
+  if (!Number.isNaN(analyzedAt)) {
+    paragraph(`Analysis run ${new Date(analyzedAt).toISOString().slice(0, 10)}`, { color: BRAND.muted, size: 9 });
+  }
+
+  heading('Resume score');
+  doc.font('Helvetica-Bold').fontSize(36).fillColor(scoreColor(analysis.resumeScore)).text(`${analysis.resumeScore}%`);
+  if (analysis.sectionScores) {
+    doc.moveDown(0.3);
+    Object.entries(SECTION_LABELS)
+      .filter(([key]) => typeof analysis.sectionScores[key] === 'number')
+      .forEach(([key, label]) => bar(label, analysis.sectionScores[key]));
+  }
+
+  heading('Summary');
+  paragraph(analysis.summary || 'No summary available.');
+
+  heading('Skills to build');
+  const details = analysis.missingSkillDetails || [];
+  if (details.length) {
+    details.forEach((gap) => bullet(`${gap.skill} (${gap.severity})`, gap.reason));
+  } else if ((analysis.missingSkills || []).length) {
+    analysis.missingSkills.forEach((skill) => bullet(skill));
+  } else {
+    none('No missing skills were flagged.');
+  }
+
+  if ((analysis.presentSkills || []).length) {
+    heading('Demonstrated skills');
+    paragraph(analysis.presentSkills.map((s) => (typeof s === 'string' ? s : s.skill)).join(', '));
+  }
+
+  heading('Recommendations');
+  paragraph('Certifications', { font: 'Helvetica-Bold', size: 11 });
+  (analysis.recommendations?.certifications || []).forEach((cert) => bullet(cert));
+  doc.moveDown(0.3);
+  paragraph('Real-world opportunities', { font: 'Helvetica-Bold', size: 11 });
+  (analysis.recommendations?.opportunities || []).forEach((opp) => bullet(opp));
+
+  heading('Live courses');
+  if (courses.length) {
+    courses.forEach((c) => bullet(c.title, [c.provider, c.duration, c.cost].filter(Boolean).join(' • '), c.link));
+  } else {
+    none('No live courses were available when this report was generated.');
+  }
+  if (opportunities.length) {
+    doc.moveDown(0.3);
+    paragraph('Live opportunities', { font: 'Helvetica-Bold', size: 11 });
+    opportunities.forEach((o) => bullet(o.name, [o.difficulty, o.description].filter(Boolean).join(' • '), o.link));
+  }
+
+  heading('Job matches');
+  if (jobs.length) {
+    jobs.forEach((job) => bullet(
+      [job.job_title, job.company].filter(Boolean).join(' at '),
+      [typeof job.fitScore === 'number' && `${job.fitScore}% fit`, job.location, job.work_type, job.salary_range].filter(Boolean).join(' • ')
+    ));
+  } else {
+    none('No job matches were available when this report was generated.');
+  }
+
+  heading('Sources');
+  if (sources.length) {
+    sources.forEach((s) => bullet(s.title || s.uri, null, s.uri));
+  } else {
+    none("No web sources were cited; the advice is based on the model's general knowledge.");
+  }
+}
+
+/**
+ * Renders the report and resolves with the PDF as a Buffer. Every page gets a branded footer with the page number.
+ */
+function careerReportToPdf(report) {
+  return new Promise((resolve, reject) => {
+    const doc = new PDFDocument({
+      size: 'LETTER',
+      margin: MARGIN,
+      bufferPages: true,
+      info: { Title: `${BRAND.name} Career Report – ${printable(report.analysis.careerGoal)}`, Author: BRAND.name }
+    });
+    const chunks = [];
+    doc.on('data', (chunk) => chunks.push(chunk));
+    doc.on('end', () => resolve(Buffer.concat(chunks)));
+    doc.on('error', reject);
+
+    try {
+      renderReport(doc, { generatedAt: new Date(), ...report });
+
+      const { start, count } = doc.bufferedPageRange();
+      for (let i = start; i < start + count; i++) {
+        doc.switchToPage(i);
+        // Writing inside the bottom margin would otherwise trigger an automatic page break.
+        const bottom = doc.page.margins.bottom;
+        doc.page.margins.bottom = 0;
+        doc.font('Helvetica').fontSize(8).fillColor(BRAND.muted)
+          .text(`${BRAND.name} • Page ${i + 1} of ${count}`, MARGIN, doc.page.height - 35, { width: doc.page.width - MARGIN * 2, align: 'center' });
+        doc.page.margins.bottom = bottom;
+      }
+      doc.end();
+    } catch (error) {
+      reject(error);
+    }
+  });
+}
+
+module.exports = {
+  careerReportToPdf
+};
@@ -0,0 +1,116 @@
+const crypto = require('crypto');
+
+// Export formats for a roadmap produced by RoadmapPlanner.plan (items, weeks and milestones keyed to startDate).
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const weekStart = (startDate, week) => new Date(Date.parse(`${startDate}T00:00:00Z`) + (week - 1) * 7 * DAY_MS);
+const icsDate = (date) => date.toISOString().slice(0, 10).replace(/-/g, '');
+const icsText = (value = '') => String(value).replace(/\\/g, '\\\\').replace(/;/g, '\\;').replace(/,/g, '\\,').replace(/\r?\n/g, '\\n');
+
+// RFC 5545 caps content lines at 75 octets; continuation lines start with a space.
+const foldLine = (line) => {
+  const chunks = [];
+  let rest = line;
+  while (Buffer.byteLength(rest) > 75) {
+    let cut = 74;
+    while (Buffer.byteLength(rest.slice(0, cut)) > 74) cut--;
+    chunks.push(rest.slice(0, cut));
+    rest = rest.slice(cut);
+  }
+  chunks.push(rest);
+  return chunks.join('\r\n ');
+};
+
+/**
+ * All-day events: one spanning the weeks of each roadmap item, one on the day of each milestone.
+ * UIDs are derived from the roadmap contents so re-importing an unchanged plan updates instead of duplicating.
+ */
+function roadmapToICalendar({ careerGoal, startDate, items = [], milestones = [] }) {
+  const stamp = `${new Date().toISOString().replace(/[-:]/g, '').slice(0, 15)}Z`;
+  const uid = (...parts) => `${crypto.createHash('sha1').update([careerGoal, startDate, ...parts].join('|')).digest('hex').slice(0, 16)}@roadmap.careerlift.ai`;
+
+  const event = ({ id, start, end, summary, description, url }) => [
+    'BEGIN:VEVENT',
+    `UID:${id}`,
+    `DTSTAMP:${stamp}`,
+    `DTSTART;VALUE=DATE:${icsDate(start)}`,
+    `DTEND;VALUE=DATE:${icsDate(end)}`,
+    `SUMMARY:${icsText(summary)}`,
+    ...(description ? [`DESCRIPTION:${icsText(description)}`] : []),
+    ...(url ? [`URL:${url}`] : []),
+    'END:VEVENT'
+  ];
+
+  const lines = [
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    'PRODID:-//CareerLift AI//Learning Roadmap//EN',
+    'CALSCALE:GREGORIAN',
+    `X-WR-CALNAME:${icsText(`Learning roadmap: ${careerGoal || 'career goal'}`)}`,
+    ...items.flatMap((item) => event({
+      id: uid('item', item.id, item.title),
+      start: weekStart(startDate, item.startWeek),
+      end: weekStart(startDate, item.endWeek + 1),
+      summary: item.title,
+      description: [`Skill: ${item.skill}`, `About ${item.hours} hours`, item.costLabel && `Cost: ${item.costLabel}`, item.link].filter(Boolean).join('\n'),
+      url: item.link
+    })),
+    ...milestones.flatMap((m) => {
+      const day = new Date(Date.parse(`${m.date}T00:00:00Z`));
+      return event({
+        id: uid('milestone', m.week, m.title),
+        start: day,
+        end: new Date(day.getTime() + DAY_MS),
+        summary: `Milestone: ${m.title}`
+      });
+    }),
+    'END:VCALENDAR'
+  ];
+  return `${lines.map(foldLine).join('\r\n')}\r\n`;
+}
+
+function roadmapToMarkdown({ careerGoal, hoursPerWeek, budget, startDate, totalWeeks, totalHours, estimatedCost, items = [], weeks = [], milestones = [], skipped = [] }) {
+  const byId = new Map(items.map((item) => [item.id, item]));
+  const lines = [
+    `# Learning roadmap: ${careerGoal || 'career goal'}`,
+    '',
+    `- Start: ${startDate}`,
+    `- Pace: ${hoursPerWeek} hours per week`,
+    `- Budget: ${budget === null || budget === undefined ? 'no limit' : `$${budget}`}`,
+    `- Length: ${totalWeeks} weeks, about ${totalHours} hours`,
+    `- Estimated cost: $${estimatedCost}`,
+    '',
+    '## Plan',
+    ''
+  ];
+
+  weeks.forEach((week) => {
+    lines.push(`### Week ${week.week} (${week.startDate} to ${week.endDate})`, '');
+    week.tasks.forEach((task) => {
+      const item = byId.get(task.itemId);
+      const title = item?.link ? `[${task.title}](${item.link})` : task.title;
+      lines.push(`- [ ] ${title} (${task.hours} h)`);
+    });
+    lines.push('');
+  });
+
+  if (milestones.length) {
+    lines.push('## Milestones', '');
+    milestones.forEach((m) => lines.push(`- [ ] Week ${m.week} (${m.date}): ${m.title}`));
+    lines.push('');
+  }
+
+  if (skipped.length) {
+    lines.push('## Left out', '');
+    skipped.forEach((s) => lines.push(`- ${s.title}: ${s.reason}`));
+    lines.push('');
+  }
+
+  return lines.join('\n');
+}
+
+module.exports = {
+  roadmapToICalendar,
+  roadmapToMarkdown
+};
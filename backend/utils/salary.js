@@ -0,0 +1,107 @@
+// Parses free-text salary_range values ("$75,000 - $95,000", "£40k–£50k", "$35 - $45 per hour") into numbers.
+// Benefits after the pay are ignored: "Up to $120k + 401k" and "$100,000 plus 401k" read as 120,000 and 100,000.
+
+const CURRENCY_SYMBOLS = [
+  ['CA$', 'CAD'],
+  ['C$', 'CAD'],
+  ['A$', 'AUD'],
+  ['US$', 'USD'],
+  ['$', 'USD'],
+  ['£', 'GBP'],
+  ['€', 'EUR'],
+  ['₹', 'INR'],
+  ['¥', 'JPY']
+];
+const CURRENCY_CODES = ['USD', 'CAD', 'AUD', 'GBP', 'EUR', 'INR', 'JPY', 'CHF', 'SGD', 'NZD'];
+
+// How many of each period make a working year (40 h weeks, 52 weeks). The "/ month" forms take no leading \b,
+// which would fail between the space and the slash in "$4,500 / month".
+const PERIODS = [
+  ['hour', /\b(per hour|an hour|hourly|p\/?h)\b|\/\s*h(ou)?r\b/i, 2080],
+  ['day', /\b(per day|a day|daily)\b|\/\s*day\b/i, 260],
+  ['week', /\b(per week|a week|weekly)\b|\/\s*w(ee)?k\b/i, 52],
+  ['month', /\b(per month|a month|monthly)\b|\/\s*mo(nth)?\b/i, 12],
+  ['year', /\b(per year|a year|annual(ly)?|per annum|p\.?a\.?|yearly)\b|\/\s*y(ea)?r\b/i, 1]
+];
+
+// A k/m suffix must end the word, so "3.500 monthly" is not read as millions.
+const AMOUNT_PATTERN = /(\d{1,3}(?:[,.\s]\d{3})+|\d+(?:\.\d+)?)\s*(?:([kKmM])(?![A-Za-z]))?(?![\d])/g;
+
+// Everything from the first "+" or "plus" on lists extras, and "401(k)" names a retirement plan, not an amount.
+const EXTRAS_PATTERN = /(\+|\bplus\b)[\s\S]*$/i;
+const RETIREMENT_PLAN_PATTERN = /\b401\s*\(?k\)?/gi;
+
+const payText = (text) => text.replace(EXTRAS_PATTERN, ' ').replace(RETIREMENT_PLAN_PATTERN, ' ');
+
+const detectCurrency = (text) => {
+  const code = CURRENCY_CODES.find((c) => new RegExp(`\\b${c}\\b`, 'i').test(text));
+  if (code) return code;
+  const symbol = CURRENCY_SYMBOLS.find(([s]) => text.includes(s));
+  return symbol ? symbol[1] : null;
+};
+
+const toNumber = (digits, suffix) => {
+  // "75,000", "75.000" and "75 000" are thousands separators; "42.50" is a decimal.
+  const plain = /[,.\s]\d{3}$/.test(digits) && !/^\d+\.\d{1,2}$/.test(digits)
+    ? digits.replace(/[,.\s]/g, '')
+    : digits;
+  const value = parseFloat(plain);
+  if (!suffix) return value;
+  return value * (suffix.toLowerCase() === 'k' ? 1e3 : 1e6);
+};
+
+/**
+ * Returns { min, max, currency, period, annualMin, annualMax } or null when the text holds no amount.
+ * A single amount gives min === max. Without an explicit period, amounts under 1,000 are read as hourly
+ * and larger ones as yearly; `currency` is an ISO code or null when the text names none.
+ */
+function parseSalaryRange(text) {
+  if (text === null || text === undefined) return null;
+  const value = payText(String(text));
+  const parts = [...value.matchAll(AMOUNT_PATTERN)]
+    .map((m) => ({ digits: m[1], suffix: m[2], value: toNumber(m[1]) }))
+    .filter((part) => Number.isFinite(part.value) && part.value > 0)
+    .slice(0, 2);
+  if (!parts.length) return null;
+
+  // "80-100k": a suffix written only on the upper amount also applies to a smaller lower one.
+  const [first, last] = parts;
+  if (last && last.suffix && !first.suffix && first.value < last.value) first.suffix = last.suffix;
+  const amounts = parts.map((part) => toNumber(part.digits, part.suffix));
+
+  const min = Math.min(...amounts);
+  const max = Math.max(...amounts);
+  const explicit = PERIODS.find(([, pattern]) => pattern.test(value));
+  const [period, perYear] = explicit ? [explicit[0], explicit[2]] : max < 1000 ? ['hour', 2080] : ['year', 1];
+
+  return {
+    min,
+    max,
+    currency: detectCurrency(value),
+    period,
+    annualMin: Math.round(min * perYear),
+    annualMax: Math.round(max * perYear)
+  };
+}
+
+/**
+ * Source of parseSalaryRange and the helpers it uses, for stores that evaluate it inside a query (see the BigQuery
+ * store's JavaScript UDFs). Keep it in step with the definitions above.
+ */
+const parserSource = () => [
+  `const CURRENCY_SYMBOLS = ${JSON.stringify(CURRENCY_SYMBOLS)};`,
+  `const CURRENCY_CODES = ${JSON.stringify(CURRENCY_CODES)};`,
+  `const PERIODS = [${PERIODS.map(([name, pattern, perYear]) => `[${JSON.stringify(name)}, ${pattern}, ${perYear}]`).join(', ')}];`,
+  `const AMOUNT_PATTERN = ${AMOUNT_PATTERN};`,
+  `const EXTRAS_PATTERN = ${EXTRAS_PATTERN};`,
+  `const RETIREMENT_PLAN_PATTERN = ${RETIREMENT_PLAN_PATTERN};`,
+  `const payText = ${payText};`,
+  `const detectCurrency = ${detectCurrency};`,
+  `const toNumber = ${toNumber};`,
+  parseSalaryRange.toString()
+].join('\n');
+
+module.exports = {
+  parseSalaryRange,
+  parserSource
+};
@@ -0,0 +1,84 @@
+const { parseSalaryRange } = require('./salary');
+
+// Salary statistics over job rows (see JobMatchService): every salary_range is parsed and annualized, and each
+// job contributes the midpoint of its range.
+
+const MAX_GROUPS = 10;
+
+// Linear interpolation between closest ranks; `sorted` is ascending and non-empty.
+const percentile = (sorted, p) => {
+  const rank = (sorted.length - 1) * p;
+  const low = Math.floor(rank);
+  const high = Math.ceil(rank);
+  return Math.round(sorted[low] + (sorted[high] - sorted[low]) * (rank - low));
+};
+
+const summarize = (entries) => {
+  const mids = entries.map((e) => e.mid).sort((a, b) => a - b);
+  return {
+    count: entries.length,
+    min: Math.min(...entries.map((e) => e.annualMin)),
+    p10: percentile(mids, 0.1),
+    p25: percentile(mids, 0.25),
+    median: percentile(mids, 0.5),
+    p75: percentile(mids, 0.75),
+    p90: percentile(mids, 0.9),
+    max: Math.max(...entries.map((e) => e.annualMax))
+  };
+};
+
+// Groups by a column, case-insensitively, keeping the first spelling seen; largest groups first.
+const groupBy = (entries, field) => {
+  const groups = new Map();
+  entries.forEach((entry) => {
+    const label = String(entry.job[field] || '').trim() || 'Unspecified';
+    const key = label.toLowerCase();
+    if (!groups.has(key)) groups.set(key, { label, entries: [] });
+    groups.get(key).entries.push(entry);
+  });
+  return [...groups.values()]
+    .sort((a, b) => b.entries.length - a.entries.length || a.label.localeCompare(b.label))
+    .slice(0, MAX_GROUPS)
+    .map(({ label, entries: groupEntries }) => ({ key: label, ...summarize(groupEntries) }));
+};
+
+/**
+ * Returns { currency, sampleSize, excluded: { unparsed, otherCurrency }, overall, byTitle, byLocation, byWorkType }.
+ * Amounts are yearly. Only jobs in the most common currency are aggregated (postings that name none count as
+ * that currency); `overall` is null when no salary could be read.
+ */
+function salaryInsights(jobs) {
+  const parsed = jobs
+    .map((job) => ({ job, salary: parseSalaryRange(job.salary_range) }))
+    .filter(({ salary }) => salary);
+
+  const tally = new Map();
+  parsed.forEach(({ salary }) => salary.currency && tally.set(salary.currency, (tally.get(salary.currency) || 0) + 1));
+  const currency = [...tally.entries()].sort((a, b) => b[1] - a[1])[0]?.[0] || null;
+
+  const entries = parsed
+    .filter(({ salary }) => !salary.currency || salary.currency === currency)
+    .map(({ job, salary }) => ({
+      job,
+      annualMin: salary.annualMin,
+      annualMax: salary.annualMax,
+      mid: (salary.annualMin + salary.annualMax) / 2
+    }));
+
+  return {
+    currency,
+    sampleSize: entries.length,
+    excluded: {
+      unparsed: jobs.length - parsed.length,
+      otherCurrency: parsed.length - entries.length
+    },
+    overall: entries.length ? summarize(entries) : null,
+    byTitle: groupBy(entries, 'job_title'),
+    byLocation: groupBy(entries, 'location'),
+    byWorkType: groupBy(entries, 'work_type')
+  };
+}
+
+module.exports = {
+  salaryInsights
+};
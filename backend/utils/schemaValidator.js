@@ -0,0 +1,132 @@
+// Validation and best-effort repair for model output, driven by the same Gemini
+// responseSchema objects we send with the request (see constants/).
+
+class SchemaValidationError extends Error {
+  constructor(message, errors = []) {
+    super(message);
+    this.name = 'SchemaValidationError';
+    this.code = 'SCHEMA_VALIDATION_FAILED';
+    this.errors = errors;
+  }
+}
+
+const TYPE_CHECKS = {
+  STRING: (v) => typeof v === 'string',
+  INTEGER: (v) => Number.isInteger(v),
+  NUMBER: (v) => typeof v === 'number' && Number.isFinite(v),
+  BOOLEAN: (v) => typeof v === 'boolean',
+  ARRAY: (v) => Array.isArray(v),
+  OBJECT: (v) => v !== null && typeof v === 'object' && !Array.isArray(v)
+};
+
+/**
+ * Returns a list of human-readable errors ("$.resumeScore must be <= 100"); empty when valid.
+ */
+function validateAgainstSchema(value, schema, path = '$') {
+  const type = String(schema.type || '').toUpperCase();
+  const check = TYPE_CHECKS[type];
+
+  if (check && !check(value)) {
+    return [`${path} must be of type ${type.toLowerCase()}`];
+  }
+
+  const errors = [];
+
+  if (type === 'INTEGER' || type === 'NUMBER') {
+    if (schema.minimum !== undefined && value < schema.minimum) errors.push(`${path} must be >= ${schema.minimum}`);
+    if (schema.maximum !== undefined && value > schema.maximum) errors.push(`${path} must be <= ${schema.maximum}`);
+  }
+
+  if (type === 'STRING') {
+    if (schema.enum && !schema.enum.includes(value)) errors.push(`${path} must be one of: ${schema.enum.join(', ')}`);
+  }
+
+  if (type === 'ARRAY') {
+    if (schema.minItems !== undefined && value.length < schema.minItems) errors.push(`${path} must have at least ${schema.minItems} items`);
+    if (schema.maxItems !== undefined && value.length > schema.maxItems) errors.push(`${path} must have at most ${schema.maxItems} items`);
+    if (schema.items) {
+      value.forEach((item, idx) => errors.push(...validateAgainstSchema(item, schema.items, `${path}[${idx}]`)));
+    }
+  }
+
+  if (type === 'OBJECT') {
+    (schema.required || []).forEach((key) => {
+      const missing = value[key] === undefined || value[key] === null || (typeof value[key] === 'string' && !value[key].trim());
+      if (missing) errors.push(`${path}.${key} is required`);
+    });
+    Object.entries(schema.properties || {}).forEach(([key, propSchema]) => {
+      if (value[key] !== undefined && value[key] !== null) {
+        errors.push(...validateAgainstSchema(value[key], propSchema, `${path}.${key}`));
+      }
+    });
+  }
+
+  return errors;
+}
+
+/**
+ * Applies safe, deterministic fixes: numeric strings to numbers, clamping to min/max, rounding integers, enum casing,
+ * splitting delimited strings into arrays, truncating to maxItems, dropping invalid array items and
+ * defaulting missing required arrays to []. Anything it cannot fix is left for validateAgainstSchema to report.
+ */
+function coerceToSchema(value, schema) {
+  const type = String(schema.type || '').toUpperCase();
+
+  if (type === 'INTEGER' || type === 'NUMBER') {
+    let num = typeof value === 'string' && value.trim() !== '' ? Number(value.replace(/[%\s]/g, '')) : value;
+    if (typeof num !== 'number' || !Number.isFinite(num)) return value;
+    if (type === 'INTEGER') num = Math.round(num);
+    if (schema.minimum !== undefined) num = Math.max(schema.minimum, num);
+    if (schema.maximum !== undefined) num = Math.min(schema.maximum, num);
+    return num;
+  }
+
+  if (type === 'STRING') {
+    if (typeof value === 'number' || typeof value === 'boolean') return String(value);
+    if (typeof value !== 'string') return value;
+    const trimmed = value.trim();
+    if (schema.enum) {
+      return schema.enum.find((option) => option.toLowerCase() === trimmed.toLowerCase()) || trimmed;
+    }
+    return trimmed;
+  }
+
+  if (type === 'ARRAY') {
+    let items = value;
+    if (typeof items === 'string') {
+      items = items.split(/\n|;|,(?![^(]*\))/).map((s) => s.replace(/^\s*(?:[-*•]|\d+[.)])\s*/, '').trim()).filter(Boolean);
+    }
+    if (!Array.isArray(items)) return value;
+
+    if (schema.items) {
+      items = items
+        .map((item) => coerceToSchema(item, schema.items))
+        .filter((item) => !validateAgainstSchema(item, schema.items).length);
+    }
+    if (schema.maxItems !== undefined) items = items.slice(0, schema.maxItems);
+    return items;
+  }
+
+  if (type === 'OBJECT') {
+    if (!TYPE_CHECKS.OBJECT(value)) return value;
+
+    const result = { ...value };
+    Object.entries(schema.properties || {}).forEach(([key, propSchema]) => {
+      const propType = String(propSchema.type || '').toUpperCase();
+      if (result[key] === undefined || result[key] === null) {
+        if (propType === 'ARRAY' && (schema.required || []).includes(key)) result[key] = [];
+        return;
+      }
+      result[key] = coerceToSchema(result[key], propSchema);
+    });
+    return result;
+  }
+
+  return value;
+}
+
+module.exports = {
+  SchemaValidationError,
+  validateAgainstSchema,
+  coerceToSchema
+};
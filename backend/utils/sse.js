@@ -0,0 +1,41 @@
+const HEARTBEAT_MS = 15000;
+
+// Switches an Express response into a Server-Sent Events stream.
+// Returns send(event, data) / close(); sends are ignored once the client disconnects.
+function openEventStream(res) {
+  res.status(200);
+  res.set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache, no-transform',
+    Connection: 'keep-alive',
+    'X-Accel-Buffering': 'no'
+  });
+  res.flushHeaders();
+
+  let closed = false;
+  // Comment lines keep proxies from timing out while the model is thinking.
+  const heartbeat = setInterval(() => !closed && res.write(': ping\n\n'), HEARTBEAT_MS);
+
+  const close = () => {
+    if (closed) return;
+    closed = true;
+    clearInterval(heartbeat);
+    res.end();
+  };
+
+  // res (not req) closes when the client goes away; req closes as soon as the body has been read.
+  res.on('close', close);
+
+  return {
+    isClosed: () => closed,
+    send(event, data = {}) {
+      if (closed) return;
+      res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+    },
+    close
+  };
+}
+
+module.exports = {
+  openEventStream
+};
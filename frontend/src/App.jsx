@@ -1,4 +1,4 @@
-import React, { useState, useEffect, useCallback } from "react";
+import React, { useState, useEffect, useCallback, useRef } from "react";
 import {
   Loader,
   UploadCloud,
@@ -7,6 +7,11 @@ import {
   Search,
   Home,
   Zap,
+  CheckCircle,
+  Clock,
+  Share2,
+  Briefcase,
+  Bell,
 } from "lucide-react";
 import { initializeApp } from "firebase/app";
 import {
@@ -19,11 +24,13 @@ import {
   getFirestore,
   doc,
   setDoc,
+  deleteDoc,
   onSnapshot,
   collection,
   query,
   limit,
   orderBy,
+  getDocs,
 } from "firebase/firestore";
 
 // --- Global Setup & Configuration ---
@@ -192,31 +199,428 @@ const useAnalysisData = (db, userId, isAuthReady) => {
   return { analysis, isLoading };
 };
 
+// Listen to the user's most recent mock interview sessions (newest first)
+const useInterviewHistory = (db, userId) => {
+  const [sessions, setSessions] = useState([]);
+
+  useEffect(() => {
+    if (!db || !userId) return;
+
+    const sessionsQuery = query(
+      collection(db, `/artifacts/${appId}/users/${userId}/interview_sessions`),
+      orderBy("finishedAt", "desc"),
+      limit(10)
+    );
+
+    const unsubscribe = onSnapshot(
+      sessionsQuery,
+      (snapshot) => setSessions(snapshot.docs.map((d) => ({ id: d.id, ...d.data() }))),
+      (error) => console.error("Error fetching interview history:", error)
+    );
+
+    return () => unsubscribe();
+  }, [db, userId]);
+
+  return sessions;
+};
+
+// How many past analyses the History page loads
+const HISTORY_LIMIT = 100;
+
+// Listen to the user's saved analyses (newest first), each with its Firestore document id
+const useAnalysisHistory = (db, userId) => {
+  const [analyses, setAnalyses] = useState([]);
+  const [isLoading, setIsLoading] = useState(true);
+
+  useEffect(() => {
+    if (!db || !userId) {
+      setIsLoading(false);
+      return;
+    }
+
+    const historyQuery = query(
+      collection(db, `/artifacts/${appId}/users/${userId}/career_analyses`),
+      orderBy("timestamp", "desc"),
+      limit(HISTORY_LIMIT)
+    );
+
+    const unsubscribe = onSnapshot(
+      historyQuery,
+      (snapshot) => {
+        setAnalyses(snapshot.docs.map((d) => ({ id: d.id, ...d.data() })));
+        setIsLoading(false);
+      },
+      (error) => {
+        console.error("Error fetching analysis history:", error);
+        setIsLoading(false);
+      }
+    );
+
+    return () => unsubscribe();
+  }, [db, userId]);
+
+  return { analyses, isLoading };
+};
+
+// Every saved analysis, newest first, for exports and import de-duplication (the History page only loads
+// HISTORY_LIMIT of them)
+const fetchAllAnalyses = async (db, userId) => {
+  const snapshot = await getDocs(
+    query(collection(db, `/artifacts/${appId}/users/${userId}/career_analyses`), orderBy("timestamp", "desc"))
+  );
+  return snapshot.docs.map((d) => ({ id: d.id, ...d.data() }));
+};
+
+// Progress on recommended courses and opportunities: "not-started", "in-progress" or "completed"
+const PROGRESS_STATUS_LABELS = {
+  "not-started": "To do",
+  "in-progress": "Started",
+  completed: "Done",
+};
+
+// Stable id per item (also the Firestore document id), so the same course tracked from two pages shares one record
+const progressItemId = (kind, title) => {
+  const key = `${kind}:${String(title).trim().toLowerCase()}`;
+  let hash = 5381;
+  for (let i = 0; i < key.length; i++) hash = ((hash * 33) ^ key.charCodeAt(i)) >>> 0;
+  return `${kind}-${hash.toString(36)}`;
+};
+
+const readLocalProgress = () => {
+  try {
+    return JSON.parse(localStorage.getItem("learning_progress") || "{}");
+  } catch {
+    return {};
+  }
+};
+
+/**
+ * Per-user progress records keyed by progressItemId, stored in Firestore next to career_analyses
+ * (learning_progress) or in localStorage when Firebase is unavailable.
+ */
+const useLearningProgress = (db, userId) => {
+  const [progress, setProgress] = useState(readLocalProgress);
+
+  useEffect(() => {
+    if (!db || !userId) {
+      setProgress(readLocalProgress());
+      return;
+    }
+
+    const unsubscribe = onSnapshot(
+      collection(db, `/artifacts/${appId}/users/${userId}/learning_progress`),
+      (snapshot) =>
+        setProgress(Object.fromEntries(snapshot.docs.map((d) => [d.id, d.data()]))),
+      (error) => console.error("Error fetching learning progress:", error)
+    );
+
+    return () => unsubscribe();
+  }, [db, userId]);
+
+  // item: { kind: "course" | "opportunity", title, link?, skill?, careerGoal? }
+  const setItemStatus = useCallback(
+    async (item, status) => {
+      const id = progressItemId(item.kind, item.title);
+      const record = {
+        kind: item.kind,
+        title: item.title,
+        link: item.link || null,
+        skill: item.skill || null,
+        careerGoal: item.careerGoal || null,
+        status,
+        updatedAt: new Date().toISOString(),
+      };
+
+      if (!db || !userId) {
+        const next = { ...readLocalProgress(), [id]: record };
+        try {
+          localStorage.setItem("learning_progress", JSON.stringify(next));
+        } catch {
+          // ignore storage failures
+        }
+        setProgress(next);
+        return;
+      }
+
+      setProgress((prev) => ({ ...prev, [id]: record }));
+      try {
+        await setDoc(doc(db, `/artifacts/${appId}/users/${userId}/learning_progress`, id), record);
+      } catch (error) {
+        console.error("Error saving learning progress:", error);
+      }
+    },
+    [db, userId]
+  );
+
+  return { progress, setItemStatus };
+};
+
+// Application pipeline for saved jobs, in board order
+const APPLICATION_STATUS_LABELS = {
+  saved: "Saved",
+  applied: "Applied",
+  interviewing: "Interviewing",
+  offer: "Offer",
+  rejected: "Rejected",
+};
+
+const jobApplicationId = (job) =>
+  progressItemId("job", [job.job_title, job.company, job.location].map((v) => v || "").join("|"));
+
+const readLocalApplications = () => {
+  try {
+    return JSON.parse(localStorage.getItem("job_applications") || "{}");
+  } catch {
+    return {};
+  }
+};
+
+// State updater that sets (or, for a null record, removes) one application
+const withApplication = (id, record) => (prev) => {
+  const next = { ...prev };
+  if (record) next[id] = record;
+  else delete next[id];
+  return next;
+};
+
+/**
+ * Saved jobs and their application status keyed by jobApplicationId, stored in Firestore next to
+ * career_analyses (job_applications) or in localStorage when Firebase is unavailable. `statusDates` records
+ * when each stage was first reached; `followUpOn` (YYYY-MM-DD) drives the follow-up reminders.
+ * Changes show at once; a failed Firestore write is rolled back and reported in `saveError`.
+ */
+const useJobApplications = (db, userId) => {
+  const [applications, setApplications] = useState(() => (db ? {} : readLocalApplications()));
+  const [saveError, setSaveError] = useState(null);
+  // Last state confirmed by Firestore, to roll back to when a write fails
+  const storedApplications = useRef({});
+
+  useEffect(() => {
+    if (!db || !userId) {
+      setApplications(readLocalApplications());
+      return;
+    }
+
+    setApplications({});
+    storedApplications.current = {};
+    const unsubscribe = onSnapshot(
+      collection(db, `/artifacts/${appId}/users/${userId}/job_applications`),
+      (snapshot) => {
+        const stored = Object.fromEntries(snapshot.docs.map((d) => [d.id, d.data()]));
+        storedApplications.current = stored;
+        setApplications(stored);
+      },
+      (error) => {
+        console.error("Error fetching job applications:", error);
+        setSaveError(`Could not load your applications: ${error.message}`);
+      }
+    );
+
+    return () => unsubscribe();
+  }, [db, userId]);
+
+  const persist = useCallback(
+    async (id, record) => {
+      setSaveError(null);
+      if (!db || !userId) {
+        const next = withApplication(id, record)(readLocalApplications());
+        try {
+          localStorage.setItem("job_applications", JSON.stringify(next));
+        } catch {
+          // ignore storage failures
+        }
+        setApplications(next);
+        return;
+      }
+
+      setApplications(withApplication(id, record));
+      try {
+        const ref = doc(db, `/artifacts/${appId}/users/${userId}/job_applications`, id);
+        await (record ? setDoc(ref, record) : deleteDoc(ref));
+      } catch (error) {
+        console.error("Error saving job application:", error);
+        setApplications(withApplication(id, storedApplications.current[id]));
+        setSaveError(`Could not save your change: ${error.message}`);
+      }
+    },
+    [db, userId]
+  );
+
+  // job: a row from /api/jobs; fit fields are kept so the board can show why it was saved
+  const saveJob = useCallback(
+    (job, careerGoal) => {
+      const now = new Date().toISOString();
+      const { job_title, company, location, salary_range, work_type, skills, posted_at, fitScore } = job;
+      return persist(jobApplicationId(job), {
+        job: { job_title, company, location, salary_range, work_type, skills, posted_at: posted_at || null },
+        careerGoal: careerGoal || null,
+        fitScore: typeof fitScore === "number" ? fitScore : null,
+        status: "saved",
+        statusDates: { saved: now },
+        notes: "",
+        followUpOn: null,
+        updatedAt: now,
+      });
+    },
+    [persist]
+  );
+
+  // changes: any of { status, notes, followUpOn }
+  const updateApplication = useCallback(
+    (id, changes) => {
+      const current = applications[id];
+      if (!current) return Promise.resolve();
+      const now = new Date().toISOString();
+      const statusDates =
+        changes.status && !current.statusDates?.[changes.status]
+          ? { ...current.statusDates, [changes.status]: now }
+          : current.statusDates;
+      return persist(id, { ...current, ...changes, statusDates, updatedAt: now });
+    },
+    [applications, persist]
+  );
+
+  const removeApplication = useCallback((id) => persist(id, null), [persist]);
+
+  return { applications, saveJob, updateApplication, removeApplication, saveError, clearSaveError: () => setSaveError(null) };
+};
+
+// Completed items in the shape /api/analyze accepts as `completedLearning`
+const completedLearningFrom = (progress) =>
+  Object.values(progress)
+    .filter((item) => item.status === "completed")
+    .map(({ title, kind, skill }) => ({ title, kind, ...(skill ? { skill } : {}) }));
+
 // --- Gemini API Call and Persistence Logic ---
 
-const analyzeResumeWithGemini = async (db, userId, resumeText, careerGoal) => {
+// Persist an analysis result to Firestore (best effort). Analyses carry the resumeText they were run on so
+// two reports can be diffed later (/api/analyze/compare)
+const saveAnalysis = async (db, userId, analysis) => {
+  if (db && userId) {
+    const docRef = doc(
+      collection(db, `/artifacts/${appId}/users/${userId}/career_analyses`)
+    );
+    await setDoc(docRef, analysis);
+  }
+};
+
+/**
+ * Reads a Server-Sent Events response body, calling onEvent(event, data) per message.
+ * Resolves with the `done` payload and rejects on an `error` event.
+ */
+const readEventStream = async (response, onEvent) => {
+  const reader = response.body.getReader();
+  const decoder = new TextDecoder();
+  let buffer = "";
+  let result = null;
+
+  const handleMessage = (raw) => {
+    let event = "message";
+    const dataLines = [];
+    raw.split("\n").forEach((line) => {
+      if (line.startsWith("event:")) event = line.slice(6).trim();
+      else if (line.startsWith("data:")) dataLines.push(line.slice(5).trim());
+    });
+    if (!dataLines.length) return;
+
+    const data = JSON.parse(dataLines.join("\n"));
+    if (event === "error") {
+      if (data.code === "SCHEMA_VALIDATION_FAILED") {
+        throw new Error(
+          `The AI returned an incomplete report (${data.details.join("; ")}). Please try again.`
+        );
+      }
+      throw new Error(
+        data.details ? `${data.error} ${JSON.stringify(data.details)}` : data.error
+      );
+    }
+    if (event === "done") result = data;
+    onEvent?.(event, data);
+  };
+
+  while (true) {
+    const { value, done } = await reader.read();
+    if (done) break;
+    buffer += decoder.decode(value, { stream: true });
+    let boundary;
+    while ((boundary = buffer.indexOf("\n\n")) >= 0) {
+      handleMessage(buffer.slice(0, boundary));
+      buffer = buffer.slice(boundary + 2);
+    }
+  }
+
+  if (!result) {
+    throw new Error("The analysis stream ended before a result was received.");
+  }
+  return result;
+};
+
+// Streaming analysis (/api/analyze/stream); onEvent receives stage/partial events as they arrive.
+// `completedLearning` (see completedLearningFrom) lets finished courses count towards the score
+const analyzeResumeStreaming = async (db, userId, resumeText, careerGoal, onEvent, completedLearning = []) => {
+  const response = await fetch("/api/analyze/stream", {
+    method: "POST",
+    headers: { "Content-Type": "application/json" },
+    body: JSON.stringify({ resumeText, careerGoal, ...(completedLearning.length ? { completedLearning } : {}) }),
+  });
+
+  if (!response.ok || !response.body) {
+    const message = await response.text();
+    throw new Error(`API call failed (${response.status}): ${message}`);
+  }
+
+  const analysisWithMetadata = { ...(await readEventStream(response, onEvent)), resumeText };
+  await saveAnalysis(db, userId, analysisWithMetadata);
+  return analysisWithMetadata;
+};
+
+// Score the resume for several goals at once (/api/analyze/multi). Resolves with the best-fit analysis, carrying
+// the ranked `goalComparison` (each entry keeps its full analysis so the dashboard can switch between them) and
+// `goalFailures` for goals that could not be analyzed
+const analyzeMultipleGoals = async (db, userId, resumeText, careerGoals, completedLearning = []) => {
+  const response = await fetch("/api/analyze/multi", {
+    method: "POST",
+    headers: { "Content-Type": "application/json" },
+    body: JSON.stringify({ resumeText, careerGoals, ...(completedLearning.length ? { completedLearning } : {}) }),
+  });
+
+  if (!response.ok) {
+    const message = await response.text();
+    throw new Error(`API call failed (${response.status}): ${message}`);
+  }
+
+  const { comparison, failures = [] } = await response.json();
+
+  const goalComparison = comparison.map(({ rank, careerGoal, resumeScore, missingSkills, analysis }) => ({
+    rank,
+    careerGoal,
+    resumeScore,
+    missingSkills,
+    analysis,
+  }));
+  const goalFailures = failures.map(({ careerGoal, error }) => ({ careerGoal, error }));
+  const bestFit = { ...comparison[0].analysis, goalComparison, goalFailures, resumeText };
+  await saveAnalysis(db, userId, bestFit);
+  return bestFit;
+};
+
+const analyzeResumeWithGemini = async (db, userId, resumeText, careerGoal, completedLearning = []) => {
   const maxRetries = 5;
   for (let attempt = 0; attempt < maxRetries; attempt++) {
     try {
       const response = await fetch("/api/analyze", {
         method: "POST",
         headers: { "Content-Type": "application/json" },
-        body: JSON.stringify({ resumeText, careerGoal }),
+        body: JSON.stringify({ resumeText, careerGoal, ...(completedLearning.length ? { completedLearning } : {}) }),
       });
 
       if (!response.ok) {
         throw new Error(`API call failed with status: ${response.status}`);
       }
 
-      const analysisWithMetadata = await response.json();
+      const analysisWithMetadata = { ...(await response.json()), resumeText };
 
-      // Persist result to Firestore (best effort)
-      if (db && userId) {
-        const docRef = doc(
-          collection(db, `/artifacts/${appId}/users/${userId}/career_analyses`)
-        );
-        await setDoc(docRef, analysisWithMetadata);
-      }
+      await saveAnalysis(db, userId, analysisWithMetadata);
 
       return analysisWithMetadata;
     } catch (error) {
@@ -232,6 +636,34 @@ const analyzeResumeWithGemini = async (db, userId, resumeText, careerGoal) => {
   }
 };
 
+// Friendly messages for the upload policy's error codes
+const UPLOAD_ERROR_MESSAGES = {
+  FILE_TOO_LARGE: "That file is too large. Please upload a resume under the size limit",
+  UNSUPPORTED_FILE_TYPE:
+    "That file type isn't supported. Please upload a PDF, Word, RTF, text, Markdown or image file",
+  EMPTY_FILE: "That file is empty. Please choose your resume file again",
+  NO_FILE: "Please choose a resume file to upload",
+};
+
+const uploadErrorFromResponse = async (response) => {
+  const body = await response.text();
+  let data = null;
+  try {
+    data = JSON.parse(body);
+  } catch {
+    // non-JSON error body
+  }
+
+  const error = new Error(
+    data?.code && UPLOAD_ERROR_MESSAGES[data.code]
+      ? `${UPLOAD_ERROR_MESSAGES[data.code]} (${data.error})`
+      : `Upload failed (${response.status}): ${data?.error || body}`
+  );
+  error.code = data?.code;
+  error.status = response.status;
+  return error;
+};
+
 // Upload resume file to backend for text extraction (and optional inline analysis)
 const uploadResumeFile = async (file, careerGoal) => {
   const formData = new FormData();
@@ -246,8 +678,7 @@ const uploadResumeFile = async (file, careerGoal) => {
   });
 
   if (!response.ok) {
-    const message = await response.text();
-    throw new Error(`Upload failed (${response.status}): ${message}`);
+    throw await uploadErrorFromResponse(response);
   }
 
   const result = await response.json();
@@ -258,9 +689,34 @@ const uploadResumeFile = async (file, careerGoal) => {
   return result;
 };
 
-// Fetch live courses/opportunities from backend (/api/courses)
-const fetchLearningResources = async (role, skills = []) => {
-  const response = await fetch("/api/courses/external", {
+// Streaming upload (/api/upload-resume/stream); resolves with the same body as uploadResumeFile
+const uploadResumeFileStreaming = async (file, careerGoal, onEvent) => {
+  const formData = new FormData();
+  formData.append("file", file);
+  if (careerGoal) {
+    formData.append("careerGoal", careerGoal);
+  }
+
+  const response = await fetch("/api/upload-resume/stream", {
+    method: "POST",
+    body: formData,
+  });
+
+  if (!response.ok || !response.body) {
+    throw await uploadErrorFromResponse(response);
+  }
+
+  const result = await readEventStream(response, onEvent);
+  if (!result.extractedText) {
+    throw new Error("Resume text was empty in the upload response.");
+  }
+
+  return result;
+};
+
+// Fetch live courses/opportunities from backend (/api/courses); `refresh` bypasses the server cache
+const fetchLearningResources = async (role, skills = [], { refresh = false } = {}) => {
+  const response = await fetch(`/api/courses/external${refresh ? "?refresh=true" : ""}`, {
     method: "POST",
     headers: { "Content-Type": "application/json" },
     body: JSON.stringify({ role, skills }),
@@ -274,12 +730,13 @@ const fetchLearningResources = async (role, skills = []) => {
   return response.json();
 };
 
-// Fetch job matches from backend (/api/jobs)
-const fetchJobMatches = async ({ skills = [], location = "", jobTitle = "", limit = 10 }) => {
+// Fetch one page of job matches (/api/jobs); `skills` are the skills the user already has. `options` carries
+// the filters, `sort` and the previous page's `cursor`
+const fetchJobMatches = async ({ skills = [], location = "", jobTitle = "", limit = 10, ...options }) => {
   const response = await fetch("/api/jobs", {
     method: "POST",
     headers: { "Content-Type": "application/json" },
-    body: JSON.stringify({ skills, location, jobTitle, limit }),
+    body: JSON.stringify({ skills, location, jobTitle, limit, ...options }),
   });
 
   if (!response.ok) {
@@ -290,79 +747,562 @@ const fetchJobMatches = async ({ skills = [], location = "", jobTitle = "", limi
   return response.json();
 };
 
-// --- Component Helpers ---
+// Yearly salary percentiles for jobs matching a title (/api/salaries/insights); resolves null when the server
+// has no job store configured
+const fetchSalaryInsights = async ({ jobTitle, location = "", workType }) => {
+  const response = await fetch("/api/salaries/insights", {
+    method: "POST",
+    headers: { "Content-Type": "application/json" },
+    body: JSON.stringify({ jobTitle, location, workType }),
+  });
 
-const IconCard = ({ icon: Icon, title, children, className = "" }) => (
-  <div
-    className={`p-5 bg-gradient-to-br from-purple-900/80 via-purple-800/90 to-indigo-900/80 rounded-2xl shadow-xl border border-purple-500/40 backdrop-blur-xl ${className}`}
-  >
-    <div className="flex items-center text-cyan-300 mb-3">
-      <Icon className="w-6 h-6 mr-3 drop-shadow-glow" />
-      <h3 className="text-xl font-semibold text-purple-50">{title}</h3>
-    </div>
-    {children}
-  </div>
-);
+  if (response.status === 503) return null;
+  if (!response.ok) {
+    const message = await response.text();
+    throw new Error(`Salary lookup failed (${response.status}): ${message}`);
+  }
 
-// --- Page Components (Single-File Navigation) ---
+  return response.json();
+};
 
-const LandingPage = ({ setCurrentPage }) => (
-  <div className="p-8 md:p-12 text-center bg-gradient-to-br from-purple-900/80 via-indigo-900/80 to-black m-4 md:m-8 rounded-3xl shadow-2xl border border-purple-500/40 backdrop-blur-xl">
-    <Zap className="w-16 h-16 text-yellow-300 mx-auto mb-6 animate-pulse drop-shadow-glow" />
-    <h1 className="text-4xl md:text-5xl font-extrabold text-white drop-shadow-[0_0_25px_rgba(191,90,255,0.8)]">
-      CareerLift AI
-    </h1>
-    <p className="mt-4 text-lg md:text-xl text-purple-100/90 max-w-2xl mx-auto">
-      Unlock your potential with personalized career growth plans. Analyze your
-      resume against industry standards, powered by Gemini AI and real-time
-      Google grounding.
-    </p>
-    <p className="text-xs md:text-sm mt-6 text-purple-200/70">
-      Supporting UN SDG 4 (Quality Education), 8 (Decent Work), and 10 (Reduced
-      Inequalities).
-    </p>
-    <button
-      onClick={() => setCurrentPage("upload")}
-      className="inline-block mt-8 bg-gradient-to-r from-cyan-400 via-blue-500 to-purple-500 hover:from-cyan-300 hover:via-blue-400 hover:to-purple-400 transition-transform text-white font-bold px-10 py-3 rounded-full shadow-glow transform hover:scale-[1.04]"
-    >
-      Start Your Analysis
-    </button>
-  </div>
-);
+// Compare resume text with one pasted job description (/api/job-description/match)
+const matchJobDescription = async (resumeText, jobDescription) => {
+  const response = await fetch("/api/job-description/match", {
+    method: "POST",
+    headers: { "Content-Type": "application/json" },
+    body: JSON.stringify({ resumeText, jobDescription }),
+  });
 
-/**
- * UploadPage with:
- * - extra roles for Scotiabank & Dayforce
- * - “Other (custom)” option + text box
- */
-const UploadPage = ({ setCurrentPage, setAnalysisData, db, userId }) => {
-  const storedResume =
-    typeof window !== "undefined"
-      ? localStorage.getItem("upload_resumeText")
-      : "";
-  const storedGoal =
-    typeof window !== "undefined"
-      ? localStorage.getItem("upload_careerGoal")
-      : null;
-  const storedCustomGoal =
-    typeof window !== "undefined"
-      ? localStorage.getItem("upload_customCareerGoal")
-      : "";
+  if (!response.ok) {
+    const message = await response.text();
+    throw new Error(`Job description match failed (${response.status}): ${message}`);
+  }
 
-  const [resumeText, setResumeText] = useState(storedResume || "");
-  const [careerGoal, setCareerGoal] = useState(
-    storedGoal || "Software Engineer (Full-Stack)"
-  );
-  const [customCareerGoal, setCustomCareerGoal] = useState(
-    storedCustomGoal || ""
+  return response.json();
+};
+
+// Diff two analyses (/api/analyze/compare); each side is { analysis } or { resumeText }
+const compareAnalyses = async (body) => {
+  const response = await fetch("/api/analyze/compare", {
+    method: "POST",
+    headers: { "Content-Type": "application/json" },
+    body: JSON.stringify(body),
+  });
+
+  if (!response.ok) {
+    const message = await response.text();
+    throw new Error(`Comparison failed (${response.status}): ${message}`);
+  }
+
+  return response.json();
+};
+
+// Suggest stronger bullet points (/api/resume/rewrite); `section` limits it to one resume section
+const rewriteResume = async (resumeText, careerGoal, section) => {
+  const response = await fetch("/api/resume/rewrite", {
+    method: "POST",
+    headers: { "Content-Type": "application/json" },
+    body: JSON.stringify({ resumeText, careerGoal, section: section || undefined }),
+  });
+
+  if (!response.ok) {
+    const message = await response.text();
+    throw new Error(`Rewrite failed (${response.status}): ${message}`);
+  }
+
+  return response.json();
+};
+
+// Download analyses as the versioned JSON archive or Markdown (/api/analyses/export)
+const downloadAnalyses = async (analyses, format) => {
+  const response = await fetch("/api/analyses/export", {
+    method: "POST",
+    headers: { "Content-Type": "application/json" },
+    body: JSON.stringify({ analyses, format }),
+  });
+
+  if (!response.ok) {
+    const message = await response.text();
+    throw new Error(`Export failed (${response.status}): ${message}`);
+  }
+
+  const blob = await response.blob();
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement("a");
+  link.href = url;
+  link.download = `careerlift-analyses.${format}`;
+  link.click();
+  URL.revokeObjectURL(url);
+};
+
+// Validate an exported JSON file (/api/analyses/import); resolves with { analyses, rejected }
+const readAnalysisArchive = async (file) => {
+  let archive;
+  try {
+    archive = JSON.parse(await file.text());
+  } catch {
+    throw new Error("The file is not valid JSON. Choose a CareerLift .json export.");
+  }
+
+  const response = await fetch("/api/analyses/import", {
+    method: "POST",
+    headers: { "Content-Type": "application/json" },
+    body: JSON.stringify({ archive }),
+  });
+
+  if (!response.ok) {
+    const body = await response.json().catch(() => ({}));
+    throw new Error(body.error || `Import failed (${response.status})`);
+  }
+
+  return response.json();
+};
+
+// Remove one saved analysis from the user's history
+const deleteAnalysis = async (db, userId, analysisId) => {
+  await deleteDoc(doc(db, `/artifacts/${appId}/users/${userId}/career_analyses`, analysisId));
+};
+
+// Persist a finished mock interview session to Firestore (best effort)
+const saveInterviewSession = async (db, userId, session) => {
+  if (db && userId) {
+    const docRef = doc(
+      collection(db, `/artifacts/${appId}/users/${userId}/interview_sessions`)
+    );
+    await setDoc(docRef, session);
+  }
+};
+
+const postInterview = async (path, body) => {
+  const response = await fetch(path, {
+    method: "POST",
+    headers: { "Content-Type": "application/json" },
+    body: JSON.stringify(body),
+  });
+
+  if (!response.ok) {
+    const message = await response.text();
+    throw new Error(`Interview request failed (${response.status}): ${message}`);
+  }
+
+  return response.json();
+};
+
+// Generate mock interview questions (/api/interview/questions)
+const fetchInterviewQuestions = (careerGoal, missingSkills, count) =>
+  postInterview("/api/interview/questions", { careerGoal, missingSkills, count });
+
+// Grade one answer against the rubric (/api/interview/grade)
+const gradeInterviewAnswer = (careerGoal, question, answer) =>
+  postInterview("/api/interview/grade", { careerGoal, question, answer });
+
+// The analysis fields the cover letter endpoints use
+const coverLetterAnalysis = ({ careerGoal, summary, presentSkills, missingSkills }) => ({
+  careerGoal,
+  summary,
+  presentSkills,
+  missingSkills,
+});
+
+const postCoverLetter = async (path, body) => {
+  const response = await fetch(path, {
+    method: "POST",
+    headers: { "Content-Type": "application/json" },
+    body: JSON.stringify(body),
+  });
+
+  if (!response.ok) {
+    const message = await response.text();
+    throw new Error(`Cover letter request failed (${response.status}): ${message}`);
+  }
+
+  return response;
+};
+
+// Draft a cover letter (/api/cover-letter)
+const generateCoverLetter = async (options) =>
+  (await postCoverLetter("/api/cover-letter", options)).json();
+
+// Regenerate one paragraph (/api/cover-letter/paragraph); resolves with the new text
+const regenerateCoverLetterParagraph = async (options) =>
+  (await (await postCoverLetter("/api/cover-letter/paragraph", options)).json()).paragraph;
+
+// Download the letter as "txt" or "docx" (/api/cover-letter/export)
+const downloadCoverLetter = async (letter, format) => {
+  const blob = await (await postCoverLetter("/api/cover-letter/export", { letter, format })).blob();
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement("a");
+  link.href = url;
+  link.download = `cover-letter.${format}`;
+  link.click();
+  URL.revokeObjectURL(url);
+};
+
+// Download the branded PDF report (/api/report/pdf); the server adds live courses and job matches
+const downloadCareerReport = async ({ goalComparison, goalFailures, resumeText, id, ...analysis }) => {
+  const response = await fetch("/api/report/pdf", {
+    method: "POST",
+    headers: { "Content-Type": "application/json" },
+    body: JSON.stringify({ analysis }),
+  });
+
+  if (!response.ok) {
+    const message = await response.text();
+    throw new Error(`Report download failed (${response.status}): ${message}`);
+  }
+
+  const blob = await response.blob();
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement("a");
+  link.href = url;
+  link.download = `careerlift-report-${analysis.careerGoal.toLowerCase().replace(/[^a-z0-9]+/g, "-")}.pdf`;
+  link.click();
+  URL.revokeObjectURL(url);
+};
+
+// Read-only share links for mentors (/api/shares); the owner is identified by the X-User-Id header
+const shareRequest = async (path, userId, options = {}) => {
+  const response = await fetch(path, {
+    ...options,
+    headers: { "Content-Type": "application/json", "X-User-Id": userId },
+  });
+
+  if (!response.ok) {
+    const message = await response.text();
+    throw new Error(`Share request failed (${response.status}): ${message}`);
+  }
+
+  return response.json();
+};
+
+const createShareLink = (userId, { goalComparison, goalFailures, resumeText, id, ...analysis }, expiresInDays) =>
+  shareRequest("/api/shares", userId, {
+    method: "POST",
+    body: JSON.stringify({ analysis, expiresInDays }),
+  });
+
+const fetchShareLinks = (userId) => shareRequest("/api/shares", userId);
+
+const revokeShareLink = (userId, shareId) =>
+  shareRequest(`/api/shares/${shareId}`, userId, { method: "DELETE" });
+
+const shareUrl = (token) =>
+  `${window.location.origin}${window.location.pathname}?share=${encodeURIComponent(token)}`;
+
+// Public view of a shared report (/api/shared/:token); errors carry the server's code (SHARE_EXPIRED, ...)
+const fetchSharedReport = async (token) => {
+  const response = await fetch(`/api/shared/${encodeURIComponent(token)}`);
+  const body = await response.json().catch(() => ({}));
+
+  if (!response.ok) {
+    const error = new Error(body.error || `Shared report failed to load (${response.status}).`);
+    error.code = body.code;
+    throw error;
+  }
+
+  return body;
+};
+
+const postRoadmap = async (path, body) => {
+  const response = await fetch(path, {
+    method: "POST",
+    headers: { "Content-Type": "application/json" },
+    body: JSON.stringify(body),
+  });
+
+  if (!response.ok) {
+    const message = await response.text();
+    throw new Error(`Roadmap request failed (${response.status}): ${message}`);
+  }
+
+  return response;
+};
+
+// Build a week-by-week study plan (/api/roadmap); budget null means no limit
+const buildRoadmap = async (options) =>
+  (await postRoadmap("/api/roadmap", options)).json();
+
+// Download the roadmap as "ics" or "md" (/api/roadmap/export)
+const downloadRoadmap = async (roadmap, format) => {
+  const blob = await (await postRoadmap("/api/roadmap/export", { roadmap, format })).blob();
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement("a");
+  link.href = url;
+  link.download = `learning-roadmap.${format}`;
+  link.click();
+  URL.revokeObjectURL(url);
+};
+
+// --- Component Helpers ---
+
+const IconCard = ({ icon: Icon, title, children, className = "" }) => (
+  <div
+    className={`p-5 bg-gradient-to-br from-purple-900/80 via-purple-800/90 to-indigo-900/80 rounded-2xl shadow-xl border border-purple-500/40 backdrop-blur-xl ${className}`}
+  >
+    <div className="flex items-center text-cyan-300 mb-3">
+      <Icon className="w-6 h-6 mr-3 drop-shadow-glow" />
+      <h3 className="text-xl font-semibold text-purple-50">{title}</h3>
+    </div>
+    {children}
+  </div>
+);
+
+const STREAM_STAGE_LABELS = {
+  "file-received": "File received",
+  "text-extracted": "Text extracted",
+  "analysis-started": "Gemini analysis started",
+  "cache-hit": "Reused a saved analysis of this resume",
+};
+
+const EXTRACTION_METHOD_LABELS = {
+  "pdf-text-layer": "PDF text layer",
+  docx: "Word document",
+  rtf: "RTF document",
+  markdown: "Markdown",
+  "plain-text": "plain text",
+  model: "AI model (scanned or image file)",
+};
+
+const PARTIAL_FIELD_LABELS = {
+  resumeScore: "Resume score",
+  sectionScores: "Section scores",
+  presentSkills: "Skills with evidence",
+  missingSkills: "Missing skills",
+  missingSkillDetails: "Skill gap severity",
+  lineSuggestions: "Line suggestions",
+  recommendations: "Recommendations",
+  summary: "Summary",
+};
+
+// Version 2 analyses (schemaVersion: 2) add these; older Firestore documents simply lack them
+const SECTION_SCORE_LABELS = {
+  experience: "Experience",
+  skills: "Skills",
+  education: "Education",
+  projects: "Projects",
+  formatting: "Formatting / ATS",
+  impact: "Impact",
+};
+
+const SEVERITY_STYLES = {
+  critical: "bg-red-900/50 text-red-200 border-red-500/60",
+  important: "bg-yellow-900/40 text-yellow-100 border-yellow-500/60",
+  "nice-to-have": "bg-blue-900/40 text-blue-100 border-blue-500/60",
+};
+
+const scoreTextColor = (score) =>
+  score >= 80 ? "text-emerald-300" : score >= 60 ? "text-yellow-300" : "text-red-300";
+
+const scoreBarColor = (score) =>
+  score >= 80 ? "bg-emerald-400" : score >= 60 ? "bg-yellow-400" : "bg-red-400";
+
+/**
+ * Timeline of streamed progress events plus a preview of analysis fields received so far.
+ */
+const ProgressTimeline = ({ steps, partialResult = {}, isActive }) => (
+  <div className="mb-4">
+    <ol className="space-y-1 mb-3">
+      {steps.map((step, index) => (
+        <li key={index} className="flex items-center text-xs text-purple-100">
+          <CheckCircle className="w-3 h-3 mr-2 text-emerald-300" />
+          {step.label}
+          {step.detail && (
+            <span className="ml-1 text-purple-300">({step.detail})</span>
+          )}
+        </li>
+      ))}
+      {isActive && (
+        <li className="flex items-center text-xs text-purple-200">
+          <Loader className="w-3 h-3 mr-2 animate-spin" />
+          Working...
+        </li>
+      )}
+    </ol>
+    {Object.keys(partialResult).length > 0 && (
+      <div className="p-3 rounded-lg bg-purple-950/60 border border-purple-500/40 text-xs text-purple-100 space-y-1">
+        {partialResult.resumeScore !== undefined && (
+          <p>
+            <span className="text-cyan-200 font-semibold">Score:</span>{" "}
+            {partialResult.resumeScore}%
+          </p>
+        )}
+        {Array.isArray(partialResult.missingSkills) && (
+          <p>
+            <span className="text-cyan-200 font-semibold">Missing skills:</span>{" "}
+            {partialResult.missingSkills.join(", ")}
+          </p>
+        )}
+        {partialResult.summary && (
+          <p className="italic">{partialResult.summary}</p>
+        )}
+      </div>
+    )}
+  </div>
+);
+
+const REQUIREMENT_STATUS_STYLES = {
+  met: "bg-emerald-900/40 text-emerald-100 border-emerald-500/60",
+  partial: "bg-yellow-900/40 text-yellow-100 border-yellow-500/60",
+  missing: "bg-red-900/50 text-red-200 border-red-500/60",
+};
+
+const escapeRegExp = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+
+/**
+ * Renders text with matched keywords highlighted green and missing ones red (case-insensitive, whole terms).
+ */
+const HighlightedText = ({ text, matched = [], missing = [] }) => {
+  const terms = [...matched, ...missing].sort((a, b) => b.length - a.length);
+  if (!terms.length) return <>{text}</>;
+
+  const pattern = new RegExp(
+    `(?<![A-Za-z0-9])(${terms.map(escapeRegExp).join("|")})(?![A-Za-z0-9+#])`,
+    "gi"
+  );
+  const isMatched = (part) =>
+    matched.some((term) => term.toLowerCase() === part.toLowerCase());
+
+  return (
+    <>
+      {text.split(pattern).map((part, index) =>
+        index % 2 === 1 ? (
+          <mark
+            key={index}
+            className={`rounded px-0.5 ${
+              isMatched(part)
+                ? "bg-emerald-500/30 text-emerald-100"
+                : "bg-red-500/30 text-red-100"
+            }`}
+          >
+            {part}
+          </mark>
+        ) : (
+          part
+        )
+      )}
+    </>
+  );
+};
+
+/**
+ * Word-level diff (longest common subsequence) between two short strings.
+ * Returns [{ type: "same" | "removed" | "added", text }] with whitespace kept on the words.
+ */
+const diffWords = (before, after) => {
+  const a = before.split(/(?<=\s)/);
+  const b = after.split(/(?<=\s)/);
+  const lcs = Array.from({ length: a.length + 1 }, () => new Array(b.length + 1).fill(0));
+  for (let i = a.length - 1; i >= 0; i--) {
+    for (let j = b.length - 1; j >= 0; j--) {
+      lcs[i][j] = a[i].trim() === b[j].trim() ? lcs[i + 1][j + 1] + 1 : Math.max(lcs[i + 1][j], lcs[i][j + 1]);
+    }
+  }
+
+  const parts = [];
+  let i = 0;
+  let j = 0;
+  while (i < a.length || j < b.length) {
+    if (i < a.length && j < b.length && a[i].trim() === b[j].trim()) {
+      parts.push({ type: "same", text: b[j] });
+      i++;
+      j++;
+    } else if (i < a.length && (j === b.length || lcs[i + 1][j] >= lcs[i][j + 1])) {
+      parts.push({ type: "removed", text: a[i++] });
+    } else {
+      parts.push({ type: "added", text: b[j++] });
+    }
+  }
+  return parts;
+};
+
+const DiffText = ({ before, after }) => (
+  <>
+    {diffWords(before, after).map((part, index) =>
+      part.type === "same" ? (
+        <span key={index}>{part.text}</span>
+      ) : part.type === "added" ? (
+        <ins key={index} className="no-underline bg-emerald-500/30 text-emerald-100 rounded">
+          {part.text}
+        </ins>
+      ) : (
+        <del key={index} className="bg-red-500/30 text-red-200 rounded">
+          {part.text}
+        </del>
+      )
+    )}
+  </>
+);
+
+// --- Page Components (Single-File Navigation) ---
+
+const LandingPage = ({ setCurrentPage }) => (
+  <div className="p-8 md:p-12 text-center bg-gradient-to-br from-purple-900/80 via-indigo-900/80 to-black m-4 md:m-8 rounded-3xl shadow-2xl border border-purple-500/40 backdrop-blur-xl">
+    <Zap className="w-16 h-16 text-yellow-300 mx-auto mb-6 animate-pulse drop-shadow-glow" />
+    <h1 className="text-4xl md:text-5xl font-extrabold text-white drop-shadow-[0_0_25px_rgba(191,90,255,0.8)]">
+      CareerLift AI
+    </h1>
+    <p className="mt-4 text-lg md:text-xl text-purple-100/90 max-w-2xl mx-auto">
+      Unlock your potential with personalized career growth plans. Analyze your
+      resume against industry standards, powered by Gemini AI and real-time
+      Google grounding.
+    </p>
+    <p className="text-xs md:text-sm mt-6 text-purple-200/70">
+      Supporting UN SDG 4 (Quality Education), 8 (Decent Work), and 10 (Reduced
+      Inequalities).
+    </p>
+    <button
+      onClick={() => setCurrentPage("upload")}
+      className="inline-block mt-8 bg-gradient-to-r from-cyan-400 via-blue-500 to-purple-500 hover:from-cyan-300 hover:via-blue-400 hover:to-purple-400 transition-transform text-white font-bold px-10 py-3 rounded-full shadow-glow transform hover:scale-[1.04]"
+    >
+      Start Your Analysis
+    </button>
+  </div>
+);
+
+/**
+ * UploadPage with:
+ * - extra roles for Scotiabank & Dayforce
+ * - “Other (custom)” option + text box
+ */
+// Matches the backend's default ANALYSIS_MAX_GOALS
+const MAX_COMPARE_GOALS = 4;
+
+const UploadPage = ({ setCurrentPage, setAnalysisData, db, userId }) => {
+  const storedResume =
+    typeof window !== "undefined"
+      ? localStorage.getItem("upload_resumeText")
+      : "";
+  const storedGoal =
+    typeof window !== "undefined"
+      ? localStorage.getItem("upload_careerGoal")
+      : null;
+  const storedCustomGoal =
+    typeof window !== "undefined"
+      ? localStorage.getItem("upload_customCareerGoal")
+      : "";
+
+  const [resumeText, setResumeText] = useState(storedResume || "");
+  const [careerGoal, setCareerGoal] = useState(
+    storedGoal || "Software Engineer (Full-Stack)"
+  );
+  const [customCareerGoal, setCustomCareerGoal] = useState(
+    storedCustomGoal || ""
   );
 
+  const [compareGoals, setCompareGoals] = useState(false);
+  const { progress } = useLearningProgress(db, userId);
+  const [includeCompleted, setIncludeCompleted] = useState(true);
+  const completedLearning = completedLearningFrom(progress);
+  const analysisLearning = includeCompleted ? completedLearning : [];
+  const [selectedGoals, setSelectedGoals] = useState([]);
   const [isAnalyzing, setIsAnalyzing] = useState(false);
   const [error, setError] = useState(null);
   const [selectedFile, setSelectedFile] = useState(null);
   const [isUploading, setIsUploading] = useState(false);
   const [uploadError, setUploadError] = useState(null);
-  const [analysisStatus, setAnalysisStatus] = useState("");
+  const [extractionInfo, setExtractionInfo] = useState(null);
+  const [progressSteps, setProgressSteps] = useState([]);
+  const [partialResult, setPartialResult] = useState({});
 
   useEffect(() => {
     try {
@@ -395,6 +1335,10 @@ const UploadPage = ({ setCurrentPage, setAnalysisData, db, userId }) => {
       return;
     }
 
+    if (compareGoals) {
+      return handleAnalyzeMultiple();
+    }
+
     if (careerGoal === "Other (custom)" && customCareerGoal.trim().length < 3) {
       setError("Please enter your custom career goal in the text box.");
       return;
@@ -405,38 +1349,127 @@ const UploadPage = ({ setCurrentPage, setAnalysisData, db, userId }) => {
 
     setError(null);
     setIsAnalyzing(true);
-    setAnalysisStatus("Sending resume to backend...");
+    resetProgress();
 
     try {
-      setAnalysisStatus("Waiting for Gemini analysis...");
-      const result = await analyzeResumeWithGemini(
-        db,
-        userId,
-        resumeText,
-        finalCareerGoal
-      );
+      let result;
+      let receivedEvents = false;
+      try {
+        result = await analyzeResumeStreaming(
+          db,
+          userId,
+          resumeText,
+          finalCareerGoal,
+          (event, data) => {
+            receivedEvents = true;
+            recordStreamEvent(event, data);
+          },
+          analysisLearning
+        );
+      } catch (streamError) {
+        // Streaming can be blocked by proxies; retry with the regular endpoint if nothing arrived
+        if (receivedEvents) throw streamError;
+        console.warn("Streaming analysis unavailable, falling back:", streamError);
+        result = await analyzeResumeWithGemini(
+          db,
+          userId,
+          resumeText,
+          finalCareerGoal,
+          analysisLearning
+        );
+      }
       setAnalysisData(result);
-      setAnalysisStatus("Analysis complete.");
       setCurrentPage("dashboard");
     } catch (e) {
       console.error(e);
       setError(`Analysis failed. Please try again. Error: ${e.message}`);
     } finally {
       setIsAnalyzing(false);
-      setAnalysisStatus("");
     }
   };
 
-  const handleUploadFile = async () => {
-    if (!selectedFile) {
-      setUploadError("Please choose a file first.");
-      return;
-    }
-    setUploadError(null);
+  const comparedGoals = [
+    ...selectedGoals,
+    ...(customCareerGoal.trim() ? [customCareerGoal.trim()] : []),
+  ];
+
+  const toggleGoal = (goal) =>
+    setSelectedGoals((prev) =>
+      prev.includes(goal) ? prev.filter((g) => g !== goal) : [...prev, goal]
+    );
+
+  const handleAnalyzeMultiple = async () => {
+    if (comparedGoals.length < 2 || comparedGoals.length > MAX_COMPARE_GOALS) {
+      setError(`Please choose between 2 and ${MAX_COMPARE_GOALS} career goals to compare.`);
+      return;
+    }
+
+    setError(null);
+    setIsAnalyzing(true);
+    resetProgress();
+    try {
+      const result = await analyzeMultipleGoals(db, userId, resumeText, comparedGoals, analysisLearning);
+      setAnalysisData(result);
+      setCurrentPage("dashboard");
+    } catch (e) {
+      console.error(e);
+      setError(`Analysis failed. Please try again. Error: ${e.message}`);
+    } finally {
+      setIsAnalyzing(false);
+    }
+  };
+
+  const resetProgress = () => {
+    setProgressSteps([]);
+    setPartialResult({});
+  };
+
+  const recordStreamEvent = (event, data) => {
+    if (event === "stage") {
+      const method = EXTRACTION_METHOD_LABELS[data.extraction?.method];
+      const detail =
+        data.characterCount !== undefined
+          ? `${data.characterCount} characters${method ? ` via ${method}` : ""}`
+          : data.fileName || "";
+      setProgressSteps((prev) => [
+        ...prev,
+        { label: STREAM_STAGE_LABELS[data.stage] || data.stage, detail },
+      ]);
+    } else if (event === "partial") {
+      setPartialResult((prev) => ({ ...prev, [data.field]: data.value }));
+      setProgressSteps((prev) => [
+        ...prev,
+        { label: `Received ${PARTIAL_FIELD_LABELS[data.field] || data.field}` },
+      ]);
+    } else if (event === "done") {
+      setProgressSteps((prev) => [...prev, { label: "Done" }]);
+    }
+  };
+
+  const handleUploadFile = async () => {
+    if (!selectedFile) {
+      setUploadError("Please choose a file first.");
+      return;
+    }
+    setUploadError(null);
+    setExtractionInfo(null);
     setIsUploading(true);
+    resetProgress();
+    let receivedEvents = false;
     try {
-      const { extractedText } = await uploadResumeFile(selectedFile, careerGoal);
-      setResumeText(extractedText);
+      let result;
+      try {
+        result = await uploadResumeFileStreaming(selectedFile, null, (event, data) => {
+          receivedEvents = true;
+          recordStreamEvent(event, data);
+        });
+      } catch (streamError) {
+        // Policy rejections (4xx) would fail the same way on the regular endpoint
+        if (receivedEvents || streamError.code) throw streamError;
+        result = await uploadResumeFile(selectedFile);
+      }
+      setResumeText(result.extractedText);
+      setExtractionInfo(result.extraction || null);
       setError(null);
     } catch (e) {
       setUploadError(e.message);
@@ -464,7 +1497,7 @@ const UploadPage = ({ setCurrentPage, setAnalysisData, db, userId }) => {
           <div className="flex flex-col sm:flex-row sm:flex-wrap sm:items-center sm:space-x-3 space-y-2 sm:space-y-0 mb-3">
             <input
               type="file"
-              accept=".pdf,.doc,.docx,.txt"
+              accept=".pdf,.docx,.rtf,.txt,.md,.markdown,.png,.jpg,.jpeg"
               className="text-sm text-purple-100 flex-1 min-w-0"
               onChange={(e) => {
                 setSelectedFile(e.target.files?.[0] || null);
@@ -496,6 +1529,23 @@ const UploadPage = ({ setCurrentPage, setAnalysisData, db, userId }) => {
               Selected file: {selectedFile.name}
             </div>
           )}
+          {extractionInfo && (
+            <div className="text-xs text-purple-200 mb-2">
+              Extracted via{" "}
+              {EXTRACTION_METHOD_LABELS[extractionInfo.method] ||
+                extractionInfo.method}
+              {extractionInfo.pageCount
+                ? ` • ${extractionInfo.pageCount} page${
+                    extractionInfo.pageCount === 1 ? "" : "s"
+                  }`
+                : ""}
+              {(extractionInfo.warnings || []).map((warning, index) => (
+                <p key={index} className="text-yellow-200 mt-1">
+                  ⚠ {warning}
+                </p>
+              ))}
+            </div>
+          )}
           {uploadError && (
             <div className="p-2 mb-3 text-red-300 bg-red-900/40 border border-red-500/60 rounded-lg text-xs font-medium">
               {uploadError}
@@ -520,27 +1570,76 @@ const UploadPage = ({ setCurrentPage, setAnalysisData, db, userId }) => {
           className="lg:col-span-1 flex flex-col justify-between"
         >
           <div className="flex-grow">
-            <label
-              htmlFor="career-goal"
-              className="block text-md font-medium text-purple-50 mb-2"
-            >
-              Target Career Goal
-            </label>
-            <select
-              id="career-goal"
-              className="border border-purple-500/60 bg-purple-950/70 p-3 w-full rounded-xl shadow-sm focus:ring-2 focus:ring-cyan-400 focus:border-cyan-400 text-purple-50"
-              value={careerGoal}
-              onChange={(e) => setCareerGoal(e.target.value)}
-              disabled={isAnalyzing}
-            >
-              {careerGoals.map((goal) => (
-                <option key={goal} value={goal}>
-                  {goal}
-                </option>
-              ))}
-            </select>
+            <div className="flex items-center justify-between mb-2">
+              <label
+                htmlFor="career-goal"
+                className="block text-md font-medium text-purple-50"
+              >
+                {compareGoals ? "Career Goals to Compare" : "Target Career Goal"}
+              </label>
+              <label className="flex items-center text-xs text-purple-100">
+                <input
+                  type="checkbox"
+                  className="mr-2"
+                  checked={compareGoals}
+                  onChange={(e) => {
+                    setCompareGoals(e.target.checked);
+                    setError(null);
+                  }}
+                  disabled={isAnalyzing}
+                />
+                Compare several goals
+              </label>
+            </div>
+            {compareGoals ? (
+              <div className="space-y-1">
+                {careerGoals
+                  .filter((goal) => goal !== "Other (custom)")
+                  .map((goal) => (
+                    <label key={goal} className="flex items-center text-sm text-purple-50">
+                      <input
+                        type="checkbox"
+                        className="mr-2"
+                        checked={selectedGoals.includes(goal)}
+                        onChange={() => toggleGoal(goal)}
+                        disabled={
+                          isAnalyzing ||
+                          (!selectedGoals.includes(goal) &&
+                            comparedGoals.length >= MAX_COMPARE_GOALS)
+                        }
+                      />
+                      {goal}
+                    </label>
+                  ))}
+                <input
+                  type="text"
+                  className="w-full mt-2 p-2 rounded-xl border border-purple-500/60 bg-purple-950/70 text-purple-50 placeholder-purple-300/70 text-sm"
+                  placeholder="Add your own goal (optional)"
+                  value={customCareerGoal}
+                  onChange={(e) => setCustomCareerGoal(e.target.value)}
+                  disabled={isAnalyzing}
+                />
+                <p className="text-xs text-purple-300">
+                  {comparedGoals.length} of up to {MAX_COMPARE_GOALS} selected
+                </p>
+              </div>
+            ) : (
+              <select
+                id="career-goal"
+                className="border border-purple-500/60 bg-purple-950/70 p-3 w-full rounded-xl shadow-sm focus:ring-2 focus:ring-cyan-400 focus:border-cyan-400 text-purple-50"
+                value={careerGoal}
+                onChange={(e) => setCareerGoal(e.target.value)}
+                disabled={isAnalyzing}
+              >
+                {careerGoals.map((goal) => (
+                  <option key={goal} value={goal}>
+                    {goal}
+                  </option>
+                ))}
+              </select>
+            )}
 
-            {careerGoal === "Other (custom)" && (
+            {!compareGoals && careerGoal === "Other (custom)" && (
               <div className="mt-4">
                 <label
                   htmlFor="custom-career-goal"
@@ -567,6 +1666,32 @@ const UploadPage = ({ setCurrentPage, setAnalysisData, db, userId }) => {
               The AI will benchmark your skills against this specific industry
               role.
             </p>
+            {completedLearning.length > 0 && (
+              <label className="flex items-start text-sm text-purple-100 mt-2">
+                <input
+                  type="checkbox"
+                  className="mr-2 mt-1"
+                  checked={includeCompleted}
+                  onChange={(e) => setIncludeCompleted(e.target.checked)}
+                  disabled={isAnalyzing}
+                />
+                <span>
+                  {`Count the ${completedLearning.length} completed item${
+                    completedLearning.length === 1 ? "" : "s"
+                  } from your action plan towards your skills`}
+                </span>
+              </label>
+            )}
+            <p className="text-sm text-purple-100 mt-2">
+              Applying to a specific posting?{" "}
+              <button
+                type="button"
+                onClick={() => setCurrentPage("jdMatch")}
+                className="text-cyan-300 underline"
+              >
+                Compare your resume with the job description
+              </button>
+            </p>
           </div>
 
           <div className="mt-8 pt-4 border-t border-purple-500/40">
@@ -575,18 +1700,12 @@ const UploadPage = ({ setCurrentPage, setAnalysisData, db, userId }) => {
                 {error}
               </div>
             )}
-            {isAnalyzing && (
-              <div className="mb-3">
-                <div className="h-2 bg-purple-950/60 rounded-full overflow-hidden">
-                  <div
-                    className="h-full bg-gradient-to-r from-cyan-400 to-blue-500 animate-pulse"
-                    style={{ width: "100%" }}
-                  ></div>
-                </div>
-                <p className="text-xs text-purple-100 mt-2">
-                  {analysisStatus || "Analyzing..."}
-                </p>
-              </div>
+            {(isAnalyzing || isUploading || progressSteps.length > 0) && (
+              <ProgressTimeline
+                steps={progressSteps}
+                partialResult={partialResult}
+                isActive={isAnalyzing || isUploading}
+              />
             )}
             <button
               onClick={handleAnalyze}
@@ -598,6 +1717,11 @@ const UploadPage = ({ setCurrentPage, setAnalysisData, db, userId }) => {
                   <Loader className="w-5 h-5 mr-3 animate-spin" />
                   Analyzing with Gemini...
                 </>
+              ) : compareGoals ? (
+                <>
+                  <Zap className="w-5 h-5 mr-2" />
+                  Compare {comparedGoals.length || ""} Career Goals
+                </>
               ) : (
                 <>
                   <Zap className="w-5 h-5 mr-2" />
@@ -615,9 +1739,16 @@ const UploadPage = ({ setCurrentPage, setAnalysisData, db, userId }) => {
 const DashboardPage = ({
   setCurrentPage,
   analysisData,
+  setAnalysisData,
   isAuthReady,
   isLoading,
+  db,
+  userId,
 }) => {
+  const { progress } = useLearningProgress(db, userId);
+  const [isDownloadingReport, setIsDownloadingReport] = useState(false);
+  const [reportError, setReportError] = useState(null);
+
   if (!isAuthReady || isLoading) {
     return (
       <div className="p-8 text-center">
@@ -646,13 +1777,25 @@ const DashboardPage = ({
     );
   }
 
-  const { resumeScore, missingSkills, summary, careerGoal } = analysisData;
-  const scoreColor =
-    resumeScore >= 80
-      ? "text-emerald-300"
-      : resumeScore >= 60
-      ? "text-yellow-300"
-      : "text-red-300";
+  const {
+    resumeScore,
+    missingSkills = [],
+    summary,
+    careerGoal,
+    sectionScores,
+    presentSkills = [],
+    missingSkillDetails = [],
+    lineSuggestions = [],
+    goalComparison = [],
+    goalFailures = [],
+    completedLearning = [],
+  } = analysisData;
+  const scoreColor = scoreTextColor(resumeScore);
+
+  const trackedItems = Object.values(progress).filter((item) => item.status !== "not-started");
+  const completedItems = trackedItems.filter((item) => item.status === "completed");
+  const countedTitles = new Set(completedLearning.map((item) => item.title));
+  const uncountedItems = completedItems.filter((item) => !countedTitles.has(item.title));
 
   return (
     <div className="p-4 md:p-8 max-w-4xl mx-auto">
@@ -664,6 +1807,120 @@ const DashboardPage = ({
         <span className="font-semibold text-cyan-300">{careerGoal}</span>
       </p>
 
+      {trackedItems.length > 0 && (
+        <IconCard icon={CheckCircle} title="Learning Progress" className="mb-8">
+          <div className="flex items-center justify-between text-sm text-purple-100 mb-2">
+            <span>
+              {completedItems.length} completed •{" "}
+              {trackedItems.length - completedItems.length} in progress
+            </span>
+            <span className="font-semibold text-green-300">
+              {Math.round((completedItems.length / trackedItems.length) * 100)}%
+            </span>
+          </div>
+          <div className="h-2 bg-purple-900/60 rounded-full overflow-hidden mb-3">
+            <div
+              className="h-full bg-green-400"
+              style={{ width: `${(completedItems.length / trackedItems.length) * 100}%` }}
+            />
+          </div>
+          <ul className="space-y-1 mb-3">
+            {trackedItems
+              .sort((a, b) => (b.updatedAt || "").localeCompare(a.updatedAt || ""))
+              .slice(0, 5)
+              .map((item) => (
+                <li key={`${item.kind}-${item.title}`} className="flex items-center text-sm text-purple-50">
+                  <CheckCircle
+                    className={`w-4 h-4 mr-2 flex-shrink-0 ${
+                      item.status === "completed" ? "text-green-300" : "text-purple-400"
+                    }`}
+                  />
+                  <span className="truncate">{item.title}</span>
+                  <span className="ml-auto pl-2 text-xs text-purple-300">
+                    {PROGRESS_STATUS_LABELS[item.status]}
+                  </span>
+                </li>
+              ))}
+          </ul>
+          {uncountedItems.length > 0 && (
+            <div className="flex flex-wrap items-center justify-between gap-2 text-xs text-purple-200">
+              <span>
+                {uncountedItems.length} completed item
+                {uncountedItems.length === 1 ? " is" : "s are"} not reflected in this score yet.
+              </span>
+              <button
+                onClick={() => setCurrentPage("upload")}
+                className="text-cyan-300 underline"
+              >
+                Re-analyze with completed items
+              </button>
+            </div>
+          )}
+        </IconCard>
+      )}
+
+      {(goalComparison.length > 1 || goalFailures.length > 0) && (
+        <IconCard icon={Search} title="Career Goal Comparison" className="mb-8">
+          {goalFailures.length > 0 && (
+            <div className="p-3 mb-3 text-sm text-yellow-100 bg-yellow-900/30 border border-yellow-500/60 rounded-lg">
+              <p className="font-semibold mb-1">
+                {`${goalFailures.length} of ${goalComparison.length + goalFailures.length} career goals could not be analyzed:`}
+              </p>
+              <ul className="list-disc list-inside">
+                {goalFailures.map((failure) => (
+                  <li key={failure.careerGoal}>{`${failure.careerGoal}: ${failure.error}`}</li>
+                ))}
+              </ul>
+            </div>
+          )}
+          <ol className="space-y-3">
+            {goalComparison.map((entry) => (
+              <li
+                key={entry.careerGoal}
+                className={`p-3 rounded-lg border ${
+                  entry.careerGoal === careerGoal
+                    ? "bg-cyan-900/30 border-cyan-400/60"
+                    : "bg-purple-950/60 border-purple-500/40"
+                }`}
+              >
+                <div className="flex items-center justify-between gap-3 mb-1">
+                  <span className="font-semibold text-purple-50">
+                    #{entry.rank} {entry.careerGoal}
+                  </span>
+                  <span className={`font-bold ${scoreTextColor(entry.resumeScore)}`}>
+                    {entry.resumeScore}%
+                  </span>
+                </div>
+                <div className="h-2 bg-purple-900/60 rounded-full overflow-hidden mb-2">
+                  <div
+                    className={`h-full ${scoreBarColor(entry.resumeScore)}`}
+                    style={{ width: `${entry.resumeScore}%` }}
+                  />
+                </div>
+                <div className="flex flex-wrap items-center gap-2">
+                  {(entry.missingSkills || []).map((skill) => (
+                    <span
+                      key={skill}
+                      className="text-xs px-2 py-0.5 rounded-full border bg-red-900/40 text-red-200 border-red-500/60"
+                    >
+                      {skill}
+                    </span>
+                  ))}
+                  {entry.careerGoal !== careerGoal && (
+                    <button
+                      onClick={() => setAnalysisData({ ...entry.analysis, goalComparison, goalFailures })}
+                      className="ml-auto text-xs text-cyan-300 underline"
+                    >
+                      View this report
+                    </button>
+                  )}
+                </div>
+              </li>
+            ))}
+          </ol>
+        </IconCard>
+      )}
+
       <div className="grid grid-cols-1 md:grid-cols-3 gap-6 mb-8">
         {/* Resume Score Card */}
         <IconCard
@@ -687,22 +1944,92 @@ const DashboardPage = ({
         </IconCard>
       </div>
 
+      {(sectionScores || presentSkills.length > 0) && (
+        <div className="grid grid-cols-1 md:grid-cols-2 gap-6 mb-8">
+          {sectionScores && (
+            <IconCard icon={PieChart} title="Section Scores">
+              <ul className="space-y-3">
+                {Object.entries(SECTION_SCORE_LABELS).map(([key, label]) => (
+                  <li key={key}>
+                    <div className="flex justify-between text-sm text-purple-100 mb-1">
+                      <span>{label}</span>
+                      <span className={`font-semibold ${scoreTextColor(sectionScores[key] ?? 0)}`}>
+                        {sectionScores[key] ?? "–"}
+                      </span>
+                    </div>
+                    <div className="h-2 bg-purple-950/60 rounded-full overflow-hidden">
+                      <div
+                        className={`h-full ${scoreBarColor(sectionScores[key] ?? 0)}`}
+                        style={{ width: `${sectionScores[key] ?? 0}%` }}
+                      ></div>
+                    </div>
+                  </li>
+                ))}
+              </ul>
+            </IconCard>
+          )}
+
+          {presentSkills.length > 0 && (
+            <IconCard icon={Award} title="Skills You Already Show">
+              <ul className="space-y-3">
+                {presentSkills.map((item, index) => (
+                  <li
+                    key={index}
+                    className="p-3 bg-emerald-900/30 rounded-lg border border-emerald-500/40"
+                  >
+                    <div className="font-semibold text-emerald-200">{item.skill}</div>
+                    <blockquote className="text-xs text-purple-100 italic mt-1 border-l-2 border-emerald-400/60 pl-2">
+                      “{item.evidence}”
+                    </blockquote>
+                  </li>
+                ))}
+              </ul>
+            </IconCard>
+          )}
+        </div>
+      )}
+
       <div className="grid grid-cols-1 md:grid-cols-2 gap-6">
         {/* Missing Skills Card */}
         <IconCard icon={Search} title="Crucial Missing Skills">
           <p className="text-purple-100 mb-3">
             Focus on mastering these high-demand areas to bridge your gap:
           </p>
-          <ul className="space-y-3">
-            {missingSkills.map((skill, index) => (
-              <li
-                key={index}
-                className="flex items-center p-3 bg-red-900/40 rounded-lg text-red-200 font-medium border border-red-500/50"
-              >
-                <span className="text-red-300 mr-3">•</span> {skill}
-              </li>
-            ))}
-          </ul>
+          {missingSkillDetails.length > 0 ? (
+            <ul className="space-y-3">
+              {missingSkillDetails.map((gap, index) => (
+                <li
+                  key={index}
+                  className="p-3 bg-red-900/30 rounded-lg border border-red-500/40"
+                >
+                  <div className="flex items-center justify-between gap-2">
+                    <span className="text-red-200 font-medium">{gap.skill}</span>
+                    <span
+                      className={`text-[11px] uppercase tracking-wide px-2 py-0.5 rounded-full border ${
+                        SEVERITY_STYLES[gap.severity] || SEVERITY_STYLES.important
+                      }`}
+                    >
+                      {gap.severity}
+                    </span>
+                  </div>
+                  {gap.reason && (
+                    <p className="text-xs text-purple-100 mt-1">{gap.reason}</p>
+                  )}
+                </li>
+              ))}
+            </ul>
+          ) : (
+            <ul className="space-y-3">
+              {missingSkills.map((skill, index) => (
+                <li
+                  key={index}
+                  className="flex items-center p-3 bg-red-900/40 rounded-lg text-red-200 font-medium border border-red-500/50"
+                >
+                  <span className="text-red-300 mr-3">•</span> {skill}
+                </li>
+              ))}
+            </ul>
+          )}
         </IconCard>
 
         {/* Action Button */}
@@ -717,93 +2044,597 @@ const DashboardPage = ({
           >
             View Personalized Recommendations →
           </button>
+          <button
+            onClick={() => setCurrentPage("rewrite")}
+            className="mt-3 border border-cyan-400/60 text-cyan-100 hover:bg-cyan-900/30 font-semibold px-6 py-2 rounded-2xl w-full"
+          >
+            Rewrite Weak Bullets
+          </button>
+          <button
+            onClick={() => {
+              localStorage.removeItem("coverLetter_job");
+              setCurrentPage("coverLetter");
+            }}
+            className="mt-3 border border-cyan-400/60 text-cyan-100 hover:bg-cyan-900/30 font-semibold px-6 py-2 rounded-2xl w-full"
+          >
+            Write a Cover Letter
+          </button>
+          <button
+            onClick={() => setCurrentPage("interview")}
+            className="mt-3 border border-cyan-400/60 text-cyan-100 hover:bg-cyan-900/30 font-semibold px-6 py-2 rounded-2xl w-full"
+          >
+            Practice a Mock Interview
+          </button>
+          <button
+            onClick={() => {
+              setIsDownloadingReport(true);
+              setReportError(null);
+              downloadCareerReport(analysisData)
+                .catch((err) => setReportError(err.message))
+                .finally(() => setIsDownloadingReport(false));
+            }}
+            disabled={isDownloadingReport}
+            className="mt-3 border border-cyan-400/60 text-cyan-100 hover:bg-cyan-900/30 font-semibold px-6 py-2 rounded-2xl w-full flex items-center justify-center disabled:opacity-50"
+          >
+            {isDownloadingReport && <Loader className="w-4 h-4 mr-2 animate-spin" />}
+            Download PDF Report
+          </button>
+          {reportError && (
+            <p className="mt-2 text-xs text-red-300">{reportError}</p>
+          )}
         </IconCard>
       </div>
+
+      {lineSuggestions.length > 0 && (
+        <IconCard icon={Zap} title="Line-by-Line Suggestions" className="mt-6">
+          <ul className="space-y-4">
+            {lineSuggestions.map((item, index) => (
+              <li
+                key={index}
+                className="p-3 bg-purple-950/60 rounded-lg border border-purple-500/40 text-sm"
+              >
+                {item.section && (
+                  <div className="text-[11px] uppercase tracking-wide text-purple-300 mb-1">
+                    {item.section}
+                  </div>
+                )}
+                <p className="text-red-200 line-through decoration-red-400/60">
+                  {item.original}
+                </p>
+                <p className="text-emerald-200 mt-1">{item.suggestion}</p>
+                {item.reason && (
+                  <p className="text-xs text-purple-200 mt-1">{item.reason}</p>
+                )}
+              </li>
+            ))}
+          </ul>
+        </IconCard>
+      )}
+
+      <SalaryInsightsPanel jobTitle={careerGoal} className="mt-6" />
+
+      <ShareReportPanel analysisData={analysisData} userId={userId} />
     </div>
   );
 };
 
-const RecommendationsPage = ({ analysisData, setCurrentPage }) => {
-  const [learning, setLearning] = useState(null);
-  const [isFetchingCourses, setIsFetchingCourses] = useState(false);
-  const [courseError, setCourseError] = useState(null);
+const formatSalary = (value, currency) =>
+  new Intl.NumberFormat(undefined, {
+    style: currency ? "currency" : "decimal",
+    currency: currency || undefined,
+    maximumFractionDigits: 0,
+  }).format(value);
 
-  if (!analysisData) {
-    return (
-      <div className="p-8 max-w-2xl mx-auto text-center">
-        <p className="text-lg text-red-300 mb-4">
-          Analysis data is missing.
-        </p>
-        <button
-          onClick={() => setCurrentPage("upload")}
-          className="bg-gradient-to-r from-cyan-400 to-purple-500 px-5 py-2 rounded-full text-white shadow-glow"
-        >
-          Go to Upload Page
-        </button>
-      </div>
-    );
-  }
+const SALARY_SMALL_SAMPLE = 5;
 
-  const { recommendations, sources = [], careerGoal, missingSkills = [] } =
-    analysisData;
+/**
+ * Yearly salary range for jobs matching `jobTitle` in the job dataset: the median, a p10–p90 bar with the
+ * middle half highlighted, and medians by location and work type. Renders nothing without a job store.
+ */
+const SalaryInsightsPanel = ({ jobTitle, location = "", workType = "", className = "" }) => {
+  const [insights, setInsights] = useState(null);
+  const [isLoading, setIsLoading] = useState(false);
+  const [error, setError] = useState(null);
 
   useEffect(() => {
-    if (!careerGoal) return;
-    setIsFetchingCourses(true);
-    fetchLearningResources(careerGoal, missingSkills)
-      .then((data) => {
-        setLearning(data);
-        setCourseError(null);
-      })
-      .catch((err) => setCourseError(err.message))
-      .finally(() => setIsFetchingCourses(false));
-  }, [careerGoal, JSON.stringify(missingSkills)]);
+    if (!jobTitle) return;
+    let cancelled = false;
+    setIsLoading(true);
+    setError(null);
+    fetchSalaryInsights({ jobTitle, location, workType: workType || undefined })
+      .then((result) => !cancelled && setInsights(result))
+      .catch((err) => !cancelled && setError(err.message))
+      .finally(() => !cancelled && setIsLoading(false));
+    return () => {
+      cancelled = true;
+    };
+  }, [jobTitle, location, workType]);
 
-  return (
-    <div className="p-4 md:p-8 max-w-4xl mx-auto">
-      <h2 className="text-4xl font-bold text-white mb-2">
-        Personalized Action Plan
-      </h2>
-      <p className="text-lg text-purple-100 mb-8">
-        Based on your skill gaps and target career.
-      </p>
+  if (!jobTitle || (!isLoading && !error && !insights)) return null;
 
-      <div className="grid grid-cols-1 lg:grid-cols-2 gap-6 mb-8">
-        {/* Certifications Card */}
-        <IconCard icon={Award} title="Top Certifications & Courses">
-          <p className="text-purple-100 mb-3">
-            Gain formal knowledge and credentials:
-          </p>
-          <ul className="space-y-4">
-            {recommendations.certifications.map((cert, index) => (
-              <li
-                key={index}
-                className="p-3 bg-yellow-900/40 rounded-lg border-l-4 border-yellow-400/80 text-yellow-100 font-medium"
-              >
-                {cert}
-              </li>
-            ))}
-          </ul>
-        </IconCard>
+  const { overall, currency, sampleSize, byLocation = [], byWorkType = [] } = insights || {};
+  const span = overall ? Math.max(overall.max - overall.min, 1) : 1;
+  const position = (value) => `${((value - overall.min) / span) * 100}%`;
 
-        {/* Opportunities Card */}
-        <IconCard icon={Zap} title="Real-World Opportunities">
-          <p className="text-purple-100 mb-3">
-            Build a strong portfolio through hands-on experience:
-          </p>
-          <ul className="space-y-4">
-            {recommendations.opportunities.map((opp, index) => (
-              <li
-                key={index}
-                className="p-3 bg-blue-900/40 rounded-lg border-l-4 border-blue-400/80 text-blue-100 font-medium"
-              >
-                {opp}
-              </li>
+  return (
+    <IconCard icon={PieChart} title={`Salary Range: ${jobTitle}`} className={className}>
+      {isLoading ? (
+        <Loader className="w-6 h-6 animate-spin text-cyan-300" />
+      ) : error ? (
+        <p className="text-sm text-red-300">{error}</p>
+      ) : !overall ? (
+        <p className="text-sm text-purple-100">
+          No salary data for this role{location ? ` in ${location}` : ""} in the job dataset yet.
+        </p>
+      ) : (
+        <>
+          <div className="flex flex-wrap items-baseline gap-x-3 mb-3">
+            <span className="text-3xl font-bold text-emerald-300">{formatSalary(overall.median, currency)}</span>
+            <span className="text-sm text-purple-200">
+              {`median per year • ${formatSalary(overall.p25, currency)} – ${formatSalary(overall.p75, currency)} middle half`}
+            </span>
+          </div>
+          <div className="relative h-3 bg-purple-900/60 rounded-full mb-1">
+            <div
+              className="absolute h-full bg-cyan-700/60 rounded-full"
+              style={{ left: position(overall.p10), width: `calc(${position(overall.p90)} - ${position(overall.p10)})` }}
+            />
+            <div
+              className="absolute h-full bg-emerald-400 rounded-full"
+              style={{ left: position(overall.p25), width: `calc(${position(overall.p75)} - ${position(overall.p25)})` }}
+            />
+            <div className="absolute h-5 -top-1 w-0.5 bg-white" style={{ left: position(overall.median) }} />
+          </div>
+          <div className="flex justify-between text-[11px] text-purple-300 mb-3">
+            <span>{formatSalary(overall.min, currency)}</span>
+            <span>{`10th–90th percentile: ${formatSalary(overall.p10, currency)} – ${formatSalary(overall.p90, currency)}`}</span>
+            <span>{formatSalary(overall.max, currency)}</span>
+          </div>
+          <div className="grid grid-cols-1 md:grid-cols-2 gap-4 text-sm">
+            {[
+              ["By location", byLocation],
+              ["By work type", byWorkType],
+            ].map(([label, groups]) => (
+              <div key={label}>
+                <div className="text-xs uppercase tracking-wide text-purple-300 mb-1">{label}</div>
+                <ul className="space-y-1">
+                  {groups.slice(0, 5).map((group) => (
+                    <li key={group.key} className="flex justify-between text-purple-100">
+                      <span className="truncate pr-2">{`${group.key} (${group.count})`}</span>
+                      <span className="text-emerald-200">{formatSalary(group.median, currency)}</span>
+                    </li>
+                  ))}
+                </ul>
+              </div>
             ))}
-          </ul>
-        </IconCard>
-      </div>
-
+          </div>
+          <p className="text-xs text-purple-300 mt-3">
+            {`Based on ${sampleSize} posting${sampleSize === 1 ? "" : "s"} with a listed salary; hourly and monthly rates are converted to yearly.`}
+            {sampleSize < SALARY_SMALL_SAMPLE && " Small sample – treat as a rough guide."}
+          </p>
+        </>
+      )}
+    </IconCard>
+  );
+};
+
+const SHARE_EXPIRY_OPTIONS = [1, 7, 30];
+
+const SHARE_STATUS_STYLES = {
+  active: "bg-emerald-900/40 text-emerald-200 border-emerald-500/60",
+  expired: "bg-yellow-900/40 text-yellow-200 border-yellow-500/60",
+  revoked: "bg-red-900/40 text-red-200 border-red-500/60",
+};
+
+/**
+ * Creates read-only links to the current report for mentors and lists the user's links with their view
+ * counts. The mentor needs no account; the link stops working once it expires or is revoked.
+ */
+const ShareReportPanel = ({ analysisData, userId }) => {
+  const [shares, setShares] = useState([]);
+  const [expiresInDays, setExpiresInDays] = useState(7);
+  const [isCreating, setIsCreating] = useState(false);
+  const [copiedId, setCopiedId] = useState(null);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    if (!userId) return;
+    fetchShareLinks(userId)
+      .then(setShares)
+      .catch((err) => setError(err.message));
+  }, [userId]);
+
+  const copyLink = (share) => {
+    navigator.clipboard
+      .writeText(shareUrl(share.token))
+      .then(() => setCopiedId(share.id))
+      .catch(() => setError("Could not copy the link; copy it from the address shown instead."));
+  };
+
+  const handleCreate = async () => {
+    setIsCreating(true);
+    setError(null);
+    try {
+      const share = await createShareLink(userId, analysisData, expiresInDays);
+      setShares((prev) => [share, ...prev]);
+      copyLink(share);
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setIsCreating(false);
+    }
+  };
+
+  const handleRevoke = async (shareId) => {
+    setError(null);
+    try {
+      const revoked = await revokeShareLink(userId, shareId);
+      setShares((prev) => prev.map((s) => (s.id === shareId ? { ...s, ...revoked } : s)));
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  return (
+    <IconCard icon={Share2} title="Share with a Mentor" className="mt-6">
+      <p className="text-sm text-purple-100 mb-3">
+        Create a read-only link to this report. Your resume text is not included, and you can revoke the
+        link at any time.
+      </p>
+      <div className="flex flex-wrap items-center gap-3 mb-4">
+        <label className="text-sm text-purple-100">
+          Expires after{" "}
+          <select
+            value={expiresInDays}
+            onChange={(e) => setExpiresInDays(Number(e.target.value))}
+            className="ml-1 bg-purple-950/80 border border-purple-500/60 rounded-lg px-2 py-1 text-purple-50"
+          >
+            {SHARE_EXPIRY_OPTIONS.map((days) => (
+              <option key={days} value={days}>
+                {days} day{days === 1 ? "" : "s"}
+              </option>
+            ))}
+          </select>
+        </label>
+        <button
+          onClick={handleCreate}
+          disabled={!userId || isCreating}
+          className="flex items-center bg-gradient-to-r from-cyan-400 to-purple-500 text-white font-semibold px-4 py-1.5 rounded-full disabled:opacity-50"
+        >
+          {isCreating && <Loader className="w-4 h-4 mr-2 animate-spin" />}
+          Create &amp; copy link
+        </button>
+      </div>
+
+      {shares.length > 0 && (
+        <ul className="space-y-2">
+          {shares.map((share) => (
+            <li
+              key={share.id}
+              className="p-3 bg-purple-950/60 rounded-lg border border-purple-500/40 text-sm"
+            >
+              <div className="flex flex-wrap items-center gap-2">
+                <span className="font-semibold text-purple-50">{share.careerGoal}</span>
+                <span className={`text-[11px] px-2 py-0.5 rounded-full border ${SHARE_STATUS_STYLES[share.status]}`}>
+                  {share.status}
+                </span>
+                <span className="ml-auto text-xs text-purple-300">
+                  {share.views} view{share.views === 1 ? "" : "s"}
+                </span>
+              </div>
+              <div className="text-xs text-purple-300 mt-1">
+                {`Created ${new Date(share.createdAt).toLocaleDateString()} • ` +
+                  (share.status === "revoked"
+                    ? `revoked ${new Date(share.revokedAt).toLocaleDateString()}`
+                    : `expires ${new Date(share.expiresAt).toLocaleDateString()}`)}
+                {share.lastViewedAt && ` • last viewed ${new Date(share.lastViewedAt).toLocaleString()}`}
+              </div>
+              {share.status === "active" && (
+                <div className="flex flex-wrap items-center gap-3 mt-2">
+                  <input
+                    readOnly
+                    value={shareUrl(share.token)}
+                    onFocus={(e) => e.target.select()}
+                    className="flex-grow min-w-0 bg-black/40 border border-purple-700/60 rounded px-2 py-1 text-xs font-mono text-cyan-200"
+                  />
+                  <button onClick={() => copyLink(share)} className="text-xs text-cyan-300 underline">
+                    {copiedId === share.id ? "Copied" : "Copy"}
+                  </button>
+                  <button onClick={() => handleRevoke(share.id)} className="text-xs text-red-300 underline">
+                    Revoke
+                  </button>
+                </div>
+              )}
+            </li>
+          ))}
+        </ul>
+      )}
+      {error && <p className="mt-3 text-xs text-red-300">{error}</p>}
+    </IconCard>
+  );
+};
+
+const ProgressControl = ({ status = "not-started", onChange }) => (
+  <div className="inline-flex rounded-full border border-purple-500/60 overflow-hidden text-[11px]">
+    {Object.entries(PROGRESS_STATUS_LABELS).map(([value, label]) => (
+      <button
+        key={value}
+        type="button"
+        onClick={() => onChange(value)}
+        className={`px-2 py-0.5 ${
+          status === value
+            ? value === "completed"
+              ? "bg-green-500/70 text-white"
+              : "bg-cyan-500/60 text-white"
+            : "text-purple-200 hover:bg-purple-800/60"
+        }`}
+      >
+        {label}
+      </button>
+    ))}
+  </div>
+);
+
+const todayIso = () => new Date().toISOString().slice(0, 10);
+
+const RoadmapPlanner = ({ careerGoal, missingSkills }) => {
+  const [hoursPerWeek, setHoursPerWeek] = useState(5);
+  const [budget, setBudget] = useState("");
+  const [startDate, setStartDate] = useState(todayIso);
+  const [roadmap, setRoadmap] = useState(null);
+  const [isPlanning, setIsPlanning] = useState(false);
+  const [error, setError] = useState(null);
+
+  const handlePlan = async () => {
+    setIsPlanning(true);
+    setError(null);
+    try {
+      setRoadmap(
+        await buildRoadmap({
+          careerGoal,
+          missingSkills,
+          hoursPerWeek: Number(hoursPerWeek),
+          budget: budget === "" ? null : Number(budget),
+          startDate,
+        })
+      );
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setIsPlanning(false);
+    }
+  };
+
+  const handleDownload = (format) =>
+    downloadRoadmap(roadmap, format).catch((err) => setError(err.message));
+
+  return (
+    <IconCard icon={PieChart} title="Learning Roadmap" className="mb-8">
+      <p className="text-sm text-purple-100 mb-3">
+        Turn your missing skills into a week-by-week plan that fits your time and budget.
+      </p>
+      <div className="grid grid-cols-1 sm:grid-cols-3 gap-3 mb-3">
+        <label className="text-xs text-purple-200">
+          Hours per week
+          <input
+            type="number"
+            min="1"
+            max="60"
+            value={hoursPerWeek}
+            onChange={(e) => setHoursPerWeek(e.target.value)}
+            className="mt-1 w-full p-2 rounded-lg bg-purple-950/60 border border-purple-500/60 text-purple-50"
+          />
+        </label>
+        <label className="text-xs text-purple-200">
+          Budget in USD (blank for no limit)
+          <input
+            type="number"
+            min="0"
+            value={budget}
+            onChange={(e) => setBudget(e.target.value)}
+            className="mt-1 w-full p-2 rounded-lg bg-purple-950/60 border border-purple-500/60 text-purple-50"
+          />
+        </label>
+        <label className="text-xs text-purple-200">
+          Start date
+          <input
+            type="date"
+            value={startDate}
+            onChange={(e) => setStartDate(e.target.value)}
+            className="mt-1 w-full p-2 rounded-lg bg-purple-950/60 border border-purple-500/60 text-purple-50"
+          />
+        </label>
+      </div>
+      <button
+        type="button"
+        onClick={handlePlan}
+        disabled={isPlanning || !missingSkills.length}
+        className="flex items-center bg-gradient-to-r from-cyan-400 to-purple-500 px-4 py-2 rounded-full text-white text-sm shadow-glow disabled:opacity-50"
+      >
+        {isPlanning && <Loader className="w-4 h-4 mr-2 animate-spin" />}
+        {roadmap ? "Rebuild Roadmap" : "Build Roadmap"}
+      </button>
+      {!missingSkills.length && (
+        <p className="text-xs text-purple-300 mt-2">
+          No missing skills to plan for.
+        </p>
+      )}
+      {error && (
+        <div className="mt-3 text-sm text-red-300 bg-red-900/40 border border-red-500/60 rounded-lg p-2">
+          {error}
+        </div>
+      )}
+
+      {roadmap && (
+        <div className="mt-5 space-y-4">
+          <div className="flex flex-wrap items-center justify-between gap-2 text-sm text-purple-100">
+            <span>
+              {roadmap.totalWeeks} weeks • about {roadmap.totalHours} hours • estimated ${roadmap.estimatedCost}
+            </span>
+            <span className="space-x-3">
+              <button
+                type="button"
+                onClick={() => handleDownload("ics")}
+                className="text-cyan-300 underline"
+              >
+                Calendar (.ics)
+              </button>
+              <button
+                type="button"
+                onClick={() => handleDownload("md")}
+                className="text-cyan-300 underline"
+              >
+                Markdown (.md)
+              </button>
+            </span>
+          </div>
+
+          <ol className="space-y-2">
+            {roadmap.weeks.map((week) => (
+              <li
+                key={week.week}
+                className="p-3 bg-purple-950/60 border border-purple-500/60 rounded-lg"
+              >
+                <div className="text-xs text-purple-300">
+                  Week {week.week} • {week.startDate} to {week.endDate}
+                </div>
+                <ul className="mt-1 space-y-1">
+                  {week.tasks.map((task) => (
+                    <li key={task.itemId} className="text-sm text-purple-50">
+                      {task.title}{" "}
+                      <span className="text-xs text-purple-300">({task.hours} h)</span>
+                    </li>
+                  ))}
+                </ul>
+              </li>
+            ))}
+          </ol>
+
+          <div>
+            <h4 className="text-sm font-semibold text-purple-50 mb-2">Milestones</h4>
+            <ul className="space-y-1">
+              {roadmap.milestones.map((milestone, idx) => (
+                <li key={idx} className="flex items-start text-sm text-purple-100">
+                  <CheckCircle className="w-4 h-4 mr-2 mt-0.5 text-green-300 flex-shrink-0" />
+                  <span>
+                    Week {milestone.week} ({milestone.date}): {milestone.title}
+                  </span>
+                </li>
+              ))}
+            </ul>
+          </div>
+
+          {roadmap.skipped.length > 0 && (
+            <div className="text-xs text-purple-300">
+              Left out:{" "}
+              {roadmap.skipped.map((s) => `${s.title} (${s.reason})`).join("; ")}
+            </div>
+          )}
+        </div>
+      )}
+    </IconCard>
+  );
+};
+
+const RecommendationsPage = ({ analysisData, setCurrentPage, db, userId }) => {
+  const [learning, setLearning] = useState(null);
+  const [isFetchingCourses, setIsFetchingCourses] = useState(false);
+  const [courseError, setCourseError] = useState(null);
+  const { progress, setItemStatus } = useLearningProgress(db, userId);
+
+  if (!analysisData) {
+    return (
+      <div className="p-8 max-w-2xl mx-auto text-center">
+        <p className="text-lg text-red-300 mb-4">
+          Analysis data is missing.
+        </p>
+        <button
+          onClick={() => setCurrentPage("upload")}
+          className="bg-gradient-to-r from-cyan-400 to-purple-500 px-5 py-2 rounded-full text-white shadow-glow"
+        >
+          Go to Upload Page
+        </button>
+      </div>
+    );
+  }
+
+  const {
+    recommendations = {},
+    sources = [],
+    careerGoal,
+    missingSkills = [],
+  } = analysisData;
+
+  const loadLearningResources = (refresh = false) => {
+    if (!careerGoal) return;
+    setIsFetchingCourses(true);
+    fetchLearningResources(careerGoal, missingSkills, { refresh })
+      .then((data) => {
+        setLearning(data);
+        setCourseError(null);
+      })
+      .catch((err) => setCourseError(err.message))
+      .finally(() => setIsFetchingCourses(false));
+  };
+
+  useEffect(() => {
+    loadLearningResources();
+  }, [careerGoal, JSON.stringify(missingSkills)]);
+
+  const progressControl = (kind, title, link) => (
+    <ProgressControl
+      status={progress[progressItemId(kind, title)]?.status}
+      onChange={(status) => setItemStatus({ kind, title, link, careerGoal }, status)}
+    />
+  );
+
+  return (
+    <div className="p-4 md:p-8 max-w-4xl mx-auto">
+      <h2 className="text-4xl font-bold text-white mb-2">
+        Personalized Action Plan
+      </h2>
+      <p className="text-lg text-purple-100 mb-8">
+        Based on your skill gaps and target career.
+      </p>
+
+      <div className="grid grid-cols-1 lg:grid-cols-2 gap-6 mb-8">
+        {/* Certifications Card */}
+        <IconCard icon={Award} title="Top Certifications & Courses">
+          <p className="text-purple-100 mb-3">
+            Gain formal knowledge and credentials:
+          </p>
+          <ul className="space-y-4">
+            {(recommendations.certifications || []).map((cert, index) => (
+              <li
+                key={index}
+                className="p-3 bg-yellow-900/40 rounded-lg border-l-4 border-yellow-400/80 text-yellow-100 font-medium"
+              >
+                <div>{cert}</div>
+                <div className="mt-2">{progressControl("course", cert)}</div>
+              </li>
+            ))}
+          </ul>
+        </IconCard>
+
+        {/* Opportunities Card */}
+        <IconCard icon={Zap} title="Real-World Opportunities">
+          <p className="text-purple-100 mb-3">
+            Build a strong portfolio through hands-on experience:
+          </p>
+          <ul className="space-y-4">
+            {(recommendations.opportunities || []).map((opp, index) => (
+              <li
+                key={index}
+                className="p-3 bg-blue-900/40 rounded-lg border-l-4 border-blue-400/80 text-blue-100 font-medium"
+              >
+                <div>{opp}</div>
+                <div className="mt-2">{progressControl("opportunity", opp)}</div>
+              </li>
+            ))}
+          </ul>
+        </IconCard>
+      </div>
+
       <div className="grid grid-cols-1 lg:grid-cols-2 gap-6 mb-8">
         <IconCard
           icon={Award}
@@ -820,6 +2651,18 @@ const RecommendationsPage = ({ analysisData, setCurrentPage }) => {
             </div>
           ) : learning?.courses?.length ? (
             <ul className="space-y-3">
+              {learning.cached && (
+                <li className="flex items-center justify-between text-xs text-purple-200">
+                  <span>Showing saved results for this role.</span>
+                  <button
+                    type="button"
+                    onClick={() => loadLearningResources(true)}
+                    className="text-cyan-300 underline"
+                  >
+                    Refresh
+                  </button>
+                </li>
+              )}
               {learning.courses.map((course, idx) => (
                 <li
                   key={idx}
@@ -835,14 +2678,17 @@ const RecommendationsPage = ({ analysisData, setCurrentPage }) => {
                     {course.duration || ""}{" "}
                     {course.cost ? `• ${course.cost}` : ""}
                   </div>
-                  <a
-                    className="text-xs text-cyan-300 underline"
-                    href={course.link}
-                    target="_blank"
-                    rel="noreferrer"
-                  >
-                    Open
-                  </a>
+                  <div className="flex items-center justify-between mt-1">
+                    <a
+                      className="text-xs text-cyan-300 underline"
+                      href={course.link}
+                      target="_blank"
+                      rel="noreferrer"
+                    >
+                      Open
+                    </a>
+                    {progressControl("course", course.title, course.link)}
+                  </div>
                 </li>
               ))}
             </ul>
@@ -879,14 +2725,17 @@ const RecommendationsPage = ({ analysisData, setCurrentPage }) => {
                   <div className="text-xs text-purple-300">
                     {opp.difficulty || ""}
                   </div>
-                  <a
-                    className="text-xs text-cyan-300 underline"
-                    href={opp.link}
-                    target="_blank"
-                    rel="noreferrer"
-                  >
-                    Open
-                  </a>
+                  <div className="flex items-center justify-between mt-1">
+                    <a
+                      className="text-xs text-cyan-300 underline"
+                      href={opp.link}
+                      target="_blank"
+                      rel="noreferrer"
+                    >
+                      Open
+                    </a>
+                    {progressControl("opportunity", opp.name, opp.link)}
+                  </div>
                 </li>
               ))}
             </ul>
@@ -898,6 +2747,8 @@ const RecommendationsPage = ({ analysisData, setCurrentPage }) => {
         </IconCard>
       </div>
 
+      <RoadmapPlanner key={careerGoal} careerGoal={careerGoal} missingSkills={missingSkills} />
+
       <IconCard icon={Search} title="AI Grounding Sources (Google Search)">
         <p className="text-sm text-purple-100 mb-3">
           The AI used the following current web sources to generate accurate
@@ -933,39 +2784,1789 @@ const RecommendationsPage = ({ analysisData, setCurrentPage }) => {
   );
 };
 
-const JobMatchPage = ({ analysisData, setCurrentPage }) => {
+const RewritePage = ({ analysisData, setAnalysisData, setCurrentPage, db, userId }) => {
+  const [resumeText, setResumeText] = useState(
+    () => localStorage.getItem("upload_resumeText") || ""
+  );
+  const [section, setSection] = useState("");
+  const [rewrites, setRewrites] = useState([]);
+  const [decisions, setDecisions] = useState({});
+  const [isRewriting, setIsRewriting] = useState(false);
+  const [isReanalyzing, setIsReanalyzing] = useState(false);
+  const [error, setError] = useState(null);
+
+  if (!analysisData) {
+    return (
+      <div className="p-8 max-w-2xl mx-auto text-center">
+        <p className="text-lg text-red-300 mb-4">
+          Analysis data is missing.
+        </p>
+        <button
+          onClick={() => setCurrentPage("upload")}
+          className="bg-gradient-to-r from-cyan-400 to-purple-500 px-5 py-2 rounded-full text-white shadow-glow"
+        >
+          Go to Upload Page
+        </button>
+      </div>
+    );
+  }
+
+  const { careerGoal } = analysisData;
+
+  const handleRewrite = async () => {
+    if (resumeText.trim().length < 50) {
+      setError("Please paste your resume (at least 50 characters) first.");
+      return;
+    }
+    setError(null);
+    setIsRewriting(true);
+    try {
+      const result = await rewriteResume(resumeText, careerGoal, section);
+      setRewrites(result.rewrites || []);
+      setDecisions({});
+    } catch (e) {
+      setError(e.message);
+    } finally {
+      setIsRewriting(false);
+    }
+  };
+
+  const decide = (id, decision) =>
+    setDecisions((prev) => ({ ...prev, [id]: decision }));
+  const decideAll = (decision) =>
+    setDecisions(Object.fromEntries(rewrites.map((r) => [r.id, decision])));
+
+  const accepted = rewrites.filter((r) => decisions[r.id] === "accepted");
+  // A replacer function keeps "$&", "$'" and "$$" in a rewrite literal instead of expanding them
+  const editedText = accepted.reduce(
+    (text, rewrite) => text.replace(rewrite.original, () => rewrite.rewritten),
+    resumeText
+  );
+  const hasPlaceholders = accepted.some((r) => /\[[^\]]+\]/.test(r.rewritten));
+
+  const handleReanalyze = async () => {
+    setError(null);
+    setIsReanalyzing(true);
+    try {
+      localStorage.setItem("upload_resumeText", editedText);
+      const result = await analyzeResumeWithGemini(db, userId, editedText, careerGoal);
+      setAnalysisData(result);
+      setCurrentPage("dashboard");
+    } catch (e) {
+      setError(`Re-analysis failed. Please try again. Error: ${e.message}`);
+    } finally {
+      setIsReanalyzing(false);
+    }
+  };
+
+  return (
+    <div className="p-4 md:p-8 max-w-5xl mx-auto">
+      <div className="flex items-center justify-between mb-6">
+        <div>
+          <h2 className="text-3xl md:text-4xl font-extrabold text-white drop-shadow-[0_0_18px_rgba(59,130,246,0.8)]">
+            Rewrite Weak Bullets
+          </h2>
+          <p className="text-sm md:text-base text-purple-100 opacity-90">
+            Tailored to: <span className="font-semibold text-cyan-200">{careerGoal}</span>
+          </p>
+        </div>
+        <button
+          onClick={() => setCurrentPage("dashboard")}
+          className="text-sm text-cyan-200 hover:text-white underline"
+        >
+          Back to Report
+        </button>
+      </div>
+
+      <IconCard icon={UploadCloud} title="Resume Content" className="mb-6">
+        <textarea
+          className="w-full h-48 p-3 border border-purple-500/60 bg-purple-950/70 rounded-xl focus:ring-2 focus:ring-cyan-400 focus:border-cyan-400 font-mono text-sm shadow-inner text-purple-50 placeholder-purple-300/70"
+          placeholder="Paste your resume, or a single section of it..."
+          value={resumeText}
+          onChange={(e) => {
+            setResumeText(e.target.value);
+            setRewrites([]);
+          }}
+          disabled={isRewriting || isReanalyzing}
+        />
+        <div className="flex flex-col sm:flex-row gap-3 mt-3">
+          <input
+            className="flex-1 rounded-lg border border-purple-500/40 bg-purple-900/30 text-purple-50 p-2 focus:outline-none focus:ring-2 focus:ring-cyan-400"
+            value={section}
+            onChange={(e) => setSection(e.target.value)}
+            placeholder="Only this section (optional), e.g. Experience"
+            disabled={isRewriting || isReanalyzing}
+          />
+          <button
+            onClick={handleRewrite}
+            className="bg-gradient-to-r from-cyan-400 via-blue-500 to-purple-500 text-white font-semibold px-4 py-2 rounded-lg shadow-glow disabled:opacity-60 flex items-center justify-center"
+            disabled={isRewriting || isReanalyzing}
+          >
+            {isRewriting ? (
+              <>
+                <Loader className="w-4 h-4 mr-2 animate-spin" />
+                Rewriting...
+              </>
+            ) : (
+              "Suggest Rewrites"
+            )}
+          </button>
+        </div>
+      </IconCard>
+
+      {error && (
+        <div className="p-3 mb-4 text-red-200 bg-red-900/40 border border-red-500/70 rounded-lg text-sm font-medium">
+          {error}
+        </div>
+      )}
+
+      {rewrites.length > 0 && (
+        <IconCard icon={Zap} title="Suggested Changes" className="mb-6">
+          <div className="flex gap-3 mb-4 text-xs">
+            <button onClick={() => decideAll("accepted")} className="text-cyan-300 underline">
+              Accept all
+            </button>
+            <button onClick={() => decideAll("rejected")} className="text-cyan-300 underline">
+              Reject all
+            </button>
+          </div>
+          <ul className="space-y-4">
+            {rewrites.map((rewrite) => (
+              <li
+                key={rewrite.id}
+                className={`p-3 rounded-lg border ${
+                  decisions[rewrite.id] === "accepted"
+                    ? "bg-emerald-950/40 border-emerald-500/60"
+                    : decisions[rewrite.id] === "rejected"
+                    ? "bg-purple-950/30 border-purple-800/60 opacity-60"
+                    : "bg-purple-950/60 border-purple-500/40"
+                }`}
+              >
+                {rewrite.section && (
+                  <p className="text-xs uppercase tracking-wide text-cyan-300 mb-1">
+                    {rewrite.section}
+                  </p>
+                )}
+                <p className="text-sm text-purple-50">
+                  <DiffText before={rewrite.original} after={rewrite.rewritten} />
+                </p>
+                <p className="text-xs text-purple-300 mt-1">{rewrite.reason}</p>
+                <div className="flex gap-2 mt-2">
+                  <button
+                    onClick={() => decide(rewrite.id, "accepted")}
+                    className="text-xs px-3 py-1 rounded-full border border-emerald-500/60 text-emerald-100 hover:bg-emerald-900/40"
+                  >
+                    Accept
+                  </button>
+                  <button
+                    onClick={() => decide(rewrite.id, "rejected")}
+                    className="text-xs px-3 py-1 rounded-full border border-red-500/60 text-red-200 hover:bg-red-900/40"
+                  >
+                    Reject
+                  </button>
+                </div>
+              </li>
+            ))}
+          </ul>
+        </IconCard>
+      )}
+
+      {accepted.length > 0 && (
+        <IconCard icon={CheckCircle} title="Edited Resume">
+          {hasPlaceholders && (
+            <p className="text-xs text-yellow-200 mb-2">
+              ⚠ Replace the [bracketed placeholders] with your real numbers before re-running the analysis.
+            </p>
+          )}
+          <pre className="whitespace-pre-wrap text-xs text-purple-100 font-mono max-h-96 overflow-y-auto mb-4">
+            {editedText}
+          </pre>
+          <button
+            onClick={handleReanalyze}
+            className="bg-gradient-to-r from-cyan-400 via-blue-500 to-purple-500 hover:from-cyan-300 hover:via-blue-400 hover:to-purple-400 text-white font-bold px-6 py-3 rounded-2xl w-full shadow-glow disabled:opacity-50 flex items-center justify-center"
+            disabled={isReanalyzing}
+          >
+            {isReanalyzing ? (
+              <>
+                <Loader className="w-5 h-5 mr-3 animate-spin" />
+                Re-analyzing...
+              </>
+            ) : (
+              `Apply ${accepted.length} change${accepted.length === 1 ? "" : "s"} & Re-run Analysis`
+            )}
+          </button>
+        </IconCard>
+      )}
+    </div>
+  );
+};
+
+const COVER_LETTER_TONES = ["professional", "enthusiastic", "confident", "conversational"];
+const COVER_LETTER_LENGTHS = {
+  short: "Short (3 paragraphs)",
+  medium: "Medium (4 paragraphs)",
+  long: "Long (5 paragraphs)",
+};
+
+// A job row from /api/jobs, handed over by JobMatchPage through localStorage ("coverLetter_job")
+const jobRowToCoverLetterJob = (row) => ({
+  title: row.job_title || "",
+  company: row.company || "",
+  description: [
+    row.location && `Location: ${row.location}`,
+    row.skills && `Skills: ${row.skills}`,
+    row.qualifications && `Qualifications: ${row.qualifications}`,
+    row.work_type && `Work type: ${row.work_type}`,
+  ]
+    .filter(Boolean)
+    .join("\n"),
+});
+
+const CoverLetterPage = ({ analysisData, setCurrentPage }) => {
+  const [job, setJob] = useState(() => {
+    try {
+      const stored = JSON.parse(localStorage.getItem("coverLetter_job") || "null");
+      return stored ? jobRowToCoverLetterJob(stored) : { title: "", company: "", description: "" };
+    } catch {
+      return { title: "", company: "", description: "" };
+    }
+  });
+  const [tone, setTone] = useState("professional");
+  const [length, setLength] = useState("medium");
+  const [candidateName, setCandidateName] = useState(
+    () => localStorage.getItem("coverLetter_name") || ""
+  );
+  const [letter, setLetter] = useState(null);
+  const [instructions, setInstructions] = useState({});
+  const [busy, setBusy] = useState(null);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    try {
+      localStorage.setItem("coverLetter_name", candidateName);
+    } catch {
+      // ignore storage failures
+    }
+  }, [candidateName]);
+
+  if (!analysisData) {
+    return (
+      <div className="p-8 max-w-2xl mx-auto text-center">
+        <p className="text-lg text-red-300 mb-4">
+          Analysis data is missing.
+        </p>
+        <button
+          onClick={() => setCurrentPage("upload")}
+          className="bg-gradient-to-r from-cyan-400 to-purple-500 px-5 py-2 rounded-full text-white shadow-glow"
+        >
+          Go to Upload Page
+        </button>
+      </div>
+    );
+  }
+
+  const targetJob = job.title || job.company || job.description ? job : undefined;
+  const requestBase = {
+    analysis: coverLetterAnalysis(analysisData),
+    job: targetJob,
+    tone,
+    candidateName: candidateName.trim() || undefined,
+  };
+
+  const run = async (label, action) => {
+    setError(null);
+    setBusy(label);
+    try {
+      await action();
+    } catch (e) {
+      setError(e.message);
+    } finally {
+      setBusy(null);
+    }
+  };
+
+  const handleGenerate = () =>
+    run("generate", async () => {
+      setLetter(await generateCoverLetter({ ...requestBase, length }));
+      setInstructions({});
+    });
+
+  const handleRegenerate = (index) =>
+    run(`paragraph-${index}`, async () => {
+      const paragraph = await regenerateCoverLetterParagraph({
+        ...requestBase,
+        paragraphs: letter.paragraphs,
+        index,
+        instruction: instructions[index] || undefined,
+      });
+      updateParagraph(index, paragraph);
+    });
+
+  const updateParagraph = (index, text) =>
+    setLetter((prev) => ({
+      ...prev,
+      paragraphs: prev.paragraphs.map((p, i) => (i === index ? text : p)),
+    }));
+
+  const inputClass =
+    "w-full mt-1 rounded-lg border border-purple-500/40 bg-purple-900/30 text-purple-50 p-2 focus:outline-none focus:ring-2 focus:ring-cyan-400";
+
+  return (
+    <div className="p-4 md:p-8 max-w-5xl mx-auto">
+      <div className="flex items-center justify-between mb-6">
+        <div>
+          <h2 className="text-3xl md:text-4xl font-extrabold text-white drop-shadow-[0_0_18px_rgba(59,130,246,0.8)]">
+            Cover Letter
+          </h2>
+          <p className="text-sm md:text-base text-purple-100 opacity-90">
+            Built from your analysis for:{" "}
+            <span className="font-semibold text-cyan-200">{analysisData.careerGoal}</span>
+          </p>
+        </div>
+        <button
+          onClick={() => setCurrentPage("dashboard")}
+          className="text-sm text-cyan-200 hover:text-white underline"
+        >
+          Back to Report
+        </button>
+      </div>
+
+      <div className="grid grid-cols-1 lg:grid-cols-2 gap-6 mb-6">
+        <IconCard icon={Search} title="Target Job (optional)">
+          <div className="grid grid-cols-1 sm:grid-cols-2 gap-3">
+            <div>
+              <label className="text-xs text-purple-200/80">Job title</label>
+              <input
+                className={inputClass}
+                value={job.title}
+                onChange={(e) => setJob({ ...job, title: e.target.value })}
+                placeholder="e.g., Junior Data Analyst"
+              />
+            </div>
+            <div>
+              <label className="text-xs text-purple-200/80">Company</label>
+              <input
+                className={inputClass}
+                value={job.company}
+                onChange={(e) => setJob({ ...job, company: e.target.value })}
+                placeholder="e.g., Scotiabank"
+              />
+            </div>
+          </div>
+          <label className="text-xs text-purple-200/80 mt-3 block">Job posting</label>
+          <textarea
+            className={`${inputClass} h-32 text-sm`}
+            value={job.description}
+            onChange={(e) => setJob({ ...job, description: e.target.value })}
+            placeholder="Paste the job description, or pick a job on the Jobs page..."
+          />
+        </IconCard>
+
+        <IconCard icon={Award} title="Options">
+          <label className="text-xs text-purple-200/80">Your name (for the signature)</label>
+          <input
+            className={inputClass}
+            value={candidateName}
+            onChange={(e) => setCandidateName(e.target.value)}
+            placeholder="e.g., Jordan Lee"
+          />
+          <div className="grid grid-cols-2 gap-3 mt-3">
+            <div>
+              <label className="text-xs text-purple-200/80">Tone</label>
+              <select className={inputClass} value={tone} onChange={(e) => setTone(e.target.value)}>
+                {COVER_LETTER_TONES.map((option) => (
+                  <option key={option} value={option}>
+                    {option.charAt(0).toUpperCase() + option.slice(1)}
+                  </option>
+                ))}
+              </select>
+            </div>
+            <div>
+              <label className="text-xs text-purple-200/80">Length</label>
+              <select className={inputClass} value={length} onChange={(e) => setLength(e.target.value)}>
+                {Object.entries(COVER_LETTER_LENGTHS).map(([value, label]) => (
+                  <option key={value} value={value}>
+                    {label}
+                  </option>
+                ))}
+              </select>
+            </div>
+          </div>
+          <button
+            onClick={handleGenerate}
+            className="mt-6 bg-gradient-to-r from-cyan-400 via-blue-500 to-purple-500 hover:from-cyan-300 hover:via-blue-400 hover:to-purple-400 text-white font-bold px-6 py-3 rounded-2xl w-full shadow-glow disabled:opacity-50 flex items-center justify-center"
+            disabled={Boolean(busy)}
+          >
+            {busy === "generate" ? (
+              <>
+                <Loader className="w-5 h-5 mr-3 animate-spin" />
+                Writing...
+              </>
+            ) : letter ? (
+              "Regenerate Whole Letter"
+            ) : (
+              "Generate Cover Letter"
+            )}
+          </button>
+        </IconCard>
+      </div>
+
+      {error && (
+        <div className="p-3 mb-4 text-red-200 bg-red-900/40 border border-red-500/70 rounded-lg text-sm font-medium">
+          {error}
+        </div>
+      )}
+
+      {letter && (
+        <IconCard icon={Zap} title="Your Letter">
+          <input
+            className={`${inputClass} mb-4`}
+            value={letter.greeting}
+            onChange={(e) => setLetter({ ...letter, greeting: e.target.value })}
+          />
+          <div className="space-y-4">
+            {letter.paragraphs.map((paragraph, index) => (
+              <div key={index}>
+                <textarea
+                  className={`${inputClass} h-28 text-sm`}
+                  value={paragraph}
+                  onChange={(e) => updateParagraph(index, e.target.value)}
+                  disabled={busy === `paragraph-${index}`}
+                />
+                <div className="flex gap-2 mt-1">
+                  <input
+                    className="flex-1 rounded-lg border border-purple-500/40 bg-purple-900/30 text-purple-50 px-2 py-1 text-xs"
+                    value={instructions[index] || ""}
+                    onChange={(e) => setInstructions({ ...instructions, [index]: e.target.value })}
+                    placeholder="Optional instruction, e.g. mention my hackathon win"
+                  />
+                  <button
+                    onClick={() => handleRegenerate(index)}
+                    className="text-xs px-3 py-1 rounded-full border border-cyan-400/60 text-cyan-100 hover:bg-cyan-900/30 disabled:opacity-50 flex items-center"
+                    disabled={Boolean(busy)}
+                  >
+                    {busy === `paragraph-${index}` && <Loader className="w-3 h-3 mr-1 animate-spin" />}
+                    Regenerate
+                  </button>
+                </div>
+              </div>
+            ))}
+          </div>
+          <div className="grid grid-cols-2 gap-3 mt-4">
+            <input
+              className={inputClass}
+              value={letter.closing}
+              onChange={(e) => setLetter({ ...letter, closing: e.target.value })}
+            />
+            <input
+              className={inputClass}
+              value={letter.signature || ""}
+              onChange={(e) => setLetter({ ...letter, signature: e.target.value })}
+              placeholder="Your name"
+            />
+          </div>
+          <div className="flex gap-3 mt-6">
+            {["txt", "docx"].map((format) => (
+              <button
+                key={format}
+                onClick={() => run(`export-${format}`, () => downloadCoverLetter(letter, format))}
+                className="flex-1 border border-cyan-400/60 text-cyan-100 hover:bg-cyan-900/30 font-semibold px-4 py-2 rounded-xl disabled:opacity-50"
+                disabled={Boolean(busy)}
+              >
+                {busy === `export-${format}` ? "Preparing..." : `Download .${format}`}
+              </button>
+            ))}
+          </div>
+        </IconCard>
+      )}
+    </div>
+  );
+};
+
+const readStoredInterview = () => {
+  try {
+    return JSON.parse(localStorage.getItem("interview_session") || "null");
+  } catch {
+    return null;
+  }
+};
+
+const InterviewPage = ({ analysisData, setCurrentPage, db, userId }) => {
+  // { careerGoal, startedAt, questions, transcript: [{ question, answer, grade }] }; kept in localStorage until finished
+  const [session, setSession] = useState(readStoredInterview);
+  const [answer, setAnswer] = useState("");
+  const [questionCount, setQuestionCount] = useState(6);
+  const [lastSaved, setLastSaved] = useState(null);
+  const [busy, setBusy] = useState(null);
+  const [error, setError] = useState(null);
+  const history = useInterviewHistory(db, userId);
+
+  useEffect(() => {
+    try {
+      if (session) localStorage.setItem("interview_session", JSON.stringify(session));
+      else localStorage.removeItem("interview_session");
+    } catch {
+      // ignore storage failures
+    }
+  }, [session]);
+
+  if (!analysisData) {
+    return (
+      <div className="p-8 max-w-2xl mx-auto text-center">
+        <p className="text-lg text-red-300 mb-4">
+          Analysis data is missing.
+        </p>
+        <button
+          onClick={() => setCurrentPage("upload")}
+          className="bg-gradient-to-r from-cyan-400 to-purple-500 px-5 py-2 rounded-full text-white shadow-glow"
+        >
+          Go to Upload Page
+        </button>
+      </div>
+    );
+  }
+
+  const { careerGoal, missingSkills = [] } = analysisData;
+  const transcript = session?.transcript || [];
+  const currentQuestion = session?.questions[transcript.length];
+  const lastEntry = transcript[transcript.length - 1];
+  const averageScore = (entries) =>
+    entries.length
+      ? Math.round(entries.reduce((sum, e) => sum + e.grade.score, 0) / entries.length)
+      : 0;
+
+  const run = async (label, action) => {
+    setError(null);
+    setBusy(label);
+    try {
+      await action();
+    } catch (e) {
+      setError(e.message);
+    } finally {
+      setBusy(null);
+    }
+  };
+
+  const handleStart = () =>
+    run("start", async () => {
+      const result = await fetchInterviewQuestions(careerGoal, missingSkills, questionCount);
+      setSession({
+        careerGoal,
+        startedAt: new Date().toISOString(),
+        questions: result.questions,
+        transcript: [],
+      });
+      setAnswer("");
+      setLastSaved(null);
+    });
+
+  const handleSubmitAnswer = () =>
+    run("grade", async () => {
+      const grade = await gradeInterviewAnswer(careerGoal, currentQuestion, answer);
+      setSession((prev) => ({
+        ...prev,
+        transcript: [...prev.transcript, { question: currentQuestion, answer, grade }],
+      }));
+      setAnswer("");
+    });
+
+  const handleFinish = () =>
+    run("finish", async () => {
+      const finished = {
+        careerGoal: session.careerGoal,
+        startedAt: session.startedAt,
+        finishedAt: new Date().toISOString(),
+        questionCount: session.questions.length,
+        score: averageScore(transcript),
+        transcript,
+      };
+      await saveInterviewSession(db, userId, finished);
+      setLastSaved(finished);
+      setSession(null);
+    });
+
+  const inputClass =
+    "w-full mt-1 rounded-lg border border-purple-500/40 bg-purple-900/30 text-purple-50 p-2 focus:outline-none focus:ring-2 focus:ring-cyan-400";
+
+  return (
+    <div className="p-4 md:p-8 max-w-5xl mx-auto">
+      <div className="flex items-center justify-between mb-6">
+        <div>
+          <h2 className="text-3xl md:text-4xl font-extrabold text-white drop-shadow-[0_0_18px_rgba(59,130,246,0.8)]">
+            Mock Interview
+          </h2>
+          <p className="text-sm md:text-base text-purple-100 opacity-90">
+            Practice for: <span className="font-semibold text-cyan-200">{careerGoal}</span>
+          </p>
+        </div>
+        <button
+          onClick={() => setCurrentPage("dashboard")}
+          className="text-sm text-cyan-200 hover:text-white underline"
+        >
+          Back to Report
+        </button>
+      </div>
+
+      {error && (
+        <div className="p-3 mb-4 text-red-200 bg-red-900/40 border border-red-500/70 rounded-lg text-sm font-medium">
+          {error}
+        </div>
+      )}
+
+      {!session && (
+        <IconCard icon={Zap} title={lastSaved ? "Session Complete" : "Start a Session"} className="mb-6">
+          {lastSaved && (
+            <p className={`text-4xl font-extrabold mb-3 ${scoreTextColor(lastSaved.score)}`}>
+              {lastSaved.score}%
+            </p>
+          )}
+          <p className="text-purple-100 mb-4 text-sm">
+            You will get a mix of behavioral questions (graded on the STAR method: situation, task,
+            action, result) and technical questions on your skill gaps
+            {missingSkills.length ? ` (${missingSkills.join(", ")})` : ""}.
+          </p>
+          <div className="flex flex-col sm:flex-row gap-3">
+            <select
+              className="rounded-lg border border-purple-500/40 bg-purple-900/30 text-purple-50 p-2"
+              value={questionCount}
+              onChange={(e) => setQuestionCount(Number(e.target.value))}
+            >
+              {[4, 6, 8, 10].map((n) => (
+                <option key={n} value={n}>
+                  {n} questions
+                </option>
+              ))}
+            </select>
+            <button
+              onClick={handleStart}
+              className="flex-1 bg-gradient-to-r from-cyan-400 via-blue-500 to-purple-500 text-white font-semibold px-4 py-2 rounded-lg shadow-glow disabled:opacity-60 flex items-center justify-center"
+              disabled={Boolean(busy)}
+            >
+              {busy === "start" ? (
+                <>
+                  <Loader className="w-4 h-4 mr-2 animate-spin" />
+                  Preparing questions...
+                </>
+              ) : lastSaved ? (
+                "Start Another Session"
+              ) : (
+                "Start Mock Interview"
+              )}
+            </button>
+          </div>
+        </IconCard>
+      )}
+
+      {session && (
+        <IconCard
+          icon={Search}
+          title={
+            currentQuestion
+              ? `Question ${transcript.length + 1} of ${session.questions.length}`
+              : "All questions answered"
+          }
+          className="mb-6"
+        >
+          {lastEntry && (
+            <div className="p-3 mb-4 rounded-lg bg-purple-950/60 border border-purple-500/40">
+              <p className="text-xs text-purple-300 mb-1">Feedback on your last answer</p>
+              <p className={`text-2xl font-bold ${scoreTextColor(lastEntry.grade.score)}`}>
+                {lastEntry.grade.score}%
+              </p>
+              <ul className="text-xs text-purple-100 my-2 space-y-1">
+                {lastEntry.grade.criteria.map((c) => (
+                  <li key={c.criterion}>
+                    <span className="text-cyan-200 font-semibold">
+                      {c.criterion} {c.score}/5:
+                    </span>{" "}
+                    {c.comment}
+                  </li>
+                ))}
+              </ul>
+              <p className="text-sm text-purple-100">{lastEntry.grade.feedback}</p>
+            </div>
+          )}
+
+          {currentQuestion ? (
+            <>
+              <p className="text-xs uppercase tracking-wide text-cyan-300 mb-1">
+                {currentQuestion.type}
+                {currentQuestion.skill ? ` • ${currentQuestion.skill}` : ""}
+              </p>
+              <p className="text-lg text-purple-50 mb-3">{currentQuestion.question}</p>
+              <textarea
+                className={`${inputClass} h-40 text-sm`}
+                placeholder={
+                  currentQuestion.type === "behavioral"
+                    ? "Situation, Task, Action, Result..."
+                    : "Explain your approach step by step..."
+                }
+                value={answer}
+                onChange={(e) => setAnswer(e.target.value)}
+                disabled={Boolean(busy)}
+              />
+              <button
+                onClick={handleSubmitAnswer}
+                className="mt-3 bg-gradient-to-r from-cyan-400 via-blue-500 to-purple-500 text-white font-semibold px-4 py-2 rounded-lg shadow-glow disabled:opacity-60 w-full flex items-center justify-center"
+                disabled={Boolean(busy) || answer.trim().length < 10}
+              >
+                {busy === "grade" ? (
+                  <>
+                    <Loader className="w-4 h-4 mr-2 animate-spin" />
+                    Grading...
+                  </>
+                ) : (
+                  "Submit Answer"
+                )}
+              </button>
+            </>
+          ) : (
+            <p className="text-sm text-purple-100">
+              Average score so far: {averageScore(transcript)}%
+            </p>
+          )}
+
+          <div className="flex gap-3 mt-4">
+            <button
+              onClick={handleFinish}
+              className="flex-1 border border-cyan-400/60 text-cyan-100 hover:bg-cyan-900/30 font-semibold px-4 py-2 rounded-xl disabled:opacity-50"
+              disabled={Boolean(busy) || !transcript.length}
+            >
+              {busy === "finish" ? "Saving..." : "Finish & Save Score"}
+            </button>
+            <button
+              onClick={() => setSession(null)}
+              className="text-sm text-purple-300 hover:text-white underline"
+              disabled={Boolean(busy)}
+            >
+              Discard session
+            </button>
+          </div>
+        </IconCard>
+      )}
+
+      {transcript.length > 0 && (
+        <IconCard icon={UploadCloud} title="Transcript" className="mb-6">
+          <ol className="space-y-4">
+            {transcript.map((entry, index) => (
+              <li key={index} className="p-3 bg-purple-950/60 border border-purple-500/40 rounded-lg">
+                <div className="flex justify-between gap-3">
+                  <p className="text-sm font-semibold text-purple-50">
+                    {index + 1}. {entry.question.question}
+                  </p>
+                  <span className={`text-sm font-bold ${scoreTextColor(entry.grade.score)}`}>
+                    {entry.grade.score}%
+                  </span>
+                </div>
+                <p className="text-xs text-purple-200 mt-2 whitespace-pre-wrap">{entry.answer}</p>
+                {entry.grade.improvements?.length > 0 && (
+                  <ul className="text-xs text-yellow-200 mt-2 list-disc list-inside">
+                    {entry.grade.improvements.map((tip, i) => (
+                      <li key={i}>{tip}</li>
+                    ))}
+                  </ul>
+                )}
+              </li>
+            ))}
+          </ol>
+        </IconCard>
+      )}
+
+      <IconCard icon={PieChart} title="Score History">
+        {history.length ? (
+          <ul className="space-y-2">
+            {history.map((item) => (
+              <li key={item.id} className="flex items-center justify-between text-sm">
+                <span className="text-purple-100">
+                  {new Date(item.finishedAt).toLocaleDateString()} • {item.careerGoal} •{" "}
+                  {item.transcript?.length || 0}/{item.questionCount} answered
+                </span>
+                <span className={`font-bold ${scoreTextColor(item.score)}`}>{item.score}%</span>
+              </li>
+            ))}
+          </ul>
+        ) : (
+          <p className="text-sm text-purple-200">
+            Finished sessions will appear here.
+          </p>
+        )}
+      </IconCard>
+    </div>
+  );
+};
+
+const CHART_WIDTH = 320;
+const CHART_HEIGHT = 140;
+const CHART_PADDING = 24;
+
+// Line chart of resumeScore over time; points are { timestamp, resumeScore }, oldest first
+const ScoreTrendChart = ({ points }) => {
+  const times = points.map((p) => new Date(p.timestamp).getTime());
+  const first = Math.min(...times);
+  const span = Math.max(...times) - first;
+  const innerWidth = CHART_WIDTH - CHART_PADDING * 2;
+  const innerHeight = CHART_HEIGHT - CHART_PADDING * 2;
+  const x = (time) =>
+    CHART_PADDING + (span ? ((time - first) / span) * innerWidth : innerWidth / 2);
+  const y = (score) => CHART_PADDING + innerHeight - (score / 100) * innerHeight;
+  const coords = points.map((p, idx) => [x(times[idx]), y(p.resumeScore)]);
+
+  return (
+    <svg viewBox={`0 0 ${CHART_WIDTH} ${CHART_HEIGHT}`} className="w-full h-auto">
+      {[0, 50, 100].map((score) => (
+        <g key={score}>
+          <line
+            x1={CHART_PADDING}
+            x2={CHART_WIDTH - CHART_PADDING}
+            y1={y(score)}
+            y2={y(score)}
+            stroke="rgba(168, 85, 247, 0.25)"
+          />
+          <text x={4} y={y(score) + 3} fontSize="8" fill="#c4b5fd">
+            {score}
+          </text>
+        </g>
+      ))}
+      {coords.length > 1 && (
+        <polyline
+          points={coords.map(([cx, cy]) => `${cx},${cy}`).join(" ")}
+          fill="none"
+          stroke="#22d3ee"
+          strokeWidth="2"
+        />
+      )}
+      {coords.map(([cx, cy], idx) => (
+        <circle key={idx} cx={cx} cy={cy} r="3.5" fill="#a855f7" stroke="#e9d5ff">
+          <title>
+            {new Date(points[idx].timestamp).toLocaleDateString()}: {points[idx].resumeScore}%
+          </title>
+        </circle>
+      ))}
+      <text x={CHART_PADDING} y={CHART_HEIGHT - 6} fontSize="8" fill="#c4b5fd">
+        {new Date(first).toLocaleDateString()}
+      </text>
+      {span > 0 && (
+        <text
+          x={CHART_WIDTH - CHART_PADDING}
+          y={CHART_HEIGHT - 6}
+          fontSize="8"
+          fill="#c4b5fd"
+          textAnchor="end"
+        >
+          {new Date(first + span).toLocaleDateString()}
+        </text>
+      )}
+    </svg>
+  );
+};
+
+const analysisKey = (a) => `${a.timestamp}|${a.careerGoal}`;
+
+/**
+ * Export buttons plus a file picker for CareerLift .json exports. Without Firebase the newest imported
+ * report replaces the one kept in this browser; otherwise new reports are added to the history.
+ */
+const AnalysisArchiveControls = ({ db, userId, analyses, setAnalysisData }) => {
+  const [isImporting, setIsImporting] = useState(false);
+  const [message, setMessage] = useState(null);
+  const [error, setError] = useState(null);
+
+  // With Firebase the whole history is read, not just the analyses the page has loaded
+  const allAnalyses = () => (db && userId ? fetchAllAnalyses(db, userId) : Promise.resolve(analyses));
+
+  const handleExport = (format) => {
+    setError(null);
+    allAnalyses()
+      .then((all) => downloadAnalyses(all, format))
+      .catch((err) => setError(err.message));
+  };
+
+  const handleImport = async (e) => {
+    const file = e.target.files?.[0];
+    e.target.value = "";
+    if (!file) return;
+
+    setIsImporting(true);
+    setError(null);
+    setMessage(null);
+    try {
+      const { analyses: imported, rejected } = await readAnalysisArchive(file);
+      const rejectedNote = rejected.length
+        ? ` ${rejected.length} invalid report${rejected.length === 1 ? " was" : "s were"} skipped.`
+        : "";
+
+      if (!db) {
+        const newest = [...imported].sort((a, b) => b.timestamp.localeCompare(a.timestamp))[0];
+        if (newest) setAnalysisData(newest);
+        setMessage(
+          newest
+            ? `Restored the ${newest.careerGoal} report from ${new Date(newest.timestamp).toLocaleDateString()}.${rejectedNote}`
+            : `Nothing to restore.${rejectedNote}`
+        );
+        return;
+      }
+
+      const existing = new Set((await allAnalyses()).map(analysisKey));
+      const fresh = imported.filter((a) => !existing.has(analysisKey(a)));
+      for (const analysis of fresh) {
+        await saveAnalysis(db, userId, analysis);
+      }
+      setMessage(
+        `Imported ${fresh.length} report${fresh.length === 1 ? "" : "s"}` +
+          (imported.length > fresh.length ? `, ${imported.length - fresh.length} already in your history` : "") +
+          `.${rejectedNote}`
+      );
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setIsImporting(false);
+    }
+  };
+
+  return (
+    <div>
+      <div className="flex flex-wrap items-center gap-3 text-sm">
+        <button
+          type="button"
+          onClick={() => handleExport("json")}
+          disabled={!analyses.length}
+          className="border border-cyan-400/60 text-cyan-100 hover:bg-cyan-900/30 px-4 py-1.5 rounded-full disabled:opacity-50"
+        >
+          Export {analyses.length > 1 ? "all " : ""}(JSON)
+        </button>
+        <button
+          type="button"
+          onClick={() => handleExport("md")}
+          disabled={!analyses.length}
+          className="border border-cyan-400/60 text-cyan-100 hover:bg-cyan-900/30 px-4 py-1.5 rounded-full disabled:opacity-50"
+        >
+          Export {analyses.length > 1 ? "all " : ""}(Markdown)
+        </button>
+        <label className="flex items-center border border-purple-400/60 text-purple-100 hover:bg-purple-900/40 px-4 py-1.5 rounded-full cursor-pointer">
+          {isImporting && <Loader className="w-4 h-4 mr-2 animate-spin" />}
+          Import from file
+          <input
+            type="file"
+            accept="application/json,.json"
+            className="hidden"
+            onChange={handleImport}
+            disabled={isImporting}
+          />
+        </label>
+      </div>
+      {message && <p className="mt-3 text-sm text-emerald-200">{message}</p>}
+      {error && (
+        <div className="mt-3 text-sm text-red-300 bg-red-900/40 border border-red-500/60 rounded-lg p-2">
+          {error}
+        </div>
+      )}
+    </div>
+  );
+};
+
+const HistoryPage = ({ db, userId, analysisData, setAnalysisData, setCurrentPage }) => {
+  const { analyses, isLoading } = useAnalysisHistory(db, userId);
+  const [chartGoal, setChartGoal] = useState("");
+  const [deletingId, setDeletingId] = useState(null);
+  const [error, setError] = useState(null);
+
+  if (!db) {
+    return (
+      <div className="p-8 max-w-2xl mx-auto">
+        <p className="text-lg text-purple-100 mb-6 text-center">
+          Analysis history needs Firebase; only the latest report is kept in
+          this browser.
+        </p>
+        <IconCard icon={Clock} title="Export & Import">
+          <AnalysisArchiveControls
+            db={db}
+            userId={userId}
+            analyses={analysisData ? [analysisData] : []}
+            setAnalysisData={setAnalysisData}
+          />
+        </IconCard>
+      </div>
+    );
+  }
+
+  if (isLoading) {
+    return (
+      <div className="p-8 text-center">
+        <Loader className="w-8 h-8 mx-auto animate-spin text-cyan-300 mb-4" />
+        <p className="text-lg text-purple-100">Loading your analyses...</p>
+      </div>
+    );
+  }
+
+  // Goals with the most analyses first, so the default chart is the most useful one
+  const goals = Object.entries(
+    analyses.reduce((acc, a) => ({ ...acc, [a.careerGoal]: (acc[a.careerGoal] || 0) + 1 }), {})
+  )
+    .sort((a, b) => b[1] - a[1])
+    .map(([goal]) => goal);
+  const selectedGoal = goals.includes(chartGoal) ? chartGoal : goals[0];
+  const trend = analyses.filter((a) => a.careerGoal === selectedGoal).slice().reverse();
+
+  const openReport = ({ id, ...analysis }, page) => {
+    setAnalysisData(analysis);
+    setCurrentPage(page);
+  };
+
+  const handleDelete = async (analysisId) => {
+    if (!window.confirm("Delete this analysis from your history?")) return;
+    setDeletingId(analysisId);
+    setError(null);
+    try {
+      await deleteAnalysis(db, userId, analysisId);
+    } catch (err) {
+      setError(`Could not delete the analysis: ${err.message}`);
+    } finally {
+      setDeletingId(null);
+    }
+  };
+
+  return (
+    <div className="p-4 md:p-8 max-w-4xl mx-auto">
+      <h2 className="text-4xl font-bold text-white mb-2">Analysis History</h2>
+      <p className="text-lg text-purple-100 mb-8">
+        Every report you have run, and how your score has moved.
+        {analyses.length > 1 && (
+          <>
+            {" "}
+            <button
+              onClick={() => setCurrentPage("compare")}
+              className="text-cyan-300 underline"
+            >
+              Compare two reports
+            </button>
+          </>
+        )}
+      </p>
+
+      {!analyses.length ? (
+        <div className="text-center">
+          <p className="text-purple-100 mb-4">No analyses saved yet.</p>
+          <button
+            onClick={() => setCurrentPage("upload")}
+            className="bg-gradient-to-r from-cyan-400 to-purple-500 px-5 py-2 rounded-full text-white shadow-glow mb-6"
+          >
+            Run Your First Analysis
+          </button>
+          <p className="text-sm text-purple-200 mb-3">
+            Moving from another device? Import a CareerLift export.
+          </p>
+          <div className="flex justify-center">
+            <AnalysisArchiveControls
+              db={db}
+              userId={userId}
+              analyses={analyses}
+              setAnalysisData={setAnalysisData}
+            />
+          </div>
+        </div>
+      ) : (
+        <>
+          <IconCard icon={PieChart} title="Score Over Time" className="mb-8">
+            {goals.length > 1 && (
+              <select
+                value={selectedGoal}
+                onChange={(e) => setChartGoal(e.target.value)}
+                className="mb-3 border border-purple-500/60 bg-purple-950/70 p-2 rounded-xl text-sm text-purple-50"
+              >
+                {goals.map((goal) => (
+                  <option key={goal} value={goal}>
+                    {goal}
+                  </option>
+                ))}
+              </select>
+            )}
+            <p className="text-sm text-purple-200 mb-2">
+              {selectedGoal} • {trend.length} analys{trend.length === 1 ? "is" : "es"}
+            </p>
+            <ScoreTrendChart points={trend} />
+          </IconCard>
+
+          {error && (
+            <div className="p-3 mb-4 text-red-200 bg-red-900/40 border border-red-500/70 rounded-lg text-sm">
+              {error}
+            </div>
+          )}
+
+          <IconCard icon={Clock} title="All Analyses">
+            <div className="mb-4">
+              <AnalysisArchiveControls
+                db={db}
+                userId={userId}
+                analyses={analyses}
+                setAnalysisData={setAnalysisData}
+              />
+            </div>
+            <ul className="space-y-3">
+              {analyses.map((entry) => (
+                <li
+                  key={entry.id}
+                  className="p-3 bg-purple-950/60 border border-purple-500/40 rounded-lg"
+                >
+                  <div className="flex items-center justify-between gap-3">
+                    <div>
+                      <div className="font-semibold text-purple-50">{entry.careerGoal}</div>
+                      <div className="text-xs text-purple-300">
+                        {new Date(entry.timestamp).toLocaleString()}
+                      </div>
+                    </div>
+                    <span className={`text-2xl font-bold ${scoreTextColor(entry.resumeScore)}`}>
+                      {entry.resumeScore}%
+                    </span>
+                  </div>
+                  <div className="flex flex-wrap gap-3 mt-2 text-xs">
+                    <button
+                      onClick={() => openReport(entry, "dashboard")}
+                      className="text-cyan-300 underline"
+                    >
+                      Open report
+                    </button>
+                    <button
+                      onClick={() => openReport(entry, "recommendations")}
+                      className="text-cyan-300 underline"
+                    >
+                      Action plan
+                    </button>
+                    <button
+                      onClick={() =>
+                        downloadAnalyses([entry], "md").catch((err) => setError(err.message))
+                      }
+                      className="text-cyan-300 underline"
+                    >
+                      Markdown
+                    </button>
+                    <button
+                      onClick={() =>
+                        downloadAnalyses([entry], "json").catch((err) => setError(err.message))
+                      }
+                      className="text-cyan-300 underline"
+                    >
+                      JSON
+                    </button>
+                    <button
+                      onClick={() => handleDelete(entry.id)}
+                      disabled={deletingId === entry.id}
+                      className="ml-auto text-red-300 underline disabled:opacity-50"
+                    >
+                      {deletingId === entry.id ? "Deleting..." : "Delete"}
+                    </button>
+                  </div>
+                </li>
+              ))}
+            </ul>
+          </IconCard>
+        </>
+      )}
+    </div>
+  );
+};
+
+// Stored reports are sent as-is, minus the Firestore id and the (large) per-goal comparison
+const comparableAnalysis = ({ id, goalComparison, goalFailures, ...analysis }) => analysis;
+
+const analysisOptionLabel = (a) =>
+  `${new Date(a.timestamp).toLocaleString()} • ${a.careerGoal} • ${a.resumeScore}%`;
+
+const SkillChips = ({ skills, className }) =>
+  skills.length ? (
+    <div className="flex flex-wrap gap-2">
+      {skills.map((skill) => (
+        <span key={skill} className={`text-xs px-2 py-0.5 rounded-full border ${className}`}>
+          {skill}
+        </span>
+      ))}
+    </div>
+  ) : (
+    <p className="text-xs text-purple-300">None</p>
+  );
+
+const signed = (value) => (value > 0 ? `+${value}` : String(value));
+
+const deltaColor = (value) =>
+  value > 0 ? "text-emerald-300" : value < 0 ? "text-red-300" : "text-purple-200";
+
+const ComparePage = ({ db, userId, analysisData }) => {
+  const { analyses, isLoading } = useAnalysisHistory(db, userId);
+  const [mode, setMode] = useState("saved");
+  const [beforeId, setBeforeId] = useState("");
+  const [afterId, setAfterId] = useState("");
+  const [beforeText, setBeforeText] = useState(() => analysisData?.resumeText || "");
+  const [afterText, setAfterText] = useState(
+    () => localStorage.getItem("upload_resumeText") || ""
+  );
+  const [careerGoal, setCareerGoal] = useState(() => analysisData?.careerGoal || "");
+  const [result, setResult] = useState(null);
+  const [isComparing, setIsComparing] = useState(false);
+  const [error, setError] = useState(null);
+
+  const activeMode = db ? mode : "versions";
+
+  // Default to the newest report and the one before it for the same goal
+  const afterEntry = analyses.find((a) => a.id === afterId) || analyses[0];
+  const beforeEntry =
+    analyses.find((a) => a.id === beforeId) ||
+    analyses.find((a) => a !== afterEntry && a.careerGoal === afterEntry?.careerGoal) ||
+    analyses.find((a) => a !== afterEntry);
+
+  const handleCompare = async () => {
+    setIsComparing(true);
+    setError(null);
+    try {
+      setResult(
+        await compareAnalyses(
+          activeMode === "saved"
+            ? {
+                before: { analysis: comparableAnalysis(beforeEntry) },
+                after: { analysis: comparableAnalysis(afterEntry) },
+              }
+            : {
+                careerGoal: careerGoal.trim(),
+                before: { resumeText: beforeText },
+                after: { resumeText: afterText },
+              }
+        )
+      );
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setIsComparing(false);
+    }
+  };
+
+  const canCompare =
+    activeMode === "saved"
+      ? beforeEntry && afterEntry && beforeEntry !== afterEntry
+      : beforeText.length >= 50 && afterText.length >= 50 && careerGoal.trim().length >= 3;
+
+  const diff = result?.diff;
+
+  return (
+    <div className="p-4 md:p-8 max-w-4xl mx-auto">
+      <h2 className="text-4xl font-bold text-white mb-2">Compare Analyses</h2>
+      <p className="text-lg text-purple-100 mb-8">
+        See what changed between two reports or two versions of your resume.
+      </p>
+
+      <IconCard icon={Search} title="What to Compare" className="mb-8">
+        {db && (
+          <div className="flex gap-4 mb-4 text-sm text-purple-100">
+            <label className="flex items-center">
+              <input
+                type="radio"
+                className="mr-2"
+                checked={activeMode === "saved"}
+                onChange={() => setMode("saved")}
+              />
+              Two saved reports
+            </label>
+            <label className="flex items-center">
+              <input
+                type="radio"
+                className="mr-2"
+                checked={activeMode === "versions"}
+                onChange={() => setMode("versions")}
+              />
+              Two resume versions
+            </label>
+          </div>
+        )}
+
+        {activeMode === "saved" ? (
+          isLoading ? (
+            <div className="flex items-center text-sm text-purple-100">
+              <Loader className="w-4 h-4 mr-2 animate-spin" /> Loading your analyses...
+            </div>
+          ) : analyses.length < 2 ? (
+            <p className="text-sm text-purple-200">
+              You need at least two saved analyses to compare them.
+            </p>
+          ) : (
+            <div className="grid grid-cols-1 md:grid-cols-2 gap-3">
+              {[
+                ["Before", beforeEntry, setBeforeId],
+                ["After", afterEntry, setAfterId],
+              ].map(([label, entry, setId]) => (
+                <label key={label} className="text-xs text-purple-200">
+                  {label}
+                  <select
+                    value={entry?.id || ""}
+                    onChange={(e) => setId(e.target.value)}
+                    className="mt-1 w-full border border-purple-500/60 bg-purple-950/70 p-2 rounded-xl text-sm text-purple-50"
+                  >
+                    {analyses.map((a) => (
+                      <option key={a.id} value={a.id}>
+                        {analysisOptionLabel(a)}
+                      </option>
+                    ))}
+                  </select>
+                </label>
+              ))}
+            </div>
+          )
+        ) : (
+          <div className="space-y-3">
+            <input
+              type="text"
+              value={careerGoal}
+              onChange={(e) => setCareerGoal(e.target.value)}
+              placeholder="Career goal, e.g. Data Scientist"
+              className="w-full p-2 rounded-xl border border-purple-500/60 bg-purple-950/70 text-purple-50 placeholder-purple-300/70 text-sm"
+            />
+            <div className="grid grid-cols-1 md:grid-cols-2 gap-3">
+              {[
+                ["Before", beforeText, setBeforeText],
+                ["After", afterText, setAfterText],
+              ].map(([label, text, setText]) => (
+                <label key={label} className="text-xs text-purple-200">
+                  {label}
+                  <textarea
+                    rows="10"
+                    value={text}
+                    onChange={(e) => setText(e.target.value)}
+                    placeholder={`Paste the ${label.toLowerCase()} version of your resume`}
+                    className="mt-1 w-full p-2 rounded-xl border border-purple-500/60 bg-purple-950/70 text-purple-50 placeholder-purple-300/70 text-sm"
+                  />
+                </label>
+              ))}
+            </div>
+          </div>
+        )}
+
+        <button
+          type="button"
+          onClick={handleCompare}
+          disabled={isComparing || !canCompare}
+          className="mt-4 flex items-center bg-gradient-to-r from-cyan-400 to-purple-500 px-5 py-2 rounded-full text-white text-sm shadow-glow disabled:opacity-50"
+        >
+          {isComparing && <Loader className="w-4 h-4 mr-2 animate-spin" />}
+          Compare
+        </button>
+        {error && (
+          <div className="mt-3 text-sm text-red-300 bg-red-900/40 border border-red-500/60 rounded-lg p-2">
+            {error}
+          </div>
+        )}
+      </IconCard>
+
+      {diff && (
+        <>
+          {!diff.sameGoal && (
+            <div className="p-3 mb-4 text-yellow-100 bg-yellow-900/40 border border-yellow-500/60 rounded-lg text-sm">
+              These reports are for different career goals ({result.before.careerGoal} and{" "}
+              {result.after.careerGoal}), so the changes reflect the goal as well as the resume.
+            </div>
+          )}
+
+          <div className="grid grid-cols-1 md:grid-cols-2 gap-6 mb-8">
+            <IconCard icon={PieChart} title="Score">
+              <div className="flex items-baseline gap-3">
+                <span className={`text-3xl font-bold ${scoreTextColor(result.before.resumeScore)}`}>
+                  {result.before.resumeScore}%
+                </span>
+                <span className="text-purple-300">→</span>
+                <span className={`text-3xl font-bold ${scoreTextColor(result.after.resumeScore)}`}>
+                  {result.after.resumeScore}%
+                </span>
+                <span className={`ml-auto text-xl font-semibold ${deltaColor(diff.scoreDelta)}`}>
+                  {signed(diff.scoreDelta)}
+                </span>
+              </div>
+              {diff.sectionScoreDeltas && (
+                <ul className="mt-4 space-y-1">
+                  {Object.entries(diff.sectionScoreDeltas).map(([section, delta]) => (
+                    <li key={section} className="flex justify-between text-sm text-purple-100">
+                      <span>{SECTION_SCORE_LABELS[section] || section}</span>
+                      <span className={deltaColor(delta)}>{signed(delta)}</span>
+                    </li>
+                  ))}
+                </ul>
+              )}
+            </IconCard>
+
+            <IconCard icon={CheckCircle} title="Skill Gaps">
+              <h4 className="text-sm text-purple-100 mb-1">Closed</h4>
+              <SkillChips
+                skills={diff.skills.closed}
+                className="bg-emerald-900/40 text-emerald-200 border-emerald-500/60"
+              />
+              <h4 className="text-sm text-purple-100 mt-3 mb-1">Newly flagged</h4>
+              <SkillChips
+                skills={diff.skills.newlyFlagged}
+                className="bg-red-900/40 text-red-200 border-red-500/60"
+              />
+              <h4 className="text-sm text-purple-100 mt-3 mb-1">Still missing</h4>
+              <SkillChips
+                skills={diff.skills.stillMissing}
+                className="bg-purple-900/40 text-purple-200 border-purple-500/60"
+              />
+              {diff.skills.gained && (
+                <>
+                  <h4 className="text-sm text-purple-100 mt-3 mb-1">Newly demonstrated</h4>
+                  <SkillChips
+                    skills={diff.skills.gained}
+                    className="bg-cyan-900/40 text-cyan-200 border-cyan-500/60"
+                  />
+                  <h4 className="text-sm text-purple-100 mt-3 mb-1">No longer demonstrated</h4>
+                  <SkillChips
+                    skills={diff.skills.lost}
+                    className="bg-yellow-900/40 text-yellow-200 border-yellow-500/60"
+                  />
+                </>
+              )}
+            </IconCard>
+          </div>
+
+          <IconCard icon={Award} title="Recommendation Changes" className="mb-8">
+            {["certifications", "opportunities"].map((type) => {
+              const { added, removed } = diff.recommendations[type];
+              return (
+                <div key={type} className="mb-3">
+                  <h4 className="text-sm font-semibold text-purple-50 capitalize mb-1">{type}</h4>
+                  {!added.length && !removed.length ? (
+                    <p className="text-xs text-purple-300">No changes</p>
+                  ) : (
+                    <ul className="space-y-1 text-sm">
+                      {removed.map((item) => (
+                        <li key={`-${item}`} className="text-red-200">
+                          − {item}
+                        </li>
+                      ))}
+                      {added.map((item) => (
+                        <li key={`+${item}`} className="text-emerald-200">
+                          + {item}
+                        </li>
+                      ))}
+                    </ul>
+                  )}
+                </div>
+              );
+            })}
+          </IconCard>
+
+          <IconCard icon={Zap} title="Resume Changes">
+            {diff.resumeDiff ? (
+              <pre className="text-xs whitespace-pre-wrap font-mono bg-purple-950/60 rounded-lg p-3 max-h-[32rem] overflow-auto">
+                {diff.resumeDiff.map((line, idx) => (
+                  <div
+                    key={idx}
+                    className={
+                      line.type === "added"
+                        ? "bg-emerald-500/20 text-emerald-100"
+                        : line.type === "removed"
+                        ? "bg-red-500/20 text-red-200"
+                        : "text-purple-300"
+                    }
+                  >
+                    {line.type === "added" ? "+ " : line.type === "removed" ? "− " : "  "}
+                    {line.text}
+                  </div>
+                ))}
+              </pre>
+            ) : (
+              <p className="text-sm text-purple-200">
+                The resume text was not saved with one of these reports, so it
+                cannot be diffed. Reports from new analyses include it.
+              </p>
+            )}
+          </IconCard>
+        </>
+      )}
+    </div>
+  );
+};
+
+const JobDescriptionMatchPage = ({ setCurrentPage }) => {
+  const [resumeText, setResumeText] = useState(
+    () => localStorage.getItem("upload_resumeText") || ""
+  );
+  const [jobDescription, setJobDescription] = useState(
+    () => localStorage.getItem("jdMatch_jobDescription") || ""
+  );
+  const [match, setMatch] = useState(null);
+  const [isMatching, setIsMatching] = useState(false);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    try {
+      localStorage.setItem("jdMatch_jobDescription", jobDescription);
+    } catch {
+      // ignore storage failures
+    }
+  }, [jobDescription]);
+
+  const handleMatch = async () => {
+    if (resumeText.trim().length < 50 || jobDescription.trim().length < 50) {
+      setError("Please paste both your resume and the full job description (at least 50 characters each).");
+      return;
+    }
+    setError(null);
+    setIsMatching(true);
+    try {
+      setMatch(await matchJobDescription(resumeText, jobDescription));
+    } catch (e) {
+      setError(e.message);
+    } finally {
+      setIsMatching(false);
+    }
+  };
+
+  const coverage = match?.keywordCoverage || { coverage: 0, matched: [], missing: [] };
+
+  return (
+    <div className="p-4 md:p-8 max-w-5xl mx-auto">
+      <div className="flex items-center justify-between mb-6">
+        <div>
+          <h2 className="text-3xl md:text-4xl font-extrabold text-white drop-shadow-[0_0_18px_rgba(59,130,246,0.8)]">
+            Match a Job Posting
+          </h2>
+          <p className="text-sm md:text-base text-purple-100 opacity-90">
+            Paste the posting you are applying to and see how your resume covers it.
+          </p>
+        </div>
+        <button
+          onClick={() => setCurrentPage("upload")}
+          className="text-sm text-cyan-200 hover:text-white underline"
+        >
+          Back to Analyze
+        </button>
+      </div>
+
+      <div className="grid grid-cols-1 lg:grid-cols-2 gap-6 mb-6">
+        <IconCard icon={UploadCloud} title="Your Resume">
+          <textarea
+            className="w-full h-64 p-3 border border-purple-500/60 bg-purple-950/70 rounded-xl focus:ring-2 focus:ring-cyan-400 focus:border-cyan-400 font-mono text-sm shadow-inner text-purple-50 placeholder-purple-300/70"
+            placeholder="Paste your resume, or extract it on the Analyze page first..."
+            value={resumeText}
+            onChange={(e) => setResumeText(e.target.value)}
+            disabled={isMatching}
+          />
+        </IconCard>
+        <IconCard icon={Search} title="Job Description">
+          <textarea
+            className="w-full h-64 p-3 border border-purple-500/60 bg-purple-950/70 rounded-xl focus:ring-2 focus:ring-cyan-400 focus:border-cyan-400 font-mono text-sm shadow-inner text-purple-50 placeholder-purple-300/70"
+            placeholder="Paste the full job posting (responsibilities and requirements)..."
+            value={jobDescription}
+            onChange={(e) => setJobDescription(e.target.value)}
+            disabled={isMatching}
+          />
+        </IconCard>
+      </div>
+
+      {error && (
+        <div className="p-3 mb-4 text-red-200 bg-red-900/40 border border-red-500/70 rounded-lg text-sm font-medium">
+          {error}
+        </div>
+      )}
+      <button
+        onClick={handleMatch}
+        className="bg-gradient-to-r from-cyan-400 via-blue-500 to-purple-500 hover:from-cyan-300 hover:via-blue-400 hover:to-purple-400 text-white font-bold px-6 py-3 rounded-2xl w-full shadow-glow disabled:opacity-50 flex items-center justify-center mb-8"
+        disabled={isMatching}
+      >
+        {isMatching ? (
+          <>
+            <Loader className="w-5 h-5 mr-3 animate-spin" />
+            Comparing...
+          </>
+        ) : (
+          <>
+            <Zap className="w-5 h-5 mr-2" />
+            Compare Resume to Posting
+          </>
+        )}
+      </button>
+
+      {match && (
+        <div className="space-y-6">
+          <div className="grid grid-cols-1 md:grid-cols-2 gap-6">
+            <IconCard icon={PieChart} title="Fit Score">
+              <p className={`text-5xl font-extrabold ${scoreTextColor(match.fitScore)}`}>
+                {match.fitScore}%
+              </p>
+              <p className="text-sm text-purple-100 mt-3">{match.summary}</p>
+            </IconCard>
+            <IconCard icon={CheckCircle} title="Keyword Coverage">
+              <p className={`text-3xl font-bold mb-2 ${scoreTextColor(coverage.coverage)}`}>
+                {coverage.coverage}%
+              </p>
+              <div className="h-2 bg-purple-900/60 rounded-full overflow-hidden mb-3">
+                <div
+                  className={`h-full ${scoreBarColor(coverage.coverage)}`}
+                  style={{ width: `${coverage.coverage}%` }}
+                />
+              </div>
+              <div className="flex flex-wrap gap-2">
+                {coverage.matched.map((keyword) => (
+                  <span key={keyword} className="text-xs px-2 py-1 rounded-full border bg-emerald-900/40 text-emerald-100 border-emerald-500/60">
+                    {keyword}
+                  </span>
+                ))}
+                {coverage.missing.map((keyword) => (
+                  <span key={keyword} className="text-xs px-2 py-1 rounded-full border bg-red-900/50 text-red-200 border-red-500/60">
+                    {keyword}
+                  </span>
+                ))}
+              </div>
+            </IconCard>
+          </div>
+
+          <IconCard icon={Search} title="Requirements">
+            <ul className="space-y-3">
+              {(match.requirements || []).map((req, index) => (
+                <li key={index} className="p-3 bg-purple-950/60 border border-purple-500/40 rounded-lg">
+                  <div className="flex items-start justify-between gap-3">
+                    <span className="text-purple-50 text-sm">{req.requirement}</span>
+                    <span
+                      className={`text-xs px-2 py-0.5 rounded-full border whitespace-nowrap ${
+                        REQUIREMENT_STATUS_STYLES[req.status] || REQUIREMENT_STATUS_STYLES.partial
+                      }`}
+                    >
+                      {req.status}
+                      {req.importance === "preferred" ? " • preferred" : ""}
+                    </span>
+                  </div>
+                  {req.evidence && (
+                    <p className="text-xs text-purple-300 italic mt-1">“{req.evidence}”</p>
+                  )}
+                </li>
+              ))}
+            </ul>
+          </IconCard>
+
+          <IconCard icon={Zap} title="Prioritized Edits">
+            <ol className="space-y-3">
+              {(match.prioritizedEdits || []).map((edit, index) => (
+                <li key={index} className="p-3 bg-blue-900/40 rounded-lg border-l-4 border-blue-400/80">
+                  <p className="text-blue-100 font-medium">
+                    {edit.priority}. {edit.section ? `[${edit.section}] ` : ""}
+                    {edit.edit}
+                  </p>
+                  <p className="text-xs text-purple-200 mt-1">{edit.reason}</p>
+                </li>
+              ))}
+            </ol>
+          </IconCard>
+
+          <div className="grid grid-cols-1 lg:grid-cols-2 gap-6">
+            <IconCard icon={Search} title="Posting (keywords highlighted)">
+              <pre className="whitespace-pre-wrap text-xs text-purple-100 font-mono max-h-96 overflow-y-auto">
+                <HighlightedText
+                  text={jobDescription}
+                  matched={coverage.matched}
+                  missing={coverage.missing}
+                />
+              </pre>
+            </IconCard>
+            <IconCard icon={UploadCloud} title="Your Resume (matches highlighted)">
+              <pre className="whitespace-pre-wrap text-xs text-purple-100 font-mono max-h-96 overflow-y-auto">
+                <HighlightedText text={resumeText} matched={coverage.matched} />
+              </pre>
+            </IconCard>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+};
+
+const WORK_MODE_LABELS = { remote: 'Remote', hybrid: 'Hybrid', onsite: 'On-site' };
+const SENIORITY_LABELS = { intern: 'Intern', entry: 'Entry level', mid: 'Mid level', senior: 'Senior', lead: 'Lead / Manager' };
+const JOB_SORT_LABELS = { fit: 'Best fit', salary: 'Highest salary', recency: 'Most recent' };
+const JOB_PAGE_SIZE = 10;
+
+const EMPTY_JOB_FILTERS = { location: '', company: '', workType: '', seniority: '', minSalary: '', sort: 'fit' };
+
+// Save or load failure from useJobApplications, shown on the pages that use it
+const ApplicationSaveError = ({ message, onDismiss }) =>
+  message ? (
+    <div className="flex items-start justify-between p-3 mb-4 text-red-200 bg-red-900/40 border border-red-500/70 rounded-lg text-sm font-medium">
+      <span>{message}</span>
+      <button onClick={onDismiss} className="ml-3 text-red-100 hover:text-white underline">
+        Dismiss
+      </button>
+    </div>
+  ) : null;
+
+const JobMatchPage = ({ analysisData, setCurrentPage, db, userId }) => {
+  const { applications, saveJob, saveError, clearSaveError } = useJobApplications(db, userId);
   const [jobs, setJobs] = useState([]);
-  const [location, setLocation] = useState('');
+  const [filters, setFilters] = useState(EMPTY_JOB_FILTERS);
+  const [total, setTotal] = useState(0);
+  const [truncated, setTruncated] = useState(false);
+  const [facets, setFacets] = useState(null);
+  const [nextCursor, setNextCursor] = useState(null);
+  // The query behind the current results; "Load more" must repeat it exactly for the cursor to be accepted
+  const [lastQuery, setLastQuery] = useState(null);
   const [isLoading, setIsLoading] = useState(false);
+  const [isLoadingMore, setIsLoadingMore] = useState(false);
   const [error, setError] = useState(null);
 
-  const skills = analysisData?.missingSkills || [];
+  // Fit is measured against skills the user already has: demonstrated ones plus completed learning
+  const skills = [
+    ...(analysisData?.presentSkills || []).map((s) => (typeof s === 'string' ? s : s.skill)),
+    ...(analysisData?.completedLearning || []).map((item) => item.skill),
+  ].filter(Boolean);
   const jobTitle = analysisData?.careerGoal || '';
 
-  const loadJobs = async (loc) => {
+  const updateFilter = (key, value) => setFilters((prev) => ({ ...prev, [key]: value }));
+
+  const loadJobs = async (activeFilters = filters) => {
+    const query = {
+      skills,
+      jobTitle,
+      limit: JOB_PAGE_SIZE,
+      location: activeFilters.location,
+      company: activeFilters.company,
+      workType: activeFilters.workType || undefined,
+      seniority: activeFilters.seniority || undefined,
+      minSalary: activeFilters.minSalary === '' ? undefined : Number(activeFilters.minSalary),
+      sort: activeFilters.sort,
+    };
     setIsLoading(true);
     setError(null);
     try {
-      const result = await fetchJobMatches({
-        skills,
-        location: loc || location,
-        jobTitle
-      });
+      const result = await fetchJobMatches(query);
       setJobs(result.jobs || []);
+      setTotal(result.total ?? (result.jobs || []).length);
+      setTruncated(!!result.truncated);
+      setFacets(result.facets || null);
+      setNextCursor(result.nextCursor || null);
+      setLastQuery(query);
     } catch (e) {
       setError(e.message);
       setJobs([]);
+      setTotal(0);
+      setTruncated(false);
+      setNextCursor(null);
     } finally {
       setIsLoading(false);
     }
   };
 
+  const loadMore = async () => {
+    setIsLoadingMore(true);
+    setError(null);
+    try {
+      const result = await fetchJobMatches({ ...lastQuery, cursor: nextCursor });
+      setJobs((prev) => [...prev, ...(result.jobs || [])]);
+      setNextCursor(result.nextCursor || null);
+    } catch (e) {
+      setError(e.message);
+    } finally {
+      setIsLoadingMore(false);
+    }
+  };
+
+  // Dropdowns apply immediately; text and salary fields apply with "Find Jobs"
   useEffect(() => {
     if (jobTitle) {
-      loadJobs(location);
+      loadJobs();
     }
   // eslint-disable-next-line react-hooks/exhaustive-deps
-  }, [jobTitle, JSON.stringify(skills)]);
+  }, [jobTitle, JSON.stringify(skills), filters.workType, filters.seniority, filters.sort]);
 
   if (!analysisData) {
     return (
@@ -981,6 +4582,10 @@ const JobMatchPage = ({ analysisData, setCurrentPage }) => {
     );
   }
 
+  const inputClass =
+    'w-full mt-1 rounded-lg border border-purple-500/40 bg-purple-900/30 text-purple-50 p-2 focus:outline-none focus:ring-2 focus:ring-cyan-400';
+  const withCount = (label, count) => (typeof count === 'number' ? `${label} (${count})` : label);
+
   return (
     <div className="p-4 md:p-8 max-w-5xl mx-auto">
       <div className="flex items-center justify-between mb-6">
@@ -1000,29 +4605,114 @@ const JobMatchPage = ({ analysisData, setCurrentPage }) => {
         </button>
       </div>
 
+      <ApplicationSaveError message={saveError} onDismiss={clearSaveError} />
+
       <IconCard icon={Search} title="Filters">
-        <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+        <form
+          onSubmit={(e) => {
+            e.preventDefault();
+            loadJobs();
+          }}
+          className="grid grid-cols-1 md:grid-cols-3 gap-4"
+        >
           <div>
             <label className="text-xs text-purple-200/80">Preferred Location (optional)</label>
             <input
-              className="w-full mt-1 rounded-lg border border-purple-500/40 bg-purple-900/30 text-purple-50 p-2 focus:outline-none focus:ring-2 focus:ring-cyan-400"
-              value={location}
-              onChange={(e) => setLocation(e.target.value)}
+              className={inputClass}
+              value={filters.location}
+              onChange={(e) => updateFilter('location', e.target.value)}
               placeholder="e.g., Toronto, Remote"
             />
           </div>
-          <div className="flex items-end">
+          <div>
+            <label className="text-xs text-purple-200/80">Company (optional)</label>
+            <input
+              className={inputClass}
+              value={filters.company}
+              onChange={(e) => updateFilter('company', e.target.value)}
+              placeholder="e.g., Contoso"
+            />
+          </div>
+          <div>
+            <label className="text-xs text-purple-200/80">Minimum yearly salary (optional)</label>
+            <input
+              type="number"
+              min="0"
+              step="5000"
+              className={inputClass}
+              value={filters.minSalary}
+              onChange={(e) => updateFilter('minSalary', e.target.value)}
+              placeholder="e.g., 80000"
+            />
+          </div>
+          <div>
+            <label className="text-xs text-purple-200/80">Work type</label>
+            <select
+              className={inputClass}
+              value={filters.workType}
+              onChange={(e) => updateFilter('workType', e.target.value)}
+            >
+              <option value="">Any</option>
+              {Object.entries(WORK_MODE_LABELS).map(([value, label]) => (
+                <option key={value} value={value}>
+                  {withCount(label, facets?.workType?.[value])}
+                </option>
+              ))}
+            </select>
+          </div>
+          <div>
+            <label className="text-xs text-purple-200/80">Seniority</label>
+            <select
+              className={inputClass}
+              value={filters.seniority}
+              onChange={(e) => updateFilter('seniority', e.target.value)}
+            >
+              <option value="">Any</option>
+              {Object.entries(SENIORITY_LABELS).map(([value, label]) => (
+                <option key={value} value={value}>
+                  {withCount(label, facets?.seniority?.[value])}
+                </option>
+              ))}
+            </select>
+          </div>
+          <div>
+            <label className="text-xs text-purple-200/80">Sort by</label>
+            <select
+              className={inputClass}
+              value={filters.sort}
+              onChange={(e) => updateFilter('sort', e.target.value)}
+            >
+              {Object.entries(JOB_SORT_LABELS).map(([value, label]) => (
+                <option key={value} value={value}>
+                  {label}
+                </option>
+              ))}
+            </select>
+          </div>
+          <div className="md:col-span-3 flex flex-wrap items-center gap-3">
             <button
-              onClick={() => loadJobs(location)}
-              className="w-full bg-gradient-to-r from-cyan-400 via-blue-500 to-purple-500 text-white font-semibold px-4 py-2 rounded-lg shadow-glow disabled:opacity-60"
+              type="submit"
+              className="bg-gradient-to-r from-cyan-400 via-blue-500 to-purple-500 text-white font-semibold px-6 py-2 rounded-lg shadow-glow disabled:opacity-60"
               disabled={isLoading}
             >
               {isLoading ? 'Searching…' : 'Find Jobs'}
             </button>
+            <button
+              type="button"
+              onClick={() => {
+                setFilters(EMPTY_JOB_FILTERS);
+                loadJobs(EMPTY_JOB_FILTERS);
+              }}
+              className="text-sm text-cyan-200 hover:text-white underline"
+            >
+              Clear filters
+            </button>
           </div>
-        </div>
+        </form>
         <p className="text-xs text-purple-200/80 mt-2">
-          Using your missing skills and target role to find relevant openings.
+          {skills.length
+            ? 'Ranked by how many of each job\'s listed skills your report shows you already have.'
+            : 'Your report lists no demonstrated skills, so fit scores are 0%. Re-run the analysis to rank jobs by fit.'}
         </p>
       </IconCard>
 
@@ -1032,6 +4722,16 @@ const JobMatchPage = ({ analysisData, setCurrentPage }) => {
             {error}
           </div>
         )}
+        <SalaryInsightsPanel
+          jobTitle={jobTitle}
+          location={lastQuery?.location || ''}
+          workType={lastQuery?.workType || ''}
+        />
+        {!isLoading && jobs.length > 0 && (
+          <p className="text-sm text-purple-200">
+            {`Showing ${jobs.length} of ${total} matching job${total === 1 ? '' : 's'}`}
+          </p>
+        )}
         {isLoading ? (
           <IconCard icon={Loader} title="Loading jobs...">
             <div className="h-2 bg-purple-800/40 rounded-full overflow-hidden">
@@ -1041,22 +4741,266 @@ const JobMatchPage = ({ analysisData, setCurrentPage }) => {
         ) : jobs.length ? (
           jobs.map((job, idx) => (
             <IconCard key={idx} icon={PieChart} title={`${job.job_title || 'Role'} @ ${job.company || 'Company'}`}>
+              {typeof job.fitScore === 'number' && (
+                <div className="mb-3">
+                  <div className="flex items-center justify-between text-sm mb-1">
+                    <span className="text-purple-100">
+                      {`You have ${job.matchedSkills.length} of ${job.matchedSkills.length + job.missingSkills.length} listed skills`}
+                    </span>
+                    <span className={`font-bold ${scoreTextColor(job.fitScore)}`}>{job.fitScore}% fit</span>
+                  </div>
+                  <div className="h-2 bg-purple-900/60 rounded-full overflow-hidden mb-2">
+                    <div className={`h-full ${scoreBarColor(job.fitScore)}`} style={{ width: `${job.fitScore}%` }} />
+                  </div>
+                  <div className="flex flex-wrap gap-2">
+                    {job.matchedSkills.map((skill) => (
+                      <span key={`has-${skill}`} className="text-xs px-2 py-0.5 rounded-full border bg-emerald-900/40 text-emerald-200 border-emerald-500/60">
+                        ✓ {skill}
+                      </span>
+                    ))}
+                    {job.missingSkills.map((skill) => (
+                      <span key={`gap-${skill}`} className="text-xs px-2 py-0.5 rounded-full border bg-red-900/40 text-red-200 border-red-500/60">
+                        {skill}
+                      </span>
+                    ))}
+                  </div>
+                </div>
+              )}
               <div className="text-purple-100/80 text-sm">
                 <p><span className="text-cyan-200 font-semibold">Location:</span> {job.location || 'N/A'}</p>
-                <p><span className="text-cyan-200 font-semibold">Skills:</span> {job.skills || 'N/A'}</p>
                 <p><span className="text-cyan-200 font-semibold">Qualifications:</span> {job.qualifications || 'N/A'}</p>
                 <p><span className="text-cyan-200 font-semibold">Salary:</span> {job.salary_range || 'N/A'}</p>
                 <p><span className="text-cyan-200 font-semibold">Work Type:</span> {job.work_type || 'N/A'}</p>
+                {job.posted_at && (
+                  <p><span className="text-cyan-200 font-semibold">Posted:</span> {new Date(job.posted_at).toLocaleDateString(undefined, { timeZone: 'UTC' })}</p>
+                )}
+              </div>
+              <div className="mt-3 flex flex-wrap items-center gap-4">
+                <button
+                  onClick={() => {
+                    localStorage.setItem('coverLetter_job', JSON.stringify(job));
+                    setCurrentPage('coverLetter');
+                  }}
+                  className="text-sm text-cyan-200 hover:text-white underline"
+                >
+                  Write Cover Letter
+                </button>
+                {applications[jobApplicationId(job)] ? (
+                  <button
+                    onClick={() => setCurrentPage('applications')}
+                    className="flex items-center text-sm text-emerald-200 hover:text-white underline"
+                  >
+                    <Briefcase className="w-4 h-4 mr-1" />
+                    {`Saved • ${APPLICATION_STATUS_LABELS[applications[jobApplicationId(job)].status]}`}
+                  </button>
+                ) : (
+                  <button
+                    onClick={() => saveJob(job, jobTitle)}
+                    className="flex items-center text-sm text-cyan-200 hover:text-white underline"
+                  >
+                    <Briefcase className="w-4 h-4 mr-1" />
+                    Save Job
+                  </button>
+                )}
               </div>
             </IconCard>
           ))
         ) : (
           <IconCard icon={Award} title="No jobs found">
             <p className="text-purple-100/80 text-sm">
-              We couldn't find matches right now. Try adjusting the location or check back later.
+              We couldn't find matches right now. Try adjusting the filters or check back later.
             </p>
           </IconCard>
         )}
+        {!isLoading && truncated && !nextCursor && jobs.length > 0 && (
+          <p className="text-sm text-purple-200">
+            {`Only the top ${jobs.length} of ${total} matches can be browsed. Add filters to narrow the search.`}
+          </p>
+        )}
+        {!isLoading && nextCursor && (
+          <button
+            onClick={loadMore}
+            disabled={isLoadingMore}
+            className="w-full flex items-center justify-center border border-cyan-400/60 text-cyan-100 hover:bg-cyan-900/30 font-semibold px-6 py-2 rounded-2xl disabled:opacity-50"
+          >
+            {isLoadingMore && <Loader className="w-4 h-4 mr-2 animate-spin" />}
+            Load more jobs
+          </button>
+        )}
+      </div>
+    </div>
+  );
+};
+
+const ApplicationCard = ({ application, onUpdate, onRemove }) => {
+  const [notes, setNotes] = useState(application.notes || "");
+  const { id, job, status, statusDates = {}, followUpOn, fitScore } = application;
+  const isDue = followUpOn && followUpOn <= todayIso() && !["offer", "rejected"].includes(status);
+
+  return (
+    <li
+      draggable
+      onDragStart={(e) => e.dataTransfer.setData("text/plain", id)}
+      className={`p-3 rounded-lg border text-sm cursor-grab ${
+        isDue ? "bg-yellow-900/30 border-yellow-400/70" : "bg-purple-950/70 border-purple-500/40"
+      }`}
+    >
+      <div className="font-semibold text-purple-50">{job.job_title || "Role"}</div>
+      <div className="text-xs text-purple-200">
+        {[job.company, job.location].filter(Boolean).join(" • ")}
+      </div>
+      {(job.salary_range || typeof fitScore === "number") && (
+        <div className="text-xs text-purple-300 mt-1">
+          {[job.salary_range, typeof fitScore === "number" && `${fitScore}% fit`].filter(Boolean).join(" • ")}
+        </div>
+      )}
+
+      <select
+        value={status}
+        onChange={(e) => onUpdate(id, { status: e.target.value })}
+        className="mt-2 w-full bg-purple-950/80 border border-purple-500/60 rounded px-2 py-1 text-xs text-purple-50"
+      >
+        {Object.entries(APPLICATION_STATUS_LABELS).map(([value, label]) => (
+          <option key={value} value={value}>
+            {label}
+          </option>
+        ))}
+      </select>
+
+      <label className="block mt-2 text-[11px] text-purple-300">
+        Follow up on
+        <input
+          type="date"
+          value={followUpOn || ""}
+          onChange={(e) => onUpdate(id, { followUpOn: e.target.value || null })}
+          className="mt-0.5 w-full bg-purple-950/80 border border-purple-500/60 rounded px-2 py-1 text-xs text-purple-50"
+        />
+      </label>
+      {isDue && (
+        <div className="flex items-center mt-1 text-xs text-yellow-200">
+          <Bell className="w-3 h-3 mr-1" /> Follow-up due
+        </div>
+      )}
+
+      <textarea
+        value={notes}
+        onChange={(e) => setNotes(e.target.value)}
+        onBlur={() => notes !== (application.notes || "") && onUpdate(id, { notes })}
+        placeholder="Notes (contacts, interview dates, …)"
+        rows={2}
+        className="mt-2 w-full bg-black/40 border border-purple-700/60 rounded px-2 py-1 text-xs text-purple-50"
+      />
+
+      <div className="text-[11px] text-purple-300 mt-1">
+        {Object.keys(APPLICATION_STATUS_LABELS)
+          .filter((stage) => statusDates[stage])
+          .map((stage) => `${APPLICATION_STATUS_LABELS[stage]} ${new Date(statusDates[stage]).toLocaleDateString()}`)
+          .join(" • ")}
+      </div>
+      <button onClick={() => onRemove(id)} className="mt-1 text-xs text-red-300 underline">
+        Remove
+      </button>
+    </li>
+  );
+};
+
+// Kanban board of saved jobs: one column per status; cards can be dragged between columns or moved with the select
+const ApplicationsPage = ({ db, userId, setCurrentPage }) => {
+  const { applications, updateApplication, removeApplication, saveError, clearSaveError } = useJobApplications(db, userId);
+  const [dragOver, setDragOver] = useState(null);
+
+  const entries = Object.entries(applications)
+    .map(([id, application]) => ({ id, ...application }))
+    .sort((a, b) => (b.updatedAt || "").localeCompare(a.updatedAt || ""));
+  const today = todayIso();
+  const dueFollowUps = entries
+    .filter((a) => a.followUpOn && a.followUpOn <= today && !["offer", "rejected"].includes(a.status))
+    .sort((a, b) => a.followUpOn.localeCompare(b.followUpOn));
+
+  if (!entries.length) {
+    return (
+      <div className="p-8 max-w-2xl mx-auto text-center">
+        <ApplicationSaveError message={saveError} onDismiss={clearSaveError} />
+        <h2 className="text-3xl font-bold text-white mb-4">No Saved Jobs Yet</h2>
+        <p className="text-lg text-purple-100 mb-6">
+          Save jobs from the Job Matches page to track your applications here.
+        </p>
+        <button
+          onClick={() => setCurrentPage("jobs")}
+          className="inline-block bg-gradient-to-r from-cyan-400 to-purple-500 hover:from-cyan-300 hover:to-purple-400 transition-transform text-white font-bold px-6 py-3 rounded-full shadow-glow"
+        >
+          Find Jobs
+        </button>
+      </div>
+    );
+  }
+
+  return (
+    <div className="p-4 md:p-8 max-w-7xl mx-auto">
+      <h2 className="text-4xl font-extrabold text-white mb-2 drop-shadow-[0_0_18px_rgba(147,51,234,0.9)]">
+        Applications
+      </h2>
+      <p className="text-lg text-purple-100 mb-6">
+        {`${entries.length} saved job${entries.length === 1 ? "" : "s"}. Drag a card to another column to update its status.`}
+      </p>
+
+      <ApplicationSaveError message={saveError} onDismiss={clearSaveError} />
+
+      {dueFollowUps.length > 0 && (
+        <IconCard icon={Bell} title="Follow-ups Due" className="mb-6">
+          <ul className="space-y-1 text-sm">
+            {dueFollowUps.map((a) => (
+              <li key={a.id} className="text-purple-50">
+                {`${a.job.job_title || "Role"} @ ${a.job.company || "Company"} – `}
+                <span className={a.followUpOn < today ? "text-red-300" : "text-yellow-200"}>
+                  {a.followUpOn < today ? `overdue since ${a.followUpOn}` : "today"}
+                </span>
+              </li>
+            ))}
+          </ul>
+        </IconCard>
+      )}
+
+      <div className="grid grid-cols-1 md:grid-cols-5 gap-4">
+        {Object.entries(APPLICATION_STATUS_LABELS).map(([status, label]) => {
+          const column = entries.filter((a) => a.status === status);
+          return (
+            <section
+              key={status}
+              onDragOver={(e) => {
+                e.preventDefault();
+                setDragOver(status);
+              }}
+              onDragLeave={() => setDragOver(null)}
+              onDrop={(e) => {
+                e.preventDefault();
+                setDragOver(null);
+                const id = e.dataTransfer.getData("text/plain");
+                if (applications[id] && applications[id].status !== status) {
+                  updateApplication(id, { status });
+                }
+              }}
+              className={`rounded-2xl border p-3 min-h-[12rem] ${
+                dragOver === status ? "border-cyan-400 bg-cyan-900/20" : "border-purple-700/60 bg-black/40"
+              }`}
+            >
+              <h3 className="flex items-center justify-between text-sm font-semibold text-purple-100 mb-3">
+                {label}
+                <span className="text-xs text-purple-300">{column.length}</span>
+              </h3>
+              <ul className="space-y-3">
+                {column.map((application) => (
+                  <ApplicationCard
+                    key={application.id}
+                    application={application}
+                    onUpdate={updateApplication}
+                    onRemove={removeApplication}
+                  />
+                ))}
+              </ul>
+            </section>
+          );
+        })}
       </div>
     </div>
   );
@@ -1081,16 +5025,35 @@ const AddCoursePage = ({ db, userId }) => {
   const [saveError, setSaveError] = useState(null);
   const [success, setSuccess] = useState(null);
 
+  // Catalog filters
+  const [filterCategory, setFilterCategory] = useState("");
+  const [filterLevel, setFilterLevel] = useState("");
+  const [searchText, setSearchText] = useState("");
+  const [categories, setCategories] = useState([]);
+
   const API_BASE = "http://localhost:4000"; // change if your backend uses another port
 
+  // The backend only lets the creator edit or delete a course
+  const ownerHeaders = userId ? { "X-User-Id": userId } : {};
+
   // Load all courses
   const fetchCourses = async () => {
     try {
       setLoading(true);
       setListError(null);
-      const res = await fetch(`${API_BASE}/api/courses`);
+      const params = new URLSearchParams();
+      if (filterCategory) params.set("category", filterCategory);
+      if (filterLevel) params.set("level", filterLevel);
+      if (searchText.trim()) params.set("q", searchText.trim());
+      const res = await fetch(`${API_BASE}/api/courses?${params.toString()}`);
       const data = await res.json();
+      if (!res.ok) {
+        throw new Error(data.error || `status ${res.status}`);
+      }
       setCourses(data || []);
+      if (!filterCategory && !filterLevel && !searchText.trim()) {
+        setCategories([...new Set((data || []).map((c) => c.category))].sort());
+      }
     } catch (err) {
       setListError("Failed to load courses: " + err.message);
     } finally {
@@ -1100,7 +5063,8 @@ const AddCoursePage = ({ db, userId }) => {
 
   useEffect(() => {
     fetchCourses();
-  }, []);
+  // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [filterCategory, filterLevel]);
 
   // Open drawer for ADD
   const handleOpenAdd = () => {
@@ -1153,7 +5117,6 @@ const AddCoursePage = ({ db, userId }) => {
         level,
         description,
         url,
-        createdBy: userId || null,
       };
 
       let res;
@@ -1161,21 +5124,22 @@ const AddCoursePage = ({ db, userId }) => {
         // UPDATE
         res = await fetch(`${API_BASE}/api/courses/${editingCourse.id}`, {
           method: "PUT",
-          headers: { "Content-Type": "application/json" },
+          headers: { "Content-Type": "application/json", ...ownerHeaders },
           body: JSON.stringify(payload),
         });
       } else {
         // CREATE
         res = await fetch(`${API_BASE}/api/courses`, {
           method: "POST",
-          headers: { "Content-Type": "application/json" },
+          headers: { "Content-Type": "application/json", ...ownerHeaders },
           body: JSON.stringify(payload),
         });
       }
 
       const data = await res.json();
       if (!res.ok) {
-        throw new Error(data.error || "Failed to save course");
+        const details = Array.isArray(data.details) ? ` ${data.details.join(" ")}` : "";
+        throw new Error((data.error || "Failed to save course") + details);
       }
 
       setSuccess(
@@ -1202,6 +5166,7 @@ const AddCoursePage = ({ db, userId }) => {
     try {
       const res = await fetch(`${API_BASE}/api/courses/${id}`, {
         method: "DELETE",
+        headers: ownerHeaders,
       });
       const data = await res.json();
       if (!res.ok) {
@@ -1230,6 +5195,44 @@ const AddCoursePage = ({ db, userId }) => {
           )}
         </div>
 
+        <div className="flex flex-col sm:flex-row gap-2 mb-4">
+          <input
+            className="flex-1 p-2 border rounded-lg border-purple-500/60 bg-purple-950/70 text-purple-50 placeholder-purple-300/70 text-sm focus:ring-2 focus:ring-cyan-400"
+            value={searchText}
+            onChange={(e) => setSearchText(e.target.value)}
+            onKeyDown={(e) => e.key === "Enter" && fetchCourses()}
+            placeholder="Search titles and descriptions..."
+          />
+          <select
+            className="p-2 border rounded-lg border-purple-500/60 bg-purple-950/70 text-purple-50 text-sm"
+            value={filterCategory}
+            onChange={(e) => setFilterCategory(e.target.value)}
+          >
+            <option value="">All categories</option>
+            {categories.map((c) => (
+              <option key={c} value={c}>
+                {c}
+              </option>
+            ))}
+          </select>
+          <select
+            className="p-2 border rounded-lg border-purple-500/60 bg-purple-950/70 text-purple-50 text-sm"
+            value={filterLevel}
+            onChange={(e) => setFilterLevel(e.target.value)}
+          >
+            <option value="">All levels</option>
+            <option value="Beginner">Beginner</option>
+            <option value="Intermediate">Intermediate</option>
+            <option value="Advanced">Advanced</option>
+          </select>
+          <button
+            onClick={fetchCourses}
+            className="px-3 py-2 text-sm rounded-lg bg-purple-800/70 text-purple-50 hover:bg-purple-700/70 border border-purple-500/60"
+          >
+            Search
+          </button>
+        </div>
+
         {listError && (
           <p className="text-red-300 mb-3 bg-red-900/40 p-2 rounded border border-red-500/60">
             {listError}
@@ -1283,6 +5286,7 @@ const AddCoursePage = ({ db, userId }) => {
                   )}
                 </div>
 
+                {(!course.createdBy || course.createdBy === userId) && (
                 <div className="flex flex-col gap-2">
                   <button
                     onClick={() => handleOpenEdit(course)}
@@ -1297,6 +5301,7 @@ const AddCoursePage = ({ db, userId }) => {
                     Delete
                   </button>
                 </div>
+                )}
               </div>
             ))}
           </div>
@@ -1409,7 +5414,148 @@ const AddCoursePage = ({ db, userId }) => {
 
 // --- Main Application Component ---
 
+const SHARED_REPORT_ERRORS = {
+  SHARE_EXPIRED: "This link has expired. Ask the person who shared it for a new one.",
+  SHARE_REVOKED: "The owner has stopped sharing this report.",
+  SHARE_INVALID: "This link is not valid. Check that it was copied completely.",
+};
+
+// Public, read-only report opened from a ?share=<token> link; needs no account and offers no editing actions.
+const SharedReportPage = ({ token }) => {
+  const [shared, setShared] = useState(null);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    fetchSharedReport(token)
+      .then(setShared)
+      .catch((err) => setError(SHARED_REPORT_ERRORS[err.code] || err.message));
+  }, [token]);
+
+  const ownReportLink = (
+    <a href={window.location.pathname} className="text-cyan-300 underline">
+      Analyze your own resume
+    </a>
+  );
+
+  if (error) {
+    return (
+      <div className="p-8 max-w-2xl mx-auto text-center">
+        <h2 className="text-3xl font-bold text-white mb-4">Report Unavailable</h2>
+        <p className="text-lg text-purple-100 mb-6">{error}</p>
+        {ownReportLink}
+      </div>
+    );
+  }
+
+  if (!shared) {
+    return (
+      <div className="p-8 text-center">
+        <Loader className="w-8 h-8 mx-auto animate-spin text-cyan-300 mb-4" />
+        <p className="text-lg text-purple-100">Loading shared report...</p>
+      </div>
+    );
+  }
+
+  const {
+    resumeScore,
+    summary,
+    careerGoal,
+    sectionScores,
+    missingSkills = [],
+    missingSkillDetails = [],
+    presentSkills = [],
+    recommendations = {},
+  } = shared.analysis;
+
+  return (
+    <div className="p-4 md:p-8 max-w-4xl mx-auto">
+      <h2 className="text-4xl font-extrabold text-white mb-2 drop-shadow-[0_0_18px_rgba(147,51,234,0.9)]">
+        Shared Career Report
+      </h2>
+      <p className="text-lg text-purple-100">
+        Target role: <span className="font-semibold text-cyan-300">{careerGoal}</span>
+      </p>
+      <p className="text-xs text-purple-300 mb-8">
+        {`Read-only view shared ${new Date(shared.sharedAt).toLocaleDateString()} • ` +
+          `link expires ${new Date(shared.expiresAt).toLocaleDateString()}`}
+      </p>
+
+      <div className="grid grid-cols-1 md:grid-cols-3 gap-6 mb-8">
+        <IconCard icon={PieChart} title="Resume Score" className="md:col-span-1 text-center">
+          <div className={`${scoreTextColor(resumeScore)} text-6xl font-bold my-3`}>{resumeScore}%</div>
+        </IconCard>
+        <IconCard icon={Award} title="AI Summary" className="md:col-span-2">
+          <p className="text-purple-50 leading-relaxed italic border-l-4 border-cyan-400/60 pl-4 py-1">
+            {summary}
+          </p>
+        </IconCard>
+      </div>
+
+      <div className="grid grid-cols-1 md:grid-cols-2 gap-6 mb-8">
+        {sectionScores && (
+          <IconCard icon={PieChart} title="Section Scores">
+            <ul className="space-y-2">
+              {Object.entries(SECTION_SCORE_LABELS).map(([key, label]) => (
+                <li key={key} className="flex justify-between text-sm text-purple-100">
+                  <span>{label}</span>
+                  <span className={`font-semibold ${scoreTextColor(sectionScores[key] ?? 0)}`}>
+                    {sectionScores[key] ?? "–"}
+                  </span>
+                </li>
+              ))}
+            </ul>
+          </IconCard>
+        )}
+
+        <IconCard icon={Search} title="Skills to Build">
+          <ul className="space-y-2">
+            {(missingSkillDetails.length ? missingSkillDetails : missingSkills.map((skill) => ({ skill }))).map(
+              (gap) => (
+                <li key={gap.skill} className="text-sm">
+                  <span className="text-red-200 font-medium">{gap.skill}</span>
+                  {gap.severity && <span className="text-xs text-purple-300"> ({gap.severity})</span>}
+                  {gap.reason && <p className="text-xs text-purple-100">{gap.reason}</p>}
+                </li>
+              )
+            )}
+          </ul>
+        </IconCard>
+
+        {presentSkills.length > 0 && (
+          <IconCard icon={CheckCircle} title="Demonstrated Skills">
+            <SkillChips
+              skills={presentSkills.map((s) => (typeof s === "string" ? s : s.skill))}
+              className="bg-emerald-900/40 text-emerald-200 border-emerald-500/60"
+            />
+          </IconCard>
+        )}
+
+        <IconCard icon={Zap} title="Recommendations">
+          {[
+            ["Certifications", recommendations.certifications],
+            ["Real-world opportunities", recommendations.opportunities],
+          ].map(([label, items = []]) => (
+            <div key={label} className="mb-3">
+              <div className="text-sm font-semibold text-purple-50 mb-1">{label}</div>
+              <ul className="list-disc list-inside text-sm text-purple-100 space-y-1">
+                {items.map((item) => (
+                  <li key={item}>{item}</li>
+                ))}
+              </ul>
+            </div>
+          ))}
+        </IconCard>
+      </div>
+
+      <p className="text-center text-sm text-purple-200">Want a report like this? {ownReportLink}</p>
+    </div>
+  );
+};
+
 export default function App() {
+  // A ?share=<token> link opens the public read-only report instead of the app
+  const [sharedReportToken] = useState(() => new URLSearchParams(window.location.search).get("share"));
+
   // Initialize currentPage from localStorage so refresh restores last page
   const [currentPageState, setCurrentPageState] = useState(() => {
     try {
@@ -1539,8 +5685,11 @@ export default function App() {
           <DashboardPage
             setCurrentPage={setCurrentPage}
             analysisData={analysisData}
+            setAnalysisData={setAnalysisData}
             isAuthReady={isAuthReady}
             isLoading={isLoadingAnalysis}
+            db={db}
+            userId={userId}
           />
         );
       case "recommendations":
@@ -1548,6 +5697,48 @@ export default function App() {
           <RecommendationsPage
             setCurrentPage={setCurrentPage}
             analysisData={analysisData}
+            db={db}
+            userId={userId}
+          />
+        );
+      case "rewrite":
+        return (
+          <RewritePage
+            setCurrentPage={setCurrentPage}
+            analysisData={analysisData}
+            setAnalysisData={setAnalysisData}
+            db={db}
+            userId={userId}
+          />
+        );
+      case "interview":
+        return (
+          <InterviewPage
+            setCurrentPage={setCurrentPage}
+            analysisData={analysisData}
+            db={db}
+            userId={userId}
+          />
+        );
+      case "coverLetter":
+        return (
+          <CoverLetterPage
+            setCurrentPage={setCurrentPage}
+            analysisData={analysisData}
+          />
+        );
+      case "jdMatch":
+        return <JobDescriptionMatchPage setCurrentPage={setCurrentPage} />;
+      case "compare":
+        return <ComparePage db={db} userId={userId} analysisData={analysisData} />;
+      case "history":
+        return (
+          <HistoryPage
+            db={db}
+            userId={userId}
+            analysisData={analysisData}
+            setAnalysisData={setAnalysisData}
+            setCurrentPage={setCurrentPage}
           />
         );
       case "jobs":
@@ -1555,8 +5746,12 @@ export default function App() {
           <JobMatchPage
             setCurrentPage={setCurrentPage}
             analysisData={analysisData}
+            db={db}
+            userId={userId}
           />
         );
+      case "applications":
+        return <ApplicationsPage db={db} userId={userId} setCurrentPage={setCurrentPage} />;
       case "addCourse":
         return <AddCoursePage db={db} userId={userId} />;
       default:
@@ -1575,8 +5770,11 @@ export default function App() {
   const navItems = [
     { name: "Home", page: "landing", icon: Home },
     { name: "Analyze", page: "upload", icon: UploadCloud },
+    { name: "Match a Job", page: "jdMatch", icon: CheckCircle },
     { name: "Report", page: "dashboard", icon: PieChart },
+    { name: "History", page: "history", icon: Clock },
     { name: "Jobs", page: "jobs", icon: Search },
+    { name: "Applications", page: "applications", icon: Briefcase },
     { name: "All Courses", page: "addCourse", icon: Award },
   ];
 
@@ -1610,7 +5808,7 @@ export default function App() {
             </div>
 
             <div className="flex items-center space-x-2 md:space-x-4">
-              {navItems.map((item) => (
+              {!sharedReportToken && navItems.map((item) => (
                 <button
                   key={item.page}
                   onClick={() => setCurrentPage(item.page)}
@@ -1629,15 +5827,19 @@ export default function App() {
         </header>
 
         {/* User ID Display */}
-        <div className="bg-black/60 p-2 text-center text-[11px] text-purple-300 border-b border-purple-900/70">
-          User ID (for persistence):{" "}
-          <span className="font-mono text-cyan-300 break-all">
-            {userId || "Authenticating..."}
-          </span>
-        </div>
+        {!sharedReportToken && (
+          <div className="bg-black/60 p-2 text-center text-[11px] text-purple-300 border-b border-purple-900/70">
+            User ID (for persistence):{" "}
+            <span className="font-mono text-cyan-300 break-all">
+              {userId || "Authenticating..."}
+            </span>
+          </div>
+        )}
 
         {/* Main Content Area */}
-        <main className="flex-grow p-4 md:p-6">{renderPage()}</main>
+        <main className="flex-grow p-4 md:p-6">
+          {sharedReportToken ? <SharedReportPage token={sharedReportToken} /> : renderPage()}
+        </main>
 
         {/* Footer */}
         <footer className="bg-black/90 text-purple-200 p-4 text-center text-xs md:text-sm border-t border-purple-900/70">